@@ -0,0 +1,155 @@
+import config from 'config'
+import models from '../database/models'
+import AccountDeletion from '../enums/accountDeletion'
+import PostDTO from '../dto/posts'
+import Notifications from '../enums/notifications'
+import Helper from './helper/helper'
+import Storage from '../storage'
+
+describe('AccountDeletion', () => {
+  beforeEach(async () => {
+    await models.users.destroy({ where: {} })
+    await models.posts.destroy({ where: {} })
+    await models.likedPost.destroy({ where: {} })
+    await models.sharedPost.destroy({ where: {} })
+    await models.followers.destroy({ where: {} })
+    await models.userInterests.destroy({ where: {} })
+    await models.postTag.destroy({ where: {} })
+    await models.attachments.destroy({ where: {} })
+    await models.notifications.destroy({ where: {} })
+    await models.uploads.destroy({ where: {} })
+  })
+
+  describe('purgeExpired', () => {
+    it('should only purge accounts whose grace period is over', async () => {
+      // GIVEN one account deleted long ago and one deleted just now
+      const gracePeriod = config.get('ACCOUNT_DELETION.gracePeriod')
+      const expired = await Helper.createUser('expired')
+      await expired.update({
+        deactivatedAt: new Date(Date.now() - (gracePeriod + 60) * 1000),
+      })
+      const recent = await Helper.createUser('recent')
+      await recent.update({ deactivatedAt: new Date() })
+
+      // WHEN expired accounts are purged
+      const purged = await AccountDeletion.purgeExpired()
+
+      // THEN only the expired account is gone
+      expect(purged).toEqual(1)
+      expect(await models.users.findByPk(expired.id)).toBe(null)
+      expect(await models.users.findByPk(recent.id)).not.toBe(null)
+    })
+  })
+
+  describe('purge', () => {
+    it('should remove the likes, shares, follows and interests of the user', async () => {
+      // GIVEN a user who interacted with another user
+      const user = await Helper.createUser('deleted')
+      const other = await Helper.createUser('other')
+      const post = await Helper.createPost('A post', other.id)
+      await Helper.likePost(post.id, user.id)
+      await Helper.sharePost(post.id, user.id)
+      await Helper.createFollowers(other.id, user.id)
+      await Helper.createFollowers(user.id, other.id)
+      const tag = await Helper.createTag('tag')
+      await Helper.createUserInterest(user.id, tag.id)
+
+      // WHEN the user is purged
+      await AccountDeletion.purge(user.id)
+
+      // THEN nothing of theirs is left
+      expect(await models.likedPost.count({ where: { userId: user.id } })).toBe(
+        0
+      )
+      expect(
+        await models.sharedPost.count({ where: { userId: user.id } })
+      ).toBe(0)
+      expect(await models.followers.count()).toBe(0)
+      expect(
+        await models.userInterests.count({ where: { userId: user.id } })
+      ).toBe(0)
+      expect(await models.users.findByPk(user.id)).toBe(null)
+      expect(await models.posts.findByPk(post.id)).not.toBe(null)
+    })
+
+    it('should delete uploaded images nobody else uploaded', async () => {
+      // GIVEN a user who uploaded two images, one of which was also uploaded by another user
+      const user = await Helper.createUser('deleted')
+      const other = await Helper.createUser('other')
+      for (const filename of ['own.png', 'shared.png']) {
+        await Storage.put(`images/${filename}`, Buffer.from('image'))
+        await models.uploads.create({
+          userId: user.id,
+          filename,
+          contentType: 'image/png',
+        })
+      }
+      await models.uploads.create({
+        userId: other.id,
+        filename: 'shared.png',
+        contentType: 'image/png',
+      })
+
+      // WHEN the user is purged
+      await AccountDeletion.purge(user.id)
+
+      // THEN only the image nobody else uploaded is deleted
+      expect(await models.uploads.count({ where: { userId: user.id } })).toBe(0)
+      expect(await Storage.exists('images/own.png')).toBe(false)
+      expect(await Storage.exists('images/shared.png')).toBe(true)
+    })
+
+    it('should delete posts without replies and anonymise posts with replies', async () => {
+      // GIVEN a user with a post nobody replied to, and a post with a reply
+      const user = await Helper.createUser('deleted')
+      const other = await Helper.createUser('other')
+      const lonelyPost = await Helper.createPost('Nobody replied', user.id)
+      const repliedPost = await Helper.createPost('Somebody replied', user.id)
+      const reply = await Helper.createPost('A reply', other.id, repliedPost.id)
+      await Helper.likePost(lonelyPost.id, other.id)
+      await models.attachments.create({
+        postID: repliedPost.id,
+        attachmentLink: 'image.png',
+      })
+
+      // WHEN the user is purged
+      await AccountDeletion.purge(user.id)
+
+      // THEN the post without replies is deleted along with its likes
+      expect(await models.posts.findByPk(lonelyPost.id)).toBe(null)
+      expect(
+        await models.likedPost.count({ where: { postId: lonelyPost.id } })
+      ).toBe(0)
+
+      // AND the post with a reply is kept without its author or content
+      const anonymised = await models.posts.findByPk(repliedPost.id)
+      expect(anonymised.author).toBe(null)
+      expect(anonymised.text_content).toBe(null)
+      expect(
+        await models.attachments.count({ where: { postID: repliedPost.id } })
+      ).toBe(0)
+      expect(await models.posts.findByPk(reply.id)).not.toBe(null)
+
+      // AND it is shown as a post of a deleted user
+      const dto = await PostDTO.convertToDto(anonymised)
+      expect(dto.author.deleted).toBe(true)
+      expect(dto.author.username).toBe(null)
+    })
+
+    it('should show notifications the user sent as coming from a deleted user', async () => {
+      // GIVEN a user who followed another user
+      const user = await Helper.createUser('deleted')
+      const other = await Helper.createUser('other')
+      await Helper.createNotification('follow', other.id, user.id, null)
+
+      // WHEN the user is purged
+      await AccountDeletion.purge(user.id)
+
+      // THEN the notification no longer names them
+      const notifications = await Notifications.retrieveNotifications(other.id)
+      expect(notifications.length).toBe(1)
+      expect(notifications[0].from).toBe(null)
+      expect(notifications[0].fromDeleted).toBe(true)
+    })
+  })
+})
@@ -1,5 +1,5 @@
 import Activity from '../enums/activity'
-import { ActivityType } from '../enums/activity'
+import { ActivityType } from '../enums/activityType'
 import models from '../database/models'
 import Helper from './helper/helper'
 
@@ -26,6 +26,38 @@ describe('Activity', () => {
       expect(activities[1].activity).toEqual(ActivityType.LIKED.type)
     })
   })
+  describe('ActivityType.ofPost', () => {
+    it('should tell replies, quotes and plain posts apart', () => {
+      expect(ActivityType.ofPost({ parent: 1, quotedPostId: null })).toBe(
+        ActivityType.COMMENTED
+      )
+      expect(ActivityType.ofPost({ parent: null, quotedPostId: 1 })).toBe(
+        ActivityType.QUOTED
+      )
+      expect(ActivityType.ofPost({ parent: null, quotedPostId: null })).toBe(
+        ActivityType.POSTED
+      )
+    })
+  })
+  describe('getUserActivities of quote posts', () => {
+    it('should show quote posts as QUOTED activities', async () => {
+      const u1 = await Helper.createUser()
+      const u2 = await Helper.createUser()
+      const p1 = await Helper.createPost('u1 test post', u1.id)
+      await models.posts.create({
+        text_content: 'u2 quote',
+        author: u2.id,
+        quotedPostId: p1.id,
+      })
+
+      const activities = await Activity.getUserActivities(u2.id)
+
+      expect(activities.map((activity) => activity.activity)).toEqual([
+        ActivityType.QUOTED.type,
+      ])
+      expect(activities[0].post.quotedPost.id).toBe(p1.id)
+    })
+  })
   describe('retrieveActivityFeed', () => {
     it('should retrieve a feed of activity from all followed users', async () => {
       const u1 = await Helper.createUser()
@@ -51,6 +83,57 @@ describe('Activity', () => {
       expect(feed[0].activity).toEqual(ActivityType.LIKED.type)
     })
   })
+  describe('retrieveActivityFeedPage', () => {
+    it('should split the feed into pages without repeating activities', async () => {
+      const u1 = await Helper.createUser()
+      const u2 = await Helper.createUser()
+      const p1 = await Helper.createPost('u2 post 1', u2.id)
+      await Helper.likePost(p1.id, u2.id)
+      await Helper.sharePost(p1.id, u2.id)
+
+      const firstPage = await Activity.retrieveActivityFeedPage(
+        [u2.id],
+        u1.id,
+        2
+      )
+      expect(firstPage.activities.length).toEqual(2)
+      expect(firstPage.nextCursor).toBeTruthy()
+
+      const secondPage = await Activity.retrieveActivityFeedPage(
+        [u2.id],
+        u1.id,
+        2,
+        Activity.decodeCursor(firstPage.nextCursor)
+      )
+      expect(secondPage.activities.length).toEqual(1)
+      expect(secondPage.nextCursor).toBeNull()
+
+      const types = [...firstPage.activities, ...secondPage.activities].map(
+        (activity) => activity.activity
+      )
+      expect(types.sort()).toEqual(
+        [
+          ActivityType.POSTED.type,
+          ActivityType.LIKED.type,
+          ActivityType.SHARED.type,
+        ].sort()
+      )
+    })
+  })
+  describe('decodeCursor', () => {
+    it('should decode a cursor created by encodeCursor', () => {
+      const entry = {
+        timestamp: 1647147413000,
+        source: 2,
+        postId: 4,
+        userId: 7,
+      }
+      expect(Activity.decodeCursor(Activity.encodeCursor(entry))).toEqual(entry)
+    })
+    it('should return null for a malformed cursor', () => {
+      expect(Activity.decodeCursor('not-a-cursor')).toBeNull()
+    })
+  })
   describe('retrieveInterests', () => {
     it('should retrieve a feed of activity based on interests', async () => {
       const u1 = await Helper.createUser()
@@ -78,5 +161,23 @@ describe('Activity', () => {
       expect(feed.length).toEqual(2)
       expect(feed[0].activity).toEqual(ActivityType.INTERESTED.type)
     })
+
+    it('should return each post once and leave out the users own posts', async () => {
+      const u1 = await Helper.createUser()
+      const u2 = await Helper.createUser()
+      const dogs = await Helper.createTag('dogs')
+      const cats = await Helper.createTag('cats')
+      await Helper.createUserInterest(u1.id, dogs.id)
+      await Helper.createUserInterest(u1.id, cats.id)
+
+      const both = await Helper.createPost('#dogs and #cats', u2.id)
+      await Helper.createPostTag(both.id, dogs.id)
+      await Helper.createPostTag(both.id, cats.id)
+      const own = await Helper.createPost('my #dogs', u1.id)
+      await Helper.createPostTag(own.id, dogs.id)
+
+      const interests = await Activity.getPostsForInterests(u1.id)
+      expect(interests.map((post) => post.id)).toEqual([both.id])
+    })
   })
 })
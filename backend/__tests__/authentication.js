@@ -43,4 +43,79 @@ describe('Authentication', () => {
       assert.strictEqual(decodedUser.email, 'test@email.com')
     })
   })
+
+  describe('Refresh tokens', () => {
+    it('Test that a refresh token can not be used as an auth token', () => {
+      const refreshToken = Authentication.generateRefreshToken({ id: 1 })
+
+      assert.throws(() => Authentication.extractUser(`Bearer ${refreshToken}`))
+    })
+
+    it('Test that an auth token can not be used as a refresh token', () => {
+      const authToken = Authentication.generateAuthToken({ id: 1 })
+
+      assert.throws(() =>
+        Authentication.verifyToken(authToken, Authentication.REFRESH_TOKEN)
+      )
+    })
+
+    it('Test that every token has a unique id', () => {
+      const first = Authentication.decodeToken(
+        Authentication.generateRefreshToken({ id: 1 })
+      )
+      const second = Authentication.decodeToken(
+        Authentication.generateRefreshToken({ id: 1 })
+      )
+
+      assert.strictEqual(first.userId, 1)
+      assert.notStrictEqual(first.jti, second.jti)
+    })
+
+    it('Test that a refresh token is only current until the token version changes', () => {
+      const user = { id: 1, tokenVersion: 2 }
+      const decodedToken = Authentication.decodeToken(
+        Authentication.generateRefreshToken(user)
+      )
+
+      assert.strictEqual(
+        Authentication.isCurrentRefreshToken(decodedToken, user),
+        true
+      )
+      assert.strictEqual(
+        Authentication.isCurrentRefreshToken(decodedToken, {
+          ...user,
+          tokenVersion: 3,
+        }),
+        false
+      )
+    })
+  })
+
+  describe('Revoking tokens', () => {
+    it('Test that a revoked token is on the revocation list', async () => {
+      const decodedToken = Authentication.decodeToken(
+        Authentication.generateAuthToken({ id: 1 })
+      )
+      assert.strictEqual(
+        await Authentication.isRevoked(decodedToken.jti),
+        false
+      )
+
+      await Authentication.revokeToken(decodedToken)
+      assert.strictEqual(await Authentication.isRevoked(decodedToken.jti), true)
+    })
+
+    it('Test that a token can only be revoked once', async () => {
+      const decodedToken = Authentication.decodeToken(
+        Authentication.generateRefreshToken({ id: 1 })
+      )
+
+      const revoked = await Promise.all([
+        Authentication.revokeToken(decodedToken),
+        Authentication.revokeToken(decodedToken),
+      ])
+      assert.deepStrictEqual(revoked.sort(), [false, true])
+      assert.strictEqual(await Authentication.revokeToken(decodedToken), false)
+    })
+  })
 })
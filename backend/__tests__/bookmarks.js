@@ -0,0 +1,146 @@
+import request from 'supertest'
+import server from '../server/index'
+import models from '../database/models'
+import Authentication from '../middlewares/authentication'
+import Activity from '../enums/activity'
+import Helper from './helper/helper'
+
+describe('Bookmarks', () => {
+  let user
+  let authToken
+  let post
+
+  beforeEach(async () => {
+    await models.bookmarks.destroy({ where: {} })
+    user = await Helper.createUser()
+    authToken = Authentication.generateAuthToken(user)
+    const author = await Helper.createUser()
+    post = await Helper.createPost('Worth reading later', author.id)
+  })
+
+  /** Bookmarks a post as the user */
+  const bookmark = (postId) =>
+    request(server)
+      .post(`/api/posts/${postId}/bookmark`)
+      .set('Authorization', `Bearer ${authToken}`)
+
+  describe('POST /posts/:id/bookmark', () => {
+    it('should return response code of 400 when not authenticated', async () => {
+      const response = await request(server).post(
+        `/api/posts/${post.id}/bookmark`
+      )
+      expect(response.statusCode).toBe(400)
+    })
+
+    it('should bookmark the post only once', async () => {
+      expect((await bookmark(post.id)).statusCode).toBe(201)
+      expect((await bookmark(post.id)).statusCode).toBe(200)
+
+      expect(await models.bookmarks.count({ where: { userId: user.id } })).toBe(
+        1
+      )
+    })
+
+    it('should return response code of 404 for missing posts', async () => {
+      expect((await bookmark(999999)).statusCode).toBe(404)
+    })
+
+    it('should only show the bookmark to the user who saved it', async () => {
+      await bookmark(post.id)
+
+      const own = await request(server)
+        .get(`/api/posts/${post.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+      const other = await request(server)
+        .get(`/api/posts/${post.id}`)
+        .set(
+          'Authorization',
+          `Bearer ${Authentication.generateAuthToken(
+            await Helper.createUser()
+          )}`
+        )
+
+      expect(own.body.hasBookmarked).toBe(true)
+      expect(other.body.hasBookmarked).toBe(false)
+    })
+
+    it('should not show up in the activities of the user', async () => {
+      await bookmark(post.id)
+
+      expect(await Activity.getUserActivities(user.id)).toEqual([])
+    })
+  })
+
+  describe('DELETE /posts/:id/bookmark', () => {
+    it('should remove the bookmark', async () => {
+      await bookmark(post.id)
+
+      const response = await request(server)
+        .delete(`/api/posts/${post.id}/bookmark`)
+        .set('Authorization', `Bearer ${authToken}`)
+
+      expect(response.statusCode).toBe(200)
+      expect(await models.bookmarks.count({ where: { userId: user.id } })).toBe(
+        0
+      )
+    })
+
+    it('should return response code of 404 if the post is not bookmarked', async () => {
+      const response = await request(server)
+        .delete(`/api/posts/${post.id}/bookmark`)
+        .set('Authorization', `Bearer ${authToken}`)
+
+      expect(response.statusCode).toBe(404)
+    })
+  })
+
+  describe('GET /bookmarks', () => {
+    it('should page the bookmarks, most recently saved first', async () => {
+      const second = await Helper.createPost('Second', user.id)
+      const third = await Helper.createPost('Third', user.id)
+      for (const { id } of [post, second, third]) {
+        await bookmark(id)
+      }
+
+      const firstPage = await request(server)
+        .get('/api/bookmarks?limit=2')
+        .set('Authorization', `Bearer ${authToken}`)
+
+      expect(firstPage.statusCode).toBe(200)
+      expect(firstPage.body.items.map((item) => item.post.id)).toEqual([
+        third.id,
+        second.id,
+      ])
+      expect(firstPage.body.items[0].post.hasBookmarked).toBe(true)
+      expect(firstPage.body.nextCursor).not.toBe(null)
+
+      const secondPage = await request(server)
+        .get(`/api/bookmarks?limit=2&cursor=${firstPage.body.nextCursor}`)
+        .set('Authorization', `Bearer ${authToken}`)
+
+      expect(secondPage.body.items.map((item) => item.post.id)).toEqual([
+        post.id,
+      ])
+      expect(secondPage.body.nextCursor).toBe(null)
+    })
+
+    it('should leave out deleted posts', async () => {
+      await bookmark(post.id)
+      await models.posts.destroy({ where: { id: post.id } })
+
+      const response = await request(server)
+        .get('/api/bookmarks')
+        .set('Authorization', `Bearer ${authToken}`)
+
+      expect(response.body.items).toEqual([])
+    })
+
+    it('should reject invalid cursors', async () => {
+      const response = await request(server)
+        .get('/api/bookmarks?cursor=abc')
+        .set('Authorization', `Bearer ${authToken}`)
+
+      expect(response.statusCode).toBe(400)
+    })
+  })
+})
@@ -0,0 +1,193 @@
+import { PassThrough } from 'stream'
+import request from 'supertest'
+import models from '../database/models'
+import Authentication from '../middlewares/authentication'
+import server from '../server'
+import DataExport from '../enums/dataExport'
+import Storage from '../storage'
+import { InvalidStorageKeyError } from '../storage/errors'
+import Helper from './helper/helper'
+
+/** Collects everything written to a stream by the archive */
+const writeToBuffer = async (data) => {
+  const output = new PassThrough()
+  const chunks = []
+  output.on('data', (chunk) => chunks.push(chunk))
+  await DataExport.writeArchive(data, output)
+  return Buffer.concat(chunks)
+}
+
+describe('DataExport', () => {
+  describe('imageFilename', () => {
+    it('should return the storage file name of uploaded images only', () => {
+      expect(
+        DataExport.imageFilename('http://localhost:8080/images/avatar.png')
+      ).toEqual('avatar.png')
+      expect(DataExport.imageFilename('https://example.com/avatar.png')).toBe(
+        null
+      )
+      expect(DataExport.imageFilename(null)).toBe(null)
+    })
+  })
+
+  describe('writeArchive', () => {
+    it('should write a ZIP archive with the documents and images', async () => {
+      // GIVEN collected data with one image
+      await Storage.put('images/avatar.png', Buffer.from('image bytes'), {
+        contentType: 'image/png',
+      })
+      const data = {
+        documents: { 'profile.json': { username: 'exported' } },
+        images: ['avatar.png'],
+      }
+
+      // WHEN the archive is written
+      const archive = await writeToBuffer(data)
+
+      // THEN it is a ZIP archive with the JSON file and the image
+      expect(archive.subarray(0, 2).toString()).toEqual('PK')
+      expect(archive.toString('latin1')).toContain('profile.json')
+      expect(archive.toString('latin1')).toContain('images/avatar.png')
+    })
+
+    it('should leave out images that can not be read', async () => {
+      // GIVEN an image that is missing from storage
+      await Storage.delete('images/missing.png')
+      const data = {
+        documents: { 'profile.json': {} },
+        images: ['missing.png'],
+      }
+
+      // WHEN the archive is written
+      const archive = await writeToBuffer(data)
+
+      // THEN the rest of the archive is still written
+      expect(archive.toString('latin1')).toContain('profile.json')
+      expect(archive.toString('latin1')).not.toContain('images/missing.png')
+    })
+
+    it('should leave out images whose file name storage rejects', async () => {
+      // GIVEN an image link that decodes to a path outside of storage
+      const filename = DataExport.imageFilename(
+        'http://localhost:8080/images/..%2F..%2Fsecret.png'
+      )
+      const getStream = jest
+        .spyOn(Storage, 'getStream')
+        .mockImplementation((key) => {
+          throw new InvalidStorageKeyError(key)
+        })
+      const error = jest.spyOn(console, 'error').mockImplementation(() => {})
+
+      // WHEN the archive is written
+      const archive = await writeToBuffer({
+        documents: { 'profile.json': {} },
+        images: [filename],
+      })
+      getStream.mockRestore()
+      error.mockRestore()
+
+      // THEN only the image is skipped
+      expect(archive.toString('latin1')).toContain('profile.json')
+      expect(archive.toString('latin1')).not.toContain('secret.png')
+    })
+  })
+
+  describe('collect', () => {
+    beforeEach(async () => {
+      await models.users.destroy({ where: {} })
+      await models.posts.destroy({ where: {} })
+      await models.likedPost.destroy({ where: {} })
+      await models.sharedPost.destroy({ where: {} })
+      await models.followers.destroy({ where: {} })
+      await models.userInterests.destroy({ where: {} })
+      await models.tags.destroy({ where: {} })
+      await models.attachments.destroy({ where: {} })
+      await models.drafts.destroy({ where: {} })
+    })
+
+    it('should gather the profile, posts, interactions and images of the user', async () => {
+      // GIVEN a user who posted, replied, liked, shared, followed and picked interests
+      const user = await Helper.createUser(
+        'exported',
+        null,
+        null,
+        null,
+        null,
+        'http://localhost:8080/images/avatar.png'
+      )
+      const other = await Helper.createUser('other', null, 'OTHER@GMAIL.COM')
+      const post = await Helper.createPost('My post', user.id)
+      await models.attachments.create({
+        postID: post.id,
+        attachmentLink: 'http://localhost:8080/images/photo.png',
+      })
+      const otherPost = await Helper.createPost('Their post', other.id)
+      const reply = await Helper.createPost('My reply', user.id, otherPost.id)
+      await Helper.likePost(otherPost.id, user.id)
+      await Helper.sharePost(otherPost.id, user.id)
+      await models.bookmarks.create({ userId: user.id, postId: otherPost.id })
+      await models.drafts.create({ userId: user.id, text_content: 'unsent' })
+      await Helper.createFollowers(other.id, user.id)
+      const tag = await Helper.createTag('music')
+      await Helper.createUserInterest(user.id, tag.id)
+
+      // WHEN their data is collected
+      const { documents, images } = await DataExport.collect(user.id)
+
+      // THEN everything is in the documents
+      expect(documents['profile.json'].username).toEqual('exported')
+      expect(documents['profile.json'].email).toEqual('TEST@GMAIL.COM')
+      expect(documents['posts.json'].map((p) => p.id)).toEqual([post.id])
+      expect(
+        documents['posts.json'][0].attachments.map((image) => image.uri)
+      ).toEqual(['http://localhost:8080/images/photo.png'])
+      expect(documents['replies.json'].map((p) => p.id)).toEqual([reply.id])
+      expect(documents['likes.json'].map((l) => l.postId)).toEqual([
+        otherPost.id,
+      ])
+      expect(documents['shares.json'].map((s) => s.postId)).toEqual([
+        otherPost.id,
+      ])
+      expect(documents['bookmarks.json'].map((b) => b.postId)).toEqual([
+        otherPost.id,
+      ])
+      expect(documents['drafts.json'].map((d) => d.content)).toEqual(['unsent'])
+      expect(documents['followers.json']).toEqual([])
+      expect(documents['following.json']).toEqual([
+        { userId: other.id, username: 'other' },
+      ])
+      expect(documents['interests.json']).toEqual(['music'])
+      expect(images.sort()).toEqual(['avatar.png', 'photo.png'])
+    })
+  })
+
+  describe('GET /users/me/export', () => {
+    it('should return 400 when not authenticated', async () => {
+      const res = await request(server).get('/api/users/me/export')
+      expect(res.statusCode).toEqual(400)
+    })
+
+    it('should download the data of the logged in user as a ZIP archive', async () => {
+      // GIVEN a logged in user
+      const user = await Helper.createUser('exported')
+      const token = Authentication.generateAuthToken(user)
+
+      // WHEN they export their data
+      const res = await request(server)
+        .get('/api/users/me/export')
+        .set('Authorization', `Bearer ${token}`)
+        .buffer(true)
+        .parse((response, callback) => {
+          const chunks = []
+          response.on('data', (chunk) => chunks.push(chunk))
+          response.on('end', () => callback(null, Buffer.concat(chunks)))
+        })
+
+      // THEN a ZIP archive is downloaded
+      expect(res.statusCode).toEqual(200)
+      expect(res.headers['content-type']).toEqual('application/zip')
+      expect(res.headers['content-disposition']).toContain('attachment')
+      expect(res.body.toString('latin1')).toContain('profile.json')
+    })
+  })
+})
@@ -0,0 +1,152 @@
+import request from 'supertest'
+import server from '../server/index'
+import models from '../database/models'
+import Authentication from '../middlewares/authentication'
+import Helper from './helper/helper'
+
+describe('Drafts', () => {
+  let user
+  let authToken
+
+  beforeEach(async () => {
+    await models.drafts.destroy({ where: {} })
+    user = await Helper.createUser()
+    authToken = Authentication.generateAuthToken(user)
+  })
+
+  /** Saves a new draft as the user */
+  const saveDraft = (draft) =>
+    request(server)
+      .post('/api/drafts')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send(draft)
+
+  describe('POST /drafts', () => {
+    it('should return response code of 400 when not authenticated', async () => {
+      const response = await request(server)
+        .post('/api/drafts')
+        .send({ text_content: 'half written' })
+      expect(response.statusCode).toBe(400)
+    })
+
+    it('should save the draft for the user', async () => {
+      const response = await saveDraft({ text_content: 'half written' })
+
+      expect(response.statusCode).toBe(201)
+      expect(response.body.content).toEqual('half written')
+      const draft = await models.drafts.findByPk(response.body.id)
+      expect(draft.userId).toBe(user.id)
+    })
+
+    it('should reject invalid fields', async () => {
+      expect((await saveDraft({ text_content: 42 })).statusCode).toBe(400)
+      expect((await saveDraft({ parent: 'first' })).statusCode).toBe(400)
+    })
+  })
+
+  describe('GET /drafts', () => {
+    it('should only list the drafts of the user, the last changed first', async () => {
+      // GIVEN two drafts of the user and one of somebody else
+      const older = await models.drafts.create({
+        userId: user.id,
+        text_content: 'older',
+        updatedAt: new Date('2022-01-01'),
+      })
+      await models.drafts.create({
+        userId: user.id,
+        text_content: 'newer',
+        updatedAt: new Date('2022-02-01'),
+      })
+      const other = await Helper.createUser()
+      await models.drafts.create({ userId: other.id, text_content: 'theirs' })
+
+      // WHEN the user changes the older draft
+      await request(server)
+        .put(`/api/drafts/${older.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ text_content: 'older, changed' })
+
+      // THEN it is listed first
+      const response = await request(server)
+        .get('/api/drafts')
+        .set('Authorization', `Bearer ${authToken}`)
+
+      expect(response.statusCode).toBe(200)
+      expect(response.body.map((draft) => draft.content)).toEqual([
+        'older, changed',
+        'newer',
+      ])
+    })
+  })
+
+  describe('PUT /drafts/:id', () => {
+    it('should only change the fields that are sent', async () => {
+      const quoted = await Helper.createPost('Quote me', user.id)
+      const { body } = await saveDraft({
+        text_content: 'first try',
+        quotedPostId: quoted.id,
+      })
+
+      const response = await request(server)
+        .put(`/api/drafts/${body.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ text_content: 'second try' })
+
+      expect(response.statusCode).toBe(200)
+      expect(response.body.content).toEqual('second try')
+      expect(response.body.quotedPostId).toBe(quoted.id)
+    })
+
+    it('should not find the drafts of other users', async () => {
+      const other = await Helper.createUser()
+      const draft = await models.drafts.create({
+        userId: other.id,
+        text_content: 'theirs',
+      })
+
+      const response = await request(server)
+        .put(`/api/drafts/${draft.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ text_content: 'mine now' })
+
+      expect(response.statusCode).toBe(404)
+      await draft.reload()
+      expect(draft.text_content).toEqual('theirs')
+    })
+  })
+
+  describe('DELETE /drafts/:id', () => {
+    it('should delete the draft', async () => {
+      const { body } = await saveDraft({ text_content: 'never mind' })
+
+      const response = await request(server)
+        .delete(`/api/drafts/${body.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+
+      expect(response.statusCode).toBe(200)
+      expect(await models.drafts.findByPk(body.id)).toBeNull()
+    })
+
+    it('should return response code of 404 for missing drafts', async () => {
+      const response = await request(server)
+        .delete('/api/drafts/999999')
+        .set('Authorization', `Bearer ${authToken}`)
+
+      expect(response.statusCode).toBe(404)
+    })
+  })
+
+  describe('POST /posts with a draftId', () => {
+    it('should remove the draft the post was written from', async () => {
+      const { body } = await saveDraft({ text_content: 'ready now' })
+
+      const response = await request(server)
+        .post('/api/posts')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ text_content: 'ready now', draftId: body.id })
+
+      expect(response.statusCode).toBe(201)
+      expect(await models.drafts.findByPk(body.id)).toBeNull()
+    })
+  })
+})
@@ -90,4 +90,23 @@ export default class Helper {
     })
     return userInterest
   }
+
+  static async createNotification(
+    type,
+    userId,
+    fromUserId,
+    postId,
+    createdAt,
+    read
+  ) {
+    const notification = await models.notifications.create({
+      type,
+      userId,
+      fromUserId,
+      postId,
+      createdAt,
+      read: read || false,
+    })
+    return notification
+  }
 }
@@ -0,0 +1,380 @@
+import config from 'config'
+import { Readable } from 'stream'
+import request from 'supertest'
+import sharp from 'sharp'
+import server from '../server/index'
+import models from '../database/models'
+import Authentication from '../middlewares/authentication'
+import Storage from '../storage'
+import { InvalidStorageKeyError } from '../storage/errors'
+import DataExport from '../enums/dataExport'
+import ImageProcessing, {
+  ImageRendition,
+  ImageValidationError,
+} from '../enums/imageProcessing'
+
+/** Creates a JPEG photo of the given size, with EXIF data like a phone would add */
+const createPhoto = (width, height) =>
+  sharp({ create: { width, height, channels: 3, background: 'red' } })
+    .jpeg()
+    .withExif({
+      IFD0: { Make: 'Phone', Copyright: 'Somebody' },
+      IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '51/1 30/1 0/1' },
+    })
+    .toBuffer()
+
+/** Reads a response body as a buffer, whatever its content type */
+const readBody = (res, callback) => {
+  const chunks = []
+  res.on('data', (chunk) => chunks.push(chunk))
+  res.on('end', () => callback(null, Buffer.concat(chunks)))
+}
+
+describe('Images', () => {
+  describe('ImageProcessing.detectFormat', () => {
+    it('Should recognise images by their magic bytes', async () => {
+      const png = await sharp({
+        create: { width: 1, height: 1, channels: 3, background: 'red' },
+      })
+        .png()
+        .toBuffer()
+
+      expect(ImageProcessing.detectFormat(png)).toBe('png')
+      expect(ImageProcessing.detectFormat(await createPhoto(1, 1))).toBe('jpeg')
+      expect(ImageProcessing.detectFormat(Buffer.from('<svg></svg>'))).toBe(
+        null
+      )
+    })
+  })
+
+  describe('ImageProcessing.process', () => {
+    it('Should remove EXIF data', async () => {
+      // GIVEN a photo with EXIF data
+      const photo = await createPhoto(100, 100)
+      expect((await sharp(photo).metadata()).exif).toBeDefined()
+
+      // WHEN it is processed
+      const image = await ImageProcessing.process(photo)
+
+      // THEN none of the renditions have EXIF data
+      await Promise.all(
+        image.renditions.map(async ({ data }) => {
+          expect((await sharp(data).metadata()).exif).toBeUndefined()
+        })
+      )
+    })
+
+    it('Should store every rendition under a content hashed name', async () => {
+      // GIVEN a large photo
+      const photo = await createPhoto(2000, 1000)
+
+      // WHEN it is processed
+      const image = await ImageProcessing.process(photo)
+
+      // THEN it is scaled down for the smaller renditions
+      expect(image.filename).toMatch(/^[0-9a-f]{32}\.jpg$/)
+      expect(image.width).toBe(2000)
+      expect(image.height).toBe(1000)
+      const sizes = await Promise.all(
+        image.renditions.map(async ({ filename, data }) => {
+          const { width, height } = await sharp(data).metadata()
+          return { filename, width, height }
+        })
+      )
+      expect(sizes).toEqual([
+        {
+          filename: ImageRendition.THUMBNAIL.filename(image.filename),
+          width: 320,
+          height: 160,
+        },
+        {
+          filename: ImageRendition.MEDIUM.filename(image.filename),
+          width: 1280,
+          height: 640,
+        },
+        { filename: image.filename, width: 2000, height: 1000 },
+      ])
+
+      // AND the same photo always gets the same name
+      expect((await ImageProcessing.process(photo)).filename).toEqual(
+        image.filename
+      )
+    })
+
+    it('Should reject files that are not images', async () => {
+      await expect(
+        ImageProcessing.process(Buffer.from('<script></script>'))
+      ).rejects.toMatchObject({ status: 400 })
+    })
+
+    it('Should reject files that only start like an image', async () => {
+      const broken = Buffer.concat([
+        Buffer.from([0xff, 0xd8, 0xff]),
+        Buffer.from('not really a jpeg'),
+      ])
+      await expect(ImageProcessing.process(broken)).rejects.toBeInstanceOf(
+        ImageValidationError
+      )
+    })
+
+    it('Should reject images larger than the upload limit', async () => {
+      const tooLarge = Buffer.alloc(config.get('IMAGES.maxUploadSize') + 1)
+      await expect(ImageProcessing.process(tooLarge)).rejects.toMatchObject({
+        status: 413,
+      })
+    })
+  })
+
+  describe('POST /images', () => {
+    let user
+    let authToken
+
+    beforeAll(async () => {
+      await models.uploads.destroy({ where: {} })
+      await models.users.destroy({ where: { username: 'uploader' } })
+      user = await models.users.create({
+        username: 'uploader',
+        nickname: 'uploader',
+        email: 'uploader@uploader.com',
+        password: 'password',
+      })
+      authToken = Authentication.generateAuthToken(user)
+    })
+
+    it('Should reject uploads without an auth token', async () => {
+      const response = await request(server)
+        .post('/api/images')
+        .attach('attachments', await createPhoto(400, 200), 'photo.jpg')
+
+      expect(response.statusCode).toBe(400)
+    })
+
+    it('Should store the image and respond with its uri', async () => {
+      const response = await request(server)
+        .post('/api/images')
+        .set('Authorization', `Bearer ${authToken}`)
+        .attach('attachments', await createPhoto(400, 200), 'photo.jpg')
+
+      expect(response.statusCode).toBe(200)
+      expect(response.body.images).toHaveLength(1)
+      const [image] = response.body.images
+      expect(image.width).toBe(400)
+      expect(image.height).toBe(200)
+      const filename = DataExport.imageFilename(image.uri)
+      expect(await Storage.exists(`images/${filename}`)).toBe(true)
+
+      // AND the user is recorded as its owner
+      const upload = await models.uploads.findOne({ where: { filename } })
+      expect(upload.userId).toBe(user.id)
+      expect(upload.contentType).toBe('image/jpeg')
+    })
+
+    it('Should give images with the same file name different uris', async () => {
+      const upload = async (photo) => {
+        const response = await request(server)
+          .post('/api/images')
+          .set('Authorization', `Bearer ${authToken}`)
+          .attach('attachments', photo, 'avatar.jpg')
+        return response.body.images[0].uri
+      }
+
+      const first = await upload(await createPhoto(300, 300))
+      const second = await upload(await createPhoto(500, 500))
+
+      expect(first).not.toEqual(second)
+    })
+
+    it('Should reject files that are not images', async () => {
+      const response = await request(server)
+        .post('/api/images')
+        .set('Authorization', `Bearer ${authToken}`)
+        .attach('attachments', Buffer.from('plain text'), {
+          filename: 'photo.png',
+          contentType: 'image/png',
+        })
+
+      expect(response.statusCode).toBe(400)
+    })
+  })
+
+  describe('GET /images/:filename', () => {
+    let filename
+
+    beforeAll(async () => {
+      const image = await ImageProcessing.process(await createPhoto(2000, 1000))
+      await Promise.all(
+        image.renditions.map(({ filename: renditionFilename, data }) =>
+          Storage.put(`images/${renditionFilename}`, data, {
+            contentType: image.contentType,
+          })
+        )
+      )
+      filename = image.filename
+    })
+
+    /** Downloads an image and returns its dimensions */
+    const downloadSize = async (url) => {
+      const response = await request(server)
+        .get(url)
+        .buffer(true)
+        .parse(readBody)
+      expect(response.statusCode).toBe(200)
+      const { width } = await sharp(response.body).metadata()
+      return width
+    }
+
+    it('Should send the original by default', async () => {
+      expect(await downloadSize(`/api/images/${filename}`)).toBe(2000)
+    })
+
+    it('Should send the requested size', async () => {
+      expect(await downloadSize(`/api/images/${filename}?size=thumbnail`)).toBe(
+        320
+      )
+      expect(await downloadSize(`/api/images/${filename}?size=medium`)).toBe(
+        1280
+      )
+    })
+
+    it('Should send the original of images without renditions', async () => {
+      await Storage.put('images/legacy.png', await createPhoto(600, 300), {
+        contentType: 'image/jpeg',
+      })
+      expect(await downloadSize('/api/images/legacy.png?size=thumbnail')).toBe(
+        600
+      )
+    })
+
+    it('Should send the content type and cache headers', async () => {
+      const response = await request(server).get(`/api/images/${filename}`)
+
+      expect(response.headers['content-type']).toBe('image/jpeg')
+      expect(response.headers['x-content-type-options']).toBe('nosniff')
+      expect(response.headers['cache-control']).toBe(
+        'public, max-age=31536000, immutable'
+      )
+      expect(response.headers.etag).toMatch(/^"[0-9a-f]{32}"$/)
+      expect(Number(response.headers['content-length'])).toBeGreaterThan(0)
+    })
+
+    it('Should give every size its own ETag', async () => {
+      const original = await request(server).get(`/api/images/${filename}`)
+      const thumbnail = await request(server).get(
+        `/api/images/${filename}?size=thumbnail`
+      )
+
+      expect(thumbnail.headers.etag).not.toEqual(original.headers.etag)
+    })
+
+    it('Should respond with 304 when the ETag matches', async () => {
+      const { headers } = await request(server).get(`/api/images/${filename}`)
+
+      const response = await request(server)
+        .get(`/api/images/${filename}`)
+        .set('If-None-Match', headers.etag)
+
+      expect(response.statusCode).toBe(304)
+      expect(response.headers.etag).toEqual(headers.etag)
+    })
+
+    it('Should send the requested range', async () => {
+      const { size } = await Storage.stat(`images/${filename}`)
+
+      const response = await request(server)
+        .get(`/api/images/${filename}`)
+        .set('Range', 'bytes=0-9')
+        .buffer(true)
+        .parse(readBody)
+
+      expect(response.statusCode).toBe(206)
+      expect(response.headers['content-range']).toBe(`bytes 0-9/${size}`)
+      expect(response.body).toHaveLength(10)
+      // JPEG images start with these bytes
+      expect([...response.body.subarray(0, 3)]).toEqual([0xff, 0xd8, 0xff])
+    })
+
+    it('Should send the whole image when If-Range does not match', async () => {
+      const response = await request(server)
+        .get(`/api/images/${filename}`)
+        .set('Range', 'bytes=0-9')
+        .set('If-Range', '"outdated"')
+
+      expect(response.statusCode).toBe(200)
+    })
+
+    it('Should respond with 416 for ranges outside of the image', async () => {
+      const { size } = await Storage.stat(`images/${filename}`)
+
+      const response = await request(server)
+        .get(`/api/images/${filename}`)
+        .set('Range', `bytes=${size + 10}-`)
+
+      expect(response.statusCode).toBe(416)
+      expect(response.headers['content-range']).toBe(`bytes */${size}`)
+    })
+
+    it('Should revalidate images without a content hashed name', async () => {
+      await Storage.put('images/avatar.png', await createPhoto(10, 10), {
+        contentType: 'image/jpeg',
+      })
+
+      const response = await request(server).get('/api/images/avatar.png')
+
+      expect(response.headers['cache-control']).toBe('no-cache')
+      expect(response.headers.etag).toMatch(/^"[0-9a-f]+-[0-9a-f]+"$/)
+    })
+
+    it('Should not read images without a content hashed name to revalidate them', async () => {
+      await Storage.put('images/avatar.png', await createPhoto(10, 10), {
+        contentType: 'image/jpeg',
+      })
+      const { headers } = await request(server).get('/api/images/avatar.png')
+      const getStream = jest.spyOn(Storage, 'getStream')
+
+      const response = await request(server)
+        .get('/api/images/avatar.png')
+        .set('If-None-Match', headers.etag)
+
+      expect(response.statusCode).toBe(304)
+      expect(getStream).not.toHaveBeenCalled()
+      getStream.mockRestore()
+    })
+
+    it('Should reject unknown sizes', async () => {
+      const response = await request(server).get(
+        `/api/images/${filename}?size=huge`
+      )
+      expect(response.statusCode).toBe(400)
+    })
+
+    it('Should return 404 for missing images', async () => {
+      const response = await request(server).get('/api/images/missing.png')
+      expect(response.statusCode).toBe(404)
+      expect(response.headers['cache-control']).toBeUndefined()
+    })
+
+    it('Should return 400 for names the storage can not hold', async () => {
+      jest
+        .spyOn(Storage, 'stat')
+        .mockRejectedValueOnce(new InvalidStorageKeyError('images/../secret'))
+
+      const response = await request(server).get('/api/images/secret')
+
+      expect(response.statusCode).toBe(400)
+    })
+
+    it('Should return 500 when the storage fails', async () => {
+      jest.spyOn(Storage, 'getStream').mockImplementationOnce(() => {
+        const failing = new Readable({ read() {} })
+        process.nextTick(() => failing.destroy(new Error('Storage is down')))
+        return failing
+      })
+
+      const response = await request(server).get(`/api/images/${filename}`)
+
+      expect(response.statusCode).toBe(500)
+      expect(response.headers['cache-control']).toBeUndefined()
+      expect(response.headers.etag).not.toMatch(/^"[0-9a-f]{32}"$/)
+    })
+  })
+})
@@ -0,0 +1,88 @@
+import { EventEmitter } from 'events'
+import request from 'supertest'
+import server from '../server/index'
+import LiveEvents from '../enums/liveEvents'
+
+/** Creates a fake request and response pair for an event stream */
+const createStream = () => {
+  const req = new EventEmitter()
+  const res = {
+    written: [],
+    status() {
+      return this
+    },
+    set() {
+      return this
+    },
+    flushHeaders() {},
+    write(chunk) {
+      this.written.push(chunk)
+    },
+  }
+  return { req, res }
+}
+
+describe('LiveEvents', () => {
+  describe('publish', () => {
+    it('should push the event to every stream of the user', () => {
+      const first = createStream()
+      const second = createStream()
+      LiveEvents.subscribe(1, first.req, first.res)
+      LiveEvents.subscribe(1, second.req, second.res)
+
+      LiveEvents.publish(LiveEvents.notification, 1, { type: 'like' })
+
+      const message = 'event: notification\ndata: {"type":"like"}\n\n'
+      expect(first.res.written).toContain(message)
+      expect(second.res.written).toContain(message)
+
+      first.req.emit('close')
+      second.req.emit('close')
+    })
+
+    it('should not push events to other users', () => {
+      const stream = createStream()
+      LiveEvents.subscribe(2, stream.req, stream.res)
+
+      LiveEvents.publish(LiveEvents.feed, 3, { activity: 'POSTED' })
+
+      expect(stream.res.written.some((m) => m.startsWith('event:'))).toBe(false)
+      stream.req.emit('close')
+    })
+  })
+
+  describe('unsubscribe', () => {
+    it('should forget the user once their last stream closes', () => {
+      const stream = createStream()
+      LiveEvents.subscribe(4, stream.req, stream.res)
+      expect(LiveEvents.isConnected(4)).toBe(true)
+
+      stream.req.emit('close')
+      expect(LiveEvents.isConnected(4)).toBe(false)
+    })
+  })
+
+  describe('GET /events', () => {
+    it('should return response code of 400 when not authenticated', async () => {
+      const response = await request(server).get('/api/events')
+      expect(response.statusCode).toBe(400)
+    })
+
+    it('should return response code of 401 for an invalid query token', async () => {
+      const response = await request(server).get(
+        '/api/events?access_token=invalid'
+      )
+      expect(response.statusCode).toBe(401)
+    })
+
+    it('should not write the query token to the request log', async () => {
+      const write = jest.spyOn(process.stdout, 'write')
+      await request(server).get('/api/events?access_token=secret-token')
+      const logged = write.mock.calls.map(([chunk]) => String(chunk)).join('')
+      write.mockRestore()
+
+      expect(logged).toContain('access_token=[REDACTED]')
+      expect(logged).not.toContain('secret-token')
+    })
+  })
+})
@@ -0,0 +1,64 @@
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import Mail from '../mail'
+import FileTransport from '../mail/transports/file'
+
+const assert = require('assert')
+
+describe('Mail', () => {
+  afterEach(() => {
+    Mail.currentTransport = null
+  })
+
+  describe('FileTransport', () => {
+    it('Should write each email to a file in the directory', async () => {
+      // GIVEN a file transport writing to an empty directory
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'updog-mail-'))
+      const transport = new FileTransport({ directory })
+
+      // WHEN an email is sent
+      await transport.send({
+        from: 'from@updog.app',
+        to: 'to@updog.app',
+        subject: 'Subject',
+        text: 'Text',
+      })
+
+      // THEN it is written to the directory
+      const files = fs.readdirSync(directory)
+      assert.equal(files.length, 1)
+      const email = JSON.parse(
+        fs.readFileSync(path.join(directory, files[0]), 'utf8')
+      )
+      assert.equal(email.to, 'to@updog.app')
+      assert.equal(email.subject, 'Subject')
+      assert.equal(email.text, 'Text')
+
+      fs.rmSync(directory, { recursive: true })
+    })
+  })
+
+  describe('registerTransport', () => {
+    it('Should send emails through a registered transport', async () => {
+      // GIVEN a custom transport is registered and configured
+      const sent = []
+      Mail.registerTransport('memory', () => ({
+        send: async (message) => sent.push(message),
+      }))
+      Mail.currentTransport = Mail.transportFactories.memory()
+
+      // WHEN a password reset email is sent
+      await Mail.sendPasswordReset(
+        { email: 'user@updog.app', username: 'user' },
+        'abc123'
+      )
+
+      // THEN the custom transport receives it with a link to the reset page
+      assert.equal(sent.length, 1)
+      assert.equal(sent[0].to, 'user@updog.app')
+      assert.ok(sent[0].from)
+      assert.ok(sent[0].text.includes('/reset-password?token=abc123'))
+    })
+  })
+})
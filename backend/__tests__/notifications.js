@@ -1,5 +1,7 @@
 import models from '../database/models'
 import Notifications from '../enums/notifications'
+import LiveEvents from '../enums/liveEvents'
+import PostEntities from '../enums/postEntities'
 import Helper from './helper/helper'
 
 describe('Notifications', () => {
@@ -159,52 +161,54 @@ describe('Notifications', () => {
   })
 
   describe('retrieveNotifications', () => {
-    it('should return it in the correct order and format', async () => {
+    it('should return the stored notifications in the correct order and format', async () => {
       // GIVEN two users
-      const password = 'PASSWORD'
-      const randomUsername1 = (Math.random() + 1).toString(36).substring(7)
-      const email1 = `test@${randomUsername1}.com`
-
-      const user1 = await Helper.createUser(randomUsername1, password, email1)
-
-      const randomUsername2 = (Math.random() + 1).toString(36).substring(7)
-      const email2 = `test@${randomUsername2}.com`
-
-      const user2 = await Helper.createUser(randomUsername2, password, email2)
-
-      // WHEN one user replies to the other's post
+      const user1 = await Helper.createUser()
+      const user2 = await Helper.createUser()
       const parent = await Helper.createPost('This is a post', user2.id, null)
 
-      // "Reply" notification comes before "Follow"
+      // WHEN one user replies to the other's post and then follows them
       const reply = await Helper.createPost(
         'This is a reply',
         user1.id,
-        parent.id,
+        parent.id
+      )
+      const replyNotification = await Helper.createNotification(
+        'reply',
+        user2.id,
+        user1.id,
+        reply.id,
         '2021-03-13 04:56:53'
       )
+      const followNotification = await Helper.createNotification(
+        'follow',
+        user2.id,
+        user1.id,
+        null,
+        '2022-03-28 04:56:53'
+      )
 
-      // WHEN one user follows another user
-      const follow = await models.followers.create({
-        followedId: user2.id,
-        followerId: user1.id,
-        createdAt: '2022-03-28 04:56:53',
-      })
-
-      // THEN the other user should be notified
+      // THEN the other user should be notified, newest first
       const expectedOutput = [
         {
+          id: followNotification.id,
           type: 'follow',
           from: user1.username,
+          fromDeleted: false,
           post: null,
-          timestamp: Date.parse(follow.createdAt),
+          timestamp: Date.parse(followNotification.createdAt),
           content: user1.id,
+          read: false,
         },
         {
+          id: replyNotification.id,
           type: 'reply',
-          timestamp: Date.parse(reply.createdAt),
           from: user1.username,
+          fromDeleted: false,
           post: reply.id,
+          timestamp: Date.parse(replyNotification.createdAt),
           content: reply.text_content,
+          read: false,
         },
       ]
 
@@ -213,64 +217,150 @@ describe('Notifications', () => {
     })
   })
 
-  describe('retrieveUnreadNotifications', () => {
-    it('should return it in the correct order and format', async () => {
-      // GIVEN two users
-      const password = 'PASSWORD'
-      const randomUsername1 = (Math.random() + 1).toString(36).substring(7)
-      const email1 = `test@${randomUsername1}.com`
-
-      const user1 = await Helper.createUser(randomUsername1, password, email1)
+  describe('notify', () => {
+    it('should store a notification for the recipient', async () => {
+      const user1 = await Helper.createUser()
+      const user2 = await Helper.createUser()
+      const post = await Helper.createPost('This is a post', user2.id, null)
 
-      const randomUsername2 = (Math.random() + 1).toString(36).substring(7)
-      const email2 = `test@${randomUsername2}.com`
+      await Notifications.notify(
+        Notifications.like,
+        user2.id,
+        user1.id,
+        post.id
+      )
 
-      const user2 = await Helper.createUser(randomUsername2, password, email2)
+      const notifications = await Notifications.retrieveNotifications(user2.id)
+      expect(notifications.length).toEqual(1)
+      expect(notifications[0].type).toEqual('like')
+      expect(notifications[0].post).toEqual(post.id)
+    })
 
-      // WHEN one user replies to the other's post
-      const parent = await Helper.createPost('This is a post', user2.id, null)
+    it('should not notify users about their own actions', async () => {
+      const user1 = await Helper.createUser()
+      const post = await Helper.createPost('This is a post', user1.id, null)
 
-      const reply = await Helper.createPost(
-        'This is a reply',
+      await Notifications.notify(
+        Notifications.like,
         user1.id,
-        parent.id,
-        '2022-03-13 04:56:53'
+        user1.id,
+        post.id
       )
 
-      const share = await Helper.sharePost(
-        parent.id,
-        user1.id,
-        '2022-03-11 04:56:53'
+      expect(await Notifications.countUnread(user1.id)).toEqual(0)
+    })
+  })
+
+  describe('convertStoredNotification', () => {
+    it('should have no sender for notifications not caused by a user', () => {
+      const notification = {
+        id: 1,
+        type: Notifications.pollClosed.type,
+        fromUserId: null,
+        postId: 2,
+        createdAt: new Date(),
+        read: false,
+      }
+
+      expect(
+        Notifications.convertStoredNotification(notification, null, null)
+      ).toEqual(expect.objectContaining({ from: null, fromDeleted: false }))
+    })
+  })
+
+  describe('retract', () => {
+    it('should remove the notification of an undone action', async () => {
+      const user1 = await Helper.createUser()
+      const user2 = await Helper.createUser()
+
+      await Notifications.notify(Notifications.follow, user2.id, user1.id)
+      await Notifications.retract(Notifications.follow, user2.id, user1.id)
+
+      expect(await Notifications.countUnread(user2.id)).toEqual(0)
+    })
+
+    it('should tell the connected user which notifications were removed', async () => {
+      const user1 = await Helper.createUser()
+      const user2 = await Helper.createUser()
+      const notification = await Notifications.notify(
+        Notifications.follow,
+        user2.id,
+        user1.id
       )
+      const publish = jest.spyOn(LiveEvents, 'publish')
 
-      // Will not notify if marked as read by recipient
-      await models.followers.create({
-        followedId: user2.id,
-        followerId: user1.id,
-        createdAt: '2022-03-28 04:56:53',
-        read: true,
-      })
+      await Notifications.retract(Notifications.follow, user2.id, user1.id)
 
-      // THEN the other user should be notified
-      const expectedOutput = [
-        {
-          type: 'reply',
-          timestamp: Date.parse(reply.createdAt),
-          from: user1.username,
-          post: reply.id,
-          content: reply.text_content,
-        },
-        {
-          type: 'share',
-          timestamp: Date.parse(share.createdAt),
-          from: user1.username,
-          post: share.postId,
-          content: null,
-        },
-      ]
+      expect(publish).toHaveBeenCalledWith(
+        LiveEvents.notificationRemoved,
+        user2.id,
+        { ids: [notification.id], unread: 1 }
+      )
+      publish.mockRestore()
+    })
+  })
+
+  describe('notifyMentions', () => {
+    it('should notify every mentioned user except the skipped ones', async () => {
+      const user1 = await Helper.createUser()
+      const user2 = await Helper.createUser()
+      const user3 = await Helper.createUser()
+      const post = await Helper.createPost(
+        `Hello @${user2.username} and @${user3.username}`,
+        user1.id,
+        null
+      )
+
+      await PostEntities.recordMentions(post)
+      await Notifications.notifyMentions(post, [user3.id])
 
       const notifications = await Notifications.retrieveNotifications(user2.id)
-      expect(notifications).toEqual(expectedOutput)
+      expect(notifications.length).toEqual(1)
+      expect(notifications[0].type).toEqual('mention')
+      expect(notifications[0].content).toEqual(post.text_content)
+      expect(await Notifications.countUnread(user3.id)).toEqual(0)
+    })
+  })
+
+  describe('markAsRead', () => {
+    it('should only mark the notifications of the given user as read', async () => {
+      const user1 = await Helper.createUser()
+      const user2 = await Helper.createUser()
+      const notification = await Helper.createNotification(
+        'follow',
+        user2.id,
+        user1.id
+      )
+
+      expect(await Notifications.markAsRead(notification.id, user1.id)).toBe(
+        false
+      )
+      expect(await Notifications.countUnread(user2.id)).toEqual(1)
+
+      expect(await Notifications.markAsRead(notification.id, user2.id)).toBe(
+        true
+      )
+      expect(await Notifications.countUnread(user2.id)).toEqual(0)
+    })
+  })
+
+  describe('markAllAsRead', () => {
+    it('should mark every unread notification of the user as read', async () => {
+      const user1 = await Helper.createUser()
+      const user2 = await Helper.createUser()
+      await Helper.createNotification('follow', user2.id, user1.id)
+      await Helper.createNotification('like', user2.id, user1.id)
+      await Helper.createNotification(
+        'share',
+        user2.id,
+        user1.id,
+        null,
+        null,
+        true
+      )
+
+      expect(await Notifications.markAllAsRead(user2.id)).toEqual(2)
+      expect(await Notifications.countUnread(user2.id)).toEqual(0)
     })
   })
 })
@@ -0,0 +1,167 @@
+import request from 'supertest'
+import server from '../server/index'
+import models from '../database/models'
+import Authentication from '../middlewares/authentication'
+import Polls from '../enums/polls'
+import Helper from './helper/helper'
+
+const HOUR = 60 * 60 * 1000
+
+describe('Polls', () => {
+  describe('Polls.parse', () => {
+    const closesAt = () => new Date(Date.now() + HOUR).toISOString()
+
+    it('should trim the options and keep their order', () => {
+      const poll = Polls.parse({
+        options: [' Cats ', 'Dogs'],
+        closesAt: closesAt(),
+      })
+
+      expect(poll.options).toEqual(['Cats', 'Dogs'])
+      expect(poll.closesAt).toBeInstanceOf(Date)
+    })
+
+    it('should accept a poll sent as JSON', () => {
+      const poll = Polls.parse(
+        JSON.stringify({ options: ['Yes', 'No'], closesAt: closesAt() })
+      )
+
+      expect(poll.options).toEqual(['Yes', 'No'])
+    })
+
+    it('should only accept two to four different options', () => {
+      const parse = (options) => () =>
+        Polls.parse({ options, closesAt: closesAt() })
+
+      expect(parse(['Only'])).toThrow('between 2 and 4 options')
+      expect(parse(['A', 'B', 'C', 'D', 'E'])).toThrow('between 2 and 4')
+      expect(parse(['Same', 'same'])).toThrow('must differ')
+      expect(parse(['Fine', ' '])).toThrow('characters')
+    })
+
+    it('should only accept closing times up to a week after publishing', () => {
+      const parse = (closeTime, startsAt) => () =>
+        Polls.parse({ options: ['A', 'B'], closesAt: closeTime }, startsAt)
+
+      expect(parse('next week')).toThrow('closesAt')
+      expect(parse(new Date(Date.now() - HOUR).toISOString())).toThrow(
+        'closesAt'
+      )
+      expect(parse(new Date(Date.now() + 8 * 24 * HOUR).toISOString())).toThrow(
+        'closesAt'
+      )
+      // Scheduled posts start their poll when they are published
+      const publishAt = new Date(Date.now() + 2 * HOUR)
+      expect(parse(closesAt(), publishAt)).toThrow('closesAt')
+    })
+  })
+
+  describe('POST /posts/:id/vote', () => {
+    let author
+    let voter
+    let voterToken
+    let post
+
+    beforeEach(async () => {
+      author = await Helper.createUser()
+      voter = await Helper.createUser()
+      voterToken = Authentication.generateAuthToken(voter)
+
+      const response = await request(server)
+        .post('/api/posts')
+        .set(
+          'Authorization',
+          `Bearer ${Authentication.generateAuthToken(author)}`
+        )
+        .send({
+          text_content: 'Cats or dogs?',
+          poll: {
+            options: ['Cats', 'Dogs'],
+            closesAt: new Date(Date.now() + HOUR).toISOString(),
+          },
+        })
+      expect(response.statusCode).toBe(201)
+      post = response.body
+    })
+
+    /** Votes for an option as the voter */
+    const vote = (optionId) =>
+      request(server)
+        .post(`/api/posts/${post.id}/vote`)
+        .set('Authorization', `Bearer ${voterToken}`)
+        .send({ optionId })
+
+    it('should hide the results until the user has voted', async () => {
+      const before = await request(server)
+        .get(`/api/posts/${post.id}`)
+        .set('Authorization', `Bearer ${voterToken}`)
+      expect(before.body.hasVoted).toBe(false)
+      expect(before.body.poll.totalVotes).toBeNull()
+      expect(before.body.poll.options.map((option) => option.votes)).toEqual([
+        null,
+        null,
+      ])
+
+      const response = await vote(post.poll.options[1].id)
+
+      expect(response.statusCode).toBe(201)
+      expect(response.body.votedOptionId).toBe(post.poll.options[1].id)
+      expect(response.body.options.map((option) => option.votes)).toEqual([
+        0, 1,
+      ])
+      const after = await request(server)
+        .get(`/api/posts/${post.id}`)
+        .set('Authorization', `Bearer ${voterToken}`)
+      expect(after.body.hasVoted).toBe(true)
+      expect(after.body.poll.totalVotes).toBe(1)
+    })
+
+    it('should only count one vote per user', async () => {
+      await vote(post.poll.options[0].id)
+
+      const again = await vote(post.poll.options[1].id)
+
+      expect(again.statusCode).toBe(409)
+      expect(
+        await models.pollVotes.count({ where: { userId: voter.id } })
+      ).toBe(1)
+    })
+
+    it('should reject options of other polls', async () => {
+      expect((await vote(999999)).statusCode).toBe(400)
+    })
+
+    it('should not accept votes once the poll has closed', async () => {
+      await models.polls.update(
+        { closesAt: new Date(Date.now() - 1000) },
+        { where: { postId: post.id } }
+      )
+
+      expect((await vote(post.poll.options[0].id)).statusCode).toBe(403)
+    })
+
+    it('should notify the author once the poll has closed', async () => {
+      await vote(post.poll.options[0].id)
+      await models.polls.update(
+        { closesAt: new Date(Date.now() - 1000) },
+        { where: { postId: post.id } }
+      )
+
+      expect(await Polls.closeDue()).toBe(1)
+      expect(await Polls.closeDue()).toBe(0)
+
+      const notifications = await request(server)
+        .get('/api/notifications')
+        .set(
+          'Authorization',
+          `Bearer ${Authentication.generateAuthToken(author)}`
+        )
+      expect(notifications.body[0]).toMatchObject({
+        type: 'poll',
+        post: post.id,
+        from: null,
+        fromDeleted: false,
+      })
+    })
+  })
+})
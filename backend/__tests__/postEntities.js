@@ -0,0 +1,148 @@
+import request from 'supertest'
+import server from '../server/index'
+import models from '../database/models'
+import Authentication from '../middlewares/authentication'
+import PostEntities from '../enums/postEntities'
+import Helper from './helper/helper'
+
+describe('PostEntities', () => {
+  describe('PostEntities.parse', () => {
+    it('should find mentions, tags and urls with their offsets', () => {
+      const text = 'Hi @frodo, see #shire at https://example.com/map.'
+
+      expect(PostEntities.parse(text)).toEqual({
+        mentions: [{ handle: 'frodo', start: 3, end: 9 }],
+        tags: [{ name: 'shire', start: 15, end: 21 }],
+        urls: [{ url: 'https://example.com/map', start: 25, end: 48 }],
+      })
+    })
+
+    it('should count offsets like String.prototype.slice', () => {
+      const text = '🧙 @gandalf #magic'
+      const { mentions, tags } = PostEntities.parse(text)
+
+      expect(text.slice(mentions[0].start, mentions[0].end)).toBe('@gandalf')
+      expect(text.slice(tags[0].start, tags[0].end)).toBe('#magic')
+    })
+
+    it('should ignore handles and tags that are part of other text', () => {
+      const text =
+        'mail sam@shire.com&#39;s https://example.com/@merry#pippin &nbsp;#ok'
+      const { mentions, tags, urls } = PostEntities.parse(text)
+
+      expect(mentions).toEqual([])
+      expect(tags.map((tag) => tag.name)).toEqual(['ok'])
+      expect(urls.map((url) => url.url)).toEqual([
+        'https://example.com/@merry#pippin',
+      ])
+    })
+
+    it('should list every hashtag name only once', () => {
+      expect(PostEntities.hashtags('#dog and #dog, #cat')).toEqual([
+        'dog',
+        'cat',
+      ])
+      expect(PostEntities.hashtags(null)).toEqual([])
+    })
+  })
+
+  describe('mentions', () => {
+    let author
+    let authToken
+
+    beforeEach(async () => {
+      author = await Helper.createUser()
+      authToken = Authentication.generateAuthToken(author)
+    })
+
+    const mentionNotifications = (userId) =>
+      models.notifications.findAll({ where: { userId, type: 'mention' } })
+
+    it('should store the mentioned users and notify them', async () => {
+      // GIVEN a user who changed their username
+      const renamed = await Helper.createUser('oldHandle')
+      await models.usernameHistory.create({
+        userId: renamed.id,
+        username: 'oldHandle',
+      })
+      await renamed.update({ username: 'newHandle' })
+      const other = await Helper.createUser()
+
+      // WHEN a post mentions both of them and someone who does not exist
+      const response = await request(server)
+        .post('/api/posts')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          text_content: `@oldHandle @${other.username} @nobody_here #tag`,
+        })
+      expect(response.statusCode).toBe(201)
+
+      // THEN the existing users are notified
+      expect(await mentionNotifications(renamed.id)).toHaveLength(1)
+      expect(await mentionNotifications(other.id)).toHaveLength(1)
+
+      // AND the post links the mentions to the current usernames
+      const post = await request(server)
+        .get(`/api/posts/${response.body.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+      expect(post.body.entities.mentions).toEqual([
+        {
+          handle: 'oldHandle',
+          start: 0,
+          end: 10,
+          userId: renamed.id,
+          username: 'newHandle',
+        },
+        expect.objectContaining({ userId: other.id, start: 11 }),
+      ])
+      expect(post.body.entities.tags).toEqual([
+        expect.objectContaining({ name: 'tag' }),
+      ])
+
+      // AND the hashtag is a tag of the post
+      const tag = await models.tags.getTagByName('tag')
+      expect(
+        await models.postTag.count({
+          where: { postId: response.body.id, tagId: tag.id },
+        })
+      ).toBe(1)
+    })
+
+    it('should only notify users who are newly mentioned by an edit', async () => {
+      const kept = await Helper.createUser()
+      const removed = await Helper.createUser()
+      const added = await Helper.createUser()
+      const response = await request(server)
+        .post('/api/posts')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          text_content: `@${kept.username} @${removed.username}`,
+        })
+
+      await request(server)
+        .put(`/api/posts/${response.body.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ text_content: `@${kept.username} @${added.username}` })
+
+      expect(await mentionNotifications(kept.id)).toHaveLength(1)
+      expect(await mentionNotifications(added.id)).toHaveLength(1)
+      expect(await mentionNotifications(removed.id)).toHaveLength(0)
+      expect(
+        (await PostEntities.mentionedUserIds(response.body.id)).sort()
+      ).toEqual([kept.id, added.id].sort())
+    })
+
+    it('should not notify the mentioned users before a post is published', async () => {
+      const mentioned = await Helper.createUser()
+      await request(server)
+        .post('/api/posts')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          text_content: `Later @${mentioned.username}`,
+          publishAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+        })
+
+      expect(await mentionNotifications(mentioned.id)).toHaveLength(0)
+    })
+  })
+})
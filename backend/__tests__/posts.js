@@ -1,9 +1,13 @@
 import request from 'supertest'
+import sharp from 'sharp'
 import server from '../server/index'
 import models from '../database/models'
 import Authentication from '../middlewares/authentication'
 import UserDTO from '../dto/users'
 import Helper from './helper/helper'
+import DataExport from '../enums/dataExport'
+import Storage from '../storage'
+import ScheduledPosts from '../enums/scheduledPosts'
 
 describe('Posts', () => {
   beforeEach(async () => {
@@ -88,6 +92,110 @@ describe('Posts', () => {
       })
     })
 
+    describe('when creating a post with several images', () => {
+      it('should upload the images and return them in order', async () => {
+        const user1 = await Helper.createUser()
+        const authToken = Authentication.generateAuthToken(user1)
+        const secondImage = await sharp({
+          create: { width: 100, height: 50, channels: 3, background: 'blue' },
+        })
+          .png()
+          .toBuffer()
+
+        const response = await request(server)
+          .post('/api/posts')
+          .set('Authorization', `Bearer ${authToken}`)
+          .field('text_content', 'look at these')
+          .attach('attachments', '__tests__/files/test_image.png', 'first.png')
+          .attach('attachments', secondImage, 'second.png')
+          .field('alts', 'The first image')
+          .field('alts', '')
+
+        expect(response.statusCode).toBe(201)
+        expect(response.body.attachments).toHaveLength(2)
+        // Images are stored under a hash of their content
+        expect(response.body.attachments[0].uri).toMatch(/[0-9a-f]{32}\.png$/)
+        expect(response.body.attachments[0].alt).toBe('The first image')
+        expect(response.body.attachments[0].width).toBe(256)
+        expect(response.body.attachments[0].height).toBe(256)
+        expect(response.body.attachments[1].width).toBe(100)
+        expect(response.body.attachments[1].height).toBe(50)
+        expect(response.body.attachments[1].alt).toBe(null)
+        // The images are saved through the storage
+        const filenames = response.body.attachments.map((image) =>
+          DataExport.imageFilename(image.uri)
+        )
+        expect(await Storage.exists(`images/${filenames[0]}`)).toBe(true)
+        expect(await Storage.exists(`images/${filenames[1]}`)).toBe(true)
+      })
+    })
+
+    describe('when quoting a post', () => {
+      it('should embed the quoted post and notify its author', async () => {
+        const author = await Helper.createUser()
+        const quoter = await Helper.createUser()
+        const quoted = await Helper.createPost('the original', author.id)
+        const authToken = Authentication.generateAuthToken(quoter)
+
+        const response = await request(server)
+          .post('/api/posts')
+          .set('Authorization', `Bearer ${authToken}`)
+          .send({
+            text_content: 'my commentary',
+            quotedPostId: quoted.id,
+          })
+
+        expect(response.statusCode).toBe(201)
+        expect(response.body.quotedPostId).toBe(quoted.id)
+        expect(response.body.quotedPost.content).toBe('the original')
+        expect(response.body.quotedPost.quotedPost).toBe(null)
+        expect(
+          await models.notifications.count({
+            where: { userId: author.id, fromUserId: quoter.id, type: 'quote' },
+          })
+        ).toBe(1)
+
+        // AND the quote is counted on the quoted post
+        const quotedResponse = await request(server)
+          .get(`/api/posts/${quoted.id}`)
+          .set('Authorization', `Bearer ${authToken}`)
+        expect(quotedResponse.body.usersQuoted).toBe(1)
+      })
+
+      it('should return 404 if the quoted post does not exist', async () => {
+        const user = await Helper.createUser()
+        const authToken = Authentication.generateAuthToken(user)
+
+        const response = await request(server)
+          .post('/api/posts')
+          .set('Authorization', `Bearer ${authToken}`)
+          .send({ text_content: 'quoting nothing', quotedPostId: 999999 })
+
+        expect(response.statusCode).toBe(404)
+      })
+    })
+
+    describe('when attaching a file that is not an image', () => {
+      it('should return response code of 400', async () => {
+        const user1 = await Helper.createUser()
+        const authToken = Authentication.generateAuthToken(user1)
+
+        const response = await request(server)
+          .post('/api/posts')
+          .set('Authorization', `Bearer ${authToken}`)
+          .field('text_content', 'not an image')
+          .attach('attachments', Buffer.from('plain text'), {
+            filename: 'notes.png',
+            contentType: 'image/png',
+          })
+
+        expect(response.statusCode).toBe(400)
+        expect(await models.posts.count({ where: { author: user1.id } })).toBe(
+          0
+        )
+      })
+    })
+
     // the parent must exist for it to be a valid post.
     describe('when creating an invalid post', () => {
       it('should return response code of 404 not found', async () => {
@@ -215,6 +323,137 @@ describe('Posts', () => {
         expect(newPostTag.length).toBe(4)
       })
     })
+    describe('when scheduling a post', () => {
+      let author
+      let authToken
+      let follower
+      let followerToken
+
+      beforeEach(async () => {
+        author = await Helper.createUser()
+        authToken = Authentication.generateAuthToken(author)
+        follower = await Helper.createUser()
+        followerToken = Authentication.generateAuthToken(follower)
+        await Helper.createFollowers(author.id, follower.id)
+      })
+
+      /** Schedules a post as the author */
+      const schedule = (post) =>
+        request(server)
+          .post('/api/posts')
+          .set('Authorization', `Bearer ${authToken}`)
+          .send(post)
+
+      it('should keep the post hidden from everyone but its author', async () => {
+        // GIVEN a post scheduled for tomorrow
+        const publishAt = new Date(Date.now() + 24 * 60 * 60 * 1000)
+        const response = await schedule({
+          text_content: 'scheduledsecret',
+          publishAt: publishAt.toISOString(),
+        })
+        expect(response.statusCode).toBe(201)
+        expect(response.body.publishAt).toBeGreaterThan(Date.now())
+        const { id } = response.body
+
+        // THEN other users can not find it
+        const asFollower = (url) =>
+          request(server)
+            .get(url)
+            .set('Authorization', `Bearer ${followerToken}`)
+        expect((await asFollower(`/api/posts/${id}`)).statusCode).toBe(404)
+        const feed = await asFollower('/api/feed')
+        expect(feed.body.items.map((item) => item.post.id)).not.toContain(id)
+        const search = await asFollower(
+          '/api/search?query=scheduledsecret&type=latest'
+        )
+        expect(search.body).toEqual([])
+        const activity = await asFollower(
+          `/api/users/${author.username}/activity`
+        )
+        expect(activity.body).toEqual([])
+
+        // AND the author sees it with their scheduled posts
+        const scheduled = await request(server)
+          .get('/api/posts/scheduled')
+          .set('Authorization', `Bearer ${authToken}`)
+        expect(scheduled.body.map((post) => post.id)).toEqual([id])
+      })
+
+      it('should not let other users interact with the post', async () => {
+        const response = await schedule({
+          text_content: 'not yet',
+          publishAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+        })
+        const { id } = response.body
+        const interactions = [
+          request(server).post(`/api/posts/${id}/like`),
+          request(server).post(`/api/posts/${id}/share`),
+          request(server).post(`/api/posts/${id}/bookmark`),
+          request(server).get(`/api/posts/${id}/interactions`),
+        ]
+        for (const interaction of interactions) {
+          const result = await interaction.set(
+            'Authorization',
+            `Bearer ${followerToken}`
+          )
+          expect(result.statusCode).toBe(404)
+        }
+        expect(await models.likedPost.count({ where: { postId: id } })).toBe(0)
+
+        // AND the author can still bookmark it
+        const bookmark = await request(server)
+          .post(`/api/posts/${id}/bookmark`)
+          .set('Authorization', `Bearer ${authToken}`)
+        expect(bookmark.statusCode).toBe(201)
+      })
+
+      it('should reject times that are not in the future', async () => {
+        const past = await schedule({
+          text_content: 'too late',
+          publishAt: '2020-01-01T00:00:00Z',
+        })
+        const invalid = await schedule({
+          text_content: 'when?',
+          publishAt: 'tomorrow',
+        })
+
+        expect(past.statusCode).toBe(400)
+        expect(invalid.statusCode).toBe(400)
+      })
+
+      it('should publish the post and notify once it is due', async () => {
+        // GIVEN a scheduled reply that has become due
+        const parent = await Helper.createPost('Ask me anything', follower.id)
+        const response = await schedule({
+          text_content: 'Here is my answer',
+          parent: parent.id,
+          publishAt: new Date(Date.now() + 60 * 1000).toISOString(),
+        })
+        await models.posts.update(
+          { publishAt: new Date(Date.now() - 1000) },
+          { where: { id: response.body.id } }
+        )
+        expect(
+          await models.notifications.count({ where: { userId: follower.id } })
+        ).toBe(0)
+
+        // WHEN the due posts are published, twice
+        expect(await ScheduledPosts.publishDue()).toBe(1)
+        expect(await ScheduledPosts.publishDue()).toBe(0)
+
+        // THEN the post can be seen and the parent author is notified once
+        const post = await request(server)
+          .get(`/api/posts/${response.body.id}`)
+          .set('Authorization', `Bearer ${followerToken}`)
+        expect(post.statusCode).toBe(200)
+        expect(post.body.publishAt).toBeNull()
+        expect(
+          await models.notifications.count({
+            where: { userId: follower.id, type: 'reply' },
+          })
+        ).toBe(1)
+      })
+    })
   })
 
   describe('GET /posts', () => {
@@ -388,6 +627,128 @@ describe('Posts', () => {
       })
     })
 
+    describe('when editing a post', () => {
+      it('should keep the old text as a revision and re-derive the tags', async () => {
+        const user = await Helper.createUser()
+        const authToken = Authentication.generateAuthToken(user)
+        const post = await Helper.createPost('Look at my #cat', user.id)
+        const cat = await Helper.createTag('cat')
+        await Helper.createPostTag(post.id, cat.id)
+
+        const response = await request(server)
+          .put(`/api/posts/${post.id}`)
+          .set('Authorization', `Bearer ${authToken}`)
+          .send({ text_content: 'Look at my #dog and my #dog' })
+        expect(response.statusCode).toBe(200)
+
+        // THEN the post has the new text and is marked as edited
+        const edited = await request(server)
+          .get(`/api/posts/${post.id}`)
+          .set('Authorization', `Bearer ${authToken}`)
+        expect(edited.body.content).toBe('Look at my #dog and my #dog')
+        expect(edited.body.revisionCount).toBe(1)
+        expect(edited.body.editedAt).toBeGreaterThanOrEqual(
+          edited.body.createdAt
+        )
+        expect(edited.body.timestamp).toBe(edited.body.createdAt)
+
+        // AND the tags follow the new text
+        const postTags = await models.postTag.findAll({
+          where: { postId: post.id },
+        })
+        const dog = await models.tags.getTagByName('dog')
+        expect(postTags.map((postTag) => postTag.tagId)).toEqual([dog.id])
+
+        // AND every version can be looked up, newest first
+        const revisions = await request(server)
+          .get(`/api/posts/${post.id}/revisions`)
+          .set('Authorization', `Bearer ${authToken}`)
+        expect(revisions.statusCode).toBe(200)
+        expect(
+          revisions.body.map(({ revision, content }) => ({ revision, content }))
+        ).toEqual([
+          { revision: 1, content: 'Look at my #dog and my #dog' },
+          { revision: 0, content: 'Look at my #cat' },
+        ])
+      })
+
+      it('should not store a revision if the text is unchanged', async () => {
+        const user = await Helper.createUser()
+        const authToken = Authentication.generateAuthToken(user)
+        const post = await Helper.createPost('Unchanged', user.id)
+
+        await request(server)
+          .put(`/api/posts/${post.id}`)
+          .set('Authorization', `Bearer ${authToken}`)
+          .send({ text_content: 'Unchanged' })
+
+        expect(
+          await models.postRevision.count({ where: { postId: post.id } })
+        ).toBe(0)
+      })
+
+      it('should return response code of 400 without text_content', async () => {
+        const user = await Helper.createUser()
+        const authToken = Authentication.generateAuthToken(user)
+        const post = await Helper.createPost('Some text', user.id)
+
+        const response = await request(server)
+          .put(`/api/posts/${post.id}`)
+          .set('Authorization', `Bearer ${authToken}`)
+          .send({})
+
+        expect(response.statusCode).toBe(400)
+      })
+    })
+
+    describe('when editing a post with tags that are not in its text', () => {
+      it('should keep those tags', async () => {
+        const user = await Helper.createUser()
+        const authToken = Authentication.generateAuthToken(user)
+        const post = await Helper.createPost('Look at my #cat', user.id)
+        const cat = await Helper.createTag('cat')
+        const pets = await Helper.createTag('pets')
+        await Helper.createPostTag(post.id, cat.id)
+        await Helper.createPostTag(post.id, pets.id)
+
+        const response = await request(server)
+          .put(`/api/posts/${post.id}`)
+          .set('Authorization', `Bearer ${authToken}`)
+          .send({ text_content: 'Look at my #dog' })
+        expect(response.statusCode).toBe(200)
+
+        // THEN the hashtag is replaced and the other tag stays
+        const postTags = await models.postTag.findAll({
+          where: { postId: post.id },
+        })
+        const dog = await models.tags.getTagByName('dog')
+        expect(postTags.map((postTag) => postTag.tagId).sort()).toEqual(
+          [pets.id, dog.id].sort()
+        )
+      })
+    })
+
+    describe('GET /posts/:id/revisions of an unedited post', () => {
+      it('should only return the original version', async () => {
+        const user = await Helper.createUser()
+        const authToken = Authentication.generateAuthToken(user)
+        const post = await Helper.createPost('Never edited', user.id)
+
+        const response = await request(server)
+          .get(`/api/posts/${post.id}/revisions`)
+          .set('Authorization', `Bearer ${authToken}`)
+
+        expect(response.body).toEqual([
+          {
+            revision: 0,
+            content: 'Never edited',
+            // As stored, the database may drop the milliseconds
+            writtenAt: Date.parse((await post.reload()).createdAt),
+          },
+        ])
+      })
+    })
+
     /*
     the parent must exist for it to be a valid post.
     the datatypes for the other message body fields must be correct.
@@ -752,4 +1113,100 @@ describe('Posts', () => {
       })
     })
   })
+
+  describe('GET /posts/:id/thread', () => {
+    describe('when not authenticated', () => {
+      it('should return response code of 400', async () => {
+        const response = await request(server).get('/api/posts/1/thread')
+        expect(response.statusCode).toBe(400)
+      })
+    })
+
+    describe('when the post does not exist', () => {
+      it('should return response code of 404', async () => {
+        const user = await Helper.createUser()
+        const authToken = Authentication.generateAuthToken(user)
+
+        const response = await request(server)
+          .get('/api/posts/999999/thread')
+          .set('Authorization', `Bearer ${authToken}`)
+
+        expect(response.statusCode).toBe(404)
+      })
+    })
+
+    describe('when the post is part of a conversation', () => {
+      let authToken
+      let root
+      let post
+      let replies
+
+      beforeEach(async () => {
+        // GIVEN a post which replies to another post, with three replies,
+        // the first of which has a reply of its own with another reply
+        const user = await Helper.createUser()
+        authToken = Authentication.generateAuthToken(user)
+        root = await Helper.createPost('root', user.id)
+        post = await Helper.createPost('post', user.id, root.id)
+        replies = []
+        for (const text of ['first', 'second', 'third']) {
+          replies.push(await Helper.createPost(text, user.id, post.id))
+        }
+        const nested = await Helper.createPost('nested', user.id, replies[0].id)
+        await Helper.createPost('deeper', user.id, nested.id)
+      })
+
+      it('should return the ancestors and the reply tree', async () => {
+        const response = await request(server)
+          .get(`/api/posts/${post.id}/thread?depth=2`)
+          .set('Authorization', `Bearer ${authToken}`)
+
+        expect(response.statusCode).toBe(200)
+        expect(response.body.ancestors.map((a) => a.content)).toEqual(['root'])
+        expect(response.body.post.content).toBe('post')
+
+        const { items, nextCursor } = response.body.post.replies
+        expect(items.map((reply) => reply.content)).toEqual([
+          'first',
+          'second',
+          'third',
+        ])
+        expect(nextCursor).toBe(null)
+
+        // The nested reply is at the depth limit, its replies are not loaded
+        const [nested] = items[0].replies.items
+        expect(nested.content).toBe('nested')
+        expect(nested.children).toHaveLength(1)
+        expect(nested.replies).toBe(null)
+      })
+
+      it('should page the replies', async () => {
+        const firstPage = await request(server)
+          .get(`/api/posts/${post.id}/thread?limit=2`)
+          .set('Authorization', `Bearer ${authToken}`)
+
+        const { items, nextCursor } = firstPage.body.post.replies
+        expect(items.map((reply) => reply.content)).toEqual(['first', 'second'])
+        expect(nextCursor).toBe(String(replies[1].id))
+
+        const secondPage = await request(server)
+          .get(`/api/posts/${post.id}/thread?limit=2&cursor=${nextCursor}`)
+          .set('Authorization', `Bearer ${authToken}`)
+
+        expect(
+          secondPage.body.post.replies.items.map((reply) => reply.content)
+        ).toEqual(['third'])
+        expect(secondPage.body.post.replies.nextCursor).toBe(null)
+      })
+
+      it('should reject invalid parameters', async () => {
+        for (const query of ['depth=0', 'limit=100', 'cursor=abc']) {
+          const response = await request(server)
+            .get(`/api/posts/${post.id}/thread?${query}`)
+            .set('Authorization', `Bearer ${authToken}`)
+          expect(response.statusCode).toBe(400)
+        }
+      })
+    })
+  })
 })
@@ -0,0 +1,226 @@
+import request from 'supertest'
+import server from '../server/index'
+import models from '../database/models'
+import Authentication from '../middlewares/authentication'
+import RankedFeed from '../enums/rankedFeed'
+import { ActivityType } from '../enums/activityType'
+import Helper from './helper/helper'
+
+const HOUR = 60 * 60 * 1000
+
+describe('RankedFeed', () => {
+  const candidate = (changes) => ({
+    postId: 1,
+    post: { id: 1, author: 2, createdAt: new Date(Date.now() - HOUR) },
+    followedAuthor: false,
+    likes: [],
+    shares: [],
+    interests: new Set(),
+    ...changes,
+  })
+
+  describe('RankedFeed.decodeCursor', () => {
+    it('should decode a cursor created by encodeCursor', () => {
+      const position = { time: Date.now() - 60 * 1000, offset: 20 }
+
+      expect(
+        RankedFeed.decodeCursor(RankedFeed.encodeCursor(position))
+      ).toEqual(position)
+    })
+
+    it('should return null for a malformed cursor', () => {
+      expect(RankedFeed.decodeCursor('20')).toBeNull()
+      expect(RankedFeed.decodeCursor('not-a-cursor')).toBeNull()
+    })
+
+    it('should return null for a time in the future or over a week ago', () => {
+      const day = 24 * 60 * 60 * 1000
+      const cursor = (time) => RankedFeed.encodeCursor({ time, offset: 20 })
+
+      expect(RankedFeed.decodeCursor(cursor(Date.now() + day))).toBeNull()
+      expect(RankedFeed.decodeCursor(cursor(Date.now() - 8 * day))).toBeNull()
+    })
+  })
+
+  describe('RankedFeed.explain', () => {
+    it('should collapse the likes of followed users into one activity', () => {
+      const now = Date.now()
+      const explanation = RankedFeed.explain(
+        candidate({
+          likes: [
+            { userId: 3, time: now - 2 * HOUR },
+            { userId: 4, time: now - HOUR },
+            { userId: 5, time: now - 3 * HOUR },
+          ],
+        })
+      )
+
+      expect(explanation).toEqual(
+        expect.objectContaining({
+          activity: ActivityType.LIKED,
+          userId: 4,
+          timestamp: now - HOUR,
+          others: 2,
+        })
+      )
+    })
+
+    it('should show posts of followed users as posted', () => {
+      const explanation = RankedFeed.explain(
+        candidate({
+          followedAuthor: true,
+          likes: [{ userId: 3, time: Date.now() }],
+        })
+      )
+
+      expect(explanation.activity).toBe(ActivityType.POSTED)
+      expect(explanation.userId).toBe(2)
+      expect(explanation.others).toBe(0)
+    })
+  })
+
+  describe('RankedFeed.score', () => {
+    it('should rank closer, more engaged and newer posts higher', () => {
+      const now = Date.now()
+      const interest = candidate({ interests: new Set([1]) })
+      const followed = candidate({ followedAuthor: true })
+      const old = candidate({
+        followedAuthor: true,
+        post: { id: 1, author: 2, createdAt: new Date(now - 48 * HOUR) },
+      })
+
+      expect(RankedFeed.score(followed, 0, now)).toBeGreaterThan(
+        RankedFeed.score(interest, 0, now)
+      )
+      expect(RankedFeed.score(followed, 10, now)).toBeGreaterThan(
+        RankedFeed.score(followed, 0, now)
+      )
+      expect(RankedFeed.score(old, 0, now)).toBeCloseTo(
+        RankedFeed.score(followed, 0, now) / 4 ** (47 / 48)
+      )
+    })
+  })
+
+  describe('GET /feed?mode=ranked', () => {
+    let user
+    let authToken
+
+    beforeEach(async () => {
+      await Promise.all([
+        models.tags.destroy({ where: {} }),
+        models.postTag.destroy({ where: {} }),
+      ])
+      user = await Helper.createUser()
+      authToken = Authentication.generateAuthToken(user)
+    })
+
+    const rankedFeed = (query = '') =>
+      request(server)
+        .get(`/api/feed?mode=ranked${query}`)
+        .set('Authorization', `Bearer ${authToken}`)
+
+    it('should show each post once however it reached the feed', async () => {
+      const friend = await Helper.createUser()
+      const otherFriend = await Helper.createUser()
+      const stranger = await Helper.createUser()
+      await Helper.createFollowers(friend.id, user.id)
+      await Helper.createFollowers(otherFriend.id, user.id)
+      const tag = await Helper.createTag('hobbits')
+      await Helper.createUserInterest(user.id, tag.id)
+
+      const friendPost = await Helper.createPost('By a friend', friend.id)
+      await Helper.createPostTag(friendPost.id, tag.id)
+      await Helper.likePost(friendPost.id, otherFriend.id)
+      const liked = await Helper.createPost('Liked by friends', stranger.id)
+      await Helper.likePost(liked.id, friend.id)
+      await Helper.likePost(liked.id, otherFriend.id)
+      const ownPost = await Helper.createPost('Mine', user.id)
+      await Helper.createPostTag(ownPost.id, tag.id)
+      await Helper.likePost(ownPost.id, friend.id)
+
+      const response = await rankedFeed()
+
+      expect(response.statusCode).toBe(200)
+      const ids = response.body.items.map((item) => item.post.id)
+      expect(ids.sort()).toEqual([friendPost.id, liked.id].sort())
+      expect(response.body.items).toContainEqual(
+        expect.objectContaining({
+          postID: liked.id,
+          activity: 'LIKED',
+          others: 1,
+          user: expect.objectContaining({ username: expect.any(String) }),
+        })
+      )
+      expect(response.body.items).toContainEqual(
+        expect.objectContaining({ postID: friendPost.id, activity: 'POSTED' })
+      )
+    })
+
+    it('should rank posts of followed users above posts from interests', async () => {
+      const friend = await Helper.createUser()
+      const stranger = await Helper.createUser()
+      await Helper.createFollowers(friend.id, user.id)
+      const tag = await Helper.createTag('pipes')
+      await Helper.createUserInterest(user.id, tag.id)
+      const friendPost = await Helper.createPost('Friend', friend.id)
+      const interestPost = await Helper.createPost('#pipes', stranger.id)
+      await Helper.createPostTag(interestPost.id, tag.id)
+
+      const first = await rankedFeed('&limit=1')
+      expect(first.body.items.map((item) => item.post.id)).toEqual([
+        friendPost.id,
+      ])
+
+      const second = await rankedFeed(
+        `&limit=1&cursor=${first.body.nextCursor}`
+      )
+      expect(second.body.items).toEqual([
+        expect.objectContaining({
+          postID: interestPost.id,
+          activity: 'INTERESTED',
+        }),
+      ])
+      expect(second.body.nextCursor).toBeNull()
+    })
+
+    it('should keep the ranking of the first page on the next pages', async () => {
+      const friend = await Helper.createUser()
+      await Helper.createFollowers(friend.id, user.id)
+      const older = await Helper.createPost('Older', friend.id)
+      await models.posts.update(
+        { createdAt: new Date(Date.now() - HOUR) },
+        { where: { id: older.id } }
+      )
+      const newer = await Helper.createPost('Newer', friend.id)
+
+      const first = await rankedFeed('&limit=1')
+      expect(first.body.items.map((item) => item.post.id)).toEqual([newer.id])
+
+      // WHEN the friend posts again after the first page was ranked
+      const later = await Helper.createPost('Later', friend.id)
+      await models.posts.update(
+        { createdAt: new Date(Date.now() + 60 * 1000) },
+        { where: { id: later.id } }
+      )
+
+      // THEN the next page continues where the first one ended
+      const second = await rankedFeed(
+        `&limit=1&cursor=${first.body.nextCursor}`
+      )
+      expect(second.body.items.map((item) => item.post.id)).toEqual([older.id])
+      expect(second.body.nextCursor).toBeNull()
+    })
+
+    it('should keep the chronological feed as mode=latest and reject others', async () => {
+      const latest = await request(server)
+        .get('/api/feed?mode=latest')
+        .set('Authorization', `Bearer ${authToken}`)
+      expect(latest.statusCode).toBe(200)
+
+      const unknown = await request(server)
+        .get('/api/feed?mode=popular')
+        .set('Authorization', `Bearer ${authToken}`)
+      expect(unknown.statusCode).toBe(400)
+    })
+  })
+})
@@ -3,16 +3,109 @@ import server from '../server/index'
 import Helper from './helper/helper'
 import models from '../database/models'
 import Authentication from '../middlewares/authentication'
+import Search, { SearchQueryError } from '../enums/search'
 const assert = require('assert')
 
 describe('Search', () => {
-  beforeEach(async () => {
-    await models.users.destroy({
-      where: {},
+  describe('Search.parseQuery', () => {
+    it('Should split the query into words and operators', () => {
+      const query = Search.parseQuery(
+        'Hello, World "Big cats" #Cute @frodo from:@sam since:2022-04-01 until:2022-04-30'
+      )
+
+      expect(query.terms).toEqual(['hello', 'world'])
+      expect(query.phrases).toEqual(['big cats'])
+      expect(query.tags).toEqual(['cute'])
+      expect(query.mentions).toEqual(['frodo'])
+      expect(query.from).toEqual(['sam'])
+      expect(query.since).toEqual(new Date('2022-04-01T00:00:00Z'))
+      // until: includes the whole day
+      expect(query.until).toEqual(new Date('2022-05-01T00:00:00Z'))
+    })
+
+    it('Should negate words and operators with a -', () => {
+      const query = Search.parseQuery('cats -dogs -"no way" -#ugly -from:merry')
+
+      expect(query.terms).toEqual(['cats'])
+      expect(query.excluded).toEqual({
+        terms: ['dogs'],
+        phrases: ['no way'],
+        tags: ['ugly'],
+        mentions: [],
+        from: ['merry'],
+      })
+    })
+
+    it('Should treat unknown operators as words', () => {
+      expect(Search.parseQuery('time:now').terms).toEqual(['time', 'now'])
+    })
+
+    it('Should reject dates it can not read', () => {
+      expect(() => Search.parseQuery('since:soon')).toThrow(SearchQueryError)
+    })
+  })
+
+  describe('Search.snippet', () => {
+    it('Should highlight every match', () => {
+      const snippet = Search.snippet('I like big cats and #cute cats', {
+        terms: ['cat'],
+        phrases: ['big cats'],
+        tags: ['cute'],
+      })
+
+      expect(
+        snippet.highlights.map(({ start, end }) =>
+          snippet.text.slice(start, end)
+        )
+      ).toEqual(['big cats', '#cute', 'cats'])
+    })
+
+    it('Should cut long texts around the first match', () => {
+      const text = `${'a '.repeat(100)}needle ${'b '.repeat(100)}`
+
+      const snippet = Search.snippet(text, { terms: ['needle'] })
+
+      expect(snippet.text).toHaveLength(162)
+      expect(snippet.text.startsWith('…')).toBe(true)
+      expect(snippet.text.endsWith('…')).toBe(true)
+      const [{ start, end }] = snippet.highlights
+      expect(snippet.text.slice(start, end)).toBe('needle')
+    })
+
+    it('Should decode character references before cutting the text', () => {
+      const text = `${'&amp; '.repeat(100)}needle&nbsp;&#39;&#x41;&lt;b&gt;`
+
+      const snippet = Search.snippet(text, { terms: ['needle'] })
+
+      expect(snippet.text).toBe(`…${'& '.repeat(74)}needle\u00a0'A<b>`)
+      const [{ start, end }] = snippet.highlights
+      expect(snippet.text.slice(start, end)).toBe('needle')
+    })
+  })
+
+  describe('Search.decodeCursor', () => {
+    it('Should decode a cursor created by encodeCursor', () => {
+      const cursor = Search.encodeCursor([1650000000000, 42])
+
+      expect(Search.decodeCursor(cursor, 'latest')).toEqual([1650000000000, 42])
+    })
+
+    it('Should reject malformed cursors and cursors of another type', () => {
+      const latest = Search.encodeCursor([1650000000000, 42])
+
+      expect(Search.decodeCursor(latest, 'people')).toBeNull()
+      expect(Search.decodeCursor(latest, 'top')).toBeNull()
+      expect(Search.decodeCursor('not-a-cursor', 'latest')).toBeNull()
     })
   })
 
   describe('GET /search', () => {
+    beforeEach(async () => {
+      await models.users.destroy({
+        where: {},
+      })
+    })
+
     describe('When searching for an existing user', () => {
       it('Should return a 200 status response', async () => {
         const user = await Helper.createUser(
@@ -28,8 +121,8 @@ describe('Search', () => {
           .query({ query: 'Pete', type: 'people' })
 
         assert.equal(response.statusCode, 200)
-        expect(response.body[0].id).toBe(user.id)
-        expect(response.body[0].username).toBe(user.username)
+        expect(response.body.items[0].id).toBe(user.id)
+        expect(response.body.items[0].username).toBe(user.username)
       })
     })
 
@@ -52,10 +145,45 @@ describe('Search', () => {
           .query({ query: 'Unicorn', type: 'people' })
 
         assert.equal(response.statusCode, 200)
-        expect(response.body[0].id).toBe(user1.id)
-        expect(response.body[0].username).toBe(user1.username)
-        expect(response.body[1].id).toBe(user2.id)
-        expect(response.body[1].username).toBe(user2.username)
+        expect(response.body.items[0].id).toBe(user1.id)
+        expect(response.body.items[0].username).toBe(user1.username)
+        expect(response.body.items[1].id).toBe(user2.id)
+        expect(response.body.items[1].username).toBe(user2.username)
+      })
+    })
+
+    describe('When paging through people', () => {
+      it('Should keep the ranking across pages', async () => {
+        const exact = await Helper.createUser(
+          'unicorn',
+          'password',
+          'one@gmail.com'
+        )
+        const start = await Helper.createUser(
+          'unicornfan',
+          'password',
+          'two@gmail.com'
+        )
+        const contains = await Helper.createUser(
+          'theunicorn',
+          'password',
+          'three@gmail.com'
+        )
+        const authToken = Authentication.generateAuthToken(exact)
+
+        const ids = []
+        let cursor
+        do {
+          const response = await request(server)
+            .get('/api/search/')
+            .set('Authorization', `Bearer ${authToken}`)
+            .query({ query: 'unicorn', type: 'people', limit: 1, cursor })
+          assert.equal(response.statusCode, 200)
+          ids.push(...response.body.items.map((item) => item.id))
+          cursor = response.body.nextCursor ?? undefined
+        } while (cursor)
+
+        expect(ids).toEqual([exact.id, start.id, contains.id])
       })
     })
 
@@ -69,7 +197,7 @@ describe('Search', () => {
           .query({ query: 'abcdefgh', type: 'people' })
 
         assert.equal(response.statusCode, 200)
-        assert.equal(response.body.length, 0)
+        assert.equal(response.body.items.length, 0)
       })
     })
 
@@ -100,10 +228,10 @@ describe('Search', () => {
           .query({ query: 'Kim', type: 'latest' })
 
         assert.equal(response.statusCode, 200)
-        expect(response.body[0].id).toBe(laterPost.id)
-        expect(response.body[0].content).toBe(laterPost.text_content)
-        expect(response.body[1].id).toBe(earlyPost.id)
-        expect(response.body[1].content).toBe(earlyPost.text_content)
+        expect(response.body.items[0].id).toBe(laterPost.id)
+        expect(response.body.items[0].content).toBe(laterPost.text_content)
+        expect(response.body.items[1].id).toBe(earlyPost.id)
+        expect(response.body.items[1].content).toBe(earlyPost.text_content)
       })
     })
 
@@ -141,10 +269,10 @@ describe('Search', () => {
           .query({ query: 'tired', type: 'top' })
 
         assert.equal(response.statusCode, 200)
-        expect(response.body[0].id).toBe(mostLikedPost.id)
-        expect(response.body[0].content).toBe(mostLikedPost.text_content)
-        expect(response.body[1].id).toBe(leastLikedPost.id)
-        expect(response.body[1].content).toBe(leastLikedPost.text_content)
+        expect(response.body.items[0].id).toBe(mostLikedPost.id)
+        expect(response.body.items[0].content).toBe(mostLikedPost.text_content)
+        expect(response.body.items[1].id).toBe(leastLikedPost.id)
+        expect(response.body.items[1].content).toBe(leastLikedPost.text_content)
       })
     })
 
@@ -158,7 +286,7 @@ describe('Search', () => {
           .query({ query: 'wefhnrkevgkdsnv', type: 'top' })
 
         assert.equal(response.statusCode, 200)
-        assert.equal(response.body.length, 0)
+        assert.equal(response.body.items.length, 0)
       })
     })
 
@@ -184,8 +312,8 @@ describe('Search', () => {
           .query({ query: 'dOjA', type: 'people' })
 
         assert.equal(response.statusCode, 200)
-        expect(response.body[0].id).toBe(user.id)
-        expect(response.body[0].username).toBe(user.username)
+        expect(response.body.items[0].id).toBe(user.id)
+        expect(response.body.items[0].username).toBe(user.username)
       })
     })
 
@@ -210,8 +338,118 @@ describe('Search', () => {
           .query({ query: 'wOrLd', type: 'latest' })
 
         assert.equal(response.statusCode, 200)
-        expect(response.body[0].id).toBe(post.id)
-        expect(response.body[0].content).toBe(post.text_content)
+        expect(response.body.items[0].id).toBe(post.id)
+        expect(response.body.items[0].content).toBe(post.text_content)
+      })
+    })
+
+    describe('When searching with operators', () => {
+      let author
+      let other
+      let authToken
+      let tagged
+      let mentioning
+      let phrase
+      let old
+
+      beforeEach(async () => {
+        author = await Helper.createUser('gandalf')
+        other = await Helper.createUser('saruman')
+        authToken = Authentication.generateAuthToken(author)
+        const post = async (text) => {
+          const response = await request(server)
+            .post('/api/posts')
+            .set('Authorization', `Bearer ${authToken}`)
+            .send({ text_content: text })
+          return response.body.id
+        }
+        tagged = await post('The wizards meet #council')
+        mentioning = await post(`A wizard writes to @${other.username}`)
+        phrase = await post('You shall not pass, says the wizard')
+        old = (
+          await Helper.createPost(
+            'An old wizard tale',
+            other.id,
+            null,
+            '2021-03-13 04:56:53'
+          )
+        ).id
+      })
+
+      const searchIds = async (query) => {
+        const response = await request(server)
+          .get('/api/search/')
+          .set('Authorization', `Bearer ${authToken}`)
+          .query({ query, type: 'latest' })
+        expect(response.statusCode).toBe(200)
+        return response.body.items.map((item) => item.id)
+      }
+
+      it('Should find words by their start', async () => {
+        expect(await searchIds('wiz')).toEqual([
+          phrase,
+          mentioning,
+          tagged,
+          old,
+        ])
+      })
+
+      it('Should filter by tag, mention, author and phrase', async () => {
+        expect(await searchIds('#council')).toEqual([tagged])
+        expect(await searchIds('@saruman')).toEqual([mentioning])
+        expect(await searchIds('from:saruman')).toEqual([old])
+        expect(await searchIds('"shall not pass"')).toEqual([phrase])
+      })
+
+      it('Should leave out negated words and operators', async () => {
+        expect(await searchIds('wizard -pass -#council -from:saruman')).toEqual(
+          [mentioning]
+        )
+      })
+
+      it('Should filter by date', async () => {
+        expect(await searchIds('wizard until:2021-03-13')).toEqual([old])
+        expect(await searchIds('wizard since:2022-01-01')).not.toContain(old)
+      })
+
+      it('Should highlight the matches in a snippet', async () => {
+        const response = await request(server)
+          .get('/api/search/')
+          .set('Authorization', `Bearer ${authToken}`)
+          .query({ query: '#council', type: 'top' })
+
+        const [{ snippet }] = response.body.items
+        const [{ start, end }] = snippet.highlights
+        expect(snippet.text.slice(start, end)).toBe('#council')
+      })
+
+      it('Should return the results in pages', async () => {
+        const first = await request(server)
+          .get('/api/search/')
+          .set('Authorization', `Bearer ${authToken}`)
+          .query({ query: 'wizard', type: 'latest', limit: 3 })
+        expect(first.body.items).toHaveLength(3)
+
+        const second = await request(server)
+          .get('/api/search/')
+          .set('Authorization', `Bearer ${authToken}`)
+          .query({
+            query: 'wizard',
+            type: 'latest',
+            limit: 3,
+            cursor: first.body.nextCursor,
+          })
+        expect(second.body.items.map((item) => item.id)).toEqual([old])
+        expect(second.body.nextCursor).toBeNull()
+      })
+
+      it('Should return 400 for an invalid date', async () => {
+        const response = await request(server)
+          .get('/api/search/')
+          .set('Authorization', `Bearer ${authToken}`)
+          .query({ query: 'since:someday' })
+
+        expect(response.statusCode).toBe(400)
       })
     })
   })
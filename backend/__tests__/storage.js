@@ -0,0 +1,129 @@
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import Storage from '../storage'
+import LocalDriver from '../storage/drivers/local'
+import MemoryDriver from '../storage/drivers/memory'
+import { InvalidStorageKeyError } from '../storage/errors'
+
+/** Reads a whole stream, rejects with the error the stream fails with */
+const readStream = (stream) =>
+  new Promise((resolve, reject) => {
+    const chunks = []
+    stream.on('data', (chunk) => chunks.push(chunk))
+    stream.on('end', () => resolve(Buffer.concat(chunks).toString()))
+    stream.on('error', reject)
+  })
+
+/** Runs the same checks against every driver */
+const describeDriver = (name, createDriver) => {
+  describe(name, () => {
+    let driver
+
+    beforeEach(() => {
+      driver = createDriver()
+    })
+
+    it('Should return the content of a saved file', async () => {
+      await driver.put('images/dog.png', Buffer.from('woof'), {
+        contentType: 'image/png',
+      })
+
+      expect(await driver.exists('images/dog.png')).toBe(true)
+      expect(await readStream(driver.getStream('images/dog.png'))).toEqual(
+        'woof'
+      )
+    })
+
+    it('Should return a range of a saved file', async () => {
+      await driver.put('images/dog.png', Buffer.from('woof woof'), {
+        contentType: 'image/png',
+      })
+
+      expect(
+        await readStream(
+          driver.getStream('images/dog.png', { start: 2, end: 5 })
+        )
+      ).toEqual('of w')
+    })
+
+    it('Should return the size of a saved file', async () => {
+      await driver.put('images/dog.png', Buffer.from('woof'), {
+        contentType: 'image/png',
+      })
+
+      const stat = await driver.stat('images/dog.png')
+      expect(stat.size).toBe(4)
+      expect(stat.modifiedAt).toBeLessThanOrEqual(Date.now())
+      expect(await driver.stat('images/missing.png')).toBe(null)
+    })
+
+    it('Should fail with a 404 code for missing files', async () => {
+      expect(await driver.exists('images/missing.png')).toBe(false)
+      await expect(
+        readStream(driver.getStream('images/missing.png'))
+      ).rejects.toMatchObject({ code: 404 })
+    })
+
+    it('Should remove deleted files', async () => {
+      await driver.put('images/cat.png', Buffer.from('meow'), {
+        contentType: 'image/png',
+      })
+
+      await driver.delete('images/cat.png')
+      // Deleting a missing file does nothing
+      await driver.delete('images/cat.png')
+
+      expect(await driver.exists('images/cat.png')).toBe(false)
+    })
+  })
+}
+
+describe('Storage', () => {
+  afterEach(() => {
+    Storage.currentDriver = null
+  })
+
+  describeDriver('MemoryDriver', () => new MemoryDriver())
+
+  describeDriver(
+    'LocalDriver',
+    () =>
+      new LocalDriver({
+        directory: fs.mkdtempSync(path.join(os.tmpdir(), 'updog-storage-')),
+      })
+  )
+
+  describe('LocalDriver keys', () => {
+    it('Should not allow keys outside of the directory', async () => {
+      const driver = new LocalDriver({
+        directory: fs.mkdtempSync(path.join(os.tmpdir(), 'updog-storage-')),
+      })
+
+      await expect(
+        driver.put('../outside.png', Buffer.from('nope'), {})
+      ).rejects.toThrow(InvalidStorageKeyError)
+      await expect(driver.stat('../outside.png')).rejects.toMatchObject({
+        code: 400,
+      })
+    })
+  })
+
+  describe('Choosing a driver', () => {
+    it('Should use the driver from the STORAGE config', () => {
+      expect(Storage.driver()).toBeInstanceOf(MemoryDriver)
+    })
+
+    it('Should use registered drivers', async () => {
+      const saved = []
+      Storage.registerDriver('memory', () => ({
+        put: async (key) => saved.push(key),
+      }))
+
+      await Storage.put('images/dog.png', Buffer.from('woof'))
+
+      expect(saved).toEqual(['images/dog.png'])
+      Storage.registerDriver('memory', () => new MemoryDriver())
+    })
+  })
+})
@@ -0,0 +1,138 @@
+import request from 'supertest'
+import server from '../server/index'
+import models from '../database/models'
+import Authentication from '../middlewares/authentication'
+import Suggestions from '../enums/suggestions'
+import Helper from './helper/helper'
+
+describe('Suggestions', () => {
+  describe('Suggestions.parsePrefix', () => {
+    it('should drop the # or @ and lowercase the prefix', () => {
+      expect(Suggestions.parsePrefix('#Dog')).toBe('dog')
+      expect(Suggestions.parsePrefix('@fro')).toBe('fro')
+      expect(Suggestions.parsePrefix('')).toBe('')
+      expect(Suggestions.parsePrefix(undefined)).toBe('')
+    })
+
+    it('should not match what can not start a tag or handle', () => {
+      expect(Suggestions.parsePrefix('do g')).toBeNull()
+      expect(Suggestions.parsePrefix('50%')).toBeNull()
+    })
+  })
+
+  describe('Suggestions.suggestedPrefix', () => {
+    it('should only suggest for prefixes of at least two characters', () => {
+      expect(Suggestions.suggestedPrefix('#do')).toBe('do')
+      expect(Suggestions.suggestedPrefix('@d')).toBeNull()
+      expect(Suggestions.suggestedPrefix('')).toBeNull()
+    })
+  })
+
+  describe('GET /suggest', () => {
+    let user
+    let authToken
+
+    beforeEach(async () => {
+      await Promise.all([
+        models.tags.destroy({ where: {} }),
+        models.postTag.destroy({ where: {} }),
+        models.userInterests.destroy({ where: {} }),
+      ])
+      user = await Helper.createUser()
+      authToken = Authentication.generateAuthToken(user)
+    })
+
+    const tagPosts = async (tag, author, count) => {
+      for (let i = 0; i < count; i += 1) {
+        const post = await Helper.createPost(`#${tag.tagName}`, author.id)
+        await Helper.createPostTag(post.id, tag.id)
+      }
+    }
+
+    it('should rank tags by the follow graph, then popularity', async () => {
+      const popular = await Helper.createTag('doggos')
+      const followedTag = await Helper.createTag('dogsitting')
+      const friendsTag = await Helper.createTag('dogparks')
+      await Helper.createTag('cats')
+      const stranger = await Helper.createUser()
+      const friend = await Helper.createUser()
+      await Helper.createFollowers(friend.id, user.id)
+      await tagPosts(popular, stranger, 3)
+      await tagPosts(friendsTag, friend, 2)
+      await Helper.createUserInterest(user.id, followedTag.id)
+
+      const response = await request(server)
+        .get('/api/tags/suggest?prefix=%23dog')
+        .set('Authorization', `Bearer ${authToken}`)
+
+      expect(response.statusCode).toBe(200)
+      expect(response.body.items.map((tag) => tag.tagName)).toEqual([
+        'dogsitting',
+        'dogparks',
+        'doggos',
+      ])
+      expect(response.body.items[2]).toEqual(
+        expect.objectContaining({ postCount: 3, following: false })
+      )
+    })
+
+    it('should put the tag matching the prefix exactly first', async () => {
+      const longer = await Helper.createTag('dogs')
+      await Helper.createTag('dog')
+      await tagPosts(longer, user, 2)
+
+      const response = await request(server)
+        .get('/api/tags/suggest?prefix=dog&limit=1')
+        .set('Authorization', `Bearer ${authToken}`)
+
+      expect(response.body.items.map((tag) => tag.tagName)).toEqual(['dog'])
+    })
+
+    it('should rank users the caller follows before popular strangers', async () => {
+      const prefix = `s${Date.now()}`
+      const followed = await Helper.createUser(`${prefix}followed`)
+      const popular = await Helper.createUser(`${prefix}popular`)
+      const fans = await Promise.all([Helper.createUser(), Helper.createUser()])
+      await Promise.all(
+        fans.map((fan) => Helper.createFollowers(popular.id, fan.id))
+      )
+      await Helper.createFollowers(followed.id, user.id)
+
+      const response = await request(server)
+        .get(`/api/users/suggest?prefix=@${prefix}`)
+        .set('Authorization', `Bearer ${authToken}`)
+
+      expect(response.statusCode).toBe(200)
+      expect(response.body.items.map((item) => item.username)).toEqual([
+        followed.username,
+        popular.username,
+      ])
+      expect(response.body.items[0].following).toBe(true)
+    })
+
+    it('should not suggest the caller or deactivated users', async () => {
+      const prefix = `s${Date.now()}`
+      const caller = await Helper.createUser(`${prefix}me`)
+      await Helper.createUser(`${prefix}gone`).then((gone) =>
+        gone.update({ deactivatedAt: new Date() })
+      )
+
+      const response = await request(server)
+        .get(`/api/users/suggest?prefix=${prefix}`)
+        .set(
+          'Authorization',
+          `Bearer ${Authentication.generateAuthToken(caller)}`
+        )
+
+      expect(response.body.items).toEqual([])
+    })
+
+    it('should reject an invalid limit', async () => {
+      const response = await request(server)
+        .get('/api/users/suggest?prefix=a&limit=100')
+        .set('Authorization', `Bearer ${authToken}`)
+
+      expect(response.statusCode).toBe(400)
+    })
+  })
+})
@@ -126,4 +126,137 @@ describe('Tags', () => {
       expect(createTagResponse.body[2]).toStrictEqual(tagsDTO[2])
     })
   })
+
+  describe('tag pages', () => {
+    let user
+    let authToken
+    let tag
+
+    beforeEach(async () => {
+      await models.userInterests.destroy({ where: {} })
+      user = await Helper.createUser()
+      authToken = Authentication.generateAuthToken(user)
+      tag = await Helper.createTag('hobbits')
+    })
+
+    const tagPost = async (text, tags = [tag]) => {
+      const post = await Helper.createPost(text, user.id)
+      await Promise.all(tags.map((t) => Helper.createPostTag(post.id, t.id)))
+      return post
+    }
+
+    it('should return the counts and related tags of a tag', async () => {
+      const food = await Helper.createTag('food')
+      const pipes = await Helper.createTag('pipes')
+      await tagPost('Second breakfast', [tag, food])
+      await tagPost('Elevenses', [tag, food, pipes])
+      await tagPost('Just food', [food])
+      const follower = await Helper.createUser()
+      await Helper.createUserInterest(follower.id, tag.id)
+
+      const response = await request(server)
+        .get('/api/tags/hobbits')
+        .set('Authorization', `Bearer ${authToken}`)
+
+      expect(response.statusCode).toBe(200)
+      expect(response.body).toEqual({
+        id: tag.id,
+        tagName: 'hobbits',
+        postCount: 2,
+        followerCount: 1,
+        following: false,
+        relatedTags: [
+          { tagName: 'food', postCount: 2 },
+          { tagName: 'pipes', postCount: 1 },
+        ],
+      })
+    })
+
+    it('should return 404 for a tag that does not exist', async () => {
+      const response = await request(server)
+        .get('/api/tags/nothing_here')
+        .set('Authorization', `Bearer ${authToken}`)
+
+      expect(response.statusCode).toBe(404)
+    })
+
+    it('should page through the posts with a tag, newest first', async () => {
+      const older = await tagPost('Older', [tag])
+      const newer = await tagPost('Newer', [tag])
+      await Helper.createPost('Untagged', user.id)
+
+      const first = await request(server)
+        .get('/api/tags/hobbits/posts?limit=1')
+        .set('Authorization', `Bearer ${authToken}`)
+      expect(first.statusCode).toBe(200)
+      expect(first.body.items.map((post) => post.id)).toEqual([newer.id])
+
+      const second = await request(server)
+        .get(`/api/tags/hobbits/posts?limit=1&cursor=${first.body.nextCursor}`)
+        .set('Authorization', `Bearer ${authToken}`)
+      expect(second.body.items.map((post) => post.id)).toEqual([older.id])
+      expect(second.body.nextCursor).toBeNull()
+    })
+
+    it('should rank the posts with a tag by likes for top', async () => {
+      const quiet = await tagPost('Quiet', [tag])
+      const popular = await tagPost('Popular', [tag])
+      await tagPost('Newest', [tag])
+      const fan = await Helper.createUser()
+      await Helper.likePost(popular.id, user.id)
+      await Helper.likePost(popular.id, fan.id)
+      await Helper.likePost(quiet.id, fan.id)
+
+      const first = await request(server)
+        .get('/api/tags/hobbits/posts?sort=top&limit=1')
+        .set('Authorization', `Bearer ${authToken}`)
+      expect(first.statusCode).toBe(200)
+      expect(first.body.items.map((post) => post.id)).toEqual([popular.id])
+      expect(first.body.items[0]).not.toHaveProperty('snippet')
+
+      const second = await request(server)
+        .get(
+          `/api/tags/hobbits/posts?sort=top&limit=1&cursor=${first.body.nextCursor}`
+        )
+        .set('Authorization', `Bearer ${authToken}`)
+      expect(second.body.items.map((post) => post.id)).toEqual([quiet.id])
+    })
+
+    it('should reject an unknown sort', async () => {
+      const response = await request(server)
+        .get('/api/tags/hobbits/posts?sort=oldest')
+        .set('Authorization', `Bearer ${authToken}`)
+
+      expect(response.statusCode).toBe(400)
+    })
+
+    it('should follow and unfollow a tag through the interests of the user', async () => {
+      const follow = await request(server)
+        .post('/api/tags/hobbits/follow')
+        .set('Authorization', `Bearer ${authToken}`)
+      expect(follow.statusCode).toBe(201)
+      expect(follow.body.following).toBe(true)
+      expect(
+        await models.userInterests.count({
+          where: { userId: user.id, tagId: tag.id },
+        })
+      ).toBe(1)
+
+      const again = await request(server)
+        .post('/api/tags/hobbits/follow')
+        .set('Authorization', `Bearer ${authToken}`)
+      expect(again.statusCode).toBe(409)
+
+      const unfollow = await request(server)
+        .delete('/api/tags/hobbits/follow')
+        .set('Authorization', `Bearer ${authToken}`)
+      expect(unfollow.statusCode).toBe(200)
+      expect(unfollow.body.followerCount).toBe(0)
+
+      const missing = await request(server)
+        .delete('/api/tags/hobbits/follow')
+        .set('Authorization', `Bearer ${authToken}`)
+      expect(missing.statusCode).toBe(404)
+    })
+  })
 })
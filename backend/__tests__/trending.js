@@ -0,0 +1,177 @@
+import request from 'supertest'
+import server from '../server/index'
+import models from '../database/models'
+import Authentication from '../middlewares/authentication'
+import Trending from '../enums/trending'
+import Helper from './helper/helper'
+
+const HOUR = 60 * 60 * 1000
+
+describe('Trending', () => {
+  describe('Trending.velocities', () => {
+    it('should halve the weight of activity every half-life of the window', () => {
+      const now = Date.now()
+      const seconds = 24 * 60 * 60
+      // The half-life is a quarter of the window, six hours for 24h
+      const velocities = Trending.velocities(
+        [
+          { postId: 1, kind: 'like', time: new Date(now) },
+          { postId: 2, kind: 'like', time: new Date(now - 6 * HOUR) },
+          { postId: 2, kind: 'share', time: new Date(now - 12 * HOUR) },
+        ],
+        'postId',
+        { now, seconds }
+      )
+
+      expect(velocities.get(1)).toBeCloseTo(1 / 24)
+      expect(velocities.get(2)).toBeCloseTo((0.5 + 2 * 0.25) / 24)
+    })
+  })
+
+  describe('Trending.cached', () => {
+    afterEach(() => {
+      Trending.cache.clear()
+    })
+
+    it('should compute the value once while it is fresh', async () => {
+      const compute = jest.fn().mockResolvedValue(['trend'])
+
+      expect(await Trending.cached('tags:24h', compute, 60)).toEqual(['trend'])
+      expect(await Trending.cached('tags:24h', compute, 60)).toEqual(['trend'])
+      expect(compute).toHaveBeenCalledTimes(1)
+    })
+
+    it('should compute the value again after it failed', async () => {
+      const compute = jest
+        .fn()
+        .mockRejectedValueOnce(new Error('database is down'))
+        .mockResolvedValue(['trend'])
+
+      await expect(Trending.cached('tags:24h', compute, 60)).rejects.toThrow(
+        'database is down'
+      )
+      expect(await Trending.cached('tags:24h', compute, 60)).toEqual(['trend'])
+    })
+  })
+
+  describe('GET /trending', () => {
+    let user
+    let authToken
+
+    // Users older than the minimum account age, whose activity counts
+    const establishedUser = async () => {
+      const established = await Helper.createUser()
+      await models.users.update(
+        { createdAt: new Date(Date.now() - 30 * 24 * HOUR) },
+        { where: { id: established.id } }
+      )
+      return established
+    }
+
+    const taggedPost = async (author, tag) => {
+      const post = await Helper.createPost(`About #${tag.tagName}`, author.id)
+      await Helper.createPostTag(post.id, tag.id)
+      return post
+    }
+
+    beforeEach(async () => {
+      await Promise.all([
+        models.posts.destroy({ where: {} }),
+        models.postTag.destroy({ where: {} }),
+        models.tags.destroy({ where: {} }),
+        models.likedPost.destroy({ where: {} }),
+        models.sharedPost.destroy({ where: {} }),
+      ])
+      user = await establishedUser()
+      authToken = Authentication.generateAuthToken(user)
+    })
+
+    it('should rank tags by recent activity from distinct users', async () => {
+      const hot = await Helper.createTag('hot')
+      const mild = await Helper.createTag('mild')
+      const other = await establishedUser()
+      const hotPost = await taggedPost(user, hot)
+      await taggedPost(other, hot)
+      await Helper.likePost(hotPost.id, other.id)
+      // One user tagging many posts only counts once
+      await taggedPost(user, mild)
+      await taggedPost(user, mild)
+      await taggedPost(user, mild)
+
+      const response = await request(server)
+        .get('/api/trending/tags')
+        .set('Authorization', `Bearer ${authToken}`)
+
+      expect(response.statusCode).toBe(200)
+      expect(response.body.window).toBe('24h')
+      expect(response.body.items.map((tag) => tag.tagName)).toEqual([
+        'hot',
+        'mild',
+      ])
+      expect(response.body.items[1].postCount).toBe(3)
+    })
+
+    it('should ignore activity from new accounts and old activity', async () => {
+      const tag = await Helper.createTag('quiet')
+      const newcomer = await Helper.createUser()
+      const post = await taggedPost(user, tag)
+      await models.postTag.update(
+        { createdAt: new Date(Date.now() - 2 * HOUR) },
+        { where: { postId: post.id } }
+      )
+      await taggedPost(newcomer, tag)
+      await Helper.likePost(post.id, newcomer.id)
+
+      const lastHour = await request(server)
+        .get('/api/trending/tags?window=1h')
+        .set('Authorization', `Bearer ${authToken}`)
+      expect(lastHour.body.items).toEqual([])
+
+      const lastDay = await request(server)
+        .get('/api/trending/tags?window=24h')
+        .set('Authorization', `Bearer ${authToken}`)
+      expect(lastDay.body.items).toEqual([
+        expect.objectContaining({ tagName: 'quiet', postCount: 1 }),
+      ])
+    })
+
+    it('should rank posts by recent likes and shares and skip spammers', async () => {
+      const liked = await Helper.createPost('Liked', user.id)
+      const shared = await Helper.createPost('Shared', user.id)
+      const spammed = await Helper.createPost('Spammed', user.id)
+      const fan = await establishedUser()
+      const spammer = await establishedUser()
+      await Helper.likePost(liked.id, fan.id)
+      await Helper.sharePost(shared.id, fan.id)
+      await Helper.likePost(spammed.id, spammer.id)
+      // More posts in an hour than TRENDING.maxActionsPerHour allows
+      await models.posts.bulkCreate(
+        Array.from({ length: 61 }, () => ({
+          text_content: 'Buy now',
+          author: spammer.id,
+        }))
+      )
+
+      const response = await request(server)
+        .get('/api/trending/posts?window=1h')
+        .set('Authorization', `Bearer ${authToken}`)
+
+      expect(response.statusCode).toBe(200)
+      expect(response.body.items.map((post) => post.id)).toEqual([
+        shared.id,
+        liked.id,
+      ])
+      expect(response.body.items[0].velocity).toBeGreaterThan(
+        response.body.items[1].velocity
+      )
+    })
+
+    it('should reject an unknown window', async () => {
+      const response = await request(server)
+        .get('/api/trending/posts?window=1y')
+        .set('Authorization', `Bearer ${authToken}`)
+
+      expect(response.statusCode).toBe(400)
+    })
+  })
+})
@@ -5,6 +5,9 @@ import server from '../server'
 import PostDTO from '../dto/posts'
 import Helper from './helper/helper'
 import Activity from '../enums/activity'
+import Mail from '../mail'
+import Notifications from '../enums/notifications'
+import PostEntities from '../enums/postEntities'
 
 const assert = require('assert')
 const request = require('supertest')
@@ -38,6 +41,18 @@ describe('Users', () => {
     await models.postTag.destroy({
       where: {},
     })
+
+    await models.notifications.destroy({
+      where: {},
+    })
+
+    await models.accountTokens.destroy({
+      where: {},
+    })
+
+    await models.usernameHistory.destroy({
+      where: {},
+    })
   })
 
   describe('Encrypting password', () => {
@@ -151,6 +166,313 @@ describe('Users', () => {
     })
   })
 
+  describe('POST /users/token/refresh', () => {
+    it('Should exchange a refresh token for new tokens only once', async () => {
+      // GIVEN a user that has logged in
+      const user = await Helper.createUser()
+      const refreshToken = Authentication.generateRefreshToken(user)
+
+      // WHEN the refresh token is exchanged
+      const response = await request(server)
+        .post('/api/users/token/refresh')
+        .send({ refreshToken })
+
+      // THEN a new pair of tokens should be returned
+      assert.equal(response.statusCode, 200)
+      const authUser = Authentication.extractUser(
+        `Bearer ${response.body.authToken}`
+      )
+      assert.equal(authUser.id, user.id)
+      expect(response.body.refreshToken).toBeTruthy()
+
+      // AND the used refresh token can not be exchanged again
+      const reusedResponse = await request(server)
+        .post('/api/users/token/refresh')
+        .send({ refreshToken })
+      assert.equal(reusedResponse.statusCode, 401)
+    })
+
+    it('Should exchange a refresh token only once when refreshed concurrently', async () => {
+      // GIVEN a user that has logged in
+      const user = await Helper.createUser()
+      const refreshToken = Authentication.generateRefreshToken(user)
+
+      // WHEN the refresh token is exchanged twice at the same time
+      const responses = await Promise.all(
+        [1, 2].map(() =>
+          request(server)
+            .post('/api/users/token/refresh')
+            .send({ refreshToken })
+        )
+      )
+
+      // THEN one of them should get new tokens and the other should be rejected
+      const statusCodes = responses.map((response) => response.statusCode)
+      expect(statusCodes.sort()).toEqual([200, 401])
+    })
+
+    it('Should return a response status code of 401 for an auth token', async () => {
+      const user = await Helper.createUser()
+      const authToken = Authentication.generateAuthToken(user)
+
+      const response = await request(server)
+        .post('/api/users/token/refresh')
+        .send({ refreshToken: authToken })
+
+      assert.equal(response.statusCode, 401)
+    })
+  })
+
+  describe('POST /users/logout', () => {
+    it('Should revoke the auth token and refresh token of the session', async () => {
+      // GIVEN a user that has logged in
+      const user = await Helper.createUser()
+      const authToken = Authentication.generateAuthToken(user)
+      const refreshToken = Authentication.generateRefreshToken(user)
+
+      // WHEN the user logs out
+      const response = await request(server)
+        .post('/api/users/logout')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ refreshToken })
+      assert.equal(response.statusCode, 200)
+
+      // THEN neither token can be used anymore
+      const authResponse = await request(server)
+        .get('/api/notifications')
+        .set('Authorization', `Bearer ${authToken}`)
+      assert.equal(authResponse.statusCode, 401)
+
+      const refreshResponse = await request(server)
+        .post('/api/users/token/refresh')
+        .send({ refreshToken })
+      assert.equal(refreshResponse.statusCode, 401)
+    })
+  })
+
+  describe('Email verification', () => {
+    let sentMail
+
+    beforeEach(() => {
+      sentMail = []
+      jest
+        .spyOn(Mail, 'send')
+        .mockImplementation(async (message) => sentMail.push(message))
+    })
+
+    afterEach(() => {
+      jest.restoreAllMocks()
+    })
+
+    // the token is the last query parameter of the emailed link
+    const tokenFromMail = (message) => message.text.match(/token=(\w+)/)[1]
+
+    it('Should email a verification link when signing up', async () => {
+      // WHEN a new user signs up
+      const response = await request(server).post('/api/users').send({
+        username: 'verifyme',
+        nickname: 'verifyme',
+        email: 'verify@me.com',
+        password: 'PASSWORD',
+      })
+
+      // THEN the user is unverified and a verification link was emailed
+      assert.equal(response.statusCode, 201)
+      const user = await models.users.findOne({
+        where: { username: 'verifyme' },
+      })
+      assert.equal(user.emailVerified, false)
+      assert.equal(sentMail.length, 1)
+      assert.equal(sentMail[0].to, 'verify@me.com')
+      assert.ok(sentMail[0].text.includes('/verify-email?token='))
+    })
+
+    it('Should verify the email address once with the emailed token', async () => {
+      // GIVEN a user who was sent a verification email
+      const user = await Helper.createUser()
+      const authToken = Authentication.generateAuthToken(user)
+      await request(server)
+        .post('/api/users/email/verify/resend')
+        .set('Authorization', `Bearer ${authToken}`)
+      const token = tokenFromMail(sentMail[0])
+
+      // WHEN the token is used
+      const response = await request(server)
+        .post('/api/users/email/verify')
+        .send({ token })
+
+      // THEN the email address is verified and the token can not be used again
+      assert.equal(response.statusCode, 200)
+      await user.reload()
+      assert.equal(user.emailVerified, true)
+
+      const secondResponse = await request(server)
+        .post('/api/users/email/verify')
+        .send({ token })
+      assert.equal(secondResponse.statusCode, 400)
+    })
+
+    it('Should reject an expired verification token', async () => {
+      // GIVEN a verification token which has expired
+      const user = await Helper.createUser()
+      const authToken = Authentication.generateAuthToken(user)
+      await request(server)
+        .post('/api/users/email/verify/resend')
+        .set('Authorization', `Bearer ${authToken}`)
+      await models.accountTokens.update(
+        { expiresAt: new Date(Date.now() - 1000) },
+        { where: { userId: user.id } }
+      )
+
+      // WHEN the token is used
+      const response = await request(server)
+        .post('/api/users/email/verify')
+        .send({ token: tokenFromMail(sentMail[0]) })
+
+      // THEN it is rejected
+      assert.equal(response.statusCode, 400)
+      await user.reload()
+      assert.equal(user.emailVerified, false)
+    })
+
+    it('Should not resend the verification email to a verified user', async () => {
+      // GIVEN a verified user
+      const user = await Helper.createUser()
+      await user.update({ emailVerified: true })
+
+      // WHEN they ask for another verification email
+      const response = await request(server)
+        .post('/api/users/email/verify/resend')
+        .set(
+          'Authorization',
+          `Bearer ${Authentication.generateAuthToken(user)}`
+        )
+
+      // THEN no email is sent
+      assert.equal(response.statusCode, 409)
+      assert.equal(sentMail.length, 0)
+    })
+  })
+
+  describe('Password reset', () => {
+    let sentMail
+
+    beforeEach(() => {
+      sentMail = []
+      jest
+        .spyOn(Mail, 'send')
+        .mockImplementation(async (message) => sentMail.push(message))
+    })
+
+    afterEach(() => {
+      jest.restoreAllMocks()
+    })
+
+    const tokenFromMail = (message) => message.text.match(/token=(\w+)/)[1]
+
+    it('Should reset the password with the emailed token only once', async () => {
+      // GIVEN a user who forgot their password
+      const user = await Helper.createUser(null, 'OLDPASSWORD', 'forgot@me.com')
+      const forgotResponse = await request(server)
+        .post('/api/users/password/forgot')
+        .send({ email: 'forgot@me.com' })
+      assert.equal(forgotResponse.statusCode, 200)
+      assert.equal(sentMail.length, 1)
+      const token = tokenFromMail(sentMail[0])
+
+      // WHEN they choose a new password with the emailed token
+      const response = await request(server)
+        .post('/api/users/password/reset')
+        .send({ token, password: 'NEWPASSWORD' })
+
+      // THEN they can log in with the new password but not the old one
+      assert.equal(response.statusCode, 200)
+      const newLogin = await request(server)
+        .post('/api/users/authenticate')
+        .send({ email: 'forgot@me.com', password: 'NEWPASSWORD' })
+      assert.equal(newLogin.statusCode, 200)
+      const oldLogin = await request(server)
+        .post('/api/users/authenticate')
+        .send({ email: 'forgot@me.com', password: 'OLDPASSWORD' })
+      assert.equal(oldLogin.statusCode, 401)
+
+      // AND the token can not be used again
+      const secondResponse = await request(server)
+        .post('/api/users/password/reset')
+        .send({ token, password: 'OTHERPASSWORD' })
+      assert.equal(secondResponse.statusCode, 400)
+      await user.reload()
+      assert.ok(user.validatePassword('NEWPASSWORD'))
+    })
+
+    it('Should end every session of the user once the password is reset', async () => {
+      // GIVEN a user with a session started before the reset
+      const user = await Helper.createUser(null, 'OLDPASSWORD', 'forgot@me.com')
+      const refreshToken = Authentication.generateRefreshToken(user)
+      await request(server)
+        .post('/api/users/password/forgot')
+        .send({ email: 'forgot@me.com' })
+
+      // WHEN the password is reset
+      const response = await request(server)
+        .post('/api/users/password/reset')
+        .send({ token: tokenFromMail(sentMail[0]), password: 'NEWPASSWORD' })
+      assert.equal(response.statusCode, 200)
+
+      // THEN the refresh token of the old session can not be exchanged anymore
+      const refreshResponse = await request(server)
+        .post('/api/users/token/refresh')
+        .send({ refreshToken })
+      assert.equal(refreshResponse.statusCode, 401)
+    })
+
+    it('Should only accept the most recently emailed token', async () => {
+      // GIVEN a user who asked for a password reset twice
+      await Helper.createUser(null, 'OLDPASSWORD', 'forgot@me.com')
+      await request(server)
+        .post('/api/users/password/forgot')
+        .send({ email: 'forgot@me.com' })
+      await request(server)
+        .post('/api/users/password/forgot')
+        .send({ email: 'forgot@me.com' })
+
+      // WHEN the first token is used
+      const response = await request(server)
+        .post('/api/users/password/reset')
+        .send({ token: tokenFromMail(sentMail[0]), password: 'NEWPASSWORD' })
+
+      // THEN it is rejected
+      assert.equal(response.statusCode, 400)
+    })
+
+    it('Should respond the same way for unknown email addresses', async () => {
+      // WHEN a reset is requested for an email without an account
+      const response = await request(server)
+        .post('/api/users/password/forgot')
+        .send({ email: 'nobody@me.com' })
+
+      // THEN the response does not reveal it and no email is sent
+      assert.equal(response.statusCode, 200)
+      assert.equal(sentMail.length, 0)
+    })
+
+    it('Should reject a new password which is too short', async () => {
+      // GIVEN a user with a reset token
+      await Helper.createUser(null, 'OLDPASSWORD', 'forgot@me.com')
+      await request(server)
+        .post('/api/users/password/forgot')
+        .send({ email: 'forgot@me.com' })
+
+      // WHEN a password that is too short is chosen
+      const response = await request(server)
+        .post('/api/users/password/reset')
+        .send({ token: tokenFromMail(sentMail[0]), password: 'abc' })
+
+      // THEN it is rejected
+      assert.equal(response.statusCode, 400)
+    })
+  })
+
   describe('Logging in with wrong password', () => {
     it('Should return a response status code of 401 and error message', async () => {
       // GIVEN a created user
@@ -249,6 +571,7 @@ describe('Users', () => {
         followers: 2,
         following: 0,
         joinedDate: response.body.joinedDate,
+        deleted: false,
       }
 
       assert.equal(response.statusCode, 200)
@@ -435,7 +758,7 @@ describe('Users', () => {
         },
       ]
 
-      const filteredResponse = response.body.map((a) => {
+      const filteredResponse = response.body.items.map((a) => {
         return {
           post: a.post,
           timestamp: a.timestamp,
@@ -449,6 +772,68 @@ describe('Users', () => {
     })
   })
 
+  describe('GET /feed endpoint with pagination', () => {
+    it('Should return the feed one page at a time using the next cursor', async () => {
+      const user1 = await Helper.createUser()
+      const user2 = await Helper.createUser()
+
+      const post1 = await Helper.createPost(
+        'First post',
+        user1.id,
+        null,
+        '2020-03-13 04:56:53'
+      )
+      const post2 = await Helper.createPost(
+        'Second post',
+        user1.id,
+        null,
+        '2020-03-13 04:56:53'
+      )
+      const post3 = await Helper.createPost(
+        'Third post',
+        user1.id,
+        null,
+        '2020-03-14 04:56:53'
+      )
+
+      // WHEN user 2 follows user 1
+      await Helper.createFollowers(user1.id, user2.id)
+      const authToken = Authentication.generateAuthToken(user2)
+
+      // THEN the first page should contain the newest activities
+      const firstPage = await request(server)
+        .get('/api/feed?limit=2')
+        .set('Authorization', `Bearer ${authToken}`)
+
+      expect(firstPage.statusCode).toEqual(200)
+      expect(firstPage.body.items.map((a) => a.post.id)).toEqual([
+        post3.id,
+        post2.id,
+      ])
+      expect(firstPage.body.nextCursor).toBeTruthy()
+
+      // THEN the next page should continue where the first page stopped
+      const secondPage = await request(server)
+        .get(`/api/feed?limit=2&cursor=${firstPage.body.nextCursor}`)
+        .set('Authorization', `Bearer ${authToken}`)
+
+      expect(secondPage.statusCode).toEqual(200)
+      expect(secondPage.body.items.map((a) => a.post.id)).toEqual([post1.id])
+      expect(secondPage.body.nextCursor).toBeNull()
+    })
+
+    it('Should return a 400 status response for an invalid cursor', async () => {
+      const user1 = await Helper.createUser()
+      const authToken = Authentication.generateAuthToken(user1)
+
+      const response = await request(server)
+        .get('/api/feed?cursor=not-a-cursor')
+        .set('Authorization', `Bearer ${authToken}`)
+
+      expect(response.statusCode).toEqual(400)
+    })
+  })
+
   describe('GET /feed endpoint with interested posts', () => {
     it('Should return a 200 status response and a list of interest based posts', async () => {
       const user1 = await Helper.createUser()
@@ -506,7 +891,7 @@ describe('Users', () => {
       const feed = await Activity.retrieveInterests(user1.id)
       expect(feed.length).toEqual(2)
 
-      const filteredResponse = response.body.map((a) => {
+      const filteredResponse = response.body.items.map((a) => {
         return {
           post: a.post,
           timestamp: a.timestamp,
@@ -523,86 +908,108 @@ describe('Users', () => {
   describe('GET /notifications endpoint', () => {
     it('Should return a 200 status response and a list of notifications', async () => {
       // GIVEN two users
-      const password = 'PASSWORD'
-      const randomUsername1 = (Math.random() + 1).toString(36).substring(7)
-      const email1 = `test@${randomUsername1}.com`
-
-      const user1 = await models.users.create({
-        username: randomUsername1,
-        nickname: randomUsername1,
-        email: email1,
-        password,
-      })
-
-      const randomUsername2 = (Math.random() + 1).toString(36).substring(7)
-      const email2 = `test@${randomUsername2}.com`
+      const user1 = await Helper.createUser()
+      const user2 = await Helper.createUser()
+      const parent = await Helper.createPost('This is a post', user1.id, null)
 
-      const user2 = await models.users.create({
-        username: randomUsername2,
-        nickname: randomUsername2,
-        email: email2,
-        password,
-      })
+      const authToken1 = Authentication.generateAuthToken(user1)
+      const authToken2 = Authentication.generateAuthToken(user2)
 
       // WHEN a user interacts with the logged in user's post
-      const parent = await models.posts.create({
-        text_content: 'This is a post',
-        author: user1.id,
-        parent: null,
-      })
-
-      const reply = await models.posts.create({
-        text_content: 'This is my first reply',
-        author: user2.id,
-        parent: parent.id,
-        createdAt: '2021-03-13 04:56:53',
-      })
-
-      const like = await models.likedPost.create({
-        userId: user2.id,
-        postId: parent.id,
-        createdAt: '2021-03-12 04:56:53',
-      })
-
-      const share = await models.sharedPost.create({
-        userId: user2.id,
-        postId: parent.id,
-        createdAt: '2022-03-13 04:56:53',
-      })
-
-      const authToken = Authentication.generateAuthToken(user1)
+      const reply = await request(server)
+        .post('/api/posts')
+        .set('Authorization', `Bearer ${authToken2}`)
+        .send({ text_content: 'This is my first reply', parent: parent.id })
+      await request(server)
+        .post(`/api/posts/${parent.id}/like`)
+        .set('Authorization', `Bearer ${authToken2}`)
+      await request(server)
+        .post(`/api/posts/${parent.id}/share`)
+        .set('Authorization', `Bearer ${authToken2}`)
 
-      // THEN the endpoint should return these notifications
+      // THEN the endpoint should return these notifications, newest first
       const response = await request(server)
         .get('/api/notifications')
-        .set('Authorization', `Bearer ${authToken}`)
+        .set('Authorization', `Bearer ${authToken1}`)
 
-      const expectedOutput = [
-        {
-          type: 'share',
-          timestamp: Date.parse(share.createdAt),
-          from: user2.username,
-          post: share.postId,
-          content: null,
-        },
+      const filteredResponse = response.body.map((n) => ({
+        type: n.type,
+        from: n.from,
+        post: n.post,
+        read: n.read,
+      }))
+
+      expect(response.statusCode).toEqual(200)
+      expect(filteredResponse).toEqual([
+        { type: 'share', from: user2.username, post: parent.id, read: false },
+        { type: 'like', from: user2.username, post: parent.id, read: false },
         {
           type: 'reply',
-          timestamp: Date.parse(reply.createdAt),
           from: user2.username,
-          post: reply.id,
-          content: reply.text_content,
+          post: reply.body.id,
+          read: false,
         },
-        {
-          type: 'like',
-          timestamp: Date.parse(like.createdAt),
-          from: user2.username,
-          post: like.postId,
-          content: null,
-        },
-      ]
+      ])
+    })
+  })
 
-      expect(response.statusCode).toEqual(200)
-      expect(response.body).toEqual(expectedOutput)
+  describe('Reading notifications', () => {
+    it('Should update the unread count when notifications are read', async () => {
+      // GIVEN a user with two unread notifications
+      const user1 = await Helper.createUser()
+      const user2 = await Helper.createUser()
+      const notification = await Helper.createNotification(
+        'follow',
+        user1.id,
+        user2.id
+      )
+      await Helper.createNotification('like', user1.id, user2.id)
+      const authToken = Authentication.generateAuthToken(user1)
+
+      const unread = await request(server)
+        .get('/api/notifications/unread-count')
+        .set('Authorization', `Bearer ${authToken}`)
+      expect(unread.statusCode).toEqual(200)
+      expect(unread.body.count).toEqual(2)
+
+      // WHEN one notification is read
+      const readOne = await request(server)
+        .put(`/api/notifications/${notification.id}/read`)
+        .set('Authorization', `Bearer ${authToken}`)
+      expect(readOne.statusCode).toEqual(200)
+
+      const unreadAfterOne = await request(server)
+        .get('/api/notifications/unread-count')
+        .set('Authorization', `Bearer ${authToken}`)
+      expect(unreadAfterOne.body.count).toEqual(1)
+
+      // WHEN the rest are read
+      const readAll = await request(server)
+        .put('/api/notifications/read-all')
+        .set('Authorization', `Bearer ${authToken}`)
+      expect(readAll.statusCode).toEqual(200)
+      expect(readAll.body.updated).toEqual(1)
+
+      const unreadAfterAll = await request(server)
+        .get('/api/notifications/unread-count')
+        .set('Authorization', `Bearer ${authToken}`)
+      expect(unreadAfterAll.body.count).toEqual(0)
+    })
+
+    it('Should return a 404 status response for another users notification', async () => {
+      const user1 = await Helper.createUser()
+      const user2 = await Helper.createUser()
+      const notification = await Helper.createNotification(
+        'follow',
+        user1.id,
+        user2.id
+      )
+      const authToken = Authentication.generateAuthToken(user2)
+
+      const response = await request(server)
+        .put(`/api/notifications/${notification.id}/read`)
+        .set('Authorization', `Bearer ${authToken}`)
+      expect(response.statusCode).toEqual(404)
     })
   })
 
@@ -1017,31 +1424,366 @@ describe('Users', () => {
     })
   })
 
-  describe('when deleting user profile', () => {
-    it('should return response code of 200', async () => {
-      const user1 = await models.users.create({
-        username: 'testUser1',
-        nickname: 'gandalf1',
-        email: 'testUser@tesmail.com',
-        password: 'password',
-        bio: 'test user: gandalf',
+  describe('when changing the username', () => {
+    it('should not allow taking the username of another user', async () => {
+      // GIVEN two users
+      const user1 = await Helper.createUser('testUser1', 'password')
+      await Helper.createUser('testUser2', 'password')
+
+      // WHEN the first user tries to take the username of the second
+      const response = await request(server)
+        .put('/api/users/')
+        .set(
+          'Authorization',
+          `Bearer ${Authentication.generateAuthToken(user1)}`
+        )
+        .send({ username: 'testUser2' })
+
+      // THEN it is rejected and the username is unchanged
+      assert.equal(response.statusCode, 409)
+      await user1.reload()
+      assert.equal(user1.username, 'testUser1')
+    })
+
+    it('should still find the user by their previous username', async () => {
+      // GIVEN a user who changed their username
+      const user1 = await Helper.createUser('oldName', 'password')
+      const user2 = await Helper.createUser('testUser2', 'password')
+      await request(server)
+        .put('/api/users/')
+        .set(
+          'Authorization',
+          `Bearer ${Authentication.generateAuthToken(user1)}`
+        )
+        .send({ username: 'newName' })
+
+      // WHEN another user follows a link with the old username
+      const response = await request(server)
+        .get('/api/users/oldName')
+        .set(
+          'Authorization',
+          `Bearer ${Authentication.generateAuthToken(user2)}`
+        )
+
+      // THEN the renamed user is found
+      assert.equal(response.statusCode, 200)
+      assert.equal(response.body.username, 'newName')
+    })
+
+    it('should keep the previous username reserved', async () => {
+      // GIVEN a user who changed their username
+      const user1 = await Helper.createUser('oldName', 'password')
+      const user2 = await Helper.createUser('testUser2', 'password')
+      await request(server)
+        .put('/api/users/')
+        .set(
+          'Authorization',
+          `Bearer ${Authentication.generateAuthToken(user1)}`
+        )
+        .send({ username: 'newName' })
+
+      // WHEN another user tries to take the old username
+      const response = await request(server)
+        .put('/api/users/')
+        .set(
+          'Authorization',
+          `Bearer ${Authentication.generateAuthToken(user2)}`
+        )
+        .send({ username: 'oldName' })
+
+      // THEN it is rejected, but the original user can go back to it
+      assert.equal(response.statusCode, 409)
+      const revertResponse = await request(server)
+        .put('/api/users/')
+        .set(
+          'Authorization',
+          `Bearer ${Authentication.generateAuthToken(user1)}`
+        )
+        .send({ username: 'oldName' })
+      assert.equal(revertResponse.statusCode, 200)
+    })
+
+    it('should not record the username change when the update fails', async () => {
+      // GIVEN a user whose update is beaten to the username by someone else
+      const user = await Helper.createUser('oldName', 'password')
+      const update = jest
+        .spyOn(models.users, 'update')
+        .mockRejectedValueOnce(new models.Sequelize.UniqueConstraintError({}))
+
+      // WHEN they change their username
+      const response = await request(server)
+        .put('/api/users/')
+        .set(
+          'Authorization',
+          `Bearer ${Authentication.generateAuthToken(user)}`
+        )
+        .send({ username: 'newName' })
+      update.mockRestore()
+
+      // THEN the change is rejected and the old username is not in the history
+      assert.equal(response.statusCode, 409)
+      assert.equal(
+        await models.usernameHistory.count({ where: { userId: user.id } }),
+        0
+      )
+    })
+
+    it('should notify the user when mentioned by their previous username', async () => {
+      // GIVEN a user who changed their username
+      const user1 = await Helper.createUser('oldName', 'password')
+      const user2 = await Helper.createUser('testUser2', 'password')
+      await request(server)
+        .put('/api/users/')
+        .set(
+          'Authorization',
+          `Bearer ${Authentication.generateAuthToken(user1)}`
+        )
+        .send({ username: 'newName' })
+
+      // WHEN another user mentions the old username
+      const post = await Helper.createPost('hello @oldName', user2.id)
+      await PostEntities.recordMentions(post)
+      await Notifications.notifyMentions(post)
+
+      // THEN the renamed user is notified
+      const notifications = await models.notifications.findAll({
+        where: { userId: user1.id, type: 'mention' },
       })
+      assert.equal(notifications.length, 1)
+    })
+  })
+
+  describe('PUT /users/password', () => {
+    it('should change the password when the current password is correct', async () => {
+      // GIVEN a user
+      const user = await Helper.createUser('testUser1', 'OLDPASSWORD')
+
+      // WHEN they change their password
+      const response = await request(server)
+        .put('/api/users/password')
+        .set(
+          'Authorization',
+          `Bearer ${Authentication.generateAuthToken(user)}`
+        )
+        .send({ currentPassword: 'OLDPASSWORD', newPassword: 'NEWPASSWORD' })
+
+      // THEN only the new password is valid
+      assert.equal(response.statusCode, 200)
+      await user.reload()
+      assert.ok(user.validatePassword('NEWPASSWORD'))
+      assert.ok(!user.validatePassword('OLDPASSWORD'))
+    })
+
+    it('should end the other sessions and keep this one', async () => {
+      // GIVEN a user with a session on another device
+      const user = await Helper.createUser('testUser1', 'OLDPASSWORD')
+      const otherRefreshToken = Authentication.generateRefreshToken(user)
+
+      // WHEN they change their password
+      const response = await request(server)
+        .put('/api/users/password')
+        .set(
+          'Authorization',
+          `Bearer ${Authentication.generateAuthToken(user)}`
+        )
+        .send({ currentPassword: 'OLDPASSWORD', newPassword: 'NEWPASSWORD' })
+      assert.equal(response.statusCode, 200)
+
+      // THEN the other session can not be refreshed anymore
+      const otherResponse = await request(server)
+        .post('/api/users/token/refresh')
+        .send({ refreshToken: otherRefreshToken })
+      assert.equal(otherResponse.statusCode, 401)
+
+      // AND the new refresh token of this session can
+      const refreshResponse = await request(server)
+        .post('/api/users/token/refresh')
+        .send({ refreshToken: response.body.refreshToken })
+      assert.equal(refreshResponse.statusCode, 200)
+    })
+
+    it('should not change the password when the current password is wrong', async () => {
+      // GIVEN a user
+      const user = await Helper.createUser('testUser1', 'OLDPASSWORD')
+
+      // WHEN they give the wrong current password
+      const response = await request(server)
+        .put('/api/users/password')
+        .set(
+          'Authorization',
+          `Bearer ${Authentication.generateAuthToken(user)}`
+        )
+        .send({ currentPassword: 'WRONG', newPassword: 'NEWPASSWORD' })
+
+      // THEN the password is unchanged
+      assert.equal(response.statusCode, 403)
+      await user.reload()
+      assert.ok(user.validatePassword('OLDPASSWORD'))
+    })
+
+    it('should reject a new password which is too short', async () => {
+      const user = await Helper.createUser('testUser1', 'OLDPASSWORD')
+
+      const response = await request(server)
+        .put('/api/users/password')
+        .set(
+          'Authorization',
+          `Bearer ${Authentication.generateAuthToken(user)}`
+        )
+        .send({ currentPassword: 'OLDPASSWORD', newPassword: 'abc' })
+
+      assert.equal(response.statusCode, 400)
+    })
+  })
+
+  describe('PUT /users/email', () => {
+    beforeEach(() => {
+      jest.spyOn(Mail, 'send').mockImplementation(async () => {})
+    })
+
+    afterEach(() => {
+      jest.restoreAllMocks()
+    })
+
+    it('should change the email and ask for it to be verified', async () => {
+      // GIVEN a verified user
+      const user = await Helper.createUser(
+        'testUser1',
+        'PASSWORD',
+        'old@me.com'
+      )
+      await user.update({ emailVerified: true })
+
+      // WHEN they change their email
+      const response = await request(server)
+        .put('/api/users/email')
+        .set(
+          'Authorization',
+          `Bearer ${Authentication.generateAuthToken(user)}`
+        )
+        .send({ currentPassword: 'PASSWORD', email: 'new@me.com' })
+
+      // THEN the new email has to be verified
+      assert.equal(response.statusCode, 200)
+      await user.reload()
+      assert.equal(user.email, 'new@me.com')
+      assert.equal(user.emailVerified, false)
+      assert.equal(Mail.send.mock.calls[0][0].to, 'new@me.com')
+    })
+
+    it('should not change the email when the current password is wrong', async () => {
+      const user = await Helper.createUser(
+        'testUser1',
+        'PASSWORD',
+        'old@me.com'
+      )
+
+      const response = await request(server)
+        .put('/api/users/email')
+        .set(
+          'Authorization',
+          `Bearer ${Authentication.generateAuthToken(user)}`
+        )
+        .send({ currentPassword: 'WRONG', email: 'new@me.com' })
+
+      assert.equal(response.statusCode, 403)
+      await user.reload()
+      assert.equal(user.email, 'old@me.com')
+    })
+
+    it('should not allow taking the email of another user', async () => {
+      const user = await Helper.createUser(
+        'testUser1',
+        'PASSWORD',
+        'old@me.com'
+      )
+      await Helper.createUser('testUser2', 'PASSWORD', 'taken@me.com')
+
+      const response = await request(server)
+        .put('/api/users/email')
+        .set(
+          'Authorization',
+          `Bearer ${Authentication.generateAuthToken(user)}`
+        )
+        .send({ currentPassword: 'PASSWORD', email: 'taken@me.com' })
+
+      assert.equal(response.statusCode, 409)
+    })
+  })
 
+  describe('when deleting user profile', () => {
+    it('should deactivate the account until it is purged', async () => {
+      const user1 = await Helper.createUser('testUser1', 'password')
       const authToken = Authentication.generateAuthToken(user1)
 
       const response = await request(server)
         .delete('/api/users/')
         .set('Authorization', `Bearer ${authToken}`)
+        .send({ password: 'password' })
 
-      const dbUser = await models.users.findOne({
-        where: {
-          username: user1.username,
-        },
-      })
-
-      expect(response.body.message).toBe('The user has been deleted.')
-      expect(dbUser).toBe(null)
       expect(response.statusCode).toBe(200)
+      expect(response.body.message).toBe('The account has been deleted.')
+      expect(response.body.purgeAt).toBeTruthy()
+      await user1.reload()
+      expect(user1.deactivatedAt).not.toBe(null)
+
+      // the account is no longer found and the session has ended
+      const otherUser = await Helper.createUser('testUser2', 'password')
+      const lookup = await request(server)
+        .get('/api/users/testUser1')
+        .set(
+          'Authorization',
+          `Bearer ${Authentication.generateAuthToken(otherUser)}`
+        )
+      expect(lookup.statusCode).toBe(404)
+      const ownRequest = await request(server)
+        .get('/api/notifications')
+        .set('Authorization', `Bearer ${authToken}`)
+      expect(ownRequest.statusCode).toBe(401)
+    })
+
+    it('should require the password of the user', async () => {
+      const user1 = await Helper.createUser('testUser1', 'password')
+
+      const response = await request(server)
+        .delete('/api/users/')
+        .set(
+          'Authorization',
+          `Bearer ${Authentication.generateAuthToken(user1)}`
+        )
+        .send({ password: 'wrong' })
+
+      expect(response.statusCode).toBe(403)
+      await user1.reload()
+      expect(user1.deactivatedAt).toBe(null)
+    })
+
+    it('should not let a deleted account log in, but restore it', async () => {
+      // GIVEN a deleted account
+      const user1 = await Helper.createUser(
+        'testUser1',
+        'password',
+        'deleted@me.com'
+      )
+      await user1.update({ deactivatedAt: new Date() })
+
+      // WHEN the user logs in
+      const login = await request(server)
+        .post('/api/users/authenticate')
+        .send({ email: 'deleted@me.com', password: 'password' })
+
+      // THEN they are told the account can be restored
+      expect(login.statusCode).toBe(403)
+      expect(login.body.deactivated).toBe(true)
+
+      // AND restoring it logs them in
+      const restore = await request(server)
+        .post('/api/users/restore')
+        .send({ email: 'deleted@me.com', password: 'password' })
+      expect(restore.statusCode).toBe(200)
+      expect(restore.body.authToken).toBeTruthy()
+      await user1.reload()
+      expect(user1.deactivatedAt).toBe(null)
     })
   })
 
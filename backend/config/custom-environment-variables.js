@@ -0,0 +1,19 @@
+/**
+ * Maps environment variables onto config values, these take precedence over
+ * the values in default.js and the other environment specific files
+ */
+module.exports = {
+  BACKEND_URL: 'BACKEND_URL',
+  JWT: {
+    secret: 'JWT_SECRET',
+  },
+  MAIL: {
+    transport: 'MAIL_TRANSPORT',
+    from: 'MAIL_FROM',
+    appUrl: 'APP_URL',
+  },
+  STORAGE: {
+    driver: 'STORAGE_DRIVER',
+    directory: 'STORAGE_DIRECTORY',
+  },
+}
@@ -1,5 +1,10 @@
+const os = require('os')
+const path = require('path')
+
 module.exports = {
   PORT: 8000,
+  // Where the API is reached, links to uploaded images start with it
+  BACKEND_URL: 'http://localhost:8000/api/',
   DB: {
     username: 'updogDev',
     password: 'password',
@@ -9,5 +14,61 @@ module.exports = {
     dialect: 'mysql',
     logging: false,
   },
+  JWT: {
+    // Overridden by the JWT_SECRET environment variable, see custom-environment-variables.js
+    secret: 'updog-development-secret',
+    accessTokenExpiresIn: '15m',
+    refreshTokenExpiresIn: '30d',
+  },
+  MAIL: {
+    transport: 'file',
+    directory: path.join(os.tmpdir(), 'updog-mail'),
+    from: 'Updog <no-reply@updog.app>',
+    // The frontend, links in emails point to its pages
+    appUrl: 'http://localhost:3000',
+  },
+  ACCOUNT_TOKENS: {
+    // Seconds until emailed links expire
+    verifyEmailExpiresIn: 60 * 60 * 24,
+    resetPasswordExpiresIn: 60 * 60,
+  },
+  ACCOUNT_DELETION: {
+    // Seconds a deleted account can still be restored before it is purged
+    gracePeriod: 60 * 60 * 24 * 30,
+  },
+  IMAGES: {
+    // Uploads larger than this many bytes are rejected
+    maxUploadSize: 10 * 1024 * 1024,
+  },
+  TRENDING: {
+    // The windows trends are computed over in seconds, by the name used in requests
+    windows: {
+      '1h': 60 * 60,
+      '24h': 60 * 60 * 24,
+      '7d': 60 * 60 * 24 * 7,
+    },
+    defaultWindow: '24h',
+    // Activity loses half of its weight every this fraction of the window
+    halfLife: 0.25,
+    // Seconds an account has to exist for before its activity counts
+    minAccountAge: 60 * 60 * 24,
+    // Accounts with more posts, likes and shares per hour in the window are ignored as spam
+    maxActionsPerHour: 60,
+    // Every request sees the activity created by the test before it
+    cacheSeconds: 0,
+  },
+  STORAGE: {
+    driver: 'memory',
+    // Where the local driver saves files
+    directory: path.join(__dirname, '..', 'uploads'),
+    firebase: {
+      credentials: path.join(
+        __dirname,
+        '..',
+        'updog-attachments-firebase-adminsdk-ygs6y-00f7d2000f.json'
+      ),
+      bucket: 'gs://updog-attachments.appspot.com',
+    },
+  },
   DEV: false,
 }
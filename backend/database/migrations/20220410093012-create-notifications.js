@@ -0,0 +1,52 @@
+'use strict'
+/**
+ * Handles the creation/deletion of the notifications table in the database
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('notifications', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      userId: {
+        // The recipient of the notification
+        allowNull: false,
+        type: Sequelize.INTEGER,
+      },
+      fromUserId: {
+        // The user whose action created the notification
+        allowNull: false,
+        type: Sequelize.INTEGER,
+      },
+      type: {
+        allowNull: false,
+        type: Sequelize.STRING,
+      },
+      postId: {
+        allowNull: true,
+        type: Sequelize.INTEGER,
+      },
+      read: {
+        allowNull: false,
+        type: Sequelize.BOOLEAN,
+        defaultValue: false,
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+    })
+    await queryInterface.addIndex('notifications', ['userId', 'read'])
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('notifications')
+  },
+}
@@ -0,0 +1,39 @@
+'use strict'
+/**
+ * Handles the creation/deletion of the revokedTokens table in the database
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('revokedTokens', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      jti: {
+        // The unique id of the revoked token
+        allowNull: false,
+        unique: true,
+        type: Sequelize.STRING,
+      },
+      expiresAt: {
+        // The revocation can be forgotten once the token has expired anyway
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+    })
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('revokedTokens')
+  },
+}
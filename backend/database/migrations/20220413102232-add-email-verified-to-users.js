@@ -0,0 +1,19 @@
+'use strict'
+/**
+ * Adds the emailVerified column to the users table
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('users', 'emailVerified', {
+      allowNull: false,
+      defaultValue: false,
+      type: Sequelize.BOOLEAN,
+    })
+    // Accounts created before email verification existed are trusted as is
+    await queryInterface.bulkUpdate('users', { emailVerified: true }, {})
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('users', 'emailVerified')
+  },
+}
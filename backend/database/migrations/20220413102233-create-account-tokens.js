@@ -0,0 +1,49 @@
+'use strict'
+/**
+ * Handles the creation/deletion of the accountTokens table in the database
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('accountTokens', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      userId: {
+        // The user the token was emailed to
+        allowNull: false,
+        type: Sequelize.INTEGER,
+      },
+      type: {
+        // verifyEmail or resetPassword
+        allowNull: false,
+        type: Sequelize.STRING,
+      },
+      tokenHash: {
+        // SHA-256 hash of the emailed token, the token itself is never stored
+        allowNull: false,
+        unique: true,
+        type: Sequelize.STRING,
+      },
+      expiresAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+    })
+    await queryInterface.addIndex('accountTokens', ['userId', 'type'])
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('accountTokens')
+  },
+}
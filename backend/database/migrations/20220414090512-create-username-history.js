@@ -0,0 +1,39 @@
+'use strict'
+/**
+ * Handles the creation/deletion of the usernameHistories table in the database
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('usernameHistories', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      userId: {
+        // The user who used to have the username
+        allowNull: false,
+        type: Sequelize.INTEGER,
+      },
+      username: {
+        // The previous username, kept so old @mentions still lead to the user
+        allowNull: false,
+        type: Sequelize.STRING,
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+    })
+    await queryInterface.addIndex('usernameHistories', ['username'])
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('usernameHistories')
+  },
+}
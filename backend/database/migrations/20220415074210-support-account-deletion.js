@@ -0,0 +1,26 @@
+'use strict'
+/**
+ * Adds the deactivatedAt column to the users table and lets posts lose
+ * their author, which happens when the posts of a deleted user are anonymised
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('users', 'deactivatedAt', {
+      // Set while the account is waiting to be deleted, null for active accounts
+      allowNull: true,
+      type: Sequelize.DATE,
+    })
+    await queryInterface.changeColumn('posts', 'author', {
+      allowNull: true,
+      type: Sequelize.INTEGER,
+    })
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('users', 'deactivatedAt')
+    await queryInterface.changeColumn('posts', 'author', {
+      allowNull: false,
+      type: Sequelize.INTEGER,
+    })
+  },
+}
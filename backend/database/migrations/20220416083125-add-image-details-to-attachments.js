@@ -0,0 +1,32 @@
+'use strict'
+/**
+ * Adds the order, dimensions and alt text of the images attached to posts
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('attachments', 'position', {
+      allowNull: false,
+      defaultValue: 0,
+      type: Sequelize.INTEGER,
+    })
+    await queryInterface.addColumn('attachments', 'width', {
+      allowNull: true,
+      type: Sequelize.INTEGER,
+    })
+    await queryInterface.addColumn('attachments', 'height', {
+      allowNull: true,
+      type: Sequelize.INTEGER,
+    })
+    await queryInterface.addColumn('attachments', 'alt', {
+      allowNull: true,
+      type: Sequelize.STRING,
+    })
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('attachments', 'position')
+    await queryInterface.removeColumn('attachments', 'width')
+    await queryInterface.removeColumn('attachments', 'height')
+    await queryInterface.removeColumn('attachments', 'alt')
+  },
+}
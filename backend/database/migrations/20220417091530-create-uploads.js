@@ -0,0 +1,51 @@
+'use strict'
+/**
+ * Handles the creation/deletion of the uploads table in the database
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('uploads', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      userId: {
+        // The user who uploaded the image
+        allowNull: false,
+        type: Sequelize.INTEGER,
+      },
+      filename: {
+        // The storage name of the image, images are named after their content
+        // so several uploads can share the same file
+        allowNull: false,
+        type: Sequelize.STRING,
+      },
+      contentType: {
+        allowNull: false,
+        type: Sequelize.STRING,
+      },
+      width: {
+        type: Sequelize.INTEGER,
+      },
+      height: {
+        type: Sequelize.INTEGER,
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+    })
+    await queryInterface.addIndex('uploads', ['userId'])
+    await queryInterface.addIndex('uploads', ['filename'])
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('uploads')
+  },
+}
@@ -0,0 +1,18 @@
+'use strict'
+/**
+ * Adds the post a quote post quotes
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('posts', 'quotedPostId', {
+      // null for posts that do not quote another post
+      allowNull: true,
+      type: Sequelize.INTEGER,
+    })
+    await queryInterface.addIndex('posts', ['quotedPostId'])
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('posts', 'quotedPostId')
+  },
+}
@@ -0,0 +1,41 @@
+'use strict'
+/**
+ * Handles the creation/deletion of the bookmarks table in the database
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('bookmarks', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      userId: {
+        // The user who saved the post, bookmarks are only visible to them
+        allowNull: false,
+        type: Sequelize.INTEGER,
+      },
+      postId: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+    })
+    await queryInterface.addIndex('bookmarks', ['userId', 'postId'], {
+      unique: true,
+    })
+    await queryInterface.addIndex('bookmarks', ['postId'])
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('bookmarks')
+  },
+}
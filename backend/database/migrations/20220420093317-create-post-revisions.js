@@ -0,0 +1,45 @@
+'use strict'
+/**
+ * Handles the creation/deletion of the postRevisions table in the database,
+ * and records when a post was last edited
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('postRevisions', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      postId: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+      },
+      text_content: {
+        // The text of the post before the edit
+        type: Sequelize.STRING,
+      },
+      createdAt: {
+        // When the text was replaced
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+    })
+    await queryInterface.addIndex('postRevisions', ['postId'])
+    await queryInterface.addColumn('posts', 'editedAt', {
+      // null for posts that have never been edited
+      allowNull: true,
+      type: Sequelize.DATE,
+    })
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('posts', 'editedAt')
+    await queryInterface.dropTable('postRevisions')
+  },
+}
@@ -0,0 +1,53 @@
+'use strict'
+/**
+ * Handles the creation/deletion of the drafts table in the database,
+ * and records when a scheduled post is due to be published
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('drafts', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      userId: {
+        // The user writing the draft, drafts are only visible to them
+        allowNull: false,
+        type: Sequelize.INTEGER,
+      },
+      text_content: {
+        type: Sequelize.STRING,
+      },
+      parent: {
+        // The post the draft replies to, null if it is not a reply
+        type: Sequelize.INTEGER,
+      },
+      quotedPostId: {
+        type: Sequelize.INTEGER,
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+    })
+    await queryInterface.addIndex('drafts', ['userId'])
+    await queryInterface.addColumn('posts', 'publishAt', {
+      // null once the post is published
+      allowNull: true,
+      type: Sequelize.DATE,
+    })
+    await queryInterface.addIndex('posts', ['publishAt'])
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex('posts', ['publishAt'])
+    await queryInterface.removeColumn('posts', 'publishAt')
+    await queryInterface.dropTable('drafts')
+  },
+}
@@ -0,0 +1,108 @@
+'use strict'
+/**
+ * Handles the creation/deletion of the polls, pollOptions and pollVotes
+ * tables in the database. Notifications about a closed poll have no sender,
+ * so fromUserId of notifications may be null.
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const timestamps = {
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+    }
+    await queryInterface.createTable('polls', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      postId: {
+        allowNull: false,
+        unique: true,
+        type: Sequelize.INTEGER,
+      },
+      closesAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+      closedAt: {
+        // Set once the author has been notified that the poll closed
+        allowNull: true,
+        type: Sequelize.DATE,
+      },
+      ...timestamps,
+    })
+    await queryInterface.addIndex('polls', ['closedAt', 'closesAt'])
+    await queryInterface.createTable('pollOptions', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      pollId: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+      },
+      position: {
+        // The options are shown in the order they were given
+        allowNull: false,
+        type: Sequelize.INTEGER,
+      },
+      text: {
+        allowNull: false,
+        type: Sequelize.STRING,
+      },
+      ...timestamps,
+    })
+    await queryInterface.addIndex('pollOptions', ['pollId'])
+    await queryInterface.createTable('pollVotes', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      pollId: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+      },
+      pollOptionId: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+      },
+      userId: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+      },
+      ...timestamps,
+    })
+    // One vote per user and poll
+    await queryInterface.addIndex('pollVotes', ['pollId', 'userId'], {
+      unique: true,
+    })
+    await queryInterface.addIndex('pollVotes', ['userId'])
+    await queryInterface.changeColumn('notifications', 'fromUserId', {
+      allowNull: true,
+      type: Sequelize.INTEGER,
+    })
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.bulkDelete('notifications', { fromUserId: null })
+    await queryInterface.changeColumn('notifications', 'fromUserId', {
+      allowNull: false,
+      type: Sequelize.INTEGER,
+    })
+    await queryInterface.dropTable('pollVotes')
+    await queryInterface.dropTable('pollOptions')
+    await queryInterface.dropTable('polls')
+  },
+}
@@ -0,0 +1,44 @@
+'use strict'
+/**
+ * Handles the creation/deletion of the mentions table in the database,
+ * which holds the users mentioned with an @handle in each post
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('mentions', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      postId: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+      },
+      userId: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+      },
+      handle: {
+        // The handle as written in the post, which may be an old username
+        allowNull: false,
+        type: Sequelize.STRING,
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+    })
+    await queryInterface.addIndex('mentions', ['postId'])
+    await queryInterface.addIndex('mentions', ['userId'])
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('mentions')
+  },
+}
@@ -0,0 +1,75 @@
+'use strict'
+/**
+ * Handles the creation/deletion of the searchTerms table in the database,
+ * the search index holding the words of every post, and indexes the posts
+ * that already exist
+ */
+
+// The same words as searchTerms.tokenize finds
+const WORD = /[\p{L}\p{N}_]+/gu
+const CHARACTER_REFERENCE = /&(#\d+|\w+);/g
+const MAX_TERM_LENGTH = 64
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('searchTerms', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      postId: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+      },
+      term: {
+        // A word of the post in lower case
+        allowNull: false,
+        type: Sequelize.STRING(MAX_TERM_LENGTH),
+      },
+      count: {
+        // How often the word is used in the post
+        allowNull: false,
+        type: Sequelize.INTEGER,
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+    })
+    await queryInterface.addIndex('searchTerms', ['term'])
+    await queryInterface.addIndex('searchTerms', ['postId'])
+
+    const [posts] = await queryInterface.sequelize.query(
+      'SELECT id, text_content FROM posts WHERE text_content IS NOT NULL'
+    )
+    const now = new Date()
+    const rows = posts.flatMap((post) => {
+      const counts = new Map()
+      const text = post.text_content.replace(CHARACTER_REFERENCE, ' ')
+      for (const [word] of text.toLowerCase().matchAll(WORD)) {
+        const term = word.slice(0, MAX_TERM_LENGTH)
+        counts.set(term, (counts.get(term) ?? 0) + 1)
+      }
+      return [...counts].map(([term, count]) => ({
+        postId: post.id,
+        term,
+        count,
+        createdAt: now,
+        updatedAt: now,
+      }))
+    })
+    if (rows.length > 0) {
+      await queryInterface.bulkInsert('searchTerms', rows)
+    }
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('searchTerms')
+  },
+}
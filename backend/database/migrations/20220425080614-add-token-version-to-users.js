@@ -0,0 +1,18 @@
+'use strict'
+/**
+ * Adds the tokenVersion column to the users table
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('users', 'tokenVersion', {
+      // Bumped to revoke every refresh token of the user, e.g. on a password reset
+      allowNull: false,
+      defaultValue: 0,
+      type: Sequelize.INTEGER,
+    })
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('users', 'tokenVersion')
+  },
+}
@@ -0,0 +1,27 @@
+'use strict'
+const { Model } = require('sequelize')
+module.exports = (sequelize, DataTypes) => {
+  class accountTokens extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate() {
+      // define association here
+    }
+  }
+  accountTokens.init(
+    {
+      userId: DataTypes.INTEGER,
+      type: DataTypes.STRING,
+      tokenHash: DataTypes.STRING,
+      expiresAt: DataTypes.DATE,
+    },
+    {
+      sequelize,
+      modelName: 'accountTokens',
+    }
+  )
+  return accountTokens
+}
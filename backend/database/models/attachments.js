@@ -4,6 +4,11 @@ module.exports = (sequelize, DataTypes) => {
     {
       postID: DataTypes.INTEGER,
       attachmentLink: DataTypes.STRING,
+      // Order of the image within the post, starting at 0
+      position: DataTypes.INTEGER,
+      width: DataTypes.INTEGER,
+      height: DataTypes.INTEGER,
+      alt: DataTypes.STRING,
     },
     {
       timestamps: false,
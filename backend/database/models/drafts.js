@@ -0,0 +1,27 @@
+'use strict'
+const { Model } = require('sequelize')
+module.exports = (sequelize, DataTypes) => {
+  class drafts extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate() {
+      // define association here
+    }
+  }
+  drafts.init(
+    {
+      userId: DataTypes.INTEGER,
+      text_content: DataTypes.STRING,
+      parent: DataTypes.INTEGER,
+      quotedPostId: DataTypes.INTEGER,
+    },
+    {
+      sequelize,
+      modelName: 'drafts',
+    }
+  )
+  return drafts
+}
@@ -0,0 +1,26 @@
+'use strict'
+const { Model } = require('sequelize')
+module.exports = (sequelize, DataTypes) => {
+  class mentions extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate() {
+      // define association here
+    }
+  }
+  mentions.init(
+    {
+      postId: DataTypes.INTEGER,
+      userId: DataTypes.INTEGER,
+      handle: DataTypes.STRING,
+    },
+    {
+      sequelize,
+      modelName: 'mentions',
+    }
+  )
+  return mentions
+}
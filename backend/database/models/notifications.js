@@ -0,0 +1,31 @@
+'use strict'
+const { Model } = require('sequelize')
+module.exports = (sequelize, DataTypes) => {
+  class notifications extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate() {
+      // define association here
+    }
+  }
+  notifications.init(
+    {
+      userId: DataTypes.INTEGER,
+      fromUserId: DataTypes.INTEGER,
+      type: DataTypes.STRING,
+      postId: DataTypes.INTEGER,
+      read: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'notifications',
+    }
+  )
+  return notifications
+}
@@ -0,0 +1,26 @@
+'use strict'
+const { Model } = require('sequelize')
+module.exports = (sequelize, DataTypes) => {
+  class pollOptions extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate() {
+      // define association here
+    }
+  }
+  pollOptions.init(
+    {
+      pollId: DataTypes.INTEGER,
+      position: DataTypes.INTEGER,
+      text: DataTypes.STRING,
+    },
+    {
+      sequelize,
+      modelName: 'pollOptions',
+    }
+  )
+  return pollOptions
+}
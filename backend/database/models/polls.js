@@ -0,0 +1,27 @@
+'use strict'
+const { Model } = require('sequelize')
+module.exports = (sequelize, DataTypes) => {
+  class polls extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate() {
+      // define association here
+    }
+  }
+  polls.init(
+    {
+      postId: DataTypes.INTEGER,
+      closesAt: DataTypes.DATE,
+      // Set once the author has been notified that the poll closed
+      closedAt: DataTypes.DATE,
+    },
+    {
+      sequelize,
+      modelName: 'polls',
+    }
+  )
+  return polls
+}
@@ -5,11 +5,32 @@ module.exports = (sequelize, DataTypes) => {
       text_content: DataTypes.STRING,
       author: DataTypes.INTEGER,
       parent: DataTypes.INTEGER,
+      // The post this post quotes, null if it is not a quote post
+      quotedPostId: DataTypes.INTEGER,
       createdAt: DataTypes.DATE,
       updatedAt: DataTypes.DATE,
       read: DataTypes.BOOLEAN,
+      // When the text was last edited, null if it never was
+      editedAt: DataTypes.DATE,
+      // When a scheduled post is due to be published, null once it is published
+      publishAt: DataTypes.DATE,
     },
-    {}
+    {
+      hooks: {
+        // Keeps the search index up to date with the text of the post
+        afterCreate: (post, options) =>
+          sequelize.models.searchTerms.indexPost(post, options),
+        afterUpdate: (post, options) =>
+          post.changed('text_content')
+            ? sequelize.models.searchTerms.indexPost(post, options)
+            : null,
+        afterDestroy: (post, options) =>
+          sequelize.models.searchTerms.destroy({
+            where: { postId: post.id },
+            transaction: options.transaction,
+          }),
+      },
+    }
   )
   posts.associate = function (models) {
     // associations can be defined here
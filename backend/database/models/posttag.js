@@ -7,8 +7,15 @@ module.exports = (sequelize, DataTypes) => {
      * This method is not a part of Sequelize lifecycle.
      * The `models/index` file will call this method automatically.
      */
-    static associate() {
-      // define association here
+    static associate(models) {
+      postTag.belongsTo(models.posts, { foreignKey: 'postId' })
+      postTag.belongsTo(models.tags, { foreignKey: 'tagId' })
+      // The tags of the same post, to find the tags used together
+      postTag.hasMany(postTag, {
+        as: 'samePost',
+        foreignKey: 'postId',
+        sourceKey: 'postId',
+      })
     }
   }
   postTag.init(
@@ -0,0 +1,25 @@
+'use strict'
+const { Model } = require('sequelize')
+module.exports = (sequelize, DataTypes) => {
+  class revokedTokens extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate() {
+      // define association here
+    }
+  }
+  revokedTokens.init(
+    {
+      jti: DataTypes.STRING,
+      expiresAt: DataTypes.DATE,
+    },
+    {
+      sequelize,
+      modelName: 'revokedTokens',
+    }
+  )
+  return revokedTokens
+}
@@ -0,0 +1,66 @@
+'use strict'
+const { Model } = require('sequelize')
+
+// Words are letters, digits and underscores in any script
+const WORD = /[\p{L}\p{N}_]+/gu
+// Post texts can contain HTML character references like &nbsp;
+const CHARACTER_REFERENCE = /&(#\d+|\w+);/g
+const MAX_TERM_LENGTH = 64
+
+module.exports = (sequelize, DataTypes) => {
+  /**
+   * The search index, every word of a post with how often the post uses it.
+   * Posts are indexed whenever their text is saved, see the hooks of posts.
+   */
+  class searchTerms extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate() {
+      // define association here
+    }
+
+    /**
+     * The words of a text in lower case, mapped to the number of times
+     * each of them is used
+     */
+    static tokenize(text) {
+      const counts = new Map()
+      const words = (text ?? '')
+        .replace(CHARACTER_REFERENCE, ' ')
+        .toLowerCase()
+        .matchAll(WORD)
+      for (const [word] of words) {
+        const term = word.slice(0, MAX_TERM_LENGTH)
+        counts.set(term, (counts.get(term) ?? 0) + 1)
+      }
+      return counts
+    }
+
+    /**
+     * Replaces the indexed words of a post with the words of its current text
+     */
+    static async indexPost(post, { transaction } = {}) {
+      await this.destroy({ where: { postId: post.id }, transaction })
+      const terms = [...this.tokenize(post.text_content)]
+      await this.bulkCreate(
+        terms.map(([term, count]) => ({ postId: post.id, term, count })),
+        { transaction }
+      )
+    }
+  }
+  searchTerms.init(
+    {
+      postId: DataTypes.INTEGER,
+      term: DataTypes.STRING(MAX_TERM_LENGTH),
+      count: DataTypes.INTEGER,
+    },
+    {
+      sequelize,
+      modelName: 'searchTerms',
+    }
+  )
+  return searchTerms
+}
@@ -0,0 +1,28 @@
+'use strict'
+const { Model } = require('sequelize')
+module.exports = (sequelize, DataTypes) => {
+  class uploads extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate() {
+      // define association here
+    }
+  }
+  uploads.init(
+    {
+      userId: DataTypes.INTEGER,
+      filename: DataTypes.STRING,
+      contentType: DataTypes.STRING,
+      width: DataTypes.INTEGER,
+      height: DataTypes.INTEGER,
+    },
+    {
+      sequelize,
+      modelName: 'uploads',
+    }
+  )
+  return uploads
+}
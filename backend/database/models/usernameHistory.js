@@ -0,0 +1,25 @@
+'use strict'
+const { Model } = require('sequelize')
+module.exports = (sequelize, DataTypes) => {
+  class usernameHistory extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate() {
+      // define association here
+    }
+  }
+  usernameHistory.init(
+    {
+      userId: DataTypes.INTEGER,
+      username: DataTypes.STRING,
+    },
+    {
+      sequelize,
+      modelName: 'usernameHistory',
+    }
+  )
+  return usernameHistory
+}
@@ -18,6 +18,14 @@ module.exports = (sequelize, DataTypes) => {
         },
       },
       password: DataTypes.STRING,
+      emailVerified: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false,
+      },
+      tokenVersion: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0,
+      },
       nickname: DataTypes.STRING,
       profilePic: {
         type: DataTypes.STRING,
@@ -33,6 +41,7 @@ module.exports = (sequelize, DataTypes) => {
         // },
       },
       bio: DataTypes.STRING,
+      deactivatedAt: DataTypes.DATE,
       joinedDate: DataTypes.INTEGER,
       createdAt: DataTypes.DATE,
       updatedAt: DataTypes.DATE,
@@ -46,6 +55,12 @@ module.exports = (sequelize, DataTypes) => {
 
           User.joinedDate = Math.floor(Date.now() / 1000)
         },
+        beforeUpdate: (User) => {
+          if (User.changed('password')) {
+            const salt = bcrypt.genSaltSync()
+            User.password = bcrypt.hashSync(User.password, salt)
+          }
+        },
       },
     }
   )
@@ -0,0 +1,15 @@
+/**
+ * A data-transfer-object representing the information of a Draft
+ */
+export default class DraftDTO {
+  static convertToDto(draft) {
+    return {
+      id: draft.id,
+      content: draft.text_content ?? '',
+      parent: draft.parent,
+      quotedPostId: draft.quotedPostId,
+      createdAt: Date.parse(draft.createdAt),
+      updatedAt: Date.parse(draft.updatedAt),
+    }
+  }
+}
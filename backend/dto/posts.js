@@ -1,17 +1,24 @@
 import models from '../database/models'
 import UserDTO from './users'
+import PostRevisions from '../enums/postRevisions'
+import ScheduledPosts from '../enums/scheduledPosts'
+import Polls from '../enums/polls'
+import PostEntities from '../enums/postEntities'
 
 /**
  * A data-transfer-object representing the information of a post
+ *
+ * A quote post embeds the post it quotes as quotedPost, whose own quoted post
+ * is not embedded again. quotedPost is null if the quoted post was deleted.
  */
 export default class PostDTO {
-  static async convertToDto(post, userId = 0) {
+  static async convertToDto(post, userId = 0, { embedQuote = true } = {}) {
     const author = await UserDTO.convertToDto(
       await models.users.findByPk(post.author)
     )
     const children = await models.posts.findAll({
       attributes: ['id'],
-      where: { parent: post.id },
+      where: { parent: post.id, ...ScheduledPosts.PUBLISHED },
     })
     const usersLiked = await models.likedPost.findAll({
       where: { postId: post.id },
@@ -21,18 +28,56 @@ export default class PostDTO {
       where: { postId: post.id },
       raw: true,
     })
+    const bookmarks = userId
+      ? await models.bookmarks.count({ where: { postId: post.id, userId } })
+      : 0
+    const usersQuoted = await models.posts.count({
+      where: { quotedPostId: post.id, ...ScheduledPosts.PUBLISHED },
+    })
+    const quotedPost =
+      embedQuote && post.quotedPostId
+        ? await models.posts.findByPk(post.quotedPostId)
+        : null
+    const poll = await Polls.results(post, userId)
+    const attachments = await models.attachments.findAll({
+      where: { postID: post.id },
+      order: [['position', 'ASC']],
+    })
     return {
       id: post.id,
       content: post.text_content,
+      // Mentions, tags and URLs with their position in content, see PostEntities
+      entities: await PostEntities.of(post),
       author,
       parent: post.parent,
       children: children.map((child) => child.id),
       usersLiked: usersLiked.length,
       usersShared: usersShared.length,
-      timestamp: Date.parse(post.updatedAt),
-      attachment: null, // work in progress.
+      usersQuoted,
+      // Edits change updatedAt, so the post is dated by when it was written
+      timestamp: Date.parse(post.createdAt),
+      createdAt: Date.parse(post.createdAt),
+      editedAt: post.editedAt ? Date.parse(post.editedAt) : null,
+      // When a scheduled post is due, null once it is published
+      publishAt: post.publishAt ? Date.parse(post.publishAt) : null,
+      revisionCount: await PostRevisions.count(post.id),
+      attachments: attachments.map((attachment) => ({
+        uri: attachment.attachmentLink,
+        width: attachment.width,
+        height: attachment.height,
+        alt: attachment.alt,
+      })),
+      // The results are hidden until the user voted, see Polls.results
+      poll,
+      quotedPostId: post.quotedPostId ?? null,
+      quotedPost: quotedPost
+        ? await this.convertToDto(quotedPost, userId, { embedQuote: false })
+        : null,
       hasLiked: usersLiked.some((like) => like.userId === userId),
       hasShared: usersShared.some((share) => share.userId === userId),
+      hasVoted: poll?.votedOptionId != null,
+      // Only ever tells the user about their own bookmarks
+      hasBookmarked: bookmarks > 0,
     }
   }
 }
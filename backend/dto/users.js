@@ -4,7 +4,29 @@ import models from '../database/models'
  * A data-transfer-object representing the information of a User
  */
 export default class UserDTO {
+  /**
+   * Shown in place of users who have deleted their account
+   */
+  static deletedUser() {
+    return {
+      id: null,
+      username: null,
+      nickname: 'Deleted user',
+      profilePic: null,
+      profileBanner: null,
+      bio: null,
+      followers: 0,
+      following: 0,
+      joinedDate: null,
+      deleted: true,
+    }
+  }
+
   static async convertToDto(user) {
+    if (!user || user.deactivatedAt) {
+      return this.deletedUser()
+    }
+
     const numFollowers = await models.followers.count({
       where: { followedId: user.id },
     })
@@ -23,6 +45,7 @@ export default class UserDTO {
       followers: numFollowers,
       following: numFollowing,
       joinedDate: user.joinedDate,
+      deleted: false,
     }
   }
 }
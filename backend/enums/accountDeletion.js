@@ -0,0 +1,154 @@
+import config from 'config'
+import { Op } from 'sequelize'
+import models from '../database/models'
+import { deleteImage } from '../server/controllers/image'
+import Polls from './polls'
+import PostEntities from './postEntities'
+
+// How often accounts past their grace period are looked for
+const PURGE_INTERVAL = 60 * 60 * 1000
+
+/**
+ * Handles the deletion of user accounts.
+ *
+ * Deleting an account first deactivates it, the user can restore it during
+ * a grace period. Once the grace period is over the account is purged: the
+ * likes, shares, bookmarks, drafts, votes, mentions, follows, interests, posts
+ * and uploaded images of the user are removed. Posts that other users have replied to are anonymised
+ * instead so the replies keep their place in the thread.
+ */
+export default class AccountDeletion {
+  /**
+   * Whether the account is waiting to be purged
+   */
+  static isDeactivated(user) {
+    return Boolean(user?.deactivatedAt)
+  }
+
+  /**
+   * The time after which a deactivated account is purged
+   */
+  static purgeAt(user) {
+    const gracePeriod = config.get('ACCOUNT_DELETION.gracePeriod')
+    return new Date(new Date(user.deactivatedAt).getTime() + gracePeriod * 1000)
+  }
+
+  /**
+   * Starts the grace period of an account
+   */
+  static async deactivate(user) {
+    await user.update({ deactivatedAt: new Date() })
+  }
+
+  /**
+   * Cancels the deletion of an account
+   */
+  static async restore(user) {
+    await user.update({ deactivatedAt: null })
+  }
+
+  /**
+   * Purges every account whose grace period is over,
+   * returns the number of purged accounts
+   */
+  static async purgeExpired() {
+    const gracePeriod = config.get('ACCOUNT_DELETION.gracePeriod')
+    const expired = await models.users.findAll({
+      where: {
+        deactivatedAt: { [Op.lte]: new Date(Date.now() - gracePeriod * 1000) },
+      },
+    })
+    for (const user of expired) {
+      await this.purge(user.id)
+    }
+    return expired.length
+  }
+
+  /**
+   * Periodically purges accounts whose grace period is over
+   */
+  static startPurgeSchedule() {
+    const purge = () =>
+      this.purgeExpired().catch((error) =>
+        console.error('Failed to purge deleted accounts', error)
+      )
+    purge()
+    return setInterval(purge, PURGE_INTERVAL)
+  }
+
+  /**
+   * Removes a user and everything that belongs to them
+   */
+  static async purge(userId) {
+    const uploads = await models.uploads.findAll({ where: { userId } })
+    await models.sequelize.transaction(async (transaction) => {
+      await models.uploads.destroy({ where: { userId }, transaction })
+      await models.likedPost.destroy({ where: { userId }, transaction })
+      await models.sharedPost.destroy({ where: { userId }, transaction })
+      await models.followers.destroy({
+        where: { [Op.or]: [{ followerId: userId }, { followedId: userId }] },
+        transaction,
+      })
+      await models.userInterests.destroy({ where: { userId }, transaction })
+      await models.accountTokens.destroy({ where: { userId }, transaction })
+      await models.usernameHistory.destroy({ where: { userId }, transaction })
+      await models.bookmarks.destroy({ where: { userId }, transaction })
+      await models.drafts.destroy({ where: { userId }, transaction })
+      await models.pollVotes.destroy({ where: { userId }, transaction })
+      // Mentions of the user stop linking to them
+      await models.mentions.destroy({ where: { userId }, transaction })
+      // Notifications sent by the user are kept, they show a deleted user
+      await models.notifications.destroy({ where: { userId }, transaction })
+
+      // Newest first, so replies of the user to their own posts are
+      // removed before the posts they reply to are looked at
+      const posts = await models.posts.findAll({
+        where: { author: userId },
+        order: [['id', 'DESC']],
+        transaction,
+      })
+      for (const post of posts) {
+        await this.purgePost(post, transaction)
+      }
+
+      await models.users.destroy({ where: { id: userId }, transaction })
+    })
+
+    // Files are only removed once the records are gone, and only when nobody
+    // else has uploaded the same image
+    const filenames = new Set(uploads.map((upload) => upload.filename))
+    for (const filename of filenames) {
+      if ((await models.uploads.count({ where: { filename } })) === 0) {
+        await deleteImage(filename)
+      }
+    }
+  }
+
+  /**
+   * Removes a post of a purged user, or anonymises it if it has replies
+   */
+  static async purgePost(post, transaction) {
+    const postId = post.id
+    await models.attachments.destroy({ where: { postID: postId }, transaction })
+    await models.postTag.destroy({ where: { postId }, transaction })
+    // Earlier versions of the text are removed along with the text itself
+    await models.postRevision.destroy({ where: { postId }, transaction })
+    await Polls.remove(postId, transaction)
+    await PostEntities.removeMentions(postId, transaction)
+
+    const replies = await models.posts.count({
+      where: { parent: postId },
+      transaction,
+    })
+    if (replies > 0) {
+      await post.update({ author: null, text_content: null }, { transaction })
+      return
+    }
+
+    await models.likedPost.destroy({ where: { postId }, transaction })
+    await models.sharedPost.destroy({ where: { postId }, transaction })
+    await models.bookmarks.destroy({ where: { postId }, transaction })
+    await models.notifications.destroy({ where: { postId }, transaction })
+    await post.destroy({ transaction })
+  }
+}
@@ -0,0 +1,74 @@
+import config from 'config'
+import { createHash, randomBytes } from 'crypto'
+import models from '../database/models'
+
+/**
+ * Issues and redeems the single use, time limited tokens that are emailed to
+ * users to verify their email address or to reset their password.
+ *
+ * Only a hash of each token is stored, so the tokens in the database can not
+ * be used by anyone who manages to read it.
+ */
+export default class AccountTokens {
+  static verifyEmail = new AccountTokens('verifyEmail', 'verifyEmailExpiresIn')
+
+  static resetPassword = new AccountTokens(
+    'resetPassword',
+    'resetPasswordExpiresIn'
+  )
+
+  constructor(type, expiresInConfig) {
+    this.type = type
+    this.expiresInConfig = expiresInConfig
+  }
+
+  static hash(token) {
+    return createHash('sha256').update(token).digest('hex')
+  }
+
+  /**
+   * Creates a new token of the given type for a user, any tokens of the same
+   * type issued before are no longer valid. Returns the token to email.
+   */
+  static async issue(tokenType, userId) {
+    const token = randomBytes(32).toString('hex')
+    const expiresIn = config.get(`ACCOUNT_TOKENS.${tokenType.expiresInConfig}`)
+
+    await models.accountTokens.destroy({
+      where: { userId, type: tokenType.type },
+    })
+    await models.accountTokens.create({
+      userId,
+      type: tokenType.type,
+      tokenHash: this.hash(token),
+      expiresAt: new Date(Date.now() + expiresIn * 1000),
+    })
+    return token
+  }
+
+  /**
+   * Uses up a token of the given type, returns the id of the user it was
+   * issued to or null if the token is unknown, expired or already used
+   */
+  static async redeem(tokenType, token) {
+    if (typeof token !== 'string' || !token) {
+      return null
+    }
+    const accountToken = await models.accountTokens.findOne({
+      where: { type: tokenType.type, tokenHash: this.hash(token) },
+    })
+    if (!accountToken) {
+      return null
+    }
+
+    // Destroying the token first means it can only be redeemed once, even
+    // when the same link is opened twice at the same time
+    const destroyed = await models.accountTokens.destroy({
+      where: { id: accountToken.id },
+    })
+    if (destroyed === 0 || accountToken.expiresAt < new Date()) {
+      return null
+    }
+    return accountToken.userId
+  }
+}
@@ -1,22 +1,29 @@
 import { Op } from 'sequelize'
 import PostDTO from '../dto/posts'
 import models from '../database/models'
+import ScheduledPosts from './scheduledPosts'
+import { ActivityType } from './activityType'
 
 /**
- * Enum of Activity types
+ * The tables a feed entry can come from, in the order they are ranked when
+ * two entries share the same timestamp
  */
-export class ActivityType {
-  static POSTED = new ActivityType('POSTED')
-  static LIKED = new ActivityType('LIKED')
-  static SHARED = new ActivityType('SHARED')
-  static COMMENTED = new ActivityType('COMMENTED')
-  static INTERESTED = new ActivityType('INTERESTED')
-
-  constructor(type) {
-    this.type = type
-  }
+const FeedSource = {
+  LIKE: 1,
+  SHARE: 2,
+  POST: 3,
 }
 
+/**
+ * Orders feed entries newest first, with ties broken by source, post and user
+ * so that every entry has a unique position a cursor can point to
+ */
+const compareFeedEntries = (a, b) =>
+  b.timestamp - a.timestamp ||
+  b.source - a.source ||
+  b.postId - a.postId ||
+  b.userId - a.userId
+
 /**
  * Activity Class to store information about an activity
  * includes a post, the user, activity type and time
@@ -41,17 +48,19 @@ export default class Activity {
           [Op.eq]: null,
         },
         author: userId,
+        ...ScheduledPosts.PUBLISHED,
       },
       raw: true,
     })
 
+    // Quote posts are posts of their own, shown as QUOTED activities
     const postActivities = await Promise.all(
       ownPosts.map(
         async (post) =>
           new Activity(
             await PostDTO.convertToDto(post),
             userId,
-            ActivityType.POSTED.type,
+            ActivityType.ofPost(post).type,
             Date.parse(post.createdAt)
           )
       )
@@ -69,9 +78,13 @@ export default class Activity {
         const sharedPostData = await models.posts.findOne({
           where: {
             id: sharedPost.postId,
+            ...ScheduledPosts.PUBLISHED,
           },
           raw: true,
         })
+        if (!sharedPostData) {
+          return null
+        }
         return new Activity(
           await PostDTO.convertToDto(sharedPostData, currentUserId),
           userId,
@@ -93,9 +106,13 @@ export default class Activity {
         const likedPostData = await models.posts.findOne({
           where: {
             id: likedPost.postId,
+            ...ScheduledPosts.PUBLISHED,
           },
           raw: true,
         })
+        if (!likedPostData) {
+          return null
+        }
         return new Activity(
           await PostDTO.convertToDto(likedPostData, currentUserId),
           userId,
@@ -111,6 +128,7 @@ export default class Activity {
           [Op.ne]: null,
         },
         author: userId,
+        ...ScheduledPosts.PUBLISHED,
       },
       raw: true,
     })
@@ -127,10 +145,11 @@ export default class Activity {
       )
     )
 
+    // Posts that are deleted or not published yet are left out
     return [
       ...postActivities,
-      ...sharedActivities,
-      ...likedActivities,
+      ...sharedActivities.filter(Boolean),
+      ...likedActivities.filter(Boolean),
       ...commentActivities,
     ]
   }
@@ -160,6 +179,7 @@ export default class Activity {
   /**
    * Create a list of activities in order of post creation time
    * from a list of follower objects
+   * @Deprecated loads every activity of every followed user, use retrieveActivityFeedPage instead
    */
   static async retrieveActivityFeed(following) {
     const userActivities = await Promise.all(
@@ -174,6 +194,182 @@ export default class Activity {
     return feeds.sort((a, b) => (a.timestamp < b.timestamp ? 1 : -1))
   }
 
+  /**
+   * Retrieves a single page of the activity feed for the given followed users,
+   * newest first. Each source table is filtered by the cursor and limited by the
+   * database, so only the rows needed to build the page are loaded.
+   *
+   * Returns the activities of the page and the cursor of the next page,
+   * nextCursor is null once the feed is exhausted.
+   */
+  static async retrieveActivityFeedPage(
+    followedIds,
+    currentUserId,
+    limit,
+    cursor = null
+  ) {
+    if (followedIds.length === 0) {
+      return { activities: [], nextCursor: null }
+    }
+
+    // One extra row per source tells us whether there is another page
+    const [posts, shares, likes] = await Promise.all([
+      models.posts.findAll({
+        where: {
+          author: followedIds,
+          ...ScheduledPosts.PUBLISHED,
+          ...this.cursorFilter(cursor, FeedSource.POST, 'id', 'author'),
+        },
+        order: [
+          ['createdAt', 'DESC'],
+          ['id', 'DESC'],
+        ],
+        limit: limit + 1,
+        raw: true,
+      }),
+      models.sharedPost.findAll({
+        where: {
+          userId: followedIds,
+          ...this.cursorFilter(cursor, FeedSource.SHARE, 'postId', 'userId'),
+        },
+        order: [
+          ['createdAt', 'DESC'],
+          ['postId', 'DESC'],
+          ['userId', 'DESC'],
+        ],
+        limit: limit + 1,
+        raw: true,
+      }),
+      models.likedPost.findAll({
+        where: {
+          userId: followedIds,
+          ...this.cursorFilter(cursor, FeedSource.LIKE, 'postId', 'userId'),
+        },
+        order: [
+          ['createdAt', 'DESC'],
+          ['postId', 'DESC'],
+          ['userId', 'DESC'],
+        ],
+        limit: limit + 1,
+        raw: true,
+      }),
+    ])
+
+    const entries = [
+      ...posts.map((post) => ({
+        source: FeedSource.POST,
+        postId: post.id,
+        userId: post.author,
+        timestamp: Date.parse(post.createdAt),
+        type: ActivityType.ofPost(post),
+      })),
+      ...shares.map((share) => ({
+        source: FeedSource.SHARE,
+        postId: share.postId,
+        userId: share.userId,
+        timestamp: Date.parse(share.createdAt),
+        type: ActivityType.SHARED,
+      })),
+      ...likes.map((like) => ({
+        source: FeedSource.LIKE,
+        postId: like.postId,
+        userId: like.userId,
+        timestamp: Date.parse(like.createdAt),
+        type: ActivityType.LIKED,
+      })),
+    ].sort(compareFeedEntries)
+
+    const page = entries.slice(0, limit)
+    const nextCursor =
+      entries.length > limit ? this.encodeCursor(page[page.length - 1]) : null
+
+    const pagePosts = await models.posts.findAll({
+      where: { id: page.map((entry) => entry.postId) },
+      raw: true,
+    })
+
+    const activities = await Promise.all(
+      page
+        // Likes and shares can outlive the post they point to
+        .filter((entry) => pagePosts.some((post) => post.id === entry.postId))
+        .map(
+          async (entry) =>
+            new Activity(
+              await PostDTO.convertToDto(
+                pagePosts.find((post) => post.id === entry.postId),
+                currentUserId
+              ),
+              entry.userId,
+              entry.type.type,
+              entry.timestamp
+            )
+        )
+    )
+
+    return { activities, nextCursor }
+  }
+
+  /**
+   * Builds the where clause that only keeps the rows of a feed source which
+   * come after the given cursor in feed order
+   */
+  static cursorFilter(cursor, source, postColumn, userColumn) {
+    if (!cursor) {
+      return {}
+    }
+    const time = new Date(cursor.timestamp)
+    const older = { createdAt: { [Op.lt]: time } }
+
+    if (source < cursor.source) {
+      // Every row of this source at the cursor time comes after the cursor
+      return { [Op.or]: [older, { createdAt: time }] }
+    }
+    if (source > cursor.source) {
+      return older
+    }
+    return {
+      [Op.or]: [
+        older,
+        { createdAt: time, [postColumn]: { [Op.lt]: cursor.postId } },
+        {
+          createdAt: time,
+          [postColumn]: cursor.postId,
+          [userColumn]: { [Op.lt]: cursor.userId },
+        },
+      ],
+    }
+  }
+
+  /**
+   * Encodes the position of a feed entry into an opaque cursor string
+   */
+  static encodeCursor({ timestamp, source, postId, userId }) {
+    return Buffer.from(
+      JSON.stringify([timestamp, source, postId, userId])
+    ).toString('base64url')
+  }
+
+  /**
+   * Decodes a cursor created by encodeCursor, returns null if it is malformed
+   */
+  static decodeCursor(cursor) {
+    try {
+      const [timestamp, source, postId, userId] = JSON.parse(
+        Buffer.from(cursor, 'base64url').toString()
+      )
+      if (
+        [timestamp, source, postId, userId].every((value) =>
+          Number.isInteger(value)
+        )
+      ) {
+        return { timestamp, source, postId, userId }
+      }
+    } catch {
+      // fall through to the invalid cursor case
+    }
+    return null
+  }
+
   /**
    * converToFeedActivity helper to convert post to feed activity structure
    */
@@ -189,7 +385,8 @@ export default class Activity {
   }
 
   /**
-   * get all posts that the user is interested in.
+   * get all posts that the user is interested in, other than their own.
+   * A post with several of the user's interests is only returned once.
    */
   static async getPostsForInterests(userId) {
     // Retrieve user's interests
@@ -215,10 +412,15 @@ export default class Activity {
     )
 
     // Retrieve the actual posts for the given post IDs
+    const postIds = [...new Set(relatedPosts.map((post) => post.postId))]
     const posts = await Promise.all(
-      relatedPosts.map(async (post) => await models.posts.findByPk(post.postId))
+      postIds.map(async (postId) => await models.posts.findByPk(postId))
     )
 
-    return posts
+    // Scheduled posts are tagged when they are written, but not shown yet
+    return posts.filter(
+      (post) =>
+        post && post.author !== userId && ScheduledPosts.isPublished(post)
+    )
   }
 }
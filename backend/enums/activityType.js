@@ -0,0 +1,25 @@
+/**
+ * Enum of Activity types
+ */
+export class ActivityType {
+  static POSTED = new ActivityType('POSTED')
+  static LIKED = new ActivityType('LIKED')
+  static SHARED = new ActivityType('SHARED')
+  static COMMENTED = new ActivityType('COMMENTED')
+  static QUOTED = new ActivityType('QUOTED')
+  static INTERESTED = new ActivityType('INTERESTED')
+
+  constructor(type) {
+    this.type = type
+  }
+
+  /**
+   * The activity of writing the given post: a reply, a quote or a plain post
+   */
+  static ofPost(post) {
+    if (post.parent) {
+      return ActivityType.COMMENTED
+    }
+    return post.quotedPostId ? ActivityType.QUOTED : ActivityType.POSTED
+  }
+}
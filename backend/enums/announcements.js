@@ -0,0 +1,64 @@
+import models from '../database/models'
+import { ActivityType } from './activityType'
+import LiveEvents from './liveEvents'
+import Notifications from './notifications'
+
+/**
+ * Lets other users know about new posts and activity on posts: notifies the
+ * users they concern and pushes them to the connected followers of the user
+ */
+export default class Announcements {
+  /**
+   * Notifies the authors of the parent and quoted posts and the mentioned
+   * users about a new post, and shows it to the followers of its author.
+   * Called when the post is published, which is later than its creation for
+   * scheduled posts, see ScheduledPosts.
+   *
+   * The parent and quoted posts are looked up unless they are given.
+   */
+  static async announcePost(post, { parent, quotedPost } = {}) {
+    parent ??= post.parent ? await models.posts.findByPk(post.parent) : null
+    quotedPost ??= post.quotedPostId
+      ? await models.posts.findByPk(post.quotedPostId)
+      : null
+
+    if (parent) {
+      await Notifications.notify(
+        Notifications.reply,
+        parent.author,
+        post.author,
+        post.id
+      )
+    }
+    if (quotedPost) {
+      await Notifications.notify(
+        Notifications.quote,
+        quotedPost.author,
+        post.author,
+        post.id
+      )
+    }
+    // The authors of the parent and quoted posts are already notified
+    await Notifications.notifyMentions(
+      post,
+      [parent?.author, quotedPost?.author].filter(Boolean)
+    )
+    await this.publishFeedActivity(
+      ActivityType.ofPost(post),
+      post.id,
+      post.author
+    )
+  }
+
+  /**
+   * Lets the connected followers of a user know about their new activity
+   */
+  static publishFeedActivity(activityType, postId, userId) {
+    return LiveEvents.publishToFollowers(LiveEvents.feed, userId, {
+      activity: activityType.type,
+      postId,
+      userId,
+      timestamp: Date.now(),
+    })
+  }
+}
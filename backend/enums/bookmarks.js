@@ -0,0 +1,82 @@
+import { Op } from 'sequelize'
+import models from '../database/models'
+import PostDTO from '../dto/posts'
+import ScheduledPosts from './scheduledPosts'
+
+/**
+ * Supports the operations for the posts a user has saved for later.
+ *
+ * Bookmarks are private: unlike likes they are not shown as activities and
+ * the author of the post is not notified.
+ */
+export default class Bookmarks {
+  /**
+   * Bookmarks a post for a user, returns whether a new bookmark was created
+   */
+  static async add(userId, postId) {
+    const [, created] = await models.bookmarks.findOrCreate({
+      where: { userId, postId },
+    })
+    return created
+  }
+
+  /**
+   * Removes the bookmark of a post, returns whether there was one
+   */
+  static async remove(userId, postId) {
+    const count = await models.bookmarks.destroy({ where: { userId, postId } })
+    return count > 0
+  }
+
+  /**
+   * Retrieves a page of the bookmarks of a user, most recently saved first.
+   *
+   * Returns the bookmarked posts with the time they were saved, and the
+   * cursor of the next page. nextCursor is null once there are no more.
+   */
+  static async retrievePage(userId, limit, cursor = null) {
+    const bookmarks = await models.bookmarks.findAll({
+      where: {
+        userId,
+        ...(cursor ? { id: { [Op.lt]: cursor } } : {}),
+      },
+      order: [['id', 'DESC']],
+      // One more than needed to know whether there is another page
+      limit: limit + 1,
+    })
+    const page = bookmarks.slice(0, limit)
+
+    const posts = await models.posts.findAll({
+      where: {
+        id: page.map((bookmark) => bookmark.postId),
+        ...ScheduledPosts.visibleTo(userId),
+      },
+    })
+    const items = await Promise.all(
+      page
+        // Deleted posts and posts scheduled by other users are left out
+        .filter((bookmark) => posts.some((post) => post.id === bookmark.postId))
+        .map(async (bookmark) => ({
+          post: await PostDTO.convertToDto(
+            posts.find((post) => post.id === bookmark.postId),
+            userId
+          ),
+          bookmarkedAt: Date.parse(bookmark.createdAt),
+        }))
+    )
+
+    return {
+      items,
+      nextCursor:
+        bookmarks.length > limit ? String(page[page.length - 1].id) : null,
+    }
+  }
+
+  /**
+   * The bookmark id a cursor points to, or null when it is not a valid cursor
+   */
+  static decodeCursor(cursor) {
+    const id = Number(cursor)
+    return Number.isInteger(id) && id > 0 ? id : null
+  }
+}
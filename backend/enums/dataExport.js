@@ -0,0 +1,226 @@
+import archiver from 'archiver'
+import models from '../database/models'
+import UserDTO from '../dto/users'
+import PostDTO from '../dto/posts'
+import UserHandleDTO from '../dto/userHandle'
+import DraftDTO from '../dto/drafts'
+import { readImage } from '../server/controllers/image'
+
+// Images are served as <BACKEND_URL>images/<filename>, other links are kept as they are
+const IMAGE_URI = /\/images\/([^/?#]+)$/
+
+/**
+ * Gathers everything that is stored about a user and packs it into a ZIP archive
+ * of JSON files, together with the images the user uploaded
+ */
+export default class DataExport {
+  /**
+   * Collects the personal data of a user, returns the JSON documents of the
+   * archive keyed by their file name and the file names of the user's images
+   */
+  static async collect(userId) {
+    const user = await models.users.findByPk(userId)
+
+    const previousUsernames = await models.usernameHistory.findAll({
+      where: { userId },
+      order: [['createdAt', 'ASC']],
+    })
+    const profile = {
+      ...(await UserDTO.convertToDto(user)),
+      email: user.email,
+      emailVerified: user.emailVerified,
+      previousUsernames: previousUsernames.map((entry) => ({
+        username: entry.username,
+        changedAt: entry.createdAt,
+      })),
+    }
+
+    const posts = await models.posts.findAll({
+      where: { author: userId },
+      order: [['createdAt', 'ASC']],
+    })
+    const attachments = await models.attachments.findAll({
+      where: { postID: posts.map((post) => post.id) },
+    })
+    const revisions = await models.postRevision.findAll({
+      where: { postId: posts.map((post) => post.id) },
+      order: [['id', 'ASC']],
+    })
+    const postDtos = await Promise.all(
+      posts.map(async (post) => ({
+        ...(await PostDTO.convertToDto(post, userId)),
+        createdAt: post.createdAt,
+      }))
+    )
+
+    const likes = await models.likedPost.findAll({
+      where: { userId },
+      order: [['createdAt', 'ASC']],
+    })
+    const shares = await models.sharedPost.findAll({
+      where: { userId },
+      order: [['createdAt', 'ASC']],
+    })
+
+    const bookmarks = await models.bookmarks.findAll({
+      where: { userId },
+      order: [['createdAt', 'ASC']],
+    })
+
+    const votes = await models.pollVotes.findAll({
+      where: { userId },
+      order: [['createdAt', 'ASC']],
+    })
+    const votedPolls = await models.polls.findAll({
+      where: { id: votes.map((vote) => vote.pollId) },
+    })
+    const votedOptions = await models.pollOptions.findAll({
+      where: { id: votes.map((vote) => vote.pollOptionId) },
+    })
+
+    const drafts = await models.drafts.findAll({
+      where: { userId },
+      order: [['createdAt', 'ASC']],
+    })
+
+    const followers = await models.followers.findAll({
+      where: { followedId: userId },
+    })
+    const following = await models.followers.findAll({
+      where: { followerId: userId },
+    })
+
+    const interests = await models.userInterests.findAll({
+      where: { userId },
+    })
+    const tags = await models.tags.findAll({
+      where: { id: interests.map((interest) => interest.tagId) },
+    })
+
+    const uploads = await models.uploads.findAll({ where: { userId } })
+
+    const imageLinks = [
+      user.profilePic,
+      user.profileBanner,
+      ...attachments.map((attachment) => attachment.attachmentLink),
+    ]
+    const images = [
+      ...new Set([
+        ...imageLinks.map((link) => this.imageFilename(link)),
+        ...uploads.map((upload) => upload.filename),
+      ]),
+    ].filter((filename) => filename !== null)
+
+    return {
+      documents: {
+        'profile.json': profile,
+        'posts.json': postDtos.filter((post) => post.parent === null),
+        'replies.json': postDtos.filter((post) => post.parent !== null),
+        'revisions.json': revisions.map((revision) => ({
+          postId: revision.postId,
+          content: revision.text_content,
+          replacedAt: revision.createdAt,
+        })),
+        'likes.json': likes.map((like) => ({
+          postId: like.postId,
+          likedAt: like.createdAt,
+        })),
+        'shares.json': shares.map((share) => ({
+          postId: share.postId,
+          sharedAt: share.createdAt,
+        })),
+        'bookmarks.json': bookmarks.map((bookmark) => ({
+          postId: bookmark.postId,
+          bookmarkedAt: bookmark.createdAt,
+        })),
+        'votes.json': votes.map((vote) => ({
+          postId: votedPolls.find((poll) => poll.id === vote.pollId)?.postId,
+          option: votedOptions.find((option) => option.id === vote.pollOptionId)
+            ?.text,
+          votedAt: vote.createdAt,
+        })),
+        'drafts.json': drafts.map((draft) => DraftDTO.convertToDto(draft)),
+        'followers.json': await this.userHandles(
+          followers.map((follower) => follower.followerId)
+        ),
+        'following.json': await this.userHandles(
+          following.map((follower) => follower.followedId)
+        ),
+        'interests.json': tags.map((tag) => tag.tagName),
+      },
+      images,
+    }
+  }
+
+  /**
+   * Writes the ZIP archive of the collected data to the given stream,
+   * resolves once the archive has been fully written
+   */
+  static async writeArchive({ documents, images }, output) {
+    const archive = archiver('zip')
+    const finished = new Promise((resolve, reject) => {
+      archive.on('error', reject)
+      output.on('close', resolve)
+      output.on('finish', resolve)
+    })
+    archive.pipe(output)
+
+    Object.entries(documents).forEach(([filename, document]) =>
+      archive.append(JSON.stringify(document, null, 2), { name: filename })
+    )
+    // Images are read one at a time so a large account does not open every file at once
+    for (const filename of images) {
+      const image = await this.readImageBuffer(filename)
+      if (image) {
+        archive.append(image, { name: `images/${filename}` })
+      }
+    }
+
+    await archive.finalize()
+    return finished
+  }
+
+  /**
+   * Usernames of the given users, deleted accounts are left out
+   */
+  static async userHandles(userIds) {
+    const users = await models.users.findAll({
+      where: { id: userIds, deactivatedAt: null },
+    })
+    return users.map((user) => UserHandleDTO.convertToDto(user))
+  }
+
+  /**
+   * The storage file name of an uploaded image, or null for links to anywhere else
+   */
+  static imageFilename(link) {
+    const match = link ? IMAGE_URI.exec(link) : null
+    return match ? decodeURIComponent(match[1]) : null
+  }
+
+  /**
+   * Reads an image from storage, resolves to null when it can not be read
+   * so a single missing image does not break the whole export. Reading fails
+   * right away for invalid file names, and through the stream otherwise.
+   */
+  static readImageBuffer(filename) {
+    return new Promise((resolve) => {
+      const skip = (error) => {
+        // eslint-disable-next-line no-console
+        console.error(`Could not export image ${filename}: ${error}`)
+        resolve(null)
+      }
+      let stream
+      try {
+        stream = readImage(filename)
+      } catch (error) {
+        skip(error)
+        return
+      }
+      const chunks = []
+      stream.on('data', (chunk) => chunks.push(chunk))
+      stream.on('end', () => resolve(Buffer.concat(chunks)))
+      stream.on('error', skip)
+    })
+  }
+}
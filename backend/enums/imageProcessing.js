@@ -0,0 +1,201 @@
+import config from 'config'
+import { createHash } from 'crypto'
+import path from 'path'
+import sharp from 'sharp'
+
+/**
+ * Thrown when an upload is not an image that can be stored,
+ * status is the response code to send back
+ */
+export class ImageValidationError extends Error {
+  constructor(message, status = 400) {
+    super(message)
+    this.name = 'ImageValidationError'
+    this.status = status
+  }
+}
+
+/**
+ * Enum of the sizes every uploaded image is stored at
+ */
+export class ImageRendition {
+  static THUMBNAIL = new ImageRendition('thumbnail', 320)
+  static MEDIUM = new ImageRendition('medium', 1280)
+  static ORIGINAL = new ImageRendition('original', null)
+
+  static ALL = [
+    ImageRendition.THUMBNAIL,
+    ImageRendition.MEDIUM,
+    ImageRendition.ORIGINAL,
+  ]
+
+  /**
+   * @param {string} size - the name used in URIs
+   * @param {number} maxDimension - the longest side in pixels, null keeps the uploaded size
+   */
+  constructor(size, maxDimension) {
+    this.size = size
+    this.maxDimension = maxDimension
+  }
+
+  static fromSize(size) {
+    return this.ALL.find((rendition) => rendition.size === size) ?? null
+  }
+
+  /**
+   * The file name of this rendition of an image, the original keeps the
+   * image's own name so its URI points at the full size image
+   */
+  filename(filename) {
+    if (this === ImageRendition.ORIGINAL) {
+      return filename
+    }
+    const { name, ext } = path.parse(filename)
+    return `${name}-${this.size}${ext}`
+  }
+}
+
+// The accepted formats, recognised by the bytes every file of the format starts with
+const FORMATS = {
+  jpeg: { extension: 'jpg', contentType: 'image/jpeg', animated: false },
+  png: { extension: 'png', contentType: 'image/png', animated: false },
+  gif: { extension: 'gif', contentType: 'image/gif', animated: true },
+  webp: { extension: 'webp', contentType: 'image/webp', animated: true },
+}
+
+// Content hashed names as given by process, optionally with the rendition size
+const CONTENT_HASHED_NAME = /^[0-9a-f]{32}(-[a-z]+)?\.[a-z]+$/
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length &&
+  bytes.every((byte, i) => buffer[offset + i] === byte)
+
+/**
+ * Validates uploaded images and re-encodes them into renditions that are
+ * safe to serve
+ */
+export default class ImageProcessing {
+  /**
+   * The format of an image judged by its magic bytes, or null when it is not
+   * one of the accepted formats. The file name and MIME type sent by the
+   * client are not trusted.
+   */
+  static detectFormat(buffer) {
+    if (startsWith(buffer, [0xff, 0xd8, 0xff])) {
+      return 'jpeg'
+    }
+    if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) {
+      return 'png'
+    }
+    if (startsWith(buffer, [0x47, 0x49, 0x46, 0x38])) {
+      return 'gif'
+    }
+    if (
+      startsWith(buffer, [0x52, 0x49, 0x46, 0x46]) &&
+      startsWith(buffer, [0x57, 0x45, 0x42, 0x50], 8)
+    ) {
+      return 'webp'
+    }
+    return null
+  }
+
+  /**
+   * The MIME type of a stored image judged by its file extension,
+   * or null when the extension is not one of an accepted format
+   */
+  static contentType(filename) {
+    const extension = path.extname(filename).slice(1).toLowerCase()
+    const format = Object.values(FORMATS).find(
+      (candidate) =>
+        candidate.extension === extension ||
+        (candidate.extension === 'jpg' && extension === 'jpeg')
+    )
+    return format?.contentType ?? null
+  }
+
+  /**
+   * Whether the file name was derived from the content of the image, such
+   * files never change once they are stored
+   */
+  static isContentHashed(filename) {
+    return CONTENT_HASHED_NAME.test(filename)
+  }
+
+  /**
+   * Validates an uploaded image and re-encodes it at every rendition.
+   *
+   * Re-encoding drops all metadata, including EXIF data such as the GPS
+   * location of phone photos, after the EXIF orientation has been applied.
+   * The image is named after a hash of its content, so uploading the same
+   * image twice results in the same files.
+   *
+   * Throws an ImageValidationError when the upload is too large or not an image.
+   */
+  static async process(buffer) {
+    const maxUploadSize = config.get('IMAGES.maxUploadSize')
+    if (buffer.length > maxUploadSize) {
+      throw new ImageValidationError(
+        `Images can be at most ${Math.floor(maxUploadSize / 1024 / 1024)} MB`,
+        413
+      )
+    }
+
+    const format = this.detectFormat(buffer)
+    if (!format) {
+      throw new ImageValidationError(
+        'Only JPEG, PNG, GIF and WebP images can be uploaded'
+      )
+    }
+    const { extension, contentType, animated } = FORMATS[format]
+
+    let original
+    try {
+      original = await sharp(buffer, { animated })
+        .rotate()
+        .toFormat(format)
+        .toBuffer({ resolveWithObject: true })
+    } catch {
+      throw new ImageValidationError('The image could not be read')
+    }
+
+    const hash = createHash('sha256')
+      .update(original.data)
+      .digest('hex')
+      .slice(0, 32)
+    const filename = `${hash}.${extension}`
+
+    const renditions = await Promise.all(
+      ImageRendition.ALL.map(async (rendition) => ({
+        filename: rendition.filename(filename),
+        data: await this.resize(original.data, rendition, format, animated),
+      }))
+    )
+
+    return {
+      filename,
+      contentType,
+      width: original.info.width,
+      // Animated images report the height of all frames stacked together
+      height: original.info.pageHeight ?? original.info.height,
+      renditions,
+    }
+  }
+
+  /**
+   * Scales an image down so neither side is longer than the rendition allows
+   */
+  static async resize(data, rendition, format, animated) {
+    if (!rendition.maxDimension) {
+      return data
+    }
+    return sharp(data, { animated })
+      .resize({
+        width: rendition.maxDimension,
+        height: rendition.maxDimension,
+        fit: 'inside',
+        withoutEnlargement: true,
+      })
+      .toFormat(format)
+      .toBuffer()
+  }
+}
@@ -0,0 +1,97 @@
+import models from '../database/models'
+
+// How often a comment is sent down idle streams so proxies do not close them
+const HEARTBEAT_INTERVAL = 25000
+
+/**
+ * Keeps track of the open Server-Sent Event streams of every user and pushes
+ * live events such as new notifications and feed activity to them
+ */
+export default class LiveEvents {
+  static notification = new LiveEvents('notification')
+
+  static feed = new LiveEvents('feed')
+
+  // Sent with the ids of notifications that were removed, e.g. after an unlike
+  static notificationRemoved = new LiveEvents('notificationRemoved')
+
+  // userId => Set of open responses, a user can be connected from several tabs
+  static streams = new Map()
+
+  constructor(type) {
+    this.type = type
+  }
+
+  /**
+   * Opens an event stream on the response and keeps it open until the client disconnects
+   */
+  static subscribe(userId, req, res) {
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+    })
+    res.flushHeaders()
+    res.write('retry: 5000\n\n')
+
+    if (!this.streams.has(userId)) {
+      this.streams.set(userId, new Set())
+    }
+    this.streams.get(userId).add(res)
+
+    const heartbeat = setInterval(() => res.write(':\n\n'), HEARTBEAT_INTERVAL)
+    req.on('close', () => {
+      clearInterval(heartbeat)
+      this.unsubscribe(userId, res)
+    })
+  }
+
+  /**
+   * Removes a closed stream of a user
+   */
+  static unsubscribe(userId, res) {
+    const userStreams = this.streams.get(userId)
+    if (!userStreams) {
+      return
+    }
+    userStreams.delete(res)
+    if (userStreams.size === 0) {
+      this.streams.delete(userId)
+    }
+  }
+
+  /**
+   * Whether the user has at least one open stream
+   */
+  static isConnected(userId) {
+    return this.streams.has(userId)
+  }
+
+  /**
+   * Pushes an event to every open stream of a user
+   */
+  static publish(eventType, userId, data) {
+    const userStreams = this.streams.get(userId)
+    if (!userStreams) {
+      return
+    }
+    const payload = JSON.stringify(data)
+    const message = `event: ${eventType.type}\ndata: ${payload}\n\n`
+    userStreams.forEach((res) => res.write(message))
+  }
+
+  /**
+   * Pushes an event to every connected follower of a user
+   */
+  static async publishToFollowers(eventType, userId, data) {
+    if (this.streams.size === 0) {
+      return
+    }
+    const followers = await models.followers.findAll({
+      where: { followedId: userId },
+    })
+    followers.forEach((follower) =>
+      this.publish(eventType, follower.followerId, data)
+    )
+  }
+}
@@ -1,4 +1,6 @@
 import models from '../database/models'
+import LiveEvents from './liveEvents'
+import PostEntities from './postEntities'
 
 /**
  * Supports the operations for getting and creating notifications for a user
@@ -12,38 +14,199 @@ export default class Notifications {
 
   static follow = new Notifications('follow')
 
+  static mention = new Notifications('mention')
+
+  static quote = new Notifications('quote')
+
+  // Sent to the author of a poll once it has closed, without a sender
+  static pollClosed = new Notifications('poll')
+
   constructor(type) {
     this.type = type
   }
 
   /**
-   *  Retrieves all the notifications associated to a specific user
+   * Stores a new notification for a user about an action of another user and
+   * pushes it to the user if they are connected.
+   * Users are never notified about their own actions. fromUserId is null for
+   * notifications that were not caused by a user.
    */
-  static async retrieveNotifications(userId) {
-    const userPosts = await models.posts.findAll({
+  static async notify(notificationType, userId, fromUserId, postId = null) {
+    // Anonymised posts of deleted users have no author to notify
+    if (!userId || userId === fromUserId) {
+      return null
+    }
+    const notification = await models.notifications.create({
+      userId,
+      fromUserId,
+      type: notificationType.type,
+      postId,
+    })
+
+    if (LiveEvents.isConnected(userId)) {
+      const fromUser = fromUserId
+        ? await models.users.findByPk(fromUserId)
+        : null
+      const post = postId ? await models.posts.findByPk(postId) : null
+      LiveEvents.publish(
+        LiveEvents.notification,
+        userId,
+        this.convertStoredNotification(notification, fromUser, post)
+      )
+    }
+    return notification
+  }
+
+  /**
+   * Removes the notifications created by an action that has since been undone,
+   * e.g. when a post is unliked or a user is unfollowed, and tells the user
+   * if they are connected so their unread count stays correct
+   */
+  static async retract(notificationType, userId, fromUserId, postId = null) {
+    const notifications = await models.notifications.findAll({
       where: {
-        author: userId,
+        userId,
+        fromUserId,
+        type: notificationType.type,
+        postId,
       },
     })
+    if (notifications.length === 0) {
+      return 0
+    }
+    const ids = notifications.map((notification) => notification.id)
+    const count = await models.notifications.destroy({ where: { id: ids } })
+    LiveEvents.publish(LiveEvents.notificationRemoved, userId, {
+      ids,
+      unread: notifications.filter((notification) => !notification.read).length,
+    })
+    return count
+  }
+
+  /**
+   * Notifies every user mentioned in a post, as stored by PostEntities.recordMentions.
+   * Users in skipUserIds, e.g. the author of the replied to post, are not notified.
+   */
+  static async notifyMentions(post, skipUserIds = []) {
+    const mentionedUserIds = await PostEntities.mentionedUserIds(post.id)
+    return Promise.all(
+      mentionedUserIds
+        .filter((userId) => !skipUserIds.includes(userId))
+        .map((userId) =>
+          this.notify(Notifications.mention, userId, post.author, post.id)
+        )
+    )
+  }
 
-    const replies = await this.retrieveAllReplies(userPosts)
-    const likes = await this.retrieveAllLikes(userPosts)
-    const shares = await this.retrieveAllShares(userPosts)
+  /**
+   *  Retrieves all the notifications of a specific user, newest first
+   */
+  static async retrieveNotifications(userId) {
+    const notifications = await models.notifications.findAll({
+      where: { userId },
+      order: [
+        ['createdAt', 'DESC'],
+        ['id', 'DESC'],
+      ],
+    })
 
-    const user = await models.users.findOne({
+    const fromUsers = await models.users.findAll({
       where: {
-        id: userId,
+        id: [...new Set(notifications.map((n) => n.fromUserId))],
       },
     })
-    const follows = await this.retrieveAllFollows(user)
+    const posts = await models.posts.findAll({
+      where: {
+        id: [
+          ...new Set(
+            notifications.filter((n) => n.postId).map((n) => n.postId)
+          ),
+        ],
+      },
+    })
+
+    return notifications.map((n) => {
+      const from = fromUsers.find((user) => user.id === n.fromUserId)
+      const post = posts.find((p) => p.id === n.postId)
+      return this.convertStoredNotification(n, from, post)
+    })
+  }
 
-    const notifications = [...replies, ...likes, ...shares, ...follows]
-    notifications.sort((a, b) => (a.timestamp < b.timestamp ? 1 : -1))
-    return notifications
+  /**
+   * Converts a stored notification into the standard format for notifications.
+   * Notifications from users who have deleted their account have no sender,
+   * nor do notifications that were not caused by a user.
+   */
+  static convertStoredNotification(notification, fromUser, post) {
+    const fromDeleted =
+      notification.fromUserId != null &&
+      (!fromUser || Boolean(fromUser.deactivatedAt))
+    // Poll closed notifications and the like have no sender at all
+    const noSender = fromDeleted || !fromUser
+    let content = null
+    if (
+      notification.type === Notifications.reply.type ||
+      notification.type === Notifications.mention.type
+    ) {
+      content = post ? post.text_content : null
+    } else if (notification.type === Notifications.follow.type) {
+      content = noSender ? null : fromUser.id
+    }
+
+    return {
+      id: notification.id,
+      type: notification.type,
+      from: noSender ? null : fromUser.username,
+      fromDeleted,
+      post: notification.postId,
+      timestamp: Date.parse(notification.createdAt),
+      content,
+      read: notification.read,
+    }
+  }
+
+  /**
+   * Marks a single notification of a user as read.
+   * Returns false if the user has no notification with that id
+   */
+  static async markAsRead(notificationId, userId) {
+    const [count] = await models.notifications.update(
+      { read: true },
+      { where: { id: notificationId, userId } }
+    )
+    if (count > 0) {
+      return true
+    }
+    // An already read notification is not updated but still exists
+    const existing = await models.notifications.findOne({
+      where: { id: notificationId, userId },
+    })
+    return existing !== null
+  }
+
+  /**
+   * Marks every notification of a user as read, returns the number updated
+   */
+  static async markAllAsRead(userId) {
+    const [count] = await models.notifications.update(
+      { read: true },
+      { where: { userId, read: false } }
+    )
+    return count
+  }
+
+  /**
+   * Counts the notifications of a user that have not been read yet
+   */
+  static async countUnread(userId) {
+    return models.notifications.count({
+      where: { userId, read: false },
+    })
   }
 
   /**
    * Converts an event or interaction into a standard format for notifications
+   * @Deprecated use convertStoredNotification instead
    */
   static async convertToNotifications(notificationType, details) {
     if (notificationType === Notifications.reply) {
@@ -93,6 +256,7 @@ export default class Notifications {
 
   /**
    * Retrieves a list of all the replies to a users posts
+   * @Deprecated notifications are stored when they happen, use retrieveNotifications instead
    */
   static async retrieveAllReplies(userPosts) {
     const allReplies = []
@@ -116,6 +280,7 @@ export default class Notifications {
 
   /**
    * Retrieves a list of all likes on a users posts
+   * @Deprecated notifications are stored when they happen, use retrieveNotifications instead
    */
   static async retrieveAllLikes(userPosts) {
     const allLikes = []
@@ -144,6 +309,7 @@ export default class Notifications {
 
   /**
    * Retrieves a list iof all shares on a users posts
+   * @Deprecated notifications are stored when they happen, use retrieveNotifications instead
    */
   static async retrieveAllShares(userPosts) {
     const allShares = []
@@ -172,6 +338,7 @@ export default class Notifications {
 
   /**
    * Retrieves a list of all follow notifications for a user
+   * @Deprecated notifications are stored when they happen, use retrieveNotifications instead
    */
   static async retrieveAllFollows(user) {
     const allFollows = []
@@ -0,0 +1,232 @@
+import { Op } from 'sequelize'
+import models from '../database/models'
+import Notifications from './notifications'
+import ScheduledPosts from './scheduledPosts'
+
+const MIN_OPTIONS = 2
+const MAX_OPTIONS = 4
+const MAX_OPTION_LENGTH = 50
+// Polls run for at least five minutes and at most a week
+const MIN_DURATION = 5 * 60 * 1000
+const MAX_DURATION = 7 * 24 * 60 * 60 * 1000
+// How often polls that have closed are looked for
+const CLOSE_INTERVAL = 60 * 1000
+
+/**
+ * Thrown when the poll sent with a post is invalid,
+ * status is the response code to send back
+ */
+export class PollValidationError extends Error {
+  constructor(message, status = 400) {
+    super(message)
+    this.name = 'PollValidationError'
+    this.status = status
+  }
+}
+
+/**
+ * Supports the polls that can be attached to a post.
+ *
+ * A poll has two to four options and closes at a set time. Every user can
+ * vote once, except for the author of the poll. The number of votes is hidden
+ * from a user until they have voted or the poll has closed, the author sees
+ * them all along. Once a poll has closed its author is notified.
+ */
+export default class Polls {
+  /**
+   * Validates a poll sent with a new post, startsAt is when the post is published.
+   * Returns the trimmed options and the closing time.
+   *
+   * Throws a PollValidationError when the poll is invalid
+   */
+  static parse(poll, startsAt = new Date()) {
+    let value = poll
+    // Multipart form data sends the poll as JSON
+    if (typeof value === 'string') {
+      try {
+        value = JSON.parse(value)
+      } catch {
+        throw new PollValidationError('The poll must be a JSON object')
+      }
+    }
+    if (!value || typeof value !== 'object') {
+      throw new PollValidationError('The poll must be a JSON object')
+    }
+
+    const { options, closesAt } = value
+    if (
+      !Array.isArray(options) ||
+      options.length < MIN_OPTIONS ||
+      options.length > MAX_OPTIONS
+    ) {
+      throw new PollValidationError(
+        `A poll needs between ${MIN_OPTIONS} and ${MAX_OPTIONS} options`
+      )
+    }
+    const texts = options.map((option) =>
+      typeof option === 'string' ? option.trim() : ''
+    )
+    if (texts.some((text) => !text || text.length > MAX_OPTION_LENGTH)) {
+      throw new PollValidationError(
+        `Every option needs between 1 and ${MAX_OPTION_LENGTH} characters`
+      )
+    }
+    if (new Set(texts.map((text) => text.toLowerCase())).size < texts.length) {
+      throw new PollValidationError('The options of a poll must differ')
+    }
+
+    const closeTime = new Date(closesAt)
+    const duration = closeTime - startsAt
+    if (
+      Number.isNaN(closeTime.getTime()) ||
+      duration < MIN_DURATION ||
+      duration > MAX_DURATION
+    ) {
+      throw new PollValidationError(
+        'closesAt must be between five minutes and a week after the post is published'
+      )
+    }
+    return { options: texts, closesAt: closeTime }
+  }
+
+  /**
+   * Attaches a poll validated by parse to a post
+   */
+  static async create(postId, { options, closesAt }) {
+    const poll = await models.polls.create({ postId, closesAt })
+    await models.pollOptions.bulkCreate(
+      options.map((text, position) => ({ pollId: poll.id, position, text }))
+    )
+    return poll
+  }
+
+  /**
+   * Whether votes are no longer accepted
+   */
+  static isClosed(poll) {
+    return new Date(poll.closesAt) <= new Date()
+  }
+
+  /**
+   * The poll of a post as the given user sees it, null if the post has none.
+   * votes and totalVotes are null while the results are hidden from the user.
+   */
+  static async results(post, userId) {
+    const poll = await models.polls.findOne({ where: { postId: post.id } })
+    if (!poll) {
+      return null
+    }
+    const options = await models.pollOptions.findAll({
+      where: { pollId: poll.id },
+      order: [['position', 'ASC']],
+    })
+    const vote = userId
+      ? await models.pollVotes.findOne({ where: { pollId: poll.id, userId } })
+      : null
+    const closed = this.isClosed(poll)
+    const showResults = closed || Boolean(vote) || post.author === userId
+    // One count per option that has votes
+    let counts = []
+    if (showResults) {
+      counts = await models.pollVotes.count({
+        where: { pollId: poll.id },
+        group: ['pollOptionId'],
+      })
+    }
+    // MySQL may send the counts as strings
+    const votesFor = (optionId) =>
+      Number(
+        counts.find((count) => count.pollOptionId === optionId)?.count ?? 0
+      )
+
+    return {
+      closesAt: Date.parse(poll.closesAt),
+      closed,
+      votedOptionId: vote?.pollOptionId ?? null,
+      totalVotes: showResults
+        ? counts.reduce((total, count) => total + Number(count.count), 0)
+        : null,
+      options: options.map((option) => ({
+        id: option.id,
+        text: option.text,
+        votes: showResults ? votesFor(option.id) : null,
+      })),
+    }
+  }
+
+  /**
+   * Records the vote of a user for an option of a poll,
+   * returns false without changing it if the user already voted
+   */
+  static async vote(poll, userId, optionId) {
+    const [, created] = await models.pollVotes.findOrCreate({
+      where: { pollId: poll.id, userId },
+      defaults: { pollOptionId: optionId },
+    })
+    return created
+  }
+
+  /**
+   * Removes the poll of a post with its options and votes
+   */
+  static async remove(postId, transaction) {
+    const poll = await models.polls.findOne({
+      where: { postId },
+      transaction,
+    })
+    if (!poll) {
+      return
+    }
+    await models.pollVotes.destroy({ where: { pollId: poll.id }, transaction })
+    await models.pollOptions.destroy({
+      where: { pollId: poll.id },
+      transaction,
+    })
+    await poll.destroy({ transaction })
+  }
+
+  /**
+   * Notifies the authors of every poll that has closed since the last call,
+   * returns the number of closed polls
+   */
+  static async closeDue() {
+    const due = await models.polls.findAll({
+      where: { closedAt: null, closesAt: { [Op.lte]: new Date() } },
+    })
+    let closed = 0
+    for (const poll of due) {
+      const post = await models.posts.findByPk(poll.postId)
+      // Polls of posts that are waiting to be published are closed later
+      if (post && !ScheduledPosts.isPublished(post)) {
+        continue
+      }
+      // Only the runner that closes the poll notifies about it
+      const [count] = await models.polls.update(
+        { closedAt: new Date() },
+        { where: { id: poll.id, closedAt: null } }
+      )
+      if (count > 0 && post) {
+        await Notifications.notify(
+          Notifications.pollClosed,
+          post.author,
+          null,
+          post.id
+        )
+      }
+      closed += count
+    }
+    return closed
+  }
+
+  /**
+   * Periodically notifies the authors of polls that have closed
+   */
+  static startCloseSchedule() {
+    const close = () =>
+      this.closeDue().catch((error) =>
+        console.error('Failed to close polls', error)
+      )
+    close()
+    return setInterval(close, CLOSE_INTERVAL)
+  }
+}
@@ -0,0 +1,141 @@
+import models from '../database/models'
+import UsernameHistory from './usernameHistory'
+
+// A handle or tag is not part of a longer word, e.g. of an email address,
+// and a tag is not the number of an HTML character reference like &#39;
+const MENTION = /(?<!\w)@(\w+)/g
+const HASHTAG = /(?<![\w&])#(\w+)/g
+const URL = /\bhttps?:\/\/[^\s<>"]+/g
+// Punctuation ending a sentence is not part of the URL before it
+const URL_TRAILING_PUNCTUATION = /[.,;:!?'")\]]+$/
+
+/**
+ * Finds the mentions, tags and URLs in the text of a post, so clients can
+ * show them as links without parsing the text themselves.
+ *
+ * Every entity has the start and end of its text in the post, end is
+ * exclusive and both count UTF-16 code units like String.prototype.slice.
+ * Mentioned users are stored per post, so a mention keeps pointing at the
+ * user it was written for even after they change their username.
+ */
+export default class PostEntities {
+  /**
+   * The entities in a text as { mentions, tags, urls }, each in the order
+   * they appear. Handles and tags inside of URLs are not entities.
+   */
+  static parse(text) {
+    const content = text ?? ''
+    const urls = [...content.matchAll(URL)].map((match) => {
+      const url = match[0].replace(URL_TRAILING_PUNCTUATION, '')
+      return { url, start: match.index, end: match.index + url.length }
+    })
+    const outsideUrls = (entity) =>
+      !urls.some((url) => entity.start < url.end && url.start < entity.end)
+
+    const mentions = [...content.matchAll(MENTION)]
+      .map((match) => ({
+        handle: match[1],
+        start: match.index,
+        end: match.index + match[0].length,
+      }))
+      .filter(outsideUrls)
+    const tags = [...content.matchAll(HASHTAG)]
+      .map((match) => ({
+        name: match[1],
+        start: match.index,
+        end: match.index + match[0].length,
+      }))
+      .filter(outsideUrls)
+
+    return { mentions, tags, urls }
+  }
+
+  /**
+   * The names of the tags used with a # in a text, each name only once
+   */
+  static hashtags(text) {
+    return [...new Set(this.parse(text).tags.map((tag) => tag.name))]
+  }
+
+  /**
+   * Stores the users mentioned in a post, replacing the mentions stored for
+   * an earlier version of its text. Handles that are not the current or a
+   * previous username of an existing user are not mentions.
+   */
+  static async recordMentions(post, transaction) {
+    const handles = [
+      ...new Set(
+        this.parse(post.text_content).mentions.map((mention) => mention.handle)
+      ),
+    ]
+    const users = await Promise.all(
+      handles.map((handle) => UsernameHistory.findUser(handle))
+    )
+    const mentions = handles
+      .map((handle, index) => ({
+        postId: post.id,
+        userId: users[index]?.id,
+        handle,
+      }))
+      .filter((mention) => mention.userId != null)
+
+    await models.mentions.destroy({ where: { postId: post.id }, transaction })
+    await models.mentions.bulkCreate(mentions, { transaction })
+  }
+
+  /**
+   * The ids of the users mentioned in a post, each only once
+   */
+  static async mentionedUserIds(postId, transaction) {
+    const mentions = await models.mentions.findAll({
+      where: { postId },
+      transaction,
+    })
+    return [...new Set(mentions.map((mention) => mention.userId))]
+  }
+
+  /**
+   * Removes the mentions of a post, e.g. when it is deleted
+   */
+  static async removeMentions(postId, transaction) {
+    await models.mentions.destroy({ where: { postId }, transaction })
+  }
+
+  /**
+   * The entities of a post as sent to clients. Each mention has the id and
+   * current username of the mentioned user, handles that do not mention a
+   * user, or one who has since deleted their account, are left out.
+   */
+  static async of(post) {
+    const { mentions, tags, urls } = this.parse(post.text_content)
+    const stored = mentions.length
+      ? await models.mentions.findAll({ where: { postId: post.id } })
+      : []
+    let users = []
+    if (stored.length) {
+      users = await models.users.findAll({
+        where: {
+          id: stored.map((mention) => mention.userId),
+          deactivatedAt: null,
+        },
+      })
+    }
+
+    const mentionedUser = (handle) => {
+      const mention = stored.find((m) => m.handle === handle)
+      return users.find((user) => user.id === mention?.userId)
+    }
+    return {
+      mentions: mentions
+        .map((mention) => ({ ...mention, user: mentionedUser(mention.handle) }))
+        .filter((mention) => mention.user)
+        .map(({ user, ...mention }) => ({
+          ...mention,
+          userId: user.id,
+          username: user.username,
+        })),
+      tags,
+      urls,
+    }
+  }
+}
@@ -0,0 +1,69 @@
+import models from '../database/models'
+
+/**
+ * Keeps the history of edited posts.
+ *
+ * Editing a post stores the text it replaces as a revision, so the current
+ * text stays on the post and the revisions hold every earlier version.
+ */
+export default class PostRevisions {
+  /**
+   * Replaces the text of a post and keeps the old text as a revision.
+   * Returns false without storing anything if the text has not changed.
+   */
+  static async edit(post, textContent, transaction) {
+    if (post.text_content === textContent) {
+      return false
+    }
+    const editedAt = new Date()
+    await models.postRevision.create(
+      {
+        postId: post.id,
+        text_content: post.text_content,
+        createdAt: editedAt,
+      },
+      { transaction }
+    )
+    await post.update({ text_content: textContent, editedAt }, { transaction })
+    return true
+  }
+
+  /**
+   * The number of times a post has been edited
+   */
+  static async count(postId) {
+    return models.postRevision.count({ where: { postId } })
+  }
+
+  /**
+   * Every version of a post, newest first. Each version has the time it was
+   * written at, the first version was written when the post was created.
+   */
+  static async history(post) {
+    const revisions = await models.postRevision.findAll({
+      where: { postId: post.id },
+      order: [['id', 'ASC']],
+    })
+
+    // A revision holds the text from before an edit, which was written
+    // at the previous edit or, for the first revision, with the post
+    const versions = revisions.map((revision, index) => ({
+      content: revision.text_content,
+      writtenAt: Date.parse(
+        index === 0 ? post.createdAt : revisions[index - 1].createdAt
+      ),
+    }))
+    versions.push({
+      content: post.text_content,
+      writtenAt: Date.parse(
+        revisions.length > 0
+          ? revisions[revisions.length - 1].createdAt
+          : post.createdAt
+      ),
+    })
+
+    return versions
+      .map((version, index) => ({ revision: index, ...version }))
+      .reverse()
+  }
+}
@@ -0,0 +1,333 @@
+import { Op } from 'sequelize'
+import models from '../database/models'
+import PostDTO from '../dto/posts'
+import UserHandleDTO from '../dto/userHandle'
+import { ActivityType } from './activityType'
+import ScheduledPosts from './scheduledPosts'
+
+const HOUR = 60 * 60 * 1000
+// Only activity from the last week is ranked
+const HORIZON = 7 * 24 * HOUR
+// The most recent rows read from each source of candidates
+const MAX_CANDIDATES = 500
+// A post loses half of its score every day since its latest activity
+const HALF_LIFE = 24 * HOUR
+// How much each signal adds to the score of a post
+const WEIGHTS = {
+  followedAuthor: 3,
+  like: 1.5,
+  share: 2,
+  interest: 1,
+  engagement: 0.5,
+}
+
+/**
+ * The "For You" feed: posts from the last week ranked by how close they are
+ * to the user and how much they are engaged with, newer activity first.
+ *
+ * Candidates are posts by the users the user follows, posts those users
+ * liked or shared, and posts with the tags the user is interested in.
+ * Each post shows up once however many of these it came through, as the
+ * activity that explains it best, e.g. "X and 3 others liked this".
+ * The user's own posts are left out.
+ *
+ * Every page of a feed is ranked as of the time its first page was ranked,
+ * which the cursor carries along, so activity that comes in while the user
+ * scrolls does not move posts between pages.
+ */
+export default class RankedFeed {
+  /**
+   * A page of the ranked feed of the user as { items, nextCursor }. cursor
+   * is the decoded nextCursor of the previous page, { time, offset } with
+   * the time the feed is ranked as of and the number of items to skip.
+   */
+  static async page(userId, { limit, cursor = null }) {
+    const { time, offset } = cursor ?? { time: Date.now(), offset: 0 }
+    const ranked = await this.rank(userId, time)
+    const page = ranked.slice(offset, offset + limit)
+
+    const posts = await models.posts.findAll({
+      where: { id: page.map((candidate) => candidate.postId) },
+    })
+    // Posts deleted since their activity was ranked are left out
+    const found = page.filter((candidate) =>
+      posts.some((post) => post.id === candidate.postId)
+    )
+    const users = await models.users.findAll({
+      where: { id: found.map((candidate) => candidate.userId) },
+    })
+    const items = await Promise.all(
+      found.map(async (candidate) => {
+        const user = users.find((u) => u.id === candidate.userId)
+        return {
+          postID: candidate.postId,
+          post: await PostDTO.convertToDto(
+            posts.find((post) => post.id === candidate.postId),
+            userId
+          ),
+          userId: candidate.userId,
+          user: user ? UserHandleDTO.convertToDto(user) : null,
+          activity: candidate.activity.type,
+          timestamp: candidate.timestamp,
+          others: candidate.others,
+          score: Math.round(candidate.score * 1000) / 1000,
+        }
+      })
+    )
+    return {
+      items,
+      nextCursor:
+        offset + limit < ranked.length
+          ? this.encodeCursor({ time, offset: offset + limit })
+          : null,
+    }
+  }
+
+  /**
+   * Every candidate post of the user with its score as of now, best first.
+   * Activity after now is left out.
+   */
+  static async rank(userId, now) {
+    const candidates = await this.candidates(userId, now)
+    const postIds = [...candidates.keys()]
+    const asOfNow = { createdAt: { [Op.lte]: new Date(now) } }
+    const count = async (model, column, where = {}) => {
+      const rows = await model.count({
+        where: { [column]: postIds, ...asOfNow, ...where },
+        group: [column],
+      })
+      return new Map(rows.map((row) => [row[column], Number(row.count)]))
+    }
+    const likes = await count(models.likedPost, 'postId')
+    const shares = await count(models.sharedPost, 'postId')
+    const replies = await count(
+      models.posts,
+      'parent',
+      ScheduledPosts.PUBLISHED
+    )
+
+    return [...candidates.values()]
+      .map((candidate) => {
+        const engagement =
+          (likes.get(candidate.postId) ?? 0) +
+          2 * (shares.get(candidate.postId) ?? 0) +
+          (replies.get(candidate.postId) ?? 0)
+        return {
+          ...candidate,
+          ...this.explain(candidate),
+          score: this.score(candidate, engagement, now),
+        }
+      })
+      .sort(
+        (a, b) =>
+          b.score - a.score || b.latest - a.latest || b.postId - a.postId
+      )
+  }
+
+  /**
+   * The posts that can be in the feed of the user by id, each with what
+   * brought it there: whether a followed user wrote it, which followed users
+   * liked or shared it and when, and how many of the user's interests it has
+   */
+  static async candidates(userId, now) {
+    const since = new Date(now - HORIZON)
+    const recent = { createdAt: { [Op.gte]: since, [Op.lte]: new Date(now) } }
+    const newestFirst = {
+      order: [['createdAt', 'DESC']],
+      limit: MAX_CANDIDATES,
+    }
+
+    const follows = await models.followers.findAll({
+      attributes: ['followedId'],
+      where: { followerId: userId },
+      raw: true,
+    })
+    const followedIds = follows.map((follow) => follow.followedId)
+    const interests = await models.userInterests.findAll({
+      attributes: ['tagId'],
+      where: { userId },
+      raw: true,
+    })
+
+    const [followedPosts, likes, shares, interestTags] = await Promise.all([
+      models.posts.findAll({
+        attributes: ['id'],
+        where: { author: followedIds, ...ScheduledPosts.PUBLISHED, ...recent },
+        ...newestFirst,
+        raw: true,
+      }),
+      models.likedPost.findAll({
+        attributes: ['postId', 'userId', 'createdAt'],
+        where: { userId: followedIds, ...recent },
+        ...newestFirst,
+        raw: true,
+      }),
+      models.sharedPost.findAll({
+        attributes: ['postId', 'userId', 'createdAt'],
+        where: { userId: followedIds, ...recent },
+        ...newestFirst,
+        raw: true,
+      }),
+      models.postTag.findAll({
+        attributes: ['postId', 'tagId'],
+        where: {
+          tagId: interests.map((interest) => interest.tagId),
+          ...recent,
+        },
+        ...newestFirst,
+        raw: true,
+      }),
+    ])
+
+    const posts = await models.posts.findAll({
+      attributes: ['id', 'author', 'parent', 'quotedPostId', 'createdAt'],
+      where: {
+        id: [
+          ...new Set([
+            ...followedPosts.map((post) => post.id),
+            ...likes.map((like) => like.postId),
+            ...shares.map((share) => share.postId),
+            ...interestTags.map((postTag) => postTag.postId),
+          ]),
+        ],
+        author: { [Op.ne]: userId },
+        ...ScheduledPosts.PUBLISHED,
+      },
+      raw: true,
+    })
+    // Older posts of followed users only come through likes and shares
+    const recentFollowedPostIds = new Set(followedPosts.map((post) => post.id))
+    const candidates = new Map(
+      posts.map((post) => [
+        post.id,
+        {
+          postId: post.id,
+          post,
+          followedAuthor: recentFollowedPostIds.has(post.id),
+          likes: [],
+          shares: [],
+          interests: new Set(),
+        },
+      ])
+    )
+    const add = (postId, update) => {
+      if (candidates.has(postId)) {
+        update(candidates.get(postId))
+      }
+    }
+    likes.forEach((like) =>
+      add(like.postId, (candidate) =>
+        candidate.likes.push({
+          userId: like.userId,
+          time: Date.parse(like.createdAt),
+        })
+      )
+    )
+    shares.forEach((share) =>
+      add(share.postId, (candidate) =>
+        candidate.shares.push({
+          userId: share.userId,
+          time: Date.parse(share.createdAt),
+        })
+      )
+    )
+    interestTags.forEach((postTag) =>
+      add(postTag.postId, (candidate) => candidate.interests.add(postTag.tagId))
+    )
+    return candidates
+  }
+
+  /**
+   * The score of a candidate: how close it is to the user plus how much it
+   * is engaged with, halved for every HALF_LIFE since its latest activity
+   */
+  static score(candidate, engagement, now) {
+    const affinity =
+      (candidate.followedAuthor ? WEIGHTS.followedAuthor : 0) +
+      WEIGHTS.like * Math.log1p(candidate.likes.length) +
+      WEIGHTS.share * Math.log1p(candidate.shares.length) +
+      WEIGHTS.interest * Math.log1p(candidate.interests.size)
+    const age = Math.max(now - this.latest(candidate), 0)
+    return (
+      (affinity + WEIGHTS.engagement * Math.log1p(engagement)) *
+      0.5 ** (age / HALF_LIFE)
+    )
+  }
+
+  /**
+   * The time of the latest activity that brought the candidate to the feed
+   */
+  static latest(candidate) {
+    const created = Date.parse(candidate.post.createdAt)
+    return Math.max(
+      candidate.followedAuthor || candidate.interests.size > 0 ? created : 0,
+      ...candidate.likes.map((like) => like.time),
+      ...candidate.shares.map((share) => share.time)
+    )
+  }
+
+  /**
+   * The activity a candidate is shown as: written by a followed user, else
+   * shared, else liked by followed users, with the latest of them as the
+   * user and how many others did the same, else found through the interests
+   */
+  static explain(candidate) {
+    const { post } = candidate
+    const group = (activity, events) => {
+      const [newest] = [...events].sort((a, b) => b.time - a.time)
+      return {
+        activity,
+        userId: newest.userId,
+        timestamp: newest.time,
+        others: events.length - 1,
+      }
+    }
+    let explanation = {
+      activity: ActivityType.INTERESTED,
+      userId: post.author,
+      timestamp: Date.parse(post.createdAt),
+      others: 0,
+    }
+    if (candidate.followedAuthor) {
+      explanation = { ...explanation, activity: ActivityType.ofPost(post) }
+    } else if (candidate.shares.length > 0) {
+      explanation = group(ActivityType.SHARED, candidate.shares)
+    } else if (candidate.likes.length > 0) {
+      explanation = group(ActivityType.LIKED, candidate.likes)
+    }
+    return { ...explanation, latest: this.latest(candidate) }
+  }
+
+  /**
+   * Encodes the time a feed is ranked as of and the number of items before
+   * the next page into an opaque cursor string
+   */
+  static encodeCursor({ time, offset }) {
+    return Buffer.from(JSON.stringify([time, offset])).toString('base64url')
+  }
+
+  /**
+   * Decodes a cursor created by encodeCursor, returns null if it is malformed
+   * or its time is in the future or further back than the ranked activity
+   */
+  static decodeCursor(cursor) {
+    try {
+      const [time, offset] = JSON.parse(
+        Buffer.from(cursor, 'base64url').toString()
+      )
+      const now = Date.now()
+      if (
+        [time, offset].every(
+          (value) => Number.isInteger(value) && value >= 0
+        ) &&
+        time <= now &&
+        time >= now - HORIZON
+      ) {
+        return { time, offset }
+      }
+    } catch {
+      // fall through to the invalid cursor case
+    }
+    return null
+  }
+}
@@ -0,0 +1,108 @@
+import { Op } from 'sequelize'
+import models from '../database/models'
+import Announcements from './announcements'
+
+// How often posts that are due are looked for
+const PUBLISH_INTERVAL = 60 * 1000
+
+/**
+ * Handles posts that are written now and published later.
+ *
+ * A scheduled post is stored with publishAt set to the time it is due and
+ * is dated by that time, so it takes its place in feeds once it appears.
+ * Until it is published only its author can see it: it is left out of
+ * feeds, search, activity and threads, and nobody is notified about it.
+ */
+export default class ScheduledPosts {
+  /**
+   * Where clause that only keeps published posts
+   */
+  static PUBLISHED = { publishAt: null }
+
+  /**
+   * Whether the post has been published
+   */
+  static isPublished(post) {
+    return post.publishAt == null
+  }
+
+  /**
+   * Whether the given user can see the post, scheduled posts are only
+   * visible to their author
+   */
+  static isVisibleTo(post, userId) {
+    return this.isPublished(post) || post.author === userId
+  }
+
+  /**
+   * Where clause that only keeps the posts the given user can see
+   */
+  static visibleTo(userId) {
+    return { [Op.or]: [this.PUBLISHED, { author: userId }] }
+  }
+
+  /**
+   * The time a post should be published at, or null when the value is not
+   * a date in the future
+   */
+  static parsePublishAt(value) {
+    const publishAt = new Date(value)
+    if (Number.isNaN(publishAt.getTime()) || publishAt <= new Date()) {
+      return null
+    }
+    return publishAt
+  }
+
+  /**
+   * The posts a user has scheduled, the first one due first
+   */
+  static async retrieveScheduled(userId) {
+    const posts = await models.posts.findAll({
+      where: { author: userId, publishAt: { [Op.ne]: null } },
+      order: [
+        ['publishAt', 'ASC'],
+        ['id', 'ASC'],
+      ],
+    })
+    return posts
+  }
+
+  /**
+   * Publishes every post that is due and notifies about it as if it had
+   * just been posted, returns the number of published posts
+   */
+  static async publishDue() {
+    const due = await models.posts.findAll({
+      where: { publishAt: { [Op.lte]: new Date() } },
+      order: [
+        ['publishAt', 'ASC'],
+        ['id', 'ASC'],
+      ],
+    })
+    let published = 0
+    for (const post of due) {
+      // Only the runner that publishes the post announces it
+      const [count] = await models.posts.update(
+        { publishAt: null },
+        { where: { id: post.id, publishAt: { [Op.ne]: null } } }
+      )
+      if (count > 0) {
+        await Announcements.announcePost(post)
+        published += 1
+      }
+    }
+    return published
+  }
+
+  /**
+   * Periodically publishes the posts that are due
+   */
+  static startPublishSchedule() {
+    const publish = () =>
+      this.publishDue().catch((error) =>
+        console.error('Failed to publish scheduled posts', error)
+      )
+    publish()
+    return setInterval(publish, PUBLISH_INTERVAL)
+  }
+}
@@ -0,0 +1,603 @@
+import Sequelize, { Op } from 'sequelize'
+import models from '../database/models'
+import PostDTO from '../dto/posts'
+import UserDTO from '../dto/users'
+import ScheduledPosts from './scheduledPosts'
+import UsernameHistory from './usernameHistory'
+
+const DAY = 24 * 60 * 60 * 1000
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/
+// A quoted phrase, or a word with an optional - and operator in front
+const QUERY_TOKEN = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi
+const NAME = /^[#@]?(\w+)/
+// A tag of a post that matches a search term counts as much as two words of its text
+const TAG_WEIGHT = 2
+// Ranks are compared as integers, to this fraction of a point
+const RANK_PRECISION = 1000
+// Snippets are cut from longer posts, starting a little before the first match
+const SNIPPET_LENGTH = 160
+const SNIPPET_CONTEXT = 40
+// Letters, digits and underscores, as words are split for the index
+const WORD_CHARACTER = '[\\p{L}\\p{N}_]'
+// Post texts are stored with HTML character references like &nbsp; and &amp;
+const CHARACTER_REFERENCE = /&(?:#(\d+)|#x([\da-f]+)|(\w+));/gi
+const NAMED_CHARACTERS = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  nbsp: '\u00a0',
+}
+// The numbers in the cursor of each type of search, see Search.decodeCursor
+const CURSOR_LENGTHS = { top: 3, latest: 2, people: 3 }
+
+/**
+ * Thrown when a search query can not be run, e.g. for an invalid date,
+ * status is the response code to send back
+ */
+export class SearchQueryError extends Error {
+  constructor(message, status = 400) {
+    super(message)
+    this.name = 'SearchQueryError'
+    this.status = status
+  }
+}
+
+// Matches the text literally in a LIKE pattern
+export const escapeLike = (text) => text.replace(/[\\%_]/g, '\\$&')
+
+/** The plain text of a post text, with its character references decoded */
+const decodeCharacterReferences = (text) =>
+  text.replace(CHARACTER_REFERENCE, (reference, decimal, hex, name) => {
+    const code = decimal ? Number(decimal) : parseInt(hex, 16)
+    if (name !== undefined) {
+      return NAMED_CHARACTERS[name.toLowerCase()] ?? reference
+    }
+    return code <= 0x10ffff ? String.fromCodePoint(code) : reference
+  })
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+/** The lower case words of a text, as they are stored in the search index */
+const words = (text) => [...models.searchTerms.tokenize(text).keys()]
+
+/** The user name, tag name or handle in an operator value like @name or #name */
+const nameOf = (value) => value?.match(NAME)?.[1].toLowerCase() ?? null
+
+/** The users with the given current or previous usernames, null for each unknown one */
+const findUserIds = (usernames) =>
+  Promise.all(
+    usernames.map(async (username) => {
+      const user = await UsernameHistory.findUser(username)
+      return user?.id ?? null
+    })
+  )
+
+const escape = (value) => models.sequelize.escape(value)
+
+/** A subquery for the ids of the posts with a tag matching the condition on t */
+const taggedPostIds = (condition) => `SELECT pt.postId FROM postTags AS pt
+  JOIN tags AS t ON t.id = pt.tagId WHERE ${condition}`
+
+/**
+ * A subquery for the ids of the posts with a word or tag starting with the
+ * term, see Search.postConditions
+ */
+const termPostIds = (term) => {
+  const pattern = escape(`${escapeLike(term)}%`)
+  return `SELECT st.postId FROM searchTerms AS st WHERE st.term LIKE ${pattern}
+    UNION ${taggedPostIds(`t.tagName LIKE ${pattern}`)}`
+}
+
+/** A subquery for the ids of the posts mentioning the user */
+const mentioningPostIds = (userId) =>
+  `SELECT m.postId FROM mentions AS m WHERE m.userId = ${escape(userId)}`
+
+// The ids of the posts are matched in the database, so they are never loaded
+const idIn = (subquery) => ({
+  id: { [Op.in]: Sequelize.literal(`(${subquery})`) },
+})
+const idNotIn = (subquery) => ({
+  id: { [Op.notIn]: Sequelize.literal(`(${subquery})`) },
+})
+
+/**
+ * Searches posts and users.
+ *
+ * Posts are found through the search index of their words, see searchTerms,
+ * and the tags and mentions stored for them. A query is made of words, which
+ * match words in the text or tags of a post that start with them, and:
+ * - "a quoted phrase" that has to appear in the text as it is
+ * - #tag for posts with the tag, @user for posts mentioning the user
+ * - from:user for posts by the user
+ * - since:2022-04-01 and until:2022-04-30 for posts written in that time,
+ *   both days included
+ * Words, phrases, tags, mentions and from: are negated with a -, like -word,
+ * to leave out the posts they match.
+ *
+ * Results come in pages of { items, nextCursor }, where nextCursor points
+ * after the last result of the page, or is null when there are no more.
+ * Posts and people are ranked and paged in the database, by the position of
+ * the last result of the page.
+ */
+export default class Search {
+  /**
+   * A query without words or operators, which matches every post
+   */
+  static emptyQuery() {
+    return {
+      terms: [],
+      phrases: [],
+      tags: [],
+      mentions: [],
+      from: [],
+      since: null,
+      until: null,
+      excluded: { terms: [], phrases: [], tags: [], mentions: [], from: [] },
+    }
+  }
+
+  /**
+   * Splits a search query into its words and operators
+   *
+   * Throws a SearchQueryError when since: or until: is not a date
+   */
+  static parseQuery(text) {
+    const query = this.emptyQuery()
+
+    for (const [token, negation, operator, phrase, word] of (
+      text ?? ''
+    ).matchAll(QUERY_TOKEN)) {
+      const target = negation ? query.excluded : query
+      const name = operator?.toLowerCase()
+      const value = word ?? phrase
+      if (name === 'since' || name === 'until') {
+        query[name] = this.parseDate(name, value)
+      } else if (name === 'from') {
+        target.from.push(nameOf(value))
+      } else if (operator === undefined && phrase !== undefined) {
+        if (words(phrase).length > 0) {
+          target.phrases.push(phrase.trim().toLowerCase())
+        }
+      } else if (operator === undefined && word.startsWith('#')) {
+        target.tags.push(nameOf(word))
+      } else if (operator === undefined && word.startsWith('@')) {
+        target.mentions.push(nameOf(word))
+      } else {
+        target.terms.push(...words(token.slice(negation.length)))
+      }
+    }
+
+    // Operators without a name, like a # on its own, are left out
+    const unique = (values) => [...new Set(values.filter(Boolean))]
+    for (const target of [query, query.excluded]) {
+      for (const key of ['terms', 'phrases', 'tags', 'mentions', 'from']) {
+        target[key] = unique(target[key])
+      }
+    }
+    return query
+  }
+
+  /**
+   * The time a since: or until: operator stands for. A day without a time
+   * starts at midnight, until: includes that day by ending at the next midnight.
+   */
+  static parseDate(operator, value) {
+    const time = Date.parse(value ?? '')
+    if (Number.isNaN(time)) {
+      throw new SearchQueryError(
+        `${operator}: must be a date like 2022-04-24, not ${value ?? 'nothing'}`
+      )
+    }
+    return new Date(
+      operator === 'until' && DATE_ONLY.test(value) ? time + DAY : time
+    )
+  }
+
+  /**
+   * A page of the posts matching a parsed query, each with a snippet of its
+   * text with the matches highlighted.
+   * type is top to rank the posts by relevance and likes, or latest for the
+   * newest first. cursor is the decoded nextCursor of the previous page.
+   */
+  static async posts(query, { type, limit, cursor = null, userId }) {
+    const where = await this.postConditions(query)
+    if (!where) {
+      return { items: [], nextCursor: null }
+    }
+    const { pageIds, nextCursor } =
+      type === 'top'
+        ? await this.topPage(query, where, { limit, cursor })
+        : await this.latestPage(where, { limit, cursor })
+
+    const page = await models.posts.findAll({ where: { id: pageIds } })
+    const highlighted = {
+      terms: query.terms,
+      phrases: query.phrases,
+      tags: query.tags,
+      mentions: query.mentions,
+    }
+    const items = await Promise.all(
+      pageIds.map(async (id) => {
+        const post = page.find((p) => p.id === id)
+        return {
+          ...(await PostDTO.convertToDto(post, userId)),
+          snippet: this.snippet(post.text_content, highlighted),
+        }
+      })
+    )
+    return { items, nextCursor }
+  }
+
+  /**
+   * The ids of a page of the matching posts, newest first, after the post
+   * at the cursor [createdAt, id]
+   */
+  static async latestPage(where, { limit, cursor }) {
+    const conditions = [where]
+    if (cursor) {
+      const [time, id] = cursor
+      const createdAt = new Date(time)
+      conditions.push({
+        [Op.or]: [
+          { createdAt: { [Op.lt]: createdAt } },
+          { createdAt, id: { [Op.lt]: id } },
+        ],
+      })
+    }
+    const posts = await models.posts.findAll({
+      attributes: ['id', 'createdAt'],
+      where: { [Op.and]: conditions },
+      order: [
+        ['createdAt', 'DESC'],
+        ['id', 'DESC'],
+      ],
+      // One more than needed to know whether there is another page
+      limit: limit + 1,
+      raw: true,
+    })
+    const page = posts.slice(0, limit)
+    const last = page[page.length - 1]
+    return {
+      pageIds: page.map((post) => post.id),
+      nextCursor:
+        posts.length > limit
+          ? this.encodeCursor([new Date(last.createdAt).getTime(), last.id])
+          : null,
+    }
+  }
+
+  /**
+   * The ids of a page of the matching posts, best ranked first, after the
+   * post at the cursor [rank, createdAt, id]
+   */
+  static async topPage(query, where, { limit, cursor }) {
+    const rank = await this.rank(query)
+    const conditions = [where]
+    if (cursor) {
+      const [lastRank, time, id] = cursor
+      const createdAt = new Date(time)
+      conditions.push({
+        [Op.or]: [
+          Sequelize.where(rank, { [Op.lt]: lastRank }),
+          {
+            [Op.and]: [
+              Sequelize.where(rank, lastRank),
+              {
+                [Op.or]: [
+                  { createdAt: { [Op.lt]: createdAt } },
+                  { createdAt, id: { [Op.lt]: id } },
+                ],
+              },
+            ],
+          },
+        ],
+      })
+    }
+    const posts = await models.posts.findAll({
+      attributes: ['id', 'createdAt', [rank, 'searchRank']],
+      where: { [Op.and]: conditions },
+      order: [
+        [rank, 'DESC'],
+        ['createdAt', 'DESC'],
+        ['id', 'DESC'],
+      ],
+      // One more than needed to know whether there is another page
+      limit: limit + 1,
+      raw: true,
+    })
+    const page = posts.slice(0, limit)
+    const position = (post) => [
+      Number(post.searchRank),
+      new Date(post.createdAt).getTime(),
+      post.id,
+    ]
+    return {
+      pageIds: page.map((post) => post.id),
+      nextCursor:
+        posts.length > limit
+          ? this.encodeCursor(position(page[page.length - 1]))
+          : null,
+    }
+  }
+
+  /**
+   * The where clause selecting the published posts that match a query,
+   * null when no post can match it
+   */
+  static async postConditions(query) {
+    const { excluded } = query
+    const conditions = [
+      ScheduledPosts.PUBLISHED,
+      // Anonymised posts of deleted users have no text to find
+      { text_content: { [Op.ne]: null } },
+    ]
+
+    // Every word, tag and mention has to match
+    for (const term of query.terms) {
+      conditions.push(idIn(termPostIds(term)))
+    }
+    for (const tag of query.tags) {
+      conditions.push(idIn(taggedPostIds(`t.tagName = ${escape(tag)}`)))
+    }
+    const mentionedIds = await findUserIds(query.mentions)
+    if (mentionedIds.includes(null)) {
+      return null
+    }
+    for (const mentionedId of mentionedIds) {
+      conditions.push(idIn(mentioningPostIds(mentionedId)))
+    }
+
+    // Excluded words only leave out posts with exactly that word or tag
+    for (const term of excluded.terms) {
+      conditions.push(
+        idNotIn(`SELECT st.postId FROM searchTerms AS st
+          WHERE st.term = ${escape(term)}`),
+        idNotIn(taggedPostIds(`t.tagName = ${escape(term)}`))
+      )
+    }
+    for (const tag of excluded.tags) {
+      conditions.push(idNotIn(taggedPostIds(`t.tagName = ${escape(tag)}`)))
+    }
+    for (const mentionedId of await findUserIds(excluded.mentions)) {
+      if (mentionedId !== null) {
+        conditions.push(idNotIn(mentioningPostIds(mentionedId)))
+      }
+    }
+
+    for (const phrase of query.phrases) {
+      conditions.push({
+        text_content: { [Op.like]: `%${escapeLike(phrase)}%` },
+      })
+    }
+    for (const phrase of excluded.phrases) {
+      conditions.push({
+        text_content: { [Op.notLike]: `%${escapeLike(phrase)}%` },
+      })
+    }
+
+    // Posts by one of the users in from:, unless they are excluded
+    if (query.from.length > 0) {
+      conditions.push({ author: await findUserIds(query.from) })
+    }
+    const excludedAuthors = (await findUserIds(excluded.from)).filter(
+      (id) => id !== null
+    )
+    if (excludedAuthors.length > 0) {
+      conditions.push({ author: { [Op.notIn]: excludedAuthors } })
+    }
+
+    if (query.since) {
+      conditions.push({ createdAt: { [Op.gte]: query.since } })
+    }
+    if (query.until) {
+      conditions.push({ createdAt: { [Op.lt]: query.until } })
+    }
+    return { [Op.and]: conditions }
+  }
+
+  /**
+   * The rank of a post for the query, by how well it matches the query and
+   * how often it was liked, as an integer column of a query on posts.
+   *
+   * A post scores for every word of the query it matches, by how often it
+   * uses the word and how rare the word is among all posts. Posts that match
+   * equally well, or queries without words, are ranked by their likes.
+   */
+  static async rank(query) {
+    const terms = [
+      ...new Set([...query.terms, ...query.phrases.flatMap(words)]),
+    ]
+    const total = await models.posts.count({ where: ScheduledPosts.PUBLISHED })
+
+    const scores = await Promise.all(
+      terms.map(async (term) => {
+        const [{ matchCount }] = await models.sequelize.query(
+          `SELECT COUNT(*) AS matchCount FROM (${termPostIds(
+            term
+          )}) AS matches`,
+          { type: Sequelize.QueryTypes.SELECT }
+        )
+        const rarity = Math.log(1 + total / Math.max(Number(matchCount), 1))
+        const pattern = escape(`${escapeLike(term)}%`)
+        const tagged = taggedPostIds(
+          `pt.postId = posts.id AND t.tagName LIKE ${pattern}`
+        )
+        const uses = `(SELECT COALESCE(SUM(st.count), 0) FROM searchTerms AS st
+            WHERE st.postId = posts.id AND st.term LIKE ${pattern})
+          + IF(EXISTS (${tagged}), ${TAG_WEIGHT}, 0)`
+        return `${rarity} * (${uses})`
+      })
+    )
+    const score = scores.length > 0 ? scores.join(' + ') : '0'
+    const likes = `(SELECT COUNT(*) FROM likedPosts AS lp
+      WHERE lp.postId = posts.id)`
+    // Rounded so the rank of the last post fits into a cursor
+    return Sequelize.literal(
+      `ROUND(${RANK_PRECISION} * COALESCE(NULLIF(${score}, 0), 1)
+        * (1 + LN(1 + ${likes}) / 2))`
+    )
+  }
+
+  /**
+   * A part of a text around the first match of the query, at most
+   * SNIPPET_LENGTH characters long. Cut off text is marked with an ellipsis.
+   * The snippet is plain text, character references are decoded before the
+   * text is cut so none of them is split.
+   * Returns { text, highlights }, each highlight with the start and end of a
+   * match in the snippet, end exclusive like String.prototype.slice.
+   */
+  static snippet(text, { terms = [], phrases = [], tags = [], mentions = [] }) {
+    const content = decodeCharacterReferences(text ?? '')
+    const patterns = [
+      ...phrases.map(escapeRegExp),
+      ...terms.map(
+        (term) =>
+          `(?<!${WORD_CHARACTER})${escapeRegExp(term)}${WORD_CHARACTER}*`
+      ),
+      ...tags.map((tag) => `#${escapeRegExp(tag)}(?!${WORD_CHARACTER})`),
+      ...mentions.map(
+        (handle) => `@${escapeRegExp(handle)}(?!${WORD_CHARACTER})`
+      ),
+    ]
+    const pattern = new RegExp(patterns.join('|') || '(?!)', 'giu')
+    const matches = [...content.matchAll(pattern)]
+      .filter((match) => match[0].length > 0)
+      .map((match) => ({
+        start: match.index,
+        end: match.index + match[0].length,
+      }))
+
+    let start = 0
+    let end = content.length
+    if (content.length > SNIPPET_LENGTH) {
+      start = Math.max(
+        0,
+        Math.min(
+          (matches[0]?.start ?? 0) - SNIPPET_CONTEXT,
+          content.length - SNIPPET_LENGTH
+        )
+      )
+      end = start + SNIPPET_LENGTH
+    }
+    const before = start > 0 ? '…' : ''
+    const after = end < content.length ? '…' : ''
+    return {
+      text: `${before}${content.slice(start, end)}${after}`,
+      highlights: matches
+        .filter((match) => match.start >= start && match.end <= end)
+        .map((match) => ({
+          start: match.start - start + before.length,
+          end: match.end - start + before.length,
+        })),
+    }
+  }
+
+  /**
+   * A page of the users whose username, nickname or email contains the
+   * query. Users with the query as their username come first, then those
+   * whose username or nickname start with it. Without a query every user is
+   * found, newest first. cursor is the decoded nextCursor of the previous
+   * page, [rank, createdAt, id] of its last user.
+   */
+  static async people(text, { limit, cursor = null }) {
+    const needle = (text ?? '').trim().replace(/^@/, '').toLowerCase()
+    const lower = (column) => Sequelize.fn('LOWER', Sequelize.col(column))
+    const matches = (column, pattern) =>
+      Sequelize.where(lower(column), 'LIKE', pattern)
+    const contains = `%${escapeLike(needle)}%`
+    const startsWith = `${escapeLike(needle)}%`
+
+    const conditions = [{ deactivatedAt: null }]
+    if (needle) {
+      conditions.push({
+        [Op.or]: [
+          matches('username', contains),
+          matches('nickname', contains),
+          matches('email', contains),
+        ],
+      })
+    }
+    const escape = (value) => models.sequelize.escape(value)
+    const rank = Sequelize.literal(
+      needle
+        ? `CASE WHEN LOWER(username) = ${escape(needle)} THEN 3
+            WHEN LOWER(username) LIKE ${escape(startsWith)} THEN 2
+            WHEN LOWER(nickname) LIKE ${escape(startsWith)} THEN 1
+            ELSE 0 END`
+        : '0'
+    )
+    if (cursor) {
+      const [lastRank, time, id] = cursor
+      const createdAt = new Date(time)
+      conditions.push({
+        [Op.or]: [
+          Sequelize.where(rank, { [Op.lt]: lastRank }),
+          {
+            [Op.and]: [
+              Sequelize.where(rank, lastRank),
+              {
+                [Op.or]: [
+                  { createdAt: { [Op.lt]: createdAt } },
+                  { createdAt, id: { [Op.gt]: id } },
+                ],
+              },
+            ],
+          },
+        ],
+      })
+    }
+    const users = await models.users.findAll({
+      attributes: { include: [[rank, 'searchRank']] },
+      where: { [Op.and]: conditions },
+      order: [
+        [rank, 'DESC'],
+        ['createdAt', 'DESC'],
+        ['id', 'ASC'],
+      ],
+      // One more than needed to know whether there is another page
+      limit: limit + 1,
+    })
+
+    const page = users.slice(0, limit)
+    const position = (user) => [
+      Number(user.get('searchRank')),
+      new Date(user.createdAt).getTime(),
+      user.id,
+    ]
+    return {
+      items: await Promise.all(page.map((user) => UserDTO.convertToDto(user))),
+      nextCursor:
+        users.length > limit
+          ? this.encodeCursor(position(page[page.length - 1]))
+          : null,
+    }
+  }
+
+  /**
+   * Encodes the position of the last result of a page into an opaque cursor
+   */
+  static encodeCursor(position) {
+    return Buffer.from(JSON.stringify(position)).toString('base64url')
+  }
+
+  /**
+   * Decodes a cursor created by encodeCursor for the given type of search,
+   * returns null if it is malformed
+   */
+  static decodeCursor(cursor, type) {
+    try {
+      const position = JSON.parse(Buffer.from(cursor, 'base64url').toString())
+      if (
+        Array.isArray(position) &&
+        position.length === CURSOR_LENGTHS[type] &&
+        position.every((value) => Number.isInteger(value) && value >= 0)
+      ) {
+        return position
+      }
+    } catch {
+      // fall through to the invalid cursor case
+    }
+    return null
+  }
+}
@@ -0,0 +1,162 @@
+import Sequelize, { Op } from 'sequelize'
+import models from '../database/models'
+import UserDTO from '../dto/users'
+import { escapeLike } from './search'
+
+// Handles and tags are made of word characters, see PostEntities
+const PREFIX = /^[#@]?(\w*)$/
+// Shorter prefixes match too much to be worth suggesting
+const MIN_PREFIX_LENGTH = 2
+// How much the follow graph of the user counts next to popularity
+const FOLLOWED_TAG_BONUS = 5
+const FOLLOWED_USER_BONUS = 4
+const FOLLOWER_BONUS = 2
+const FOLLOW_GRAPH_WEIGHT = 2
+// Users whose username starts with the prefix come before nickname matches
+const USERNAME_MATCH_BONUS = 100
+
+const { literal } = Sequelize
+const escape = (value) => models.sequelize.escape(value)
+
+/**
+ * Suggests tags and users to complete what is typed after # and @ in posts.
+ *
+ * Matches are ranked by popularity and by how close they are to the user:
+ * tags the user follows or that the users they follow post with, and users
+ * they follow, who follow them or whom the users they follow follow.
+ * A match for the whole prefix always comes first. Prefixes shorter than
+ * MIN_PREFIX_LENGTH get no suggestions.
+ *
+ * Matches are counted, ranked and limited in the database.
+ */
+export default class Suggestions {
+  /**
+   * The word typed after # or @, without them, null if it can not be the
+   * start of a tag or handle
+   */
+  static parsePrefix(prefix) {
+    const match = PREFIX.exec((prefix ?? '').trim())
+    return match ? match[1].toLowerCase() : null
+  }
+
+  /**
+   * The word typed after # or @ if it is long enough to suggest matches
+   * for, otherwise null
+   */
+  static suggestedPrefix(prefix) {
+    const name = this.parsePrefix(prefix)
+    return name !== null && name.length >= MIN_PREFIX_LENGTH ? name : null
+  }
+
+  /**
+   * The tags starting with the prefix, each with the number of published
+   * posts with it and whether the user follows it
+   */
+  static async tags(prefix, { userId, limit }) {
+    const name = this.suggestedPrefix(prefix)
+    if (name === null) {
+      return []
+    }
+    // Published posts with the tag, see ScheduledPosts
+    const taggedPosts = `FROM postTags AS pt
+      JOIN posts AS p ON p.id = pt.postId AND p.publishAt IS NULL`
+    const postCount = `(SELECT COUNT(DISTINCT p.id) ${taggedPosts}
+      WHERE pt.tagId = tags.id)`
+    const followedPostCount = `(SELECT COUNT(DISTINCT p.id) ${taggedPosts}
+      JOIN followers AS f
+        ON f.followedId = p.author AND f.followerId = ${escape(userId)}
+      WHERE pt.tagId = tags.id)`
+    const following = `EXISTS (SELECT 1 FROM userInterests AS ui
+      WHERE ui.tagId = tags.id AND ui.userId = ${escape(userId)})`
+
+    const tags = await models.tags.findAll({
+      attributes: [
+        'id',
+        'tagName',
+        [literal(postCount), 'postCount'],
+        [literal(following), 'following'],
+      ],
+      where: { tagName: { [Op.like]: `${escapeLike(name)}%` } },
+      order: this.ranking('tagName', name, [
+        `LN(1 + ${postCount})`,
+        `${FOLLOW_GRAPH_WEIGHT} * LN(1 + ${followedPostCount})`,
+        `IF(${following}, ${FOLLOWED_TAG_BONUS}, 0)`,
+      ]),
+      limit,
+      raw: true,
+    })
+    return tags.map((tag) => ({
+      id: tag.id,
+      tagName: tag.tagName,
+      postCount: Number(tag.postCount),
+      following: Boolean(Number(tag.following)),
+    }))
+  }
+
+  /**
+   * The active users other than the user whose username or nickname starts
+   * with the prefix, each with whether the user follows them
+   */
+  static async users(prefix, { userId, limit }) {
+    const name = this.suggestedPrefix(prefix)
+    if (name === null) {
+      return []
+    }
+    const startsWith = `${escapeLike(name)}%`
+    const matches = (column) =>
+      Sequelize.where(
+        Sequelize.fn('LOWER', Sequelize.col(column)),
+        'LIKE',
+        startsWith
+      )
+    const user = escape(userId)
+    const followerCount = `(SELECT COUNT(*) FROM followers AS f
+      WHERE f.followedId = users.id)`
+    const followedByFollowed = `(SELECT COUNT(*) FROM followers AS f
+      JOIN followers AS mine
+        ON mine.followedId = f.followerId AND mine.followerId = ${user}
+      WHERE f.followedId = users.id)`
+    const following = `EXISTS (SELECT 1 FROM followers AS f
+      WHERE f.followerId = ${user} AND f.followedId = users.id)`
+    const follower = `EXISTS (SELECT 1 FROM followers AS f
+      WHERE f.followerId = users.id AND f.followedId = ${user})`
+
+    const users = await models.users.findAll({
+      attributes: { include: [[literal(following), 'following']] },
+      where: {
+        id: { [Op.ne]: userId },
+        deactivatedAt: null,
+        [Op.or]: [matches('username'), matches('nickname')],
+      },
+      order: this.ranking('username', name, [
+        `IF(LOWER(username) LIKE ${escape(
+          startsWith
+        )}, ${USERNAME_MATCH_BONUS}, 0)`,
+        `LN(1 + ${followerCount})`,
+        `${FOLLOW_GRAPH_WEIGHT} * LN(1 + ${followedByFollowed})`,
+        `IF(${following}, ${FOLLOWED_USER_BONUS}, 0)`,
+        `IF(${follower}, ${FOLLOWER_BONUS}, 0)`,
+      ]),
+      limit,
+    })
+    return Promise.all(
+      users.map(async (match) => ({
+        ...(await UserDTO.convertToDto(match)),
+        following: Boolean(Number(match.get('following'))),
+      }))
+    )
+  }
+
+  /**
+   * The order of the matches: the exact name first, then by the sum of the
+   * scores, then the shortest names first
+   */
+  static ranking(column, name, scores) {
+    return [
+      [literal(`LOWER(${column}) = ${escape(name)}`), 'DESC'],
+      [literal(scores.join(' + ')), 'DESC'],
+      [Sequelize.fn('CHAR_LENGTH', Sequelize.col(column)), 'ASC'],
+      [column, 'ASC'],
+    ]
+  }
+}
@@ -0,0 +1,192 @@
+import Sequelize, { Op } from 'sequelize'
+import models from '../database/models'
+import PostDTO from '../dto/posts'
+import ScheduledPosts from './scheduledPosts'
+import Search from './search'
+
+// The number of related tags shown on the page of a tag
+const RELATED_TAGS_LIMIT = 5
+
+/**
+ * Supports the pages of tags, which list the posts with a tag, and following
+ * tags. Following a tag adds it to the interests of the user, so the posts
+ * with the tag show up in their feed like those of the interests picked at
+ * sign up.
+ */
+export default class Tags {
+  /**
+   * The number of published posts that have the tag
+   */
+  static async postCount(tagId) {
+    return models.postTag.count({
+      where: { tagId },
+      include: [
+        {
+          model: models.posts,
+          attributes: [],
+          where: ScheduledPosts.PUBLISHED,
+        },
+      ],
+      distinct: true,
+      col: 'postId',
+    })
+  }
+
+  /**
+   * The details shown at the top of the page of a tag: how many posts have
+   * the tag, how many users follow it, whether the user follows it, and the
+   * tags used most often on the same posts
+   */
+  static async details(tag, userId) {
+    const followerCount = await models.userInterests.count({
+      where: { tagId: tag.id },
+      distinct: true,
+      col: 'userId',
+    })
+    const following = await this.isFollowing(tag, userId)
+    return {
+      id: tag.id,
+      tagName: tag.tagName,
+      postCount: await this.postCount(tag.id),
+      followerCount,
+      following,
+      relatedTags: await this.relatedTags(tag),
+    }
+  }
+
+  /**
+   * The tags used most often on the published posts of a tag, with the
+   * number of those posts they are used on
+   */
+  static async relatedTags(tag) {
+    const postCount = Sequelize.fn(
+      'COUNT',
+      Sequelize.fn('DISTINCT', Sequelize.col('postTag.postId'))
+    )
+    const related = await models.postTag.findAll({
+      attributes: ['tagId', [postCount, 'postCount']],
+      where: { tagId: { [Op.ne]: tag.id } },
+      include: [
+        {
+          model: models.postTag,
+          as: 'samePost',
+          attributes: [],
+          where: { tagId: tag.id },
+        },
+        {
+          model: models.posts,
+          attributes: [],
+          where: ScheduledPosts.PUBLISHED,
+        },
+        { model: models.tags, attributes: ['tagName'], required: true },
+      ],
+      group: ['postTag.tagId', 'tag.id'],
+      order: [
+        [postCount, 'DESC'],
+        ['tagId', 'ASC'],
+      ],
+      limit: RELATED_TAGS_LIMIT,
+      subQuery: false,
+      raw: true,
+    })
+    return related.map((row) => ({
+      tagName: row['tag.tagName'],
+      postCount: Number(row.postCount),
+    }))
+  }
+
+  /**
+   * A page of the published posts with the tag, as { items, nextCursor }
+   * like the pages of Search.posts but without snippets.
+   * sort is latest for the newest first, or top for the most liked first.
+   * cursor is the decoded nextCursor of the previous page, [createdAt, id]
+   * of its last post, with the number of likes in front for top.
+   */
+  static async posts(tag, { sort, limit, cursor, userId }) {
+    const likes = Sequelize.literal(`(SELECT COUNT(*) FROM likedPosts AS lp
+      WHERE lp.postId = posts.id)`)
+    const tagged = Sequelize.literal(`(SELECT pt.postId FROM postTags AS pt
+      WHERE pt.tagId = ${models.sequelize.escape(tag.id)})`)
+    const conditions = [ScheduledPosts.PUBLISHED, { id: { [Op.in]: tagged } }]
+    if (cursor) {
+      const [time, id] = cursor.slice(-2)
+      const createdAt = new Date(time)
+      const older = {
+        [Op.or]: [
+          { createdAt: { [Op.lt]: createdAt } },
+          { createdAt, id: { [Op.lt]: id } },
+        ],
+      }
+      if (sort === 'top') {
+        const [lastLikes] = cursor
+        conditions.push({
+          [Op.or]: [
+            Sequelize.where(likes, { [Op.lt]: lastLikes }),
+            { [Op.and]: [Sequelize.where(likes, lastLikes), older] },
+          ],
+        })
+      } else {
+        conditions.push(older)
+      }
+    }
+    const posts = await models.posts.findAll({
+      attributes: sort === 'top' ? { include: [[likes, 'likeCount']] } : {},
+      where: { [Op.and]: conditions },
+      order: [
+        ...(sort === 'top' ? [[likes, 'DESC']] : []),
+        ['createdAt', 'DESC'],
+        ['id', 'DESC'],
+      ],
+      // One more than needed to know whether there is another page
+      limit: limit + 1,
+    })
+
+    const page = posts.slice(0, limit)
+    const position = (post) => [
+      ...(sort === 'top' ? [Number(post.get('likeCount'))] : []),
+      new Date(post.createdAt).getTime(),
+      post.id,
+    ]
+    return {
+      items: await Promise.all(
+        page.map((post) => PostDTO.convertToDto(post, userId))
+      ),
+      nextCursor:
+        posts.length > limit
+          ? Search.encodeCursor(position(page[page.length - 1]))
+          : null,
+    }
+  }
+
+  /**
+   * Whether the user follows the tag
+   */
+  static async isFollowing(tag, userId) {
+    const interests = await models.userInterests.count({
+      where: { tagId: tag.id, userId },
+    })
+    return interests > 0
+  }
+
+  /**
+   * Adds the tag to the interests of the user.
+   * Returns false if the user already follows the tag.
+   */
+  static async follow(tag, userId) {
+    const [, created] = await models.userInterests.findOrCreate({
+      where: { tagId: tag.id, userId },
+    })
+    return created
+  }
+
+  /**
+   * Removes the tag from the interests of the user.
+   * Returns false if the user did not follow the tag.
+   */
+  static async unfollow(tag, userId) {
+    const removed = await models.userInterests.destroy({
+      where: { tagId: tag.id, userId },
+    })
+    return removed > 0
+  }
+}
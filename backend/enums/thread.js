@@ -0,0 +1,88 @@
+import { Op } from 'sequelize'
+import models from '../database/models'
+import PostDTO from '../dto/posts'
+import ScheduledPosts from './scheduledPosts'
+
+// Stops walking up a broken parent chain
+const MAX_ANCESTORS = 100
+
+/**
+ * Builds the conversation a post is part of: the posts it replies to and
+ * the tree of replies below it.
+ *
+ * Replies are sent oldest first, one page per post. Every post in the tree
+ * has a replies page of { items, nextCursor }, where nextCursor is the id of
+ * the last reply in the page, or null when there are no further replies.
+ * Posts at the depth limit have replies set to null, their replies are
+ * loaded by requesting the thread of that post.
+ */
+export default class Thread {
+  /**
+   * The posts the given post replies to, starting at the top of the conversation
+   */
+  static async ancestors(post, userId) {
+    const ancestors = []
+    let parentId = post.parent
+    while (parentId != null && ancestors.length < MAX_ANCESTORS) {
+      const parent = await models.posts.findByPk(parentId)
+      if (!parent) {
+        break
+      }
+      ancestors.unshift(parent)
+      parentId = parent.parent
+    }
+    return Promise.all(
+      ancestors.map((ancestor) => PostDTO.convertToDto(ancestor, userId))
+    )
+  }
+
+  /**
+   * A post with a page of its replies, each reply with its own replies
+   * until depth levels have been loaded
+   */
+  static async replyTree(post, userId, { depth, limit, cursor = null }) {
+    const dto = await PostDTO.convertToDto(post, userId)
+    if (depth < 1) {
+      return { ...dto, replies: null }
+    }
+    return {
+      ...dto,
+      replies: await this.replyPage(post.id, userId, { depth, limit, cursor }),
+    }
+  }
+
+  /**
+   * A page of the direct replies to a post, after the reply the cursor points to
+   */
+  static async replyPage(postId, userId, { depth, limit, cursor = null }) {
+    const replies = await models.posts.findAll({
+      where: {
+        parent: postId,
+        ...ScheduledPosts.PUBLISHED,
+        ...(cursor ? { id: { [Op.gt]: cursor } } : {}),
+      },
+      order: [['id', 'ASC']],
+      // One more than needed to know whether there is another page
+      limit: limit + 1,
+    })
+    const page = replies.slice(0, limit)
+    const items = await Promise.all(
+      page.map((reply) =>
+        this.replyTree(reply, userId, { depth: depth - 1, limit })
+      )
+    )
+    return {
+      items,
+      nextCursor:
+        replies.length > limit ? String(page[page.length - 1].id) : null,
+    }
+  }
+
+  /**
+   * The reply id a cursor points to, or null when it is not a valid cursor
+   */
+  static decodeCursor(cursor) {
+    const id = Number(cursor)
+    return Number.isInteger(id) && id > 0 ? id : null
+  }
+}
@@ -0,0 +1,311 @@
+import config from 'config'
+import { Op } from 'sequelize'
+import models from '../database/models'
+import PostDTO from '../dto/posts'
+import ScheduledPosts from './scheduledPosts'
+
+const HOUR = 60 * 60
+// How much each kind of activity adds to the velocity of a tag or post
+const WEIGHTS = { use: 1, like: 1, share: 2 }
+
+/**
+ * Finds the tags and posts that are trending: those with the most activity,
+ * per hour, over a recent window of time (see TRENDING.windows in the config).
+ *
+ * A tag is used when a post is tagged with it, and gets activity when posts
+ * with it are liked or shared. A post gets activity when it is liked or
+ * shared. Older activity in the window counts for less, it loses half of its
+ * weight every TRENDING.halfLife of the window.
+ *
+ * Only activity on published posts counts, and only when both the author of
+ * the post and the user acting on it are trusted: their account is active,
+ * older than TRENDING.minAccountAge and not a spammer, see trustedUserIds.
+ * A user counts once per tag for each kind of activity, so one account
+ * tagging many posts can not make a tag trend on its own.
+ *
+ * The trends of a window are computed at most once every
+ * TRENDING.cacheSeconds and shared by every request in between.
+ */
+export default class Trending {
+  // The trends computed for each window by kind, each { expiresAt, value }
+  static cache = new Map()
+
+  /**
+   * The length of a window in seconds from its name, e.g. 24h,
+   * null if there is no such window
+   */
+  static windowSeconds(name) {
+    return config.get('TRENDING.windows')[name] ?? null
+  }
+
+  /**
+   * The tags trending in the window, most velocity first, each with the
+   * number of posts tagged with it during the window
+   */
+  static async tags({ window, limit }) {
+    const tags = await this.cached(`tags:${window}`, () =>
+      this.rankTags(window)
+    )
+    return tags.slice(0, limit)
+  }
+
+  /**
+   * Every tag with activity in the window, most velocity first
+   */
+  static async rankTags(window) {
+    const now = Date.now()
+    const seconds = this.windowSeconds(window)
+    const { uses, likes, shares, posts } = await this.activity(now, seconds)
+
+    const postTags = await models.postTag.findAll({
+      attributes: ['postId', 'tagId'],
+      where: { postId: [...likes, ...shares].map((event) => event.postId) },
+      raw: true,
+    })
+    const tagIdsByPost = new Map()
+    postTags.forEach((pt) =>
+      tagIdsByPost.set(pt.postId, [
+        ...(tagIdsByPost.get(pt.postId) ?? []),
+        pt.tagId,
+      ])
+    )
+    const tagIds = (postId) => tagIdsByPost.get(postId) ?? []
+
+    // The latest activity of each kind by each user on each tag
+    const latest = new Map()
+    const add = (tagId, userId, kind, time) => {
+      const key = `${tagId}:${userId}:${kind}`
+      if (!latest.has(key) || latest.get(key).time < time) {
+        latest.set(key, { tagId, kind, time })
+      }
+    }
+    uses.forEach((use) =>
+      add(use.tagId, posts.get(use.postId).author, 'use', use.createdAt)
+    )
+    likes.forEach((like) =>
+      tagIds(like.postId).forEach((tagId) =>
+        add(tagId, like.userId, 'like', like.createdAt)
+      )
+    )
+    shares.forEach((share) =>
+      tagIds(share.postId).forEach((tagId) =>
+        add(tagId, share.userId, 'share', share.createdAt)
+      )
+    )
+
+    const velocities = this.velocities([...latest.values()], 'tagId', {
+      now,
+      seconds,
+    })
+    const tags = await models.tags.findAll({
+      where: { id: [...velocities.keys()] },
+      raw: true,
+    })
+    const taggedPosts = new Map()
+    uses.forEach((use) =>
+      taggedPosts.set(
+        use.tagId,
+        (taggedPosts.get(use.tagId) ?? new Set()).add(use.postId)
+      )
+    )
+    const postCount = (tagId) => taggedPosts.get(tagId)?.size ?? 0
+    return tags
+      .map((tag) => ({
+        id: tag.id,
+        tagName: tag.tagName,
+        velocity: velocities.get(tag.id),
+        postCount: postCount(tag.id),
+      }))
+      .sort(
+        (a, b) =>
+          b.velocity - a.velocity ||
+          b.postCount - a.postCount ||
+          a.tagName.localeCompare(b.tagName)
+      )
+  }
+
+  /**
+   * The posts trending in the window, most velocity first
+   */
+  static async posts({ window, limit, userId }) {
+    const trending = await this.cached(`posts:${window}`, () =>
+      this.rankPosts(window)
+    )
+    const page = trending.slice(0, limit)
+
+    const posts = await models.posts.findAll({
+      where: { id: page.map(({ id }) => id) },
+    })
+    return Promise.all(
+      page
+        // Posts deleted since the trends were computed are left out
+        .filter(({ id }) => posts.some((post) => post.id === id))
+        .map(async ({ id, velocity }) => ({
+          ...(await PostDTO.convertToDto(
+            posts.find((post) => post.id === id),
+            userId
+          )),
+          velocity,
+        }))
+    )
+  }
+
+  /**
+   * The ids of every post with activity in the window with their velocity,
+   * most velocity first
+   */
+  static async rankPosts(window) {
+    const now = Date.now()
+    const seconds = this.windowSeconds(window)
+    const { likes, shares } = await this.activity(now, seconds)
+
+    const events = [
+      ...likes.map((like) => ({ ...like, kind: 'like', time: like.createdAt })),
+      ...shares.map((share) => ({
+        ...share,
+        kind: 'share',
+        time: share.createdAt,
+      })),
+    ]
+    const velocities = this.velocities(events, 'postId', { now, seconds })
+    return [...velocities]
+      .map(([id, velocity]) => ({ id, velocity }))
+      .sort((a, b) => b.velocity - a.velocity || b.id - a.id)
+  }
+
+  /**
+   * The value cached under the key, computed again once it is older than
+   * seconds. Requests that come while it is computed wait for the same result.
+   */
+  static async cached(
+    key,
+    compute,
+    seconds = config.get('TRENDING.cacheSeconds')
+  ) {
+    const entry = this.cache.get(key)
+    if (entry && entry.expiresAt > Date.now()) {
+      return entry.value
+    }
+    const value = compute()
+    this.cache.set(key, {
+      expiresAt: Date.now() + seconds * 1000,
+      value,
+    })
+    try {
+      return await value
+    } catch (error) {
+      this.cache.delete(key)
+      throw error
+    }
+  }
+
+  /**
+   * The tag uses, likes and shares during the window that count towards
+   * trends, with the posts they are on by id
+   */
+  static async activity(now, seconds) {
+    const since = new Date(now - seconds * 1000)
+    const inWindow = { createdAt: { [Op.gte]: since } }
+    const attributes = ['postId', 'userId', 'createdAt']
+    const uses = await models.postTag.findAll({ where: inWindow, raw: true })
+    const likes = await models.likedPost.findAll({
+      attributes,
+      where: inWindow,
+      raw: true,
+    })
+    const shares = await models.sharedPost.findAll({
+      attributes,
+      where: inWindow,
+      raw: true,
+    })
+
+    const postIds = [...uses, ...likes, ...shares].map((event) => event.postId)
+    const posts = await models.posts.findAll({
+      attributes: ['id', 'author'],
+      where: { id: [...new Set(postIds)], ...ScheduledPosts.PUBLISHED },
+      raw: true,
+    })
+    const trusted = await this.trustedUserIds(
+      [
+        ...posts.map((post) => post.author),
+        ...likes.map((like) => like.userId),
+        ...shares.map((share) => share.userId),
+      ],
+      { since, seconds, likes, shares }
+    )
+    const trustedPosts = new Map(
+      posts
+        .filter((post) => trusted.has(post.author))
+        .map((post) => [post.id, post])
+    )
+
+    return {
+      uses: uses.filter((use) => trustedPosts.has(use.postId)),
+      likes: likes.filter(
+        (like) => trustedPosts.has(like.postId) && trusted.has(like.userId)
+      ),
+      shares: shares.filter(
+        (share) => trustedPosts.has(share.postId) && trusted.has(share.userId)
+      ),
+      posts: trustedPosts,
+    }
+  }
+
+  /**
+   * The ids of the given users whose activity counts towards trends: their
+   * account is active and old enough, and they did not post, like and share
+   * more than TRENDING.maxActionsPerHour on average during the window
+   */
+  static async trustedUserIds(userIds, { since, seconds, likes, shares }) {
+    const minAccountAge = config.get('TRENDING.minAccountAge')
+    const users = await models.users.findAll({
+      attributes: ['id'],
+      where: {
+        id: [...new Set(userIds)],
+        deactivatedAt: null,
+        createdAt: { [Op.lte]: new Date(Date.now() - minAccountAge * 1000) },
+      },
+      raw: true,
+    })
+
+    const actions = new Map()
+    const count = (userId, amount = 1) =>
+      actions.set(userId, (actions.get(userId) ?? 0) + amount)
+    likes.forEach((like) => count(like.userId))
+    shares.forEach((share) => count(share.userId))
+    const postCounts = await models.posts.count({
+      where: { createdAt: { [Op.gte]: since } },
+      group: ['author'],
+    })
+    postCounts.forEach((row) => count(row.author, Number(row.count)))
+
+    const maxActions =
+      (config.get('TRENDING.maxActionsPerHour') * seconds) / HOUR
+    return new Set(
+      users
+        .map((user) => user.id)
+        .filter((id) => (actions.get(id) ?? 0) <= maxActions)
+    )
+  }
+
+  /**
+   * Sums the decayed weight of each event by the value of its key and
+   * divides it by the hours in the window, giving activity per hour
+   */
+  static velocities(events, key, { now, seconds }) {
+    const halfLife = config.get('TRENDING.halfLife') * seconds * 1000
+    const sums = new Map()
+    events.forEach((event) => {
+      const age = now - new Date(event.time).getTime()
+      const weight = WEIGHTS[event.kind] * 0.5 ** (age / halfLife)
+      sums.set(event[key], (sums.get(event[key]) ?? 0) + weight)
+    })
+    const hours = seconds / HOUR
+    return new Map(
+      [...sums].map(([id, sum]) => [
+        id,
+        Math.round((sum / hours) * 1000) / 1000,
+      ])
+    )
+  }
+}
@@ -0,0 +1,95 @@
+import models from '../database/models'
+
+/**
+ * Keeps track of the usernames users had before changing them, so @mentions
+ * and links using an old username still lead to the right user.
+ *
+ * A previous username stays reserved for the user who had it, nobody else
+ * can take it and make old mentions point at them instead.
+ */
+export default class UsernameHistory {
+  /**
+   * Finds the user with the given current or previous username,
+   * current usernames take precedence.
+   * Users who have deleted their account are not found.
+   */
+  static async findUser(username) {
+    const user = await models.users.findOne({
+      where: { username, deactivatedAt: null },
+    })
+    if (user) {
+      return user
+    }
+    const previous = await models.usernameHistory.findOne({
+      where: { username },
+      order: [['createdAt', 'DESC']],
+    })
+    if (!previous) {
+      return null
+    }
+    return models.users.findOne({
+      where: { id: previous.userId, deactivatedAt: null },
+    })
+  }
+
+  /**
+   * Finds all users with any of the given current or previous usernames,
+   * except for users who have deleted their account
+   */
+  static async findUsers(usernames) {
+    const previous = await models.usernameHistory.findAll({
+      where: { username: usernames },
+    })
+    return models.users.findAll({
+      where: {
+        [models.Sequelize.Op.or]: [
+          { username: usernames },
+          { id: previous.map((entry) => entry.userId) },
+        ],
+        deactivatedAt: null,
+      },
+    })
+  }
+
+  /**
+   * Whether the username is used, or was used, by anyone other than the given user
+   */
+  static async isTaken(username, userId = null) {
+    const notUser = userId ? { [models.Sequelize.Op.ne]: userId } : undefined
+    const current = await models.users.findOne({
+      where: { username, ...(notUser && { id: notUser }) },
+    })
+    if (current) {
+      return true
+    }
+    const previous = await models.usernameHistory.findOne({
+      where: { username, ...(notUser && { userId: notUser }) },
+    })
+    return previous !== null
+  }
+
+  /**
+   * Records that a user changed their username, in the transaction that
+   * updates the user so the history never holds a change that did not happen
+   */
+  static async recordChange(userId, oldUsername, newUsername, transaction) {
+    // A user going back to one of their previous usernames reclaims it
+    await models.usernameHistory.destroy({
+      where: { userId, username: newUsername },
+      transaction,
+    })
+    await models.usernameHistory.create(
+      { userId, username: oldUsername },
+      { transaction }
+    )
+  }
+
+  /**
+   * Retrieves the previous usernames of every user other than the given one
+   */
+  static async retrievePreviousUsernames(excludedUserId) {
+    return models.usernameHistory.findAll({
+      where: { userId: { [models.Sequelize.Op.ne]: excludedUserId } },
+    })
+  }
+}
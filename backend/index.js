@@ -1,8 +1,14 @@
 import server from './server'
 import db from './config/database'
 import { PORT } from './config/default'
+import AccountDeletion from './enums/accountDeletion'
+import ScheduledPosts from './enums/scheduledPosts'
+import Polls from './enums/polls'
 
 db.sync().then(() => {
   // eslint-disable-next-line no-console
   server.listen(PORT, () => console.log(`server is running at ${PORT}`))
+  AccountDeletion.startPurgeSchedule()
+  ScheduledPosts.startPublishSchedule()
+  Polls.startCloseSchedule()
 })
@@ -0,0 +1,99 @@
+import config from 'config'
+import ConsoleTransport from './transports/console'
+import FileTransport from './transports/file'
+
+/**
+ * Sends emails through the transport chosen by the MAIL.transport config value.
+ *
+ * A transport is any object with an async send({ from, to, subject, text })
+ * method. Further transports, such as an SMTP or API based one for production,
+ * can be added with Mail.registerTransport without changing any callers.
+ */
+export default class Mail {
+  // name => function creating the transport from the MAIL config
+  static transportFactories = {
+    console: () => new ConsoleTransport(),
+    file: (mailConfig) => new FileTransport(mailConfig),
+  }
+
+  static currentTransport = null
+
+  /**
+   * Makes a transport available under the given name
+   */
+  static registerTransport(name, factory) {
+    this.transportFactories[name] = factory
+    this.currentTransport = null
+  }
+
+  /**
+   * Returns the configured transport, creating it on first use
+   */
+  static transport() {
+    if (!this.currentTransport) {
+      const mailConfig = config.get('MAIL')
+      const factory = this.transportFactories[mailConfig.transport]
+      if (!factory) {
+        throw new Error(`Unknown mail transport '${mailConfig.transport}'`)
+      }
+      this.currentTransport = factory(mailConfig)
+    }
+    return this.currentTransport
+  }
+
+  /**
+   * Sends an email, the sender defaults to MAIL.from
+   */
+  static async send({ to, subject, text }) {
+    await this.transport().send({
+      from: config.get('MAIL.from'),
+      to,
+      subject,
+      text,
+    })
+  }
+
+  /**
+   * Builds a link to a page of the frontend
+   */
+  static appLink(page, params = {}) {
+    const query = new URLSearchParams(params).toString()
+    return `${config.get('MAIL.appUrl')}/${page}${query ? `?${query}` : ''}`
+  }
+
+  /**
+   * Sends the link a new user follows to verify their email address
+   */
+  static async sendEmailVerification(user, token) {
+    await this.send({
+      to: user.email,
+      subject: 'Verify your Updog email address',
+      text: [
+        `Hi ${user.nickname || user.username},`,
+        '',
+        'Welcome to Updog! Please verify your email address by opening the link below:',
+        this.appLink('verify-email', { token }),
+        '',
+        'If you did not create an Updog account you can ignore this email.',
+      ].join('\n'),
+    })
+  }
+
+  /**
+   * Sends the link a user follows to choose a new password
+   */
+  static async sendPasswordReset(user, token) {
+    await this.send({
+      to: user.email,
+      subject: 'Reset your Updog password',
+      text: [
+        `Hi ${user.nickname || user.username},`,
+        '',
+        'Somebody asked to reset the password of your Updog account. Choose a new password by opening the link below:',
+        this.appLink('reset-password', { token }),
+        '',
+        'If you did not ask to reset your password you can ignore this email.',
+      ].join('\n'),
+    })
+  }
+}
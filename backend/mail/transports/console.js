@@ -0,0 +1,19 @@
+/**
+ * Mail transport which prints every email to the console instead of sending it,
+ * used in development so links in emails can be opened straight from the logs
+ */
+export default class ConsoleTransport {
+  async send(message) {
+    console.log(
+      [
+        '----- Email -----',
+        `From: ${message.from}`,
+        `To: ${message.to}`,
+        `Subject: ${message.subject}`,
+        '',
+        message.text,
+        '-----------------',
+      ].join('\n')
+    )
+  }
+}
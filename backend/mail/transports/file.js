@@ -0,0 +1,21 @@
+import fs from 'fs'
+import path from 'path'
+
+/**
+ * Mail transport which writes every email as a JSON file into a directory
+ * instead of sending it, used in tests and when the console is too noisy
+ */
+export default class FileTransport {
+  constructor({ directory }) {
+    this.directory = directory
+  }
+
+  async send(message) {
+    await fs.promises.mkdir(this.directory, { recursive: true })
+    const filename = `${Date.now()}-${Math.random().toString(36).slice(2)}.json`
+    await fs.promises.writeFile(
+      path.join(this.directory, filename),
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+    )
+  }
+}
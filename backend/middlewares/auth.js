@@ -1,13 +1,12 @@
 import Authentication from './authentication'
 
 /**
- * Auth middleware for express. Verifies the users and add decoded user to locals variable
+ * Verifies the given auth token and add decoded user and token to locals variable
  * sends status 400 if no token is provided
- * sends status 401 if not authorised
+ * sends status 401 if not authorised or the token has been revoked
  */
-export const auth = (req, res, next) => {
+const verifyAuthToken = async (authToken, res, next) => {
   try {
-    const authToken = req.get('Authorization')
     if (!authToken) {
       res.status(400).json({
         error: new Error('Auth token not provided'),
@@ -21,7 +20,17 @@ export const auth = (req, res, next) => {
         })
         return
       }
+      const decodedToken = Authentication.decodeToken(
+        Authentication.extractBearerToken(authToken)
+      )
+      if (await Authentication.isRevoked(decodedToken.jti)) {
+        res.status(401).json({
+          error: new Error('Auth token has been revoked'),
+        })
+        return
+      }
       res.locals.decodedUser = decodedUser
+      res.locals.decodedToken = decodedToken
       next()
     }
   } catch {
@@ -31,3 +40,25 @@ export const auth = (req, res, next) => {
     return
   }
 }
+
+/**
+ * Auth middleware for express. Verifies the users and add decoded user to locals variable
+ * sends status 400 if no token is provided
+ * sends status 401 if not authorised
+ */
+export const auth = (req, res, next) => {
+  verifyAuthToken(req.get('Authorization'), res, next)
+}
+
+/**
+ * Auth middleware for event streams. Browsers can not set headers on an EventSource,
+ * so the token may also be passed in the access_token query parameter
+ */
+export const streamAuth = (req, res, next) => {
+  const queryToken = req.query.access_token
+  verifyAuthToken(
+    req.get('Authorization') || (queryToken && `Bearer ${queryToken}`),
+    res,
+    next
+  )
+}
@@ -1,38 +1,156 @@
+import config from 'config'
+import { randomUUID } from 'crypto'
+import models from '../database/models'
+
 const jwt = require('jsonwebtoken')
 
 /**
- * Authentication helper class to generate and decode auth token
+ * Authentication helper class to generate, decode and revoke auth tokens.
+ *
+ * Short lived access tokens authenticate requests, long lived refresh tokens
+ * can only be exchanged for a new pair of tokens.
  */
 export default class Authentication {
+  static ACCESS_TOKEN = 'access'
+
+  static REFRESH_TOKEN = 'refresh'
+
   static privateKey() {
-    return 'PRIVATE_KEY'
+    return config.get('JWT.secret')
   }
 
   /**
-   * Creates a new auth token for a given user
+   * Creates a new auth (access) token for a given user
    */
   static generateAuthToken(user) {
     const authToken = jwt.sign(
-      { data: JSON.stringify(user) },
+      { data: JSON.stringify(user), type: this.ACCESS_TOKEN },
       this.privateKey(),
       {
-        expiresIn: '1d',
+        expiresIn: config.get('JWT.accessTokenExpiresIn'),
         algorithm: 'HS256',
+        jwtid: randomUUID(),
       }
     )
     return authToken
   }
 
+  /**
+   * Creates a new refresh token for a given user, it is only valid as long as
+   * the token version of the user does not change, see revokeRefreshTokens
+   */
+  static generateRefreshToken(user) {
+    const refreshToken = jwt.sign(
+      {
+        userId: user.id,
+        version: user.tokenVersion ?? 0,
+        type: this.REFRESH_TOKEN,
+      },
+      this.privateKey(),
+      {
+        expiresIn: config.get('JWT.refreshTokenExpiresIn'),
+        algorithm: 'HS256',
+        jwtid: randomUUID(),
+      }
+    )
+    return refreshToken
+  }
+
   /**
    * Extracts the user from a given auth token
    */
   static extractUser(authToken) {
+    const decoded = this.verifyToken(
+      this.extractBearerToken(authToken),
+      this.ACCESS_TOKEN
+    )
+    return JSON.parse(decoded.data)
+  }
+
+  /**
+   * Extracts the raw token from an authorization header
+   */
+  static extractBearerToken(authToken) {
     // sent by frontend as 'Bearer <token>'
     if (authToken.startsWith('Bearer ')) {
       const splitToken = authToken.split(' ')
-      const decoded = jwt.verify(splitToken[1], this.privateKey())
-      return JSON.parse(decoded.data)
+      return splitToken[1]
     }
     throw new Error('Authorization header was not Bearer')
   }
+
+  /**
+   * Verifies a token and checks that it is of the expected type,
+   * returns the decoded token
+   */
+  static verifyToken(token, type) {
+    const decoded = jwt.verify(token, this.privateKey(), {
+      algorithms: ['HS256'],
+    })
+    if (decoded.type !== type) {
+      throw new Error(`Expected an ${type} token`)
+    }
+    return decoded
+  }
+
+  /**
+   * Decodes the id and expiry of a token without verifying it
+   */
+  static decodeToken(token) {
+    return jwt.decode(token)
+  }
+
+  /**
+   * Adds a token to the revocation list so it can no longer be used.
+   * Returns false if the token had already been revoked, the unique token id
+   * makes this hold even when the same token is revoked by concurrent requests
+   */
+  static async revokeToken(decodedToken) {
+    // Revocations of expired tokens are no longer needed
+    await models.revokedTokens.destroy({
+      where: { expiresAt: { [models.Sequelize.Op.lt]: new Date() } },
+    })
+    if (!decodedToken?.jti) {
+      return false
+    }
+    try {
+      await models.revokedTokens.create({
+        jti: decodedToken.jti,
+        expiresAt: new Date(decodedToken.exp * 1000),
+      })
+      return true
+    } catch (error) {
+      if (error instanceof models.Sequelize.UniqueConstraintError) {
+        return false
+      }
+      throw error
+    }
+  }
+
+  /**
+   * Revokes every refresh token of a user at once by bumping their token version
+   */
+  static async revokeRefreshTokens(user) {
+    await user.increment('tokenVersion')
+    await user.reload()
+  }
+
+  /**
+   * Checks whether a decoded refresh token was issued after the refresh
+   * tokens of its user were last revoked
+   */
+  static isCurrentRefreshToken(decodedToken, user) {
+    return (decodedToken.version ?? 0) === (user.tokenVersion ?? 0)
+  }
+
+  /**
+   * Checks whether the token with the given id has been revoked
+   */
+  static async isRevoked(jti) {
+    if (!jti) {
+      return false
+    }
+    const revoked = await models.revokedTokens.findOne({ where: { jti } })
+    return revoked !== null
+  }
 }
@@ -0,0 +1,44 @@
+import Bookmarks from '../../enums/bookmarks'
+
+const DEFAULT_BOOKMARKS_LIMIT = 20
+const MAX_BOOKMARKS_LIMIT = 50
+
+/**
+ * Retrieves the bookmarks of the logged in user, one page at a time
+ *
+ * Requires Authentication
+ *
+ * Query parameters:
+ * limit - optional, the maximum number of bookmarks in the page (default 20, max 50)
+ * cursor - optional, the nextCursor returned with the previous page
+ *
+ * Response Codes:
+ * 200 OK with { items, nextCursor }, each item is { post, bookmarkedAt }
+ * 400 BAD REQUEST if the cursor or limit is invalid
+ * 500 INTERNAL SERVER ERROR for everything else.
+ */
+export const getBookmarks = async (req, res) => {
+  try {
+    const { query } = req
+    const loggedInUser = res.locals.decodedUser
+
+    const limit = query.limit ? Number(query.limit) : DEFAULT_BOOKMARKS_LIMIT
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_BOOKMARKS_LIMIT) {
+      res.status(400).send({
+        error: `limit must be between 1 and ${MAX_BOOKMARKS_LIMIT}`,
+      })
+      return
+    }
+    const cursor = query.cursor ? Bookmarks.decodeCursor(query.cursor) : null
+    if (query.cursor && !cursor) {
+      res.status(400).send({ error: 'Invalid cursor' })
+      return
+    }
+
+    res
+      .status(200)
+      .send(await Bookmarks.retrievePage(loggedInUser.id, limit, cursor))
+  } catch (error) {
+    res.status(500).send({ 'Error message': error.toString() })
+  }
+}
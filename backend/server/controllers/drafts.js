@@ -0,0 +1,179 @@
+import models from '../../database/models'
+import DraftDTO from '../../dto/drafts'
+
+// The fields of a draft that can be sent in a request
+const DRAFT_FIELDS = ['text_content', 'parent', 'quotedPostId']
+
+/**
+ * The fields of a draft sent in the request body, or an error message when
+ * one of them is invalid. Fields that are not sent are left out.
+ */
+const draftFields = (body) => {
+  const fields = {}
+  for (const field of DRAFT_FIELDS.filter((name) => name in body)) {
+    const value = body[field]
+    if (field === 'text_content') {
+      if (typeof value !== 'string') {
+        return { error: 'text_content must be a string' }
+      }
+    } else if (value !== null && !(Number.isInteger(value) && value > 0)) {
+      return { error: `${field} must be a post id or null` }
+    }
+    fields[field] = value
+  }
+  return { fields }
+}
+
+/**
+ * Finds a draft of the given user, drafts of other users are never found
+ */
+const findDraft = (id, userId) =>
+  models.drafts.findOne({ where: { id, userId } })
+
+/**
+ * Retrieves the drafts of the logged in user, the most recently changed first
+ *
+ * Requires authentication.
+ *
+ * Response Codes:
+ * 200 OK with the drafts of the user
+ * 500 INTERNAL SERVER ERROR for everything else.
+ */
+export const getDrafts = async (req, res) => {
+  try {
+    const decodedUser = res.locals.decodedUser
+    const drafts = await models.drafts.findAll({
+      where: { userId: decodedUser.id },
+      order: [
+        ['updatedAt', 'DESC'],
+        ['id', 'DESC'],
+      ],
+    })
+    res.status(200).send(drafts.map((draft) => DraftDTO.convertToDto(draft)))
+  } catch (error) {
+    res.status(500).send({ 'Error message': error.toString() })
+  }
+}
+
+/**
+ * Saves a new draft for the logged in user
+ *
+ * Requires authentication.
+ *
+ * Request body:
+ * text_content - optional, the text written so far
+ * parent - optional, the post the draft replies to
+ * quotedPostId - optional, the post the draft quotes
+ *
+ * Response Codes:
+ * 201 CREATED with the saved draft
+ * 400 BAD REQUEST if one of the fields is invalid
+ * 500 INTERNAL SERVER ERROR for everything else.
+ */
+export const createDraft = async (req, res) => {
+  try {
+    const decodedUser = res.locals.decodedUser
+    const { fields, error } = draftFields(req.body)
+    if (error) {
+      res.status(400).send({ error })
+      return
+    }
+
+    const draft = await models.drafts.create({
+      ...fields,
+      userId: decodedUser.id,
+    })
+    res.status(201).send(DraftDTO.convertToDto(draft))
+  } catch (error) {
+    res.status(500).send({ 'Error message': error.toString() })
+  }
+}
+
+/**
+ * Retrieves a draft of the logged in user
+ *
+ * Requires authentication.
+ *
+ * Path parameter: id - the id of the draft
+ *
+ * Response Codes:
+ * 200 OK with the draft
+ * 404 NOT FOUND when the user has no draft with that id
+ * 500 INTERNAL SERVER ERROR for everything else.
+ */
+export const getDraftById = async (req, res) => {
+  try {
+    const decodedUser = res.locals.decodedUser
+    const draft = await findDraft(req.params.id, decodedUser.id)
+    if (!draft) {
+      res.status(404).send({ error: 'Draft not found' })
+      return
+    }
+    res.status(200).send(DraftDTO.convertToDto(draft))
+  } catch (error) {
+    res.status(500).send({ 'Error message': error.toString() })
+  }
+}
+
+/**
+ * Changes a draft of the logged in user, fields that are not sent are left unchanged
+ *
+ * Requires authentication.
+ *
+ * Path parameter: id - the id of the draft
+ * Request body: text_content, parent and quotedPostId as for createDraft
+ *
+ * Response Codes:
+ * 200 OK with the changed draft
+ * 400 BAD REQUEST if one of the fields is invalid
+ * 404 NOT FOUND when the user has no draft with that id
+ * 500 INTERNAL SERVER ERROR for everything else.
+ */
+export const modifyDraftById = async (req, res) => {
+  try {
+    const decodedUser = res.locals.decodedUser
+    const { fields, error } = draftFields(req.body)
+    if (error) {
+      res.status(400).send({ error })
+      return
+    }
+
+    const draft = await findDraft(req.params.id, decodedUser.id)
+    if (!draft) {
+      res.status(404).send({ error: 'Draft not found' })
+      return
+    }
+    await draft.update(fields)
+    res.status(200).send(DraftDTO.convertToDto(draft))
+  } catch (error) {
+    res.status(500).send({ 'Error message': error.toString() })
+  }
+}
+
+/**
+ * Deletes a draft of the logged in user
+ *
+ * Requires authentication.
+ *
+ * Path parameter: id - the id of the draft
+ *
+ * Response Codes:
+ * 200 OK when the draft has been deleted
+ * 404 NOT FOUND when the user has no draft with that id
+ * 500 INTERNAL SERVER ERROR for everything else.
+ */
+export const deleteDraftById = async (req, res) => {
+  try {
+    const decodedUser = res.locals.decodedUser
+    const count = await models.drafts.destroy({
+      where: { id: req.params.id, userId: decodedUser.id },
+    })
+    if (count === 0) {
+      res.status(404).send({ error: 'Draft not found' })
+      return
+    }
+    res.status(200).send({ deleted: true })
+  } catch (error) {
+    res.status(500).send({ 'Error message': error.toString() })
+  }
+}
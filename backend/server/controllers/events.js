@@ -0,0 +1,18 @@
+import LiveEvents from '../../enums/liveEvents'
+
+/**
+ * Opens a Server-Sent Events stream of live updates for the logged in user.
+ * Pushes 'notification' events when the user is notified and 'feed' events
+ * when someone the user follows posts, replies, likes or shares, and
+ * 'notificationRemoved' events when a notification is taken back.
+ *
+ * Requires authentication, the token can be given in the access_token query parameter,
+ * which is redacted from the request log.
+ *
+ * Response codes:
+ * 200 OK the stream stays open until the client disconnects
+ */
+export const subscribe = (req, res) => {
+  const decodedUser = res.locals.decodedUser
+  LiveEvents.subscribe(decodedUser.id, req, res)
+}
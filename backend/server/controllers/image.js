@@ -1,83 +1,278 @@
-/* eslint-disable no-console */
-import bucket from '../../config/cloudstorage'
-import { Readable } from 'stream'
+import config from 'config'
+import path from 'path'
+import models from '../../database/models'
+import Storage from '../../storage'
+import ImageProcessing, {
+  ImageRendition,
+  ImageValidationError,
+} from '../../enums/imageProcessing'
 
 /**
- * Upload a file to the storage, then create attachment object to be appended into the Database.
+ * The storage key of an image when given the file name
  */
-async function uploadImageToBucket(buffer, filename, mimetype) {
-  const stream = Readable.from(buffer)
+const imageKey = (filename) => `images/${filename}`
 
-  const writeStream = bucket.file(`images/${filename}`).createWriteStream({
-    metadata: {
-      contentType: mimetype,
-    },
+/**
+ * Validates and re-encodes an uploaded file, see ImageProcessing.process
+ *
+ * Throws an ImageValidationError when the file is not an image that can be stored
+ */
+export async function processUpload(file) {
+  // express-fileupload cuts files off at the size limit instead of rejecting them
+  if (file.truncated) {
+    throw new ImageValidationError('The image is too large', 413)
+  }
+  return ImageProcessing.process(file.data)
+}
+
+/**
+ * Saves every rendition of a processed image to the storage and records the
+ * user who uploaded it, returns the URI of the image and its dimensions
+ */
+export async function saveImage(image, userId) {
+  await Promise.all(
+    image.renditions.map(({ filename, data }) =>
+      Storage.put(imageKey(filename), data, { contentType: image.contentType })
+    )
+  )
+  await models.uploads.create({
+    userId,
+    filename: image.filename,
+    contentType: image.contentType,
+    width: image.width,
+    height: image.height,
   })
+  return {
+    imageURI: `${config.get('BACKEND_URL')}images/${image.filename}`,
+    width: image.width,
+    height: image.height,
+  }
+}
 
-  const pipedStreams = stream.pipe(writeStream)
+/**
+ * Removes every rendition of an image from the storage
+ */
+export async function deleteImage(filename) {
+  await Promise.all(
+    ImageRendition.ALL.map((rendition) =>
+      Storage.delete(imageKey(rendition.filename(filename)))
+    )
+  )
+}
 
-  const result = new Promise((resolve, reject) => {
-    pipedStreams.on('finish', () => {
-      resolve({
-        imageURI: `${process.env.BACKEND_URL}images/${filename}`,
-      })
-    })
+/**
+ * Opens a read stream of an image in the storage when given the file name
+ */
+export function readImage(filename) {
+  return Storage.getStream(imageKey(filename))
+}
 
-    pipedStreams.on('error', (err) => {
-      reject(err)
-    })
-  })
+// Content hashed images never change, so caches may keep them for a year
+const IMMUTABLE_CACHE = 'public, max-age=31536000, immutable'
+
+// Headers describing the image, removed again when the image can not be sent
+const IMAGE_HEADERS = [
+  'Content-Type',
+  'Content-Length',
+  'Content-Range',
+  'ETag',
+  'Cache-Control',
+]
+
+/**
+ * A strong ETag of a stored image. Content hashed names already identify the
+ * bytes of the image, any other image is identified by its size and the time
+ * it was last changed, so it is never read just to answer a request.
+ */
+function imageEtag(filename, { size, modifiedAt }) {
+  if (ImageProcessing.isContentHashed(filename)) {
+    return `"${path.parse(filename).name}"`
+  }
+  return `"${size.toString(16)}-${Math.floor(modifiedAt).toString(16)}"`
+}
 
-  return result
+/**
+ * The byte range to send for the Range header of the request,
+ * undefined to send the whole image or null when the range can not be satisfied
+ */
+function requestedRange(req, size, etag) {
+  // If-Range asks for the range only if the image has not changed since
+  const ifRange = req.get('If-Range')
+  if (!req.get('Range') || (ifRange && ifRange !== etag)) {
+    return undefined
+  }
+  const ranges = req.range(size, { combine: true })
+  if (ranges === -1) {
+    return null
+  }
+  // Malformed headers and requests for several ranges get the whole image
+  if (!Array.isArray(ranges) || ranges.type !== 'bytes' || ranges.length > 1) {
+    return undefined
+  }
+  return ranges[0]
 }
 
 /**
- * Download a given file from the storage bucket when given the file name
+ * Responds with the status code of a storage error, unless part of the
+ * image has been sent already, then the connection is cut instead
+ */
+function sendStorageError(res, error) {
+  if (res.headersSent) {
+    res.destroy(error)
+    return
+  }
+  IMAGE_HEADERS.forEach((header) => res.removeHeader(header))
+  if (error.code === 404) {
+    res.status(404).send({ error: 'Image not found' })
+    return
+  }
+  if (error.code === 400) {
+    res.status(400).send({ error: 'Invalid image name' })
+    return
+  }
+  res.status(500).send({ 'Error message': error.toString() })
+}
+
+/**
+ * Sends a stored image, answering conditional and range requests
  *
  * Response codes:
- * 200 OK on success
- * err.code of the specific error on failure
+ * 200 OK with the whole image
+ * 206 PARTIAL CONTENT with the requested range of the image
+ * 304 NOT MODIFIED when If-None-Match matches the ETag of the image
+ * 416 RANGE NOT SATISFIABLE when the range lies outside of the image
  */
-async function downloadImageFromBucket(res, filename) {
-  const image = bucket.file(`images/${filename}`)
-
-  const stream = image.createReadStream()
-  stream.on('data', (data) => {
-    res.write(data)
-  })
-  stream.on('end', () => {
-    res.status(200).send()
-  })
-  stream.on('error', (err) => {
-    res.status(err.code).send(err.message)
+async function sendImage(req, res, filename, stat) {
+  const { size, contentType } = stat
+  const etag = imageEtag(filename, stat)
+  res.set({
+    'Content-Type':
+      contentType ??
+      ImageProcessing.contentType(filename) ??
+      'application/octet-stream',
+    'X-Content-Type-Options': 'nosniff',
+    'Accept-Ranges': 'bytes',
+    ETag: etag,
+    'Cache-Control': ImageProcessing.isContentHashed(filename)
+      ? IMMUTABLE_CACHE
+      : 'no-cache',
   })
+
+  // Compares If-None-Match against the ETag set above
+  if (req.fresh) {
+    res.status(304).end()
+    return
+  }
+
+  const range = requestedRange(req, size, etag)
+  if (range === null) {
+    res.removeHeader('Content-Type')
+    res.status(416).set('Content-Range', `bytes */${size}`).end()
+    return
+  }
+  if (range) {
+    res.status(206).set({
+      'Content-Range': `bytes ${range.start}-${range.end}/${size}`,
+      'Content-Length': range.end - range.start + 1,
+    })
+  } else {
+    res.status(200).set('Content-Length', size)
+  }
+
+  if (req.method === 'HEAD') {
+    res.end()
+    return
+  }
+
+  const stream = Storage.getStream(imageKey(filename), range ?? {})
+  stream.on('error', (error) => sendStorageError(res, error))
+  // Stop reading when the client goes away before the image is sent
+  res.on('close', () => stream.destroy())
+  stream.pipe(res)
 }
 
 /**
- * Downloads an image File from Cloud Storage
+ * Downloads an image File from the storage
+ *
+ * Path parameter: filename - the name of the image
+ * Query parameter: size - optional, thumbnail, medium or original (default)
+ *
+ * Images uploaded before renditions were introduced are only stored at their
+ * original size, which is sent for every size.
+ *
+ * Response codes:
+ * 200, 206, 304 and 416 as described for sendImage
+ * 400 BAD REQUEST if the size or the file name is invalid
+ * 404 NOT FOUND when there is no image with that name
+ * 500 INTERNAL SERVER ERROR otherwise
  */
 export const getImage = async (req, res) => {
-  return downloadImageFromBucket(res, req.params.filename)
+  try {
+    const { filename } = req.params
+    const rendition = ImageRendition.fromSize(req.query.size ?? 'original')
+    if (!rendition) {
+      res.status(400).send({
+        error: 'The size must be thumbnail, medium or original',
+      })
+      return
+    }
+
+    let servedFilename = rendition.filename(filename)
+    let stat = await Storage.stat(imageKey(servedFilename))
+    if (!stat && servedFilename !== filename) {
+      servedFilename = filename
+      stat = await Storage.stat(imageKey(filename))
+    }
+    if (!stat) {
+      res.status(404).send({ error: 'Image not found' })
+      return
+    }
+
+    await sendImage(req, res, servedFilename, stat)
+  } catch (error) {
+    sendStorageError(res, error)
+  }
 }
 
 /**
- * Uploads a files attachments/images to the bucket from a given request
+ * Uploads the images sent as attachments to the storage, owned by the authenticated user
  *
- * Requires authentication.
+ * Every image gets a URI of its own that is derived from its content,
+ * so uploads with the same file name never replace each other.
  *
  * Response code:
- * 200 OK when finished
+ * 200 OK when finished, responds with the uri, width and height of each image
+ * 400 BAD REQUEST if no file was sent or a file is not an image
+ * 401 UNAUTHORIZED if the user is not logged in
+ * 413 PAYLOAD TOO LARGE if an image is larger than IMAGES.maxUploadSize
+ * 500 INTERNAL SERVER ERROR if an image could not be saved
  */
 export const uploadImage = async (req, res) => {
-  if (req.files) {
-    const file = req.files.attachments
-    if (!!file && file.constructor === Array) {
-      file.forEach(async (x) => {
-        uploadImageToBucket(x.data, x.name, x.mimetype)
-      })
-    } else {
-      uploadImageToBucket(file.data, file.name, file.mimetype)
+  try {
+    const file = req.files?.attachments
+    if (!file) {
+      res.status(400).send({ error: 'No image was uploaded' })
+      return
+    }
+    const files = Array.isArray(file) ? file : [file]
+
+    const images = await Promise.all(files.map(processUpload))
+    const userId = res.locals.decodedUser.id
+    const saved = await Promise.all(
+      images.map((image) => saveImage(image, userId))
+    )
+    res.status(200).send({
+      images: saved.map(({ imageURI, width, height }) => ({
+        uri: imageURI,
+        width,
+        height,
+      })),
+    })
+  } catch (error) {
+    if (error instanceof ImageValidationError) {
+      res.status(error.status).send({ error: error.message })
+      return
     }
+    res.status(500).send({ 'Error message': error.toString() })
   }
-  res.status(200).send()
 }
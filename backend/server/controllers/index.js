@@ -5,5 +5,23 @@ import * as image from './image'
 import * as interests from './interests'
 import * as tags from './tags'
 import * as search from './search'
+import * as notifications from './notifications'
+import * as events from './events'
+import * as bookmarks from './bookmarks'
+import * as drafts from './drafts'
+import * as trending from './trending'
 
-export { user, posts, image, interests, test, tags, search }
+export {
+  user,
+  posts,
+  image,
+  interests,
+  test,
+  tags,
+  search,
+  notifications,
+  events,
+  bookmarks,
+  drafts,
+  trending,
+}
@@ -0,0 +1,91 @@
+import Notifications from '../../enums/notifications'
+
+/**
+ * Get notifications from current user
+ *
+ * Requires Authentication
+ *
+ * Response Codes:
+ * 200 OK sends notifications
+ * 500 INTERNAL SERVER ERROR for everything else.
+ */
+export const getNotifications = async (req, res) => {
+  try {
+    const loggedInUser = res.locals.decodedUser
+    const notifications = await Notifications.retrieveNotifications(
+      loggedInUser.id
+    )
+    res.status(200).send(notifications)
+  } catch (error) {
+    res.status(500).send({ 'Error message': error.toString() })
+  }
+}
+
+/**
+ * Get the number of unread notifications of the current user
+ *
+ * Requires Authentication
+ *
+ * Response Codes:
+ * 200 OK sends the unread count
+ * 500 INTERNAL SERVER ERROR for everything else.
+ */
+export const getUnreadCount = async (req, res) => {
+  try {
+    const loggedInUser = res.locals.decodedUser
+    const count = await Notifications.countUnread(loggedInUser.id)
+    res.status(200).send({ count })
+  } catch (error) {
+    res.status(500).send({ 'Error message': error.toString() })
+  }
+}
+
+/**
+ * Marks a notification of the current user as read
+ *
+ * Requires Authentication
+ *
+ * Path parameter: id - the id of the notification
+ *
+ * Response Codes:
+ * 200 OK when the notification has been marked as read
+ * 404 NOT FOUND if the user has no notification with that id
+ * 500 INTERNAL SERVER ERROR for everything else.
+ */
+export const markNotificationAsRead = async (req, res) => {
+  try {
+    const { params } = req
+    const loggedInUser = res.locals.decodedUser
+
+    const found = await Notifications.markAsRead(params.id, loggedInUser.id)
+    if (!found) {
+      res.status(404).send({
+        error: `Notification with id '${params.id}' not found`,
+      })
+      return
+    }
+
+    res.status(200).send({ message: 'The notification has been read.' })
+  } catch (error) {
+    res.status(500).send({ 'Error message': error.toString() })
+  }
+}
+
+/**
+ * Marks every notification of the current user as read
+ *
+ * Requires Authentication
+ *
+ * Response Codes:
+ * 200 OK with the number of notifications marked as read
+ * 500 INTERNAL SERVER ERROR for everything else.
+ */
+export const markAllNotificationsAsRead = async (req, res) => {
+  try {
+    const loggedInUser = res.locals.decodedUser
+    const updated = await Notifications.markAllAsRead(loggedInUser.id)
+    res.status(200).send({ updated })
+  } catch (error) {
+    res.status(500).send({ 'Error message': error.toString() })
+  }
+}
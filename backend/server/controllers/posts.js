@@ -1,80 +1,49 @@
-/* eslint-disable no-console */
-import bucket from '../../config/cloudstorage'
 import models from '../../database/models'
 import PostDTO from '../../dto/posts'
 import { checkAndCreateTag } from './tags'
 import Interactions from '../../enums/interactions'
-
-/**
- * Upload a file to the storage, then create attachment object to be appended into the Database.
- * @Deprecated use ./image.js/uploadImageToBucket instead
- */
-async function uploadFileToCloud(file, postID) {
-  const newFilename = `${Date.now()}-${Math.random().toString(36).slice(-5)}-${
-    file.name
-  }`
-
-  // Moving a file from memory to disk.
-  // TODO : Preferbly we want to upload straight from memory.
-  await file.mv(`./images_upload/${newFilename}`, null)
-
-  // Uploading to the cloud storage
-  await bucket.upload(`./images_upload/${newFilename}`, {
-    destination: `Post_images/${newFilename}`,
-  })
-
-  // Creating a object for database.
-  await models.attachments.create({
-    postID,
-    attachmentLink: `Post_images/${newFilename}`,
-  })
-  console.log(`uploaded file : ${newFilename}`)
-}
-
-/**
- * Downloads a given file from the cloud storage
- * @Deprecated use ./image.js/downloadImageFromBucket instead
- */
-async function downloadFileFromCloudStorage(filename) {
-  const options = {
-    destination: `images_download/${filename}`,
-  }
-  // Downloads the file
-  await bucket.file(`Post_images/${filename}`).download(options)
-  console.log(
-    `Post_images/${filename} downloaded to ${`Downloaded_images/${filename}`}.`
-  )
-}
-
-/**
- * Retrieves an image file from the cloud storage
- *
- * Requires authentication.
- *
- * Response codes:
- * 201 CREATED when finished
- * 500 INTERNAL SERVER ERROR otherwise
- * @Deprecated use ./image.js/getImage instead
- */
-export const getImage = async (req, res) => {
-  try {
-    downloadFileFromCloudStorage(req.body.attachments).catch(console.error)
-    res.status(201).send()
-  } catch (error) {
-    res.status(500).send(error)
-  }
-}
+import Notifications from '../../enums/notifications'
+import Announcements from '../../enums/announcements'
+import { ActivityType } from '../../enums/activityType'
+import { processUpload, saveImage } from './image'
+import { ImageValidationError } from '../../enums/imageProcessing'
+import Thread from '../../enums/thread'
+import Bookmarks from '../../enums/bookmarks'
+import PostRevisions from '../../enums/postRevisions'
+import ScheduledPosts from '../../enums/scheduledPosts'
+import Polls, { PollValidationError } from '../../enums/polls'
+import PostEntities from '../../enums/postEntities'
+
+const MAX_ATTACHMENTS = 4
+const DEFAULT_THREAD_DEPTH = 3
+const MAX_THREAD_DEPTH = 6
+const DEFAULT_REPLIES_LIMIT = 10
+const MAX_REPLIES_LIMIT = 50
 
 /**
  * Handles a request for creating a new post in the system
  *
  * Requires authentication.
  *
- * Request body: details of new post
+ * Request body: details of new post, sent as multipart form data when images are attached
+ *               attachments - optional, up to 4 image files in the order they are shown
+ *               alts - optional, the alt text of each image in the same order
+ *               quotedPostId - optional, the post this post quotes
+ *               publishAt - optional, an ISO 8601 time in the future to publish the post at,
+ *                           see ScheduledPosts
+ *               draftId - optional, the draft the post was written from, it is removed
+ *               poll - optional, { options, closesAt } with 2 to 4 options, see Polls.parse
+ *               tagIds, newTags - optional, tags of the post besides the hashtags in its text
+ *
+ * The users mentioned in the text are stored, see PostEntities, and notified
+ * once the post is published.
  *
  * Response codes:
- * 201 CREATED when the post has successfully been created.
- * 404 NOT FOUND if a parent post id not found
+ * 201 CREATED when the post has successfully been created or scheduled.
+ * 400 BAD REQUEST if the attachments are not images or there are too many,
+ *                 or publishAt is not a time in the future, or the poll is invalid
+ * 413 PAYLOAD TOO LARGE if an attachment is larger than IMAGES.maxUploadSize
+ * 404 NOT FOUND if a parent or quoted post id not found
  * 500 INTERNAL SERVER ERROR otherwise.
  */
 export const createPost = async (req, res) => {
@@ -82,41 +51,89 @@ export const createPost = async (req, res) => {
     const { body } = req
     const decodedUser = res.locals.decodedUser
 
+    const files = asArray(req.files?.attachments)
+    if (files.length > MAX_ATTACHMENTS) {
+      res.status(400).send({
+        error: `A post can have at most ${MAX_ATTACHMENTS} images`,
+      })
+      return
+    }
+    // Every image is validated before anything is created
+    const images = await Promise.all(files.map(processUpload))
+
+    const quotedPost =
+      body.quotedPostId == null
+        ? null
+        : await models.posts.findByPk(body.quotedPostId)
+    // Posts that are not published yet can not be quoted or replied to
+    if (
+      body.quotedPostId != null &&
+      !(quotedPost && ScheduledPosts.isPublished(quotedPost))
+    ) {
+      res.status(404).send({
+        'Error message': 'Quoted post with that id does not exist.',
+      })
+      return
+    }
+
+    const publishAt =
+      body.publishAt == null
+        ? null
+        : ScheduledPosts.parsePublishAt(body.publishAt)
+    if (body.publishAt != null && !publishAt) {
+      res.status(400).send({ error: 'publishAt must be a time in the future' })
+      return
+    }
+    // Polls start when the post is published
+    const poll =
+      body.poll == null ? null : Polls.parse(body.poll, publishAt ?? new Date())
+
     // Check whether the parent post exists.
     const parent = await models.posts.findByPk(body.parent)
 
-    if (parent || body.parent == null) {
-      // Create the post in the database.
+    if ((parent && ScheduledPosts.isPublished(parent)) || body.parent == null) {
+      // Create the post in the database, scheduled posts are dated by when they appear
       const post = await models.posts.create({
         text_content: body.text_content,
         author: decodedUser.id,
         parent: body.parent,
+        quotedPostId: quotedPost?.id ?? null,
+        publishAt,
+        ...(publishAt ? { createdAt: publishAt } : {}),
       })
+      await createAttachments(
+        images,
+        asArray(body.alts),
+        post.id,
+        decodedUser.id
+      )
+      if (poll) {
+        await Polls.create(post.id, poll)
+      }
+      await PostEntities.recordMentions(post)
+      // The hashtags in the text are tags of the post as well
+      const newTagIds = await createNewTags([
+        ...new Set([
+          ...asArray(body.newTags),
+          ...PostEntities.hashtags(body.text_content),
+        ]),
+      ])
+      // Multipart form data sends a single value instead of an array of one
+      await createPostTags(
+        [...new Set([...asArray(body.tagIds), ...newTagIds].map(Number))],
+        post.id
+      )
       const postDTO = await PostDTO.convertToDto(post, decodedUser.id)
-
-      if (!body.tagIds) {
-        body.tagIds = []
+      if (ScheduledPosts.isPublished(post)) {
+        await Announcements.announcePost(post, { parent, quotedPost })
       }
-      // Create any new tags and populate the postTag database with new records
-      if (body.tagIds || body.newTags) {
-        const newTagIds = await createNewTags(body.newTags)
-        if (newTagIds != null) {
-          body.tagIds = [...body.tagIds, ...newTagIds]
-        }
-        await createPostTags(body.tagIds, post.id)
+      // The draft the post was written from is no longer needed
+      if (body.draftId != null) {
+        await models.drafts.destroy({
+          where: { id: body.draftId, userId: decodedUser.id },
+        })
       }
 
-      // Check for any file attachments and upload to the cloud
-      if (req.files) {
-        const file = req.files.attachments
-        if (!!file && file.constructor === Array) {
-          file.forEach(async (x) => {
-            uploadFileToCloud(x, post.id)
-          })
-        } else {
-          uploadFileToCloud(file, post.id)
-        }
-      }
       res.status(201).send(postDTO)
     } else {
       res.status(404).send({
@@ -124,6 +141,13 @@ export const createPost = async (req, res) => {
       })
     }
   } catch (error) {
+    if (
+      error instanceof ImageValidationError ||
+      error instanceof PollValidationError
+    ) {
+      res.status(error.status).send({ error: error.message })
+      return
+    }
     res.status(500).send(error)
   }
 }
@@ -146,7 +170,8 @@ export const getPostById = async (req, res) => {
     const { params } = req
     const post = await models.posts.findByPk(params.id)
     const decodedUser = res.locals?.decodedUser
-    if (post != null) {
+    // Scheduled posts are only shown to their author
+    if (post != null && ScheduledPosts.isVisibleTo(post, decodedUser?.id)) {
       // Returns the postDTO object if a post with the id exists.
       const postDTO = await PostDTO.convertToDto(post, decodedUser?.id)
       res.status(200).send(postDTO)
@@ -158,16 +183,85 @@ export const getPostById = async (req, res) => {
   }
 }
 
+/**
+ * Retrieves the conversation around a post: the posts it replies to and a
+ * tree of the replies below it, see Thread for the shape of the tree
+ *
+ * Requires authentication.
+ *
+ * Path parameter: id - the id of the post
+ * Query parameters:
+ * depth - optional, the number of reply levels to include (default 3, max 6)
+ * limit - optional, the maximum number of replies per post (default 10, max 50)
+ * cursor - optional, the nextCursor of the replies to the post to continue after
+ *
+ * Response Codes:
+ * 200 OK with { ancestors, post }, ancestors start at the top of the conversation
+ * 400 BAD REQUEST if the depth, limit or cursor is invalid
+ * 404 NOT FOUND when the post with that id can not be found.
+ * 500 INTERNAL SERVER ERROR for everything else.
+ */
+export const getThread = async (req, res) => {
+  try {
+    const { params, query } = req
+    const decodedUser = res.locals.decodedUser
+
+    const depth = query.depth ? Number(query.depth) : DEFAULT_THREAD_DEPTH
+    if (!Number.isInteger(depth) || depth < 1 || depth > MAX_THREAD_DEPTH) {
+      res.status(400).send({
+        error: `depth must be between 1 and ${MAX_THREAD_DEPTH}`,
+      })
+      return
+    }
+    const limit = query.limit ? Number(query.limit) : DEFAULT_REPLIES_LIMIT
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_REPLIES_LIMIT) {
+      res.status(400).send({
+        error: `limit must be between 1 and ${MAX_REPLIES_LIMIT}`,
+      })
+      return
+    }
+    const cursor = query.cursor ? Thread.decodeCursor(query.cursor) : null
+    if (query.cursor && !cursor) {
+      res.status(400).send({ error: 'Invalid cursor' })
+      return
+    }
+
+    const post = await models.posts.findByPk(params.id)
+    if (!post || !ScheduledPosts.isVisibleTo(post, decodedUser.id)) {
+      res.status(404).send({ error: 'Post not found' })
+      return
+    }
+
+    res.status(200).send({
+      ancestors: await Thread.ancestors(post, decodedUser.id),
+      post: await Thread.replyTree(post, decodedUser.id, {
+        depth,
+        limit,
+        cursor,
+      }),
+    })
+  } catch (error) {
+    res.status(500).send({ 'Error message': error.toString() })
+  }
+}
+
 /**
  * Modifies a post from the given ID with the updated text if it belongs to the user
  *
+ * The replaced text is kept as a revision, see PostRevisions, and the hashtags
+ * and mentions of the post are derived again from the new text, tags that
+ * were given besides the hashtags when it was created stay. Only users who
+ * are newly mentioned are notified, users who are no longer mentioned have
+ * the notification about the mention removed.
+ *
  * Requires authentication.
  *
  * Path paramter: id - the id of the post that is being modified.
- * Request Body: new text content for post
+ * Request Body: text_content - the new text of the post
  *
  * Response Codes:
  * 200 OK when the post has been successfully modified.
+ * 400 BAD REQUEST if no text_content is given
  * 403 FORBIDDEN if the user is trying to edit a post thats not theirs
  * 404 NOT FOUND when the post with that id can not be found.
  * 500 INTERNAL SERVER ERROR for everything else.
@@ -187,17 +281,68 @@ export const modifyPostById = async (req, res) => {
       res.status(403).send('Invalid author ID.')
       return
     }
-    // Update the selected row in the database.
-    const updated = await models.posts.update(
-      {
-        text_content: body.text_content,
-      },
-      { returning: true, where: { id: params.id } }
+    if (typeof body.text_content !== 'string') {
+      res.status(400).send({ error: 'text_content must be given' })
+      return
+    }
+
+    const tags = await Promise.all(
+      PostEntities.hashtags(body.text_content).map(checkAndCreateTag)
     )
+    const tagIds = tags.map((tag) => tag.id)
+    // The tags that came from the hashtags of the replaced text
+    const previousHashtags = await models.tags.findAll({
+      attributes: ['id'],
+      where: { tagName: PostEntities.hashtags(post.text_content) },
+      raw: true,
+    })
+    const previouslyMentioned = await PostEntities.mentionedUserIds(post.id)
+    const edited = await models.sequelize.transaction(async (transaction) => {
+      if (!(await PostRevisions.edit(post, body.text_content, transaction))) {
+        return false
+      }
+      await models.postTag.destroy({
+        where: {
+          postId: post.id,
+          tagId: previousHashtags
+            .map((tag) => tag.id)
+            .filter((id) => !tagIds.includes(id)),
+        },
+        transaction,
+      })
+      const postTags = await models.postTag.findAll({
+        attributes: ['tagId'],
+        where: { postId: post.id },
+        raw: true,
+        transaction,
+      })
+      const kept = postTags.map((postTag) => postTag.tagId)
+      await models.postTag.bulkCreate(
+        tagIds
+          .filter((tagId) => !kept.includes(tagId))
+          .map((tagId) => ({ postId: post.id, tagId })),
+        { transaction }
+      )
+      await PostEntities.recordMentions(post, transaction)
+      return true
+    })
 
-    if (!updated) {
-      res.status(500).send('Failed to update the post.')
-      return
+    // Scheduled posts notify the mentioned users when they are published
+    if (edited && ScheduledPosts.isPublished(post)) {
+      const mentioned = await PostEntities.mentionedUserIds(post.id)
+      await Promise.all(
+        previouslyMentioned
+          .filter((userId) => !mentioned.includes(userId))
+          .map((userId) =>
+            Notifications.retract(
+              Notifications.mention,
+              userId,
+              post.author,
+              post.id
+            )
+          )
+      )
+      await Notifications.notifyMentions(post, previouslyMentioned)
     }
 
     res.status(200).send('The message has been updated.')
@@ -206,6 +351,58 @@ export const modifyPostById = async (req, res) => {
   }
 }
 
+/**
+ * Retrieves every version of a post, newest first
+ *
+ * Requires authentication.
+ *
+ * Path parameter: id - the id of the post
+ *
+ * Response Codes:
+ * 200 OK with the versions of the post, each { revision, content, writtenAt }
+ * 404 NOT FOUND when the post with that id can not be found.
+ * 500 INTERNAL SERVER ERROR for everything else.
+ */
+export const getPostRevisions = async (req, res) => {
+  try {
+    const { params } = req
+    const decodedUser = res.locals.decodedUser
+    const post = await models.posts.findByPk(params.id)
+    if (!post || !ScheduledPosts.isVisibleTo(post, decodedUser.id)) {
+      res.status(404).send({ error: 'Post not found' })
+      return
+    }
+    res.status(200).send(await PostRevisions.history(post))
+  } catch (error) {
+    res.status(500).send({ 'Error message': error.toString() })
+  }
+}
+
+/**
+ * Retrieves the posts the logged in user has scheduled, the first one due first
+ *
+ * Requires authentication.
+ *
+ * Response Codes:
+ * 200 OK with the scheduled posts, each has the time it is due as publishAt
+ * 500 INTERNAL SERVER ERROR for everything else.
+ */
+export const getScheduledPosts = async (req, res) => {
+  try {
+    const decodedUser = res.locals.decodedUser
+    const posts = await ScheduledPosts.retrieveScheduled(decodedUser.id)
+    res
+      .status(200)
+      .send(
+        await Promise.all(
+          posts.map((post) => PostDTO.convertToDto(post, decodedUser.id))
+        )
+      )
+  } catch (error) {
+    res.status(500).send({ 'Error message': error.toString() })
+  }
+}
+
 /**
  * Deletes a post by the given id
  *
@@ -243,6 +440,23 @@ export const deletePostById = async (req, res) => {
       res.status(500).send('Failed to destroy the post.')
       return
     }
+    await models.notifications.destroy({
+      where: { postId: params.id },
+    })
+    await models.attachments.destroy({
+      where: { postID: params.id },
+    })
+    await models.bookmarks.destroy({
+      where: { postId: params.id },
+    })
+    await models.postRevision.destroy({
+      where: { postId: params.id },
+    })
+    await Polls.remove(post.id)
+    await PostEntities.removeMentions(post.id)
+    await models.searchTerms.destroy({
+      where: { postId: params.id },
+    })
 
     res.status(200).send('The post has been deleted.')
   } catch (error) {
@@ -259,7 +473,7 @@ export const deletePostById = async (req, res) => {
  *
  * Response Codes:
  * 201 CREATED when the post has been successfully modified.
- * 404 NOT FOUND when the post with that id can not be found.
+ * 404 NOT FOUND when the post with that id can not be found or is scheduled by another user.
  * 500 INTERNAL SERVER ERROR for everything else.
  */
 export const likePost = async (req, res) => {
@@ -267,9 +481,8 @@ export const likePost = async (req, res) => {
     const decodedUser = res.locals.decodedUser
     const { params } = req
 
-    // Check whether the post being updated belongs to that user.
     const post = await models.posts.findByPk(params.id)
-    if (!post) {
+    if (!post || !ScheduledPosts.isVisibleTo(post, decodedUser.id)) {
       res.status(404).send('Invalid message ID.')
       return
     }
@@ -278,6 +491,17 @@ export const likePost = async (req, res) => {
       postId: params.id,
       userId: decodedUser.id,
     })
+    await Notifications.notify(
+      Notifications.like,
+      post.author,
+      decodedUser.id,
+      post.id
+    )
+    await Announcements.publishFeedActivity(
+      ActivityType.LIKED,
+      post.id,
+      decodedUser.id
+    )
 
     res.status(201).send(likedPost)
   } catch (error) {
@@ -313,12 +537,136 @@ export const unlikePost = async (req, res) => {
       return
     }
 
+    const post = await models.posts.findByPk(params.id)
+    if (post) {
+      await Notifications.retract(
+        Notifications.like,
+        post.author,
+        decodedUser.id,
+        post.id
+      )
+    }
+
     res.status(200).send('The likedPost has been deleted.')
   } catch (error) {
     res.status(500).send(error)
   }
 }
 
+/**
+ * Saves a post to the bookmarks of the user, bookmarking it again does nothing
+ *
+ * Requires authentication.
+ *
+ * Path parameter: id - the id of the post to bookmark.
+ *
+ * Response Codes:
+ * 201 CREATED when the post has been bookmarked
+ * 200 OK when the post was already bookmarked
+ * 404 NOT FOUND when the post with that id can not be found or is scheduled by another user.
+ * 500 INTERNAL SERVER ERROR for everything else.
+ */
+export const bookmarkPost = async (req, res) => {
+  try {
+    const decodedUser = res.locals.decodedUser
+    const { params } = req
+
+    const post = await models.posts.findByPk(params.id)
+    if (!post || !ScheduledPosts.isVisibleTo(post, decodedUser.id)) {
+      res.status(404).send({ error: 'Post not found' })
+      return
+    }
+
+    const created = await Bookmarks.add(decodedUser.id, post.id)
+    res.status(created ? 201 : 200).send({ bookmarked: true })
+  } catch (error) {
+    res.status(500).send({ 'Error message': error.toString() })
+  }
+}
+
+/**
+ * Votes for an option of the poll of a post, every user can vote once
+ *
+ * Requires authentication.
+ *
+ * Path parameter: id - the id of the post with the poll
+ * Request body: optionId - the id of the chosen option
+ *
+ * Response Codes:
+ * 201 CREATED with the poll and its results, see Polls.results
+ * 400 BAD REQUEST if optionId is not an option of the poll
+ * 403 FORBIDDEN if the poll has closed or the user is its author
+ * 404 NOT FOUND when the post can not be found or has no poll
+ * 409 CONFLICT if the user has already voted
+ * 500 INTERNAL SERVER ERROR for everything else.
+ */
+export const votePoll = async (req, res) => {
+  try {
+    const decodedUser = res.locals.decodedUser
+    const { params, body } = req
+
+    const post = await models.posts.findByPk(params.id)
+    const poll =
+      post && ScheduledPosts.isPublished(post)
+        ? await models.polls.findOne({ where: { postId: post.id } })
+        : null
+    if (!poll) {
+      res.status(404).send({ error: 'Poll not found' })
+      return
+    }
+    const option = await models.pollOptions.findOne({
+      where: { id: body.optionId ?? null, pollId: poll.id },
+    })
+    if (!option) {
+      res.status(400).send({ error: 'optionId is not an option of the poll' })
+      return
+    }
+    if (Polls.isClosed(poll)) {
+      res.status(403).send({ error: 'The poll has closed' })
+      return
+    }
+    if (post.author === decodedUser.id) {
+      res.status(403).send({ error: 'You can not vote in your own poll' })
+      return
+    }
+
+    if (!(await Polls.vote(poll, decodedUser.id, option.id))) {
+      res.status(409).send({ error: 'You have already voted' })
+      return
+    }
+    res.status(201).send(await Polls.results(post, decodedUser.id))
+  } catch (error) {
+    res.status(500).send({ 'Error message': error.toString() })
+  }
+}
+
+/**
+ * Removes a post from the bookmarks of the user
+ *
+ * Requires authentication.
+ *
+ * Path parameter: id - the id of the bookmarked post.
+ *
+ * Response Codes:
+ * 200 OK when the bookmark has been removed
+ * 404 NOT FOUND when the user has not bookmarked the post
+ * 500 INTERNAL SERVER ERROR for everything else.
+ */
+export const unbookmarkPost = async (req, res) => {
+  try {
+    const decodedUser = res.locals.decodedUser
+    const { params } = req
+
+    if (!(await Bookmarks.remove(decodedUser.id, params.id))) {
+      res.status(404).send({ error: 'The post is not bookmarked' })
+      return
+    }
+    res.status(200).send({ bookmarked: false })
+  } catch (error) {
+    res.status(500).send({ 'Error message': error.toString() })
+  }
+}
+
 /**
  * Allows a user to share a post by id
  *
@@ -328,7 +676,7 @@ export const unlikePost = async (req, res) => {
  *
  * Response Codes:
  * 201 CREATED when the post has been shared
- * 404 NOT FOUND when the post with that id can not be found.
+ * 404 NOT FOUND when the post with that id can not be found or is scheduled by another user.
  * 500 INTERNAL SERVER ERROR for everything else.
  */
 export const sharePostById = async (req, res) => {
@@ -339,13 +687,24 @@ export const sharePostById = async (req, res) => {
     // Check whether the post id is valid.
     const targetPost = await models.posts.findByPk(params.id)
 
-    if (targetPost) {
+    if (targetPost && ScheduledPosts.isVisibleTo(targetPost, decodedUser.id)) {
       // Share the post.
       const postShared = await models.sharedPost.create({
         postId: targetPost.id,
         userId: decodedUser.id,
       })
       if (postShared) {
+        await Notifications.notify(
+          Notifications.share,
+          targetPost.author,
+          decodedUser.id,
+          targetPost.id
+        )
+        await Announcements.publishFeedActivity(
+          ActivityType.SHARED,
+          targetPost.id,
+          decodedUser.id
+        )
         res.status(201).send('Post shared.')
       } else {
         res.status(500).send('Failed to share the post.')
@@ -383,6 +742,15 @@ export const unsharePostById = async (req, res) => {
     })
 
     if (count) {
+      const post = await models.posts.findByPk(params.id)
+      if (post) {
+        await Notifications.retract(
+          Notifications.share,
+          post.author,
+          decodedUser.id,
+          post.id
+        )
+      }
       res.status(200).send('The post has been unshared.')
     } else {
       res.status(404).send('The post was not shared by the user before.')
@@ -401,18 +769,19 @@ export const unsharePostById = async (req, res) => {
  *
  * Response Codes:
  * 200 OK sends back a list of interacted users
- * 404 NOT FOUND when the post with that id can not be found.
+ * 404 NOT FOUND when the post with that id can not be found or is scheduled by another user.
  * 500 INTERNAL SERVER ERROR for everything else.
  */
 export const getInteractedUsers = async (req, res) => {
   try {
     const { params } = req
+    const decodedUser = res.locals.decodedUser
     const post = await models.posts.findOne({
       where: {
         id: params.id,
       },
     })
-    if (!post) {
+    if (!post || !ScheduledPosts.isVisibleTo(post, decodedUser.id)) {
       res.status(404).send({
         error: `Post with id '${params.id}' not found`,
       })
@@ -447,6 +816,35 @@ const createNewTags = (newTags) => {
   )
 }
 
+/**
+ *  Uploads the images of a post and records them in the order they were attached
+ */
+const createAttachments = (images, alts, postID, userId) =>
+  Promise.all(
+    images.map(async (image, position) => {
+      const { imageURI, width, height } = await saveImage(image, userId)
+      return models.attachments.create({
+        postID,
+        attachmentLink: imageURI,
+        position,
+        width,
+        height,
+        alt: alts[position] || null,
+      })
+    })
+  )
+
+/**
+ *  Wraps a single value in an array, form fields and files only become arrays
+ *  when they are sent more than once
+ */
+const asArray = (value) => {
+  if (value == null) {
+    return []
+  }
+  return Array.isArray(value) ? value : [value]
+}
+
 /**
  *  Handles creating new postTag entries associating a post with a specific tag
  */
@@ -1,22 +1,24 @@
-import PostDTO from '../../dto/posts'
-import UserDTO from '../../dto/users'
-import models from '../../database/models'
+import Search, { SearchQueryError } from '../../enums/search'
 
-const Sequelize = require('sequelize')
+const SEARCH_TYPES = ['top', 'latest', 'people']
+const DEFAULT_SEARCH_LIMIT = 20
+const MAX_SEARCH_LIMIT = 50
 
 /**
- * Gets search results for top/latest/people
+ * Gets a page of search results for top/latest/people
  *
  * Query parameters:
- * query - the search query
- * type - the type of data to search for: top/latest/people
- *         Top returns search results sorted by their likes
- *         Latest returns most recent search results
+ * query - optional, the search query, see Search for the operators it supports
+ * type - optional, the type of data to search for: top (default)/latest/people
+ *         Top returns posts ranked by how well they match and their likes
+ *         Latest returns the most recent posts first
  *         People returns any users who match the search
+ * limit - optional, the maximum number of results in the page (default 20, max 50)
+ * cursor - optional, the nextCursor returned with the previous page
  *
  * Response Codes:
- * 200 OK when the data has been successfully found.
- * 400 BAD REQUEST when one of the query parameters is missing
+ * 200 OK with { items, nextCursor }, posts come with a highlighted snippet
+ * 400 BAD REQUEST when the type, limit, cursor or a date in the query is invalid
  * 500 INTERNAL SERVER ERROR for everything else.
  */
 export const search = async (req, res) => {
@@ -24,120 +26,41 @@ export const search = async (req, res) => {
     const { query } = req
     const decodedUser = res.locals?.decodedUser
 
-    if (query.type == 'people') {
-      const users = await (query.query
-        ? getUsersByQuery(query.query)
-        : getUsers())
-      const userDtos = await generateUserDtos(users)
-      res.status(200).send(userDtos)
-    } else {
-      const posts = await (query.query
-        ? getPostsByQuery(query.query)
-        : getPosts())
-      const postDtos = await generatePostDtos(posts, query.type, decodedUser.id)
-      res.status(200).send(postDtos)
+    const type = query.type ?? 'top'
+    if (!SEARCH_TYPES.includes(type)) {
+      res.status(400).send({ error: 'type must be top, latest or people' })
+      return
+    }
+    const limit = query.limit ? Number(query.limit) : DEFAULT_SEARCH_LIMIT
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SEARCH_LIMIT) {
+      res.status(400).send({
+        error: `limit must be between 1 and ${MAX_SEARCH_LIMIT}`,
+      })
+      return
+    }
+    const cursor = query.cursor ? Search.decodeCursor(query.cursor, type) : null
+    if (query.cursor && cursor === null) {
+      res.status(400).send({ error: 'Invalid cursor' })
+      return
     }
-  } catch (error) {
-    res.status(500).send(error)
-  }
-}
-
-/**
- * Gets search results for top/latest/people
- *
- * Query parameters:
- * query - the search query
- * type - the type of data to search for: top/latest/people
- *         Top returns search results sorted by their likes
- *         Latest returns most recent search results
- *         People returns any users who match the search
- *
- * Response Codes:
- * 200 OK when the data has been successfully found.
- * 400 BAD REQUEST when one of the query parameters is missing
- * 500 INTERNAL SERVER ERROR for everything else.
- */
-const getUsersByQuery = async (query) => {
-  return await models.users.findAll({
-    where: {
-      [Sequelize.Op.or]: [
-        {
-          username: Sequelize.where(
-            Sequelize.fn('LOWER', Sequelize.col('username')),
-            'LIKE',
-            '%' + query.toLowerCase() + '%'
-          ),
-        },
-        {
-          email: Sequelize.where(
-            Sequelize.fn('LOWER', Sequelize.col('email')),
-            'LIKE',
-            '%' + query.toLowerCase() + '%'
-          ),
-        },
-        {
-          nickname: Sequelize.where(
-            Sequelize.fn('LOWER', Sequelize.col('nickname')),
-            'LIKE',
-            '%' + query.toLowerCase() + '%'
-          ),
-        },
-      ],
-    },
-    order: [['createdAt', 'DESC']],
-    raw: true,
-  })
-}
-
-const getUsers = async () => {
-  return await models.users.findAll({
-    order: [['createdAt', 'DESC']],
-    raw: true,
-  })
-}
-
-const generateUserDtos = async (users) => {
-  const userDtos = await Promise.all(
-    users.map((user) => UserDTO.convertToDto(user))
-  )
-  return userDtos
-}
-
-const getPostsByQuery = async (query) => {
-  return await models.posts.findAll({
-    where: {
-      text_content: Sequelize.where(
-        Sequelize.fn('LOWER', Sequelize.col('text_content')),
-        'LIKE',
-        '%' + query.toLowerCase() + '%'
-      ),
-    },
-    order: [['createdAt', 'DESC']],
-    raw: true,
-  })
-}
-
-const getPosts = async () => {
-  return await models.posts.findAll({
-    order: [['createdAt', 'DESC']],
-    raw: true,
-  })
-}
-
-const generatePostDtos = async (posts, sortBy, userId) => {
-  const postDtos = []
-  await Promise.all(
-    posts.map(async (post) => {
-      const postDto = await PostDTO.convertToDto(post, userId)
-      postDtos.push(postDto)
-    })
-  )
 
-  // Posts are by default sorted by their createdAt time
-  if (sortBy === 'top') {
-    postDtos.sort((a, b) => {
-      return b.usersLiked - a.usersLiked
-    })
+    if (type === 'people') {
+      res.status(200).send(await Search.people(query.query, { limit, cursor }))
+      return
+    }
+    res.status(200).send(
+      await Search.posts(Search.parseQuery(query.query), {
+        type,
+        limit,
+        cursor,
+        userId: decodedUser.id,
+      })
+    )
+  } catch (error) {
+    if (error instanceof SearchQueryError) {
+      res.status(error.status).send({ error: error.message })
+      return
+    }
+    res.status(500).send({ 'Error message': error.toString() })
   }
-  return postDtos
 }
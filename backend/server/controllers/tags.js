@@ -1,5 +1,8 @@
 import models from '../../database/models'
 import TagDTO from '../../dto/tags'
+import Tags from '../../enums/tags'
+import Search from '../../enums/search'
+import Suggestions from '../../enums/suggestions'
 
 /**
  * Create a new tags
@@ -63,3 +66,189 @@ export const checkAndCreateTag = async (tagName) => {
   })
   return newTag
 }
+
+const DEFAULT_SUGGESTIONS_LIMIT = 5
+const MAX_SUGGESTIONS_LIMIT = 20
+const TAG_POST_SORTS = ['latest', 'top']
+const DEFAULT_TAG_POSTS_LIMIT = 20
+const MAX_TAG_POSTS_LIMIT = 50
+
+/**
+ * Retrieves the details of a tag for its page, see Tags.details
+ *
+ * Requires Authentication
+ *
+ * Path parameter: name - the name of the tag, without the #
+ *
+ * Response codes:
+ * 200 OK with { id, tagName, postCount, followerCount, following, relatedTags }
+ * 404 NOT FOUND if there is no tag with that name
+ * 500 INTERNAL SERVER ERROR for everything else
+ */
+export const getTag = async (req, res) => {
+  try {
+    const tag = await models.tags.getTagByName(req.params.name)
+    if (!tag) {
+      res.status(404).send({ error: 'Tag not found' })
+      return
+    }
+    res.status(200).send(await Tags.details(tag, res.locals.decodedUser.id))
+  } catch (error) {
+    res.status(500).send({ 'Error message': error.toString() })
+  }
+}
+
+/**
+ * Retrieves a page of the published posts with a tag
+ *
+ * Requires Authentication
+ *
+ * Path parameter: name - the name of the tag, without the #
+ * Query parameters:
+ * sort - optional, latest (default) for the newest first or top for the most liked first
+ * limit - optional, the maximum number of posts in the page (default 20, max 50)
+ * cursor - optional, the nextCursor returned with the previous page
+ *
+ * Response codes:
+ * 200 OK with { items, nextCursor }
+ * 400 BAD REQUEST if the sort, limit or cursor is invalid
+ * 404 NOT FOUND if there is no tag with that name
+ * 500 INTERNAL SERVER ERROR for everything else
+ */
+export const getTagPosts = async (req, res) => {
+  try {
+    const { params, query } = req
+    const sort = query.sort ?? 'latest'
+    if (!TAG_POST_SORTS.includes(sort)) {
+      res.status(400).send({ error: 'sort must be latest or top' })
+      return
+    }
+    const limit = query.limit ? Number(query.limit) : DEFAULT_TAG_POSTS_LIMIT
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_TAG_POSTS_LIMIT) {
+      res.status(400).send({
+        error: `limit must be between 1 and ${MAX_TAG_POSTS_LIMIT}`,
+      })
+      return
+    }
+    const cursor = query.cursor ? Search.decodeCursor(query.cursor, sort) : null
+    if (query.cursor && cursor === null) {
+      res.status(400).send({ error: 'Invalid cursor' })
+      return
+    }
+
+    const tag = await models.tags.getTagByName(params.name)
+    if (!tag) {
+      res.status(404).send({ error: 'Tag not found' })
+      return
+    }
+    res.status(200).send(
+      await Tags.posts(tag, {
+        sort,
+        limit,
+        cursor,
+        userId: res.locals.decodedUser.id,
+      })
+    )
+  } catch (error) {
+    res.status(500).send({ 'Error message': error.toString() })
+  }
+}
+
+/**
+ * Follows a tag, adding it to the interests of the logged in user
+ *
+ * Requires Authentication
+ *
+ * Path parameter: name - the name of the tag, without the #
+ *
+ * Response codes:
+ * 201 CREATED when the tag is followed
+ * 404 NOT FOUND if there is no tag with that name
+ * 409 CONFLICT if the user already follows the tag
+ * 500 INTERNAL SERVER ERROR for everything else
+ */
+export const followTag = async (req, res) => {
+  try {
+    const tag = await models.tags.getTagByName(req.params.name)
+    if (!tag) {
+      res.status(404).send({ error: 'Tag not found' })
+      return
+    }
+    if (!(await Tags.follow(tag, res.locals.decodedUser.id))) {
+      res.status(409).send({ error: 'Already following this tag' })
+      return
+    }
+    res.status(201).send(await Tags.details(tag, res.locals.decodedUser.id))
+  } catch (error) {
+    res.status(500).send({ 'Error message': error.toString() })
+  }
+}
+
+/**
+ * Unfollows a tag, removing it from the interests of the logged in user
+ *
+ * Requires Authentication
+ *
+ * Path parameter: name - the name of the tag, without the #
+ *
+ * Response codes:
+ * 200 OK when the tag is unfollowed
+ * 404 NOT FOUND if there is no tag with that name or the user does not follow it
+ * 500 INTERNAL SERVER ERROR for everything else
+ */
+export const unfollowTag = async (req, res) => {
+  try {
+    const tag = await models.tags.getTagByName(req.params.name)
+    if (!tag) {
+      res.status(404).send({ error: 'Tag not found' })
+      return
+    }
+    if (!(await Tags.unfollow(tag, res.locals.decodedUser.id))) {
+      res.status(404).send({ error: 'Already not following this tag' })
+      return
+    }
+    res.status(200).send(await Tags.details(tag, res.locals.decodedUser.id))
+  } catch (error) {
+    res.status(500).send({ 'Error message': error.toString() })
+  }
+}
+
+/**
+ * Suggests tags to complete a word typed after # in a post, see Suggestions
+ *
+ * Requires Authentication
+ *
+ * Query parameters:
+ * prefix - optional, what is typed so far, e.g. #dog, there are no
+ *          suggestions for less than 2 characters
+ * limit - optional, the maximum number of suggestions (default 5, max 20)
+ *
+ * Response codes:
+ * 200 OK with { items }, the best suggestions first
+ * 400 BAD REQUEST if the limit is invalid
+ * 500 INTERNAL SERVER ERROR for everything else
+ */
+export const suggestTags = async (req, res) => {
+  try {
+    const { query } = req
+    const limit = query.limit ? Number(query.limit) : DEFAULT_SUGGESTIONS_LIMIT
+    if (
+      !Number.isInteger(limit) ||
+      limit < 1 ||
+      limit > MAX_SUGGESTIONS_LIMIT
+    ) {
+      res.status(400).send({
+        error: `limit must be between 1 and ${MAX_SUGGESTIONS_LIMIT}`,
+      })
+      return
+    }
+    res.status(200).send({
+      items: await Suggestions.tags(query.prefix, {
+        userId: res.locals.decodedUser.id,
+        limit,
+      }),
+    })
+  } catch (error) {
+    res.status(500).send({ 'Error message': error.toString() })
+  }
+}
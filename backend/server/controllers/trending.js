@@ -0,0 +1,88 @@
+import config from 'config'
+import Trending from '../../enums/trending'
+
+const DEFAULT_TRENDING_LIMIT = 10
+const MAX_TRENDING_LIMIT = 50
+
+/**
+ * Reads the window and limit query parameters shared by the trending
+ * endpoints, sends a 400 response and returns null when one is invalid
+ */
+const trendingOptions = (req, res) => {
+  const { query } = req
+  const windows = Object.keys(config.get('TRENDING.windows'))
+  const window = query.window ?? config.get('TRENDING.defaultWindow')
+  if (!windows.includes(window)) {
+    res.status(400).send({ error: `window must be ${windows.join(', ')}` })
+    return null
+  }
+  const limit = query.limit ? Number(query.limit) : DEFAULT_TRENDING_LIMIT
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_TRENDING_LIMIT) {
+    res.status(400).send({
+      error: `limit must be between 1 and ${MAX_TRENDING_LIMIT}`,
+    })
+    return null
+  }
+  return { window, limit }
+}
+
+/**
+ * Gets the tags trending over a recent window, see Trending
+ *
+ * Requires Authentication
+ *
+ * Query parameters:
+ * window - optional, the window to compute trends over: 1h, 24h (default) or 7d
+ * limit - optional, the maximum number of tags (default 10, max 50)
+ *
+ * Response codes:
+ * 200 OK with { window, items }, each tag with its velocity and postCount
+ * 400 BAD REQUEST if the window or limit is invalid
+ * 500 INTERNAL SERVER ERROR for everything else
+ */
+export const getTrendingTags = async (req, res) => {
+  try {
+    const options = trendingOptions(req, res)
+    if (!options) {
+      return
+    }
+    res.status(200).send({
+      window: options.window,
+      items: await Trending.tags(options),
+    })
+  } catch (error) {
+    res.status(500).send({ 'Error message': error.toString() })
+  }
+}
+
+/**
+ * Gets the posts trending over a recent window, see Trending
+ *
+ * Requires Authentication
+ *
+ * Query parameters:
+ * window - optional, the window to compute trends over: 1h, 24h (default) or 7d
+ * limit - optional, the maximum number of posts (default 10, max 50)
+ *
+ * Response codes:
+ * 200 OK with { window, items }, each post with its velocity
+ * 400 BAD REQUEST if the window or limit is invalid
+ * 500 INTERNAL SERVER ERROR for everything else
+ */
+export const getTrendingPosts = async (req, res) => {
+  try {
+    const options = trendingOptions(req, res)
+    if (!options) {
+      return
+    }
+    res.status(200).send({
+      window: options.window,
+      items: await Trending.posts({
+        ...options,
+        userId: res.locals.decodedUser.id,
+      }),
+    })
+  } catch (error) {
+    res.status(500).send({ 'Error message': error.toString() })
+  }
+}
@@ -4,6 +4,20 @@ import UserDTO from '../../dto/users'
 import Activity from '../../enums/activity'
 import Notifications from '../../enums/notifications'
 import UserHandleDTO from '../../dto/userHandle'
+import AccountTokens from '../../enums/accountTokens'
+import Mail from '../../mail'
+import UsernameHistory from '../../enums/usernameHistory'
+import AccountDeletion from '../../enums/accountDeletion'
+import DataExport from '../../enums/dataExport'
+import Suggestions from '../../enums/suggestions'
+import RankedFeed from '../../enums/rankedFeed'
+
+const DEFAULT_SUGGESTIONS_LIMIT = 5
+const MAX_SUGGESTIONS_LIMIT = 20
+const FEED_MODES = ['latest', 'ranked']
+const DEFAULT_FEED_LIMIT = 20
+const MAX_FEED_LIMIT = 50
+const MIN_PASSWORD_LENGTH = 5
 
 /**
  * Add a new user
@@ -13,7 +27,8 @@ import UserHandleDTO from '../../dto/userHandle'
  * Request Body: new user details
  *
  * Response Codes:
- * 201 CREATED when the new user has been successfully added.
+ * 201 CREATED when the new user has been successfully added, a verification email is sent
+ * 400 BAD REQUEST when the email address is invalid
  * 409 CONFLICT when username/email has already been taken
  * 500 INTERNAL SERVER ERROR for everything else.
  */
@@ -21,13 +36,7 @@ export const addUser = async (req, res) => {
   try {
     const { body } = req
 
-    const duplicateUsername = await models.users.findOne({
-      where: {
-        username: body.username,
-      },
-    })
-
-    if (duplicateUsername) {
+    if (await UsernameHistory.isTaken(body.username)) {
       res.status(409).send({ error: 'Username already taken' })
       return
     }
@@ -49,24 +58,76 @@ export const addUser = async (req, res) => {
       email: body.email,
       password: body.password,
     })
+    // The account is usable without a verified email address, so a failed
+    // email should not fail the sign up, the user can ask for another one
+    await sendEmailVerification(createUser).catch((error) =>
+      console.error('Failed to send verification email', error)
+    )
+
     const authToken = Authentication.generateAuthToken(createUser)
+    const refreshToken = Authentication.generateRefreshToken(createUser)
     res.status(201).send({
       message: 'User successfully created',
       authToken,
+      refreshToken,
       username: createUser.username,
     })
   } catch (error) {
+    if (error instanceof models.Sequelize.ValidationError) {
+      res.status(400).send({ error: error.errors[0].message })
+      return
+    }
     res.status(500).send(error)
   }
 }
 
+/**
+ * Suggests users to complete a word typed after @ in a post, see Suggestions
+ *
+ * Requires Authentication
+ *
+ * Query parameters:
+ * prefix - optional, what is typed so far, e.g. @fro, there are no
+ *          suggestions for less than 2 characters
+ * limit - optional, the maximum number of suggestions (default 5, max 20)
+ *
+ * Response codes:
+ * 200 OK with { items }, the best suggestions first
+ * 400 BAD REQUEST if the limit is invalid
+ * 500 INTERNAL SERVER ERROR for everything else
+ */
+export const suggestUsers = async (req, res) => {
+  try {
+    const { query } = req
+    const limit = query.limit ? Number(query.limit) : DEFAULT_SUGGESTIONS_LIMIT
+    if (
+      !Number.isInteger(limit) ||
+      limit < 1 ||
+      limit > MAX_SUGGESTIONS_LIMIT
+    ) {
+      res.status(400).send({
+        error: `limit must be between 1 and ${MAX_SUGGESTIONS_LIMIT}`,
+      })
+      return
+    }
+    res.status(200).send({
+      items: await Suggestions.users(query.prefix, {
+        userId: res.locals.decodedUser.id,
+        limit,
+      }),
+    })
+  } catch (error) {
+    res.status(500).send({ 'Error message': error.toString() })
+  }
+}
+
 /**
  * Get a list of all users for user handles
  *
  * Requires Authentication
  *
  * Response Codes:
- * 200 OK sends a list of users
+ * 200 OK sends a list of users, and the previous usernames of users who changed it
  * 500 INTERNAL SERVER ERROR for everything else.
  */
 export const getUserHandles = async (req, res) => {
@@ -79,13 +140,21 @@ export const getUserHandles = async (req, res) => {
         id: {
           [models.Sequelize.Op.ne]: decodedUser.id,
         },
+        deactivatedAt: null,
       },
     })
 
     const usernames = users.map((user) => UserHandleDTO.convertToDto(user))
+    const previousUsernames = (
+      await UsernameHistory.retrievePreviousUsernames(decodedUser.id)
+    ).map((previous) => ({
+      userId: previous.userId,
+      username: previous.username,
+    }))
 
     res.status(200).send({
       usernames,
+      previousUsernames,
     })
   } catch (error) {
     res.status(500).send(error)
@@ -107,11 +176,7 @@ export const getUserHandles = async (req, res) => {
 export const getUsersByUsername = async (req, res) => {
   try {
     const { params } = req
-    const user = await models.users.findOne({
-      where: {
-        username: params.username,
-      },
-    })
+    const user = await UsernameHistory.findUser(params.username)
     if (!user) {
       res.status(404).send({
         error: `User '${params.username}' not found`,
@@ -134,6 +199,7 @@ export const getUsersByUsername = async (req, res) => {
  * Response codes:
  * 200 OK on successful authentication, responds with auth token
  * 401 UNAUTHORIZED if the user passes in an incorrect email or password
+ * 403 FORBIDDEN if the account has been deleted, responds with the time it will be purged
  * 500 INTERNAL SERVER ERROR for anything else
  */
 export const authenticateUser = async (req, res) => {
@@ -152,10 +218,82 @@ export const authenticateUser = async (req, res) => {
       return
     }
 
+    if (AccountDeletion.isDeactivated(user)) {
+      res.status(403).send({
+        error:
+          'This account has been deleted, it can be restored until it is purged',
+        deactivated: true,
+        purgeAt: AccountDeletion.purgeAt(user),
+      })
+      return
+    }
+
     const authToken = Authentication.generateAuthToken(user)
+    const refreshToken = Authentication.generateRefreshToken(user)
     res.status(200).send({
       message: 'Authentication successful',
       authToken,
+      refreshToken,
+      username: user.username,
+      emailVerified: user.emailVerified,
+    })
+  } catch (error) {
+    res.status(500).send({ 'Error message': error.toString() })
+  }
+}
+
+/**
+ * Exchanges a refresh token for a new auth token and refresh token.
+ * The used refresh token is revoked so it can only be exchanged once.
+ *
+ * Does not require Authentication
+ *
+ * Request Body: refreshToken - the refresh token given on login or the last refresh
+ *
+ * Response codes:
+ * 200 OK with the new tokens
+ * 400 BAD REQUEST if no refresh token is provided
+ * 401 UNAUTHORIZED if the refresh token is invalid, expired or revoked
+ * 500 INTERNAL SERVER ERROR for anything else
+ */
+export const refreshToken = async (req, res) => {
+  try {
+    const { body } = req
+    if (!body.refreshToken) {
+      res.status(400).send({ error: 'Refresh token not provided' })
+      return
+    }
+
+    let decodedToken
+    try {
+      decodedToken = Authentication.verifyToken(
+        body.refreshToken,
+        Authentication.REFRESH_TOKEN
+      )
+    } catch {
+      res.status(401).send({ error: 'Invalid refresh token' })
+      return
+    }
+    // Revoking is the check, so of concurrent refreshes with the same token only one succeeds
+    if (!(await Authentication.revokeToken(decodedToken))) {
+      res.status(401).send({ error: 'Refresh token has been revoked' })
+      return
+    }
+
+    const user = await models.users.findByPk(decodedToken.userId)
+    if (
+      !user ||
+      AccountDeletion.isDeactivated(user) ||
+      !Authentication.isCurrentRefreshToken(decodedToken, user)
+    ) {
+      res.status(401).send({ error: 'Invalid refresh token' })
+      return
+    }
+
+    res.status(200).send({
+      message: 'Token refreshed',
+      authToken: Authentication.generateAuthToken(user),
+      refreshToken: Authentication.generateRefreshToken(user),
       username: user.username,
     })
   } catch (error) {
@@ -163,6 +301,180 @@ export const authenticateUser = async (req, res) => {
   }
 }
 
+/**
+ * Logs out the current session by revoking its auth token and refresh token
+ *
+ * Requires Authentication
+ *
+ * Request Body: refreshToken - optional, the refresh token of the session
+ *
+ * Response codes:
+ * 200 OK once the tokens have been revoked
+ * 500 INTERNAL SERVER ERROR for anything else
+ */
+export const logout = async (req, res) => {
+  try {
+    const { body } = req
+    const { decodedUser, decodedToken } = res.locals
+
+    await Authentication.revokeToken(decodedToken)
+
+    await revokeRefreshToken(body.refreshToken, decodedUser.id)
+
+    res.status(200).send({ message: 'Logged out' })
+  } catch (error) {
+    res.status(500).send({ 'Error message': error.toString() })
+  }
+}
+
+/**
+ * Verifies the email address of the user a verification token was sent to
+ *
+ * Does not require Authentication
+ *
+ * Request Body: token - the token from the verification email
+ *
+ * Response codes:
+ * 200 OK once the email address has been verified
+ * 400 BAD REQUEST if the token is invalid, expired or already used
+ * 500 INTERNAL SERVER ERROR for anything else
+ */
+export const verifyEmail = async (req, res) => {
+  try {
+    const { body } = req
+    const userId = await AccountTokens.redeem(
+      AccountTokens.verifyEmail,
+      body.token
+    )
+    const user = userId ? await models.users.findByPk(userId) : null
+    if (!user) {
+      res.status(400).send({
+        error: 'This verification link is invalid or has expired',
+      })
+      return
+    }
+
+    await user.update({ emailVerified: true })
+    res.status(200).send({ message: 'Email address verified' })
+  } catch (error) {
+    res.status(500).send({ 'Error message': error.toString() })
+  }
+}
+
+/**
+ * Sends a new verification email to the logged in user
+ *
+ * Requires Authentication
+ *
+ * Response codes:
+ * 200 OK once the email has been sent
+ * 409 CONFLICT if the email address is already verified
+ * 500 INTERNAL SERVER ERROR for anything else
+ */
+export const resendEmailVerification = async (req, res) => {
+  try {
+    const loggedInUser = res.locals.decodedUser
+    const user = await models.users.findByPk(loggedInUser.id)
+    if (user.emailVerified) {
+      res.status(409).send({ error: 'Email address is already verified' })
+      return
+    }
+
+    await sendEmailVerification(user)
+    res.status(200).send({ message: 'Verification email sent' })
+  } catch (error) {
+    res.status(500).send({ 'Error message': error.toString() })
+  }
+}
+
+/**
+ * Emails a password reset link to the user with the given email address.
+ * Responds the same way whether or not an account exists for the email
+ * address, so it can not be used to find out who has an account.
+ *
+ * Does not require Authentication
+ *
+ * Request Body: email - the email address of the account
+ *
+ * Response codes:
+ * 200 OK whether or not an email was sent
+ * 400 BAD REQUEST if no email address is provided
+ * 500 INTERNAL SERVER ERROR for anything else
+ */
+export const forgotPassword = async (req, res) => {
+  try {
+    const { body } = req
+    if (!body.email) {
+      res.status(400).send({ error: 'Email not provided' })
+      return
+    }
+
+    const user = await models.users.findOne({ where: { email: body.email } })
+    if (user) {
+      const token = await AccountTokens.issue(
+        AccountTokens.resetPassword,
+        user.id
+      )
+      await Mail.sendPasswordReset(user, token)
+    }
+
+    res.status(200).send({
+      message: 'If an account exists for this email, a reset link was sent',
+    })
+  } catch (error) {
+    res.status(500).send({ 'Error message': error.toString() })
+  }
+}
+
+/**
+ * Sets a new password for the user a password reset token was sent to.
+ * Following the emailed link also proves the user owns the email address.
+ *
+ * Does not require Authentication
+ *
+ * Request Body:
+ * token - the token from the password reset email
+ * password - the new password
+ *
+ * Response codes:
+ * 200 OK once the password has been changed, every refresh token of the user is revoked
+ * 400 BAD REQUEST if the password is too short or the token is invalid, expired or already used
+ * 500 INTERNAL SERVER ERROR for anything else
+ */
+export const resetPassword = async (req, res) => {
+  try {
+    const { body } = req
+    if (
+      typeof body.password !== 'string' ||
+      body.password.length < MIN_PASSWORD_LENGTH
+    ) {
+      res.status(400).send({
+        error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`,
+      })
+      return
+    }
+
+    const userId = await AccountTokens.redeem(
+      AccountTokens.resetPassword,
+      body.token
+    )
+    const user = userId ? await models.users.findByPk(userId) : null
+    if (!user) {
+      res.status(400).send({
+        error: 'This password reset link is invalid or has expired',
+      })
+      return
+    }
+
+    await user.update({ password: body.password, emailVerified: true })
+    // Sessions started with the old password, e.g. by whoever stole it, end here
+    await Authentication.revokeRefreshTokens(user)
+    res.status(200).send({ message: 'Password has been reset' })
+  } catch (error) {
+    res.status(500).send({ 'Error message': error.toString() })
+  }
+}
+
 /**
  * Get a specific user activity by their username
  *
@@ -179,11 +491,7 @@ export const getUserActivity = async (req, res) => {
   try {
     const { params } = req
     const decodedUser = res.locals.decodedUser
-    const userOfInterest = await models.users.findOne({
-      where: {
-        username: params.username,
-      },
-    })
+    const userOfInterest = await UsernameHistory.findUser(params.username)
     if (!userOfInterest) {
       res.status(404).send({
         error: `User '${params.username}' not found`,
@@ -206,62 +514,77 @@ export const getUserActivity = async (req, res) => {
 }
 
 /**
- * Handles retrieving the feed of the logged in user
+ * Handles retrieving the feed of the logged in user, one page at a time
  *
  * Requires Authentication
  *
- * Path parameter: username - the username of the user
+ * Query parameters:
+ * mode - optional, latest (default) for the activity of followed users newest first,
+ *        or ranked for the posts picked for the user by RankedFeed
+ * limit - optional, the maximum number of activities in the page (default 20, max 50)
+ * cursor - optional, the nextCursor returned with the previous page
  *
  * Response code:
- * 200 OK with list of users feed
+ * 200 OK with a page of the users feed and the cursor of the next page
+ * 400 BAD REQUEST if the mode, cursor or limit is invalid
  * 500 INTERNAL SERVER ERROR for anything else
  */
 export const getFeed = async (req, res) => {
   try {
+    const { query } = req
     const loggedInUser = res.locals.decodedUser
 
+    const mode = query.mode ?? 'latest'
+    if (!FEED_MODES.includes(mode)) {
+      res.status(400).send({ error: 'mode must be latest or ranked' })
+      return
+    }
+    const limit = query.limit ? parseInt(query.limit, 10) : DEFAULT_FEED_LIMIT
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_FEED_LIMIT) {
+      res.status(400).send({
+        error: `limit must be between 1 and ${MAX_FEED_LIMIT}`,
+      })
+      return
+    }
+
+    if (mode === 'ranked') {
+      const cursor = query.cursor ? RankedFeed.decodeCursor(query.cursor) : null
+      if (query.cursor && !cursor) {
+        res.status(400).send({ error: 'Invalid cursor' })
+        return
+      }
+      res
+        .status(200)
+        .send(await RankedFeed.page(loggedInUser.id, { limit, cursor }))
+      return
+    }
+
+    const cursor = query.cursor ? Activity.decodeCursor(query.cursor) : null
+    if (query.cursor && !cursor) {
+      res.status(400).send({ error: 'Invalid cursor' })
+      return
+    }
+
     const following = await models.followers.findAll({
       where: {
         followerId: loggedInUser.id,
       },
     })
 
-    const activities = await Activity.retrieveActivityFeed(
-      following,
-      loggedInUser.id
+    const { activities, nextCursor } = await Activity.retrieveActivityFeedPage(
+      following.map((followee) => followee.followedId),
+      loggedInUser.id,
+      limit,
+      cursor
     )
 
-    // Add in extra interests-based posts if not enough posts to send back
-    let len = activities.length
-    if (len < 10) {
+    // Top up the first page with interests-based posts if the feed runs out
+    if (!cursor && !nextCursor && activities.length < limit) {
       const interests = await Activity.retrieveInterests(loggedInUser.id)
-      for (let i = 0; i < 10 - len && i < interests.length; i++) {
-        activities.push(interests[i])
-      }
+      activities.push(...interests.slice(0, limit - activities.length))
     }
 
-    res.status(200).send(activities)
-  } catch (error) {
-    res.status(500).send({ 'Error message': error.toString() })
-  }
-}
-
-/**
- * Get notifications from current user
- *
- * Requires Authentication
- *
- * Response Codes:
- * 200 OK sends notifications
- * 500 INTERNAL SERVER ERROR for everything else.
- */
-export const getNotifications = async (req, res) => {
-  try {
-    const loggedInUser = res.locals.decodedUser
-    const notifications = await Notifications.retrieveNotifications(
-      loggedInUser.id
-    )
-    res.status(200).send(notifications)
+    res.status(200).send({ items: activities, nextCursor })
   } catch (error) {
     res.status(500).send({ 'Error message': error.toString() })
   }
@@ -279,11 +602,7 @@ export const getNotifications = async (req, res) => {
 export const followUser = async (req, res) => {
   try {
     const { params } = req
-    const user = await models.users.findOne({
-      where: {
-        username: params.username,
-      },
-    })
+    const user = await UsernameHistory.findUser(params.username)
     if (!user) {
       res.status(404).send({
         error: `User '${params.username}' not found`,
@@ -305,6 +624,7 @@ export const followUser = async (req, res) => {
         followedId: user.id,
         followerId: decodedUser.id,
       })
+      await Notifications.notify(Notifications.follow, user.id, decodedUser.id)
       res.status(201).send(follow)
     }
   } catch (error) {
@@ -327,11 +647,7 @@ export const followUser = async (req, res) => {
 export const unfollowUser = async (req, res) => {
   try {
     const { params } = req
-    const user = await models.users.findOne({
-      where: {
-        username: params.username,
-      },
-    })
+    const user = await UsernameHistory.findUser(params.username)
     if (!user) {
       res.status(404).send({
         error: `User '${params.username}' not found`,
@@ -350,6 +666,7 @@ export const unfollowUser = async (req, res) => {
       res.status(404).send({ error: 'Already not following this user' })
     } else {
       const unfollow = await alreadyFollow.destroy()
+      await Notifications.retract(Notifications.follow, user.id, decodedUser.id)
       res.status(200).send(unfollow)
     }
   } catch (error) {
@@ -371,9 +688,7 @@ export const unfollowUser = async (req, res) => {
 export const getFollow = async (req, res) => {
   try {
     const { params } = req
-    const user = await models.users.findOne({
-      where: { username: params.username },
-    })
+    const user = await UsernameHistory.findUser(params.username)
 
     if (!user) {
       res.status(404).send({
@@ -434,6 +749,7 @@ export const getFollow = async (req, res) => {
  *
  * Response Codes:
  * 200 OK on update of user data.
+ * 409 CONFLICT when the new username has already been taken
  * 500 INTERNAL SERVER ERROR for failig to update or anything else.
  */
 export const modifyUser = async (req, res) => {
@@ -441,15 +757,37 @@ export const modifyUser = async (req, res) => {
     const loggedInUser = res.locals.decodedUser
     const { body } = req
 
-    const updatedUser = await models.users.update(
-      {
-        username: body.username,
-        nickname: body.nickname,
-        bio: body.bio,
-        profilePic: body.profilePic,
-        profileBanner: body.profileBanner,
-      },
-      { returning: true, where: { id: loggedInUser.id } }
+    const user = await models.users.findByPk(loggedInUser.id)
+    const usernameChanged = body.username && body.username !== user.username
+    if (
+      usernameChanged &&
+      (await UsernameHistory.isTaken(body.username, user.id))
+    ) {
+      res.status(409).send({ error: 'Username already taken' })
+      return
+    }
+
+    const updatedUser = await models.sequelize.transaction(
+      async (transaction) => {
+        if (usernameChanged) {
+          await UsernameHistory.recordChange(
+            user.id,
+            user.username,
+            body.username,
+            transaction
+          )
+        }
+        return models.users.update(
+          {
+            username: body.username,
+            nickname: body.nickname,
+            bio: body.bio,
+            profilePic: body.profilePic,
+            profileBanner: body.profileBanner,
+          },
+          { returning: true, where: { id: loggedInUser.id }, transaction }
+        )
+      }
     )
 
     if (updatedUser) {
@@ -458,35 +796,264 @@ export const modifyUser = async (req, res) => {
       res.status(500).send({ error: 'Failed to update the profile.' })
     }
   } catch (error) {
+    // Someone else took the username since it was checked
+    if (error instanceof models.Sequelize.UniqueConstraintError) {
+      res.status(409).send({ error: 'Username already taken' })
+      return
+    }
     res.status(500).send(error)
   }
 }
 
 /**
- * Deletes a User
- * @Deprecated do not delete a user as it will break the database and other tables,
- * design flaw of original database/architecture
+ * Changes the password of the logged in user. Every refresh token of the user
+ * is revoked, which ends their other sessions, and this session gets new tokens.
  *
- * Require authentication
+ * Requires Authentication
+ *
+ * Request Body:
+ * currentPassword - the password the user has now
+ * newPassword - the password to change to
  *
  * Response Codes:
- * 200 OK when the followers and following has been successfully found.
+ * 200 OK once the password has been changed, responds with the new tokens
+ * 400 BAD REQUEST when the new password is too short
+ * 403 FORBIDDEN when the current password is incorrect
  * 500 INTERNAL SERVER ERROR for everything else.
  */
-export const deleteUser = async (req, res) => {
+export const changePassword = async (req, res) => {
   try {
     const loggedInUser = res.locals.decodedUser
+    const { body } = req
 
-    const deleteUser = await models.users.destroy({
-      where: { id: loggedInUser.id },
+    const user = await models.users.findByPk(loggedInUser.id)
+    if (!user.validatePassword(body.currentPassword ?? '')) {
+      res.status(403).send({ error: 'Current password is incorrect' })
+      return
+    }
+    if (
+      typeof body.newPassword !== 'string' ||
+      body.newPassword.length < MIN_PASSWORD_LENGTH
+    ) {
+      res.status(400).send({
+        error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`,
+      })
+      return
+    }
+
+    await user.update({ password: body.newPassword })
+    // Every other session ends, this one goes on with the new tokens
+    await Authentication.revokeRefreshTokens(user)
+    res.status(200).send({
+      message: 'Password has been changed',
+      authToken: Authentication.generateAuthToken(user),
+      refreshToken: Authentication.generateRefreshToken(user),
+      username: user.username,
     })
+  } catch (error) {
+    res.status(500).send({ 'Error message': error.toString() })
+  }
+}
 
-    if (deleteUser !== 0) {
-      res.status(200).send({ message: 'The user has been deleted.' })
-    } else {
-      res.status(500).send({ error: 'Failed to destroy the user.' })
+/**
+ * Changes the email address of the logged in user, the new address has to be
+ * verified again so a verification email is sent to it
+ *
+ * Requires Authentication
+ *
+ * Request Body:
+ * currentPassword - the password of the user
+ * email - the new email address
+ *
+ * Response Codes:
+ * 200 OK once the email address has been changed
+ * 400 BAD REQUEST when the new email address is invalid
+ * 403 FORBIDDEN when the current password is incorrect
+ * 409 CONFLICT when the email address has already been taken
+ * 500 INTERNAL SERVER ERROR for everything else.
+ */
+export const changeEmail = async (req, res) => {
+  try {
+    const loggedInUser = res.locals.decodedUser
+    const { body } = req
+
+    const user = await models.users.findByPk(loggedInUser.id)
+    if (!user.validatePassword(body.currentPassword ?? '')) {
+      res.status(403).send({ error: 'Current password is incorrect' })
+      return
+    }
+    if (!body.email) {
+      res.status(400).send({ error: 'Email not provided' })
+      return
+    }
+    if (body.email === user.email) {
+      res.status(200).send({ message: 'Email address is unchanged' })
+      return
     }
+
+    const duplicateEmail = await models.users.findOne({
+      where: { email: body.email },
+    })
+    if (duplicateEmail) {
+      res.status(409).send({ error: 'Email has already been taken' })
+      return
+    }
+
+    await user.update({ email: body.email, emailVerified: false })
+    await sendEmailVerification(user).catch((error) =>
+      console.error('Failed to send verification email', error)
+    )
+    res.status(200).send({ message: 'Email address has been changed' })
   } catch (error) {
-    res.status(500).send(error)
+    if (error instanceof models.Sequelize.ValidationError) {
+      res.status(400).send({ error: error.errors[0].message })
+      return
+    }
+    res.status(500).send({ 'Error message': error.toString() })
+  }
+}
+
+/**
+ * Deletes the account of the logged in user. The account is deactivated
+ * straight away and purged once the grace period is over, until then it
+ * can be restored by logging in through POST /users/restore.
+ *
+ * Requires Authentication
+ *
+ * Request Body: password - the current password of the user
+ *               refreshToken - optional, the refresh token of the session
+ *
+ * Response Codes:
+ * 200 OK when the account has been deactivated, responds with the time it will be purged
+ * 403 FORBIDDEN when the password is incorrect
+ * 500 INTERNAL SERVER ERROR for everything else.
+ */
+export const deleteUser = async (req, res) => {
+  try {
+    const { decodedUser, decodedToken } = res.locals
+    const { body } = req
+
+    const user = await models.users.findByPk(decodedUser.id)
+    if (!user.validatePassword(body.password ?? '')) {
+      res.status(403).send({ error: 'Password is incorrect' })
+      return
+    }
+
+    await AccountDeletion.deactivate(user)
+    await Authentication.revokeToken(decodedToken)
+    await revokeRefreshToken(body.refreshToken, user.id)
+    res.status(200).send({
+      message: 'The account has been deleted.',
+      purgeAt: AccountDeletion.purgeAt(user),
+    })
+  } catch (error) {
+    res.status(500).send({ 'Error message': error.toString() })
+  }
+}
+
+/**
+ * Downloads everything stored about the logged in user as a ZIP archive,
+ * containing JSON files and the images they uploaded
+ *
+ * Requires Authentication
+ *
+ * Response Codes:
+ * 200 OK streams the archive
+ * 500 INTERNAL SERVER ERROR for everything else.
+ */
+export const exportUserData = async (req, res) => {
+  try {
+    const { decodedUser } = res.locals
+    const data = await DataExport.collect(decodedUser.id)
+
+    res.status(200).set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="updog-${decodedUser.username}.zip"`,
+    })
+    await DataExport.writeArchive(data, res)
+  } catch (error) {
+    if (res.headersSent) {
+      // The archive is incomplete, so end the download instead of finishing it
+      res.destroy(error)
+      return
+    }
+    res.status(500).send({ 'Error message': error.toString() })
+  }
+}
+
+/**
+ * Restores a deleted account that has not been purged yet and logs the user in
+ *
+ * Does not require Authentication
+ *
+ * Request Body: the email and password of the account
+ *
+ * Response Codes:
+ * 200 OK when the account has been restored, responds with auth tokens
+ * 401 UNAUTHORIZED if the email or password is incorrect
+ * 409 CONFLICT if the account has not been deleted
+ * 500 INTERNAL SERVER ERROR for everything else.
+ */
+export const restoreUser = async (req, res) => {
+  try {
+    const { body } = req
+    const user = await models.users.findOne({
+      where: {
+        email: body.email,
+      },
+    })
+
+    if (!user || !user.validatePassword(body.password)) {
+      res.status(401).send({
+        error: 'Incorrect email or password',
+      })
+      return
+    }
+
+    if (!AccountDeletion.isDeactivated(user)) {
+      res.status(409).send({ error: 'This account has not been deleted' })
+      return
+    }
+
+    await AccountDeletion.restore(user)
+    res.status(200).send({
+      message: 'Account restored',
+      authToken: Authentication.generateAuthToken(user),
+      refreshToken: Authentication.generateRefreshToken(user),
+      username: user.username,
+      emailVerified: user.emailVerified,
+    })
+  } catch (error) {
+    res.status(500).send({ 'Error message': error.toString() })
+  }
+}
+
+/**
+ * Issues a new email verification token for the user and emails it to them
+ */
+const sendEmailVerification = async (user) => {
+  const token = await AccountTokens.issue(AccountTokens.verifyEmail, user.id)
+  await Mail.sendEmailVerification(user, token)
+}
+
+/**
+ * Revokes a refresh token sent by the client, as long as it belongs to the given user
+ */
+const revokeRefreshToken = async (refreshToken, userId) => {
+  if (!refreshToken) {
+    return
+  }
+  let decodedRefreshToken = null
+  try {
+    decodedRefreshToken = Authentication.verifyToken(
+      refreshToken,
+      Authentication.REFRESH_TOKEN
+    )
+  } catch {
+    // An invalid or expired refresh token can not be used anyway
+  }
+  // Only allow users to revoke their own refresh tokens
+  if (decodedRefreshToken?.userId === userId) {
+    await Authentication.revokeToken(decodedRefreshToken)
   }
 }
@@ -25,9 +25,22 @@ db.authenticate()
   // eslint-disable-next-line no-console
   .catch((err) => console.log('Error DB: => ', err))
 
+// Tokens sent in the query string, e.g. to open the event stream, are kept out of the logs
+morgan.token('url', (req) =>
+  (req.originalUrl || req.url).replace(
+    /([?&]access_token=)[^&]*/g,
+    '$1[REDACTED]'
+  )
+)
+
 server.use(cors())
 server.use(morgan('dev'))
-server.use(fileupload())
+server.use(
+  fileupload({
+    // Larger files are cut off and then rejected, see processUpload in controllers/image.js
+    limits: { fileSize: config.get('IMAGES.maxUploadSize') },
+  })
+)
 server.use(
   express.json({
     limit: '50mb',
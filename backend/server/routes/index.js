@@ -7,8 +7,13 @@ import {
   interests,
   tags,
   search,
+  notifications,
+  events,
+  bookmarks,
+  drafts,
+  trending,
 } from '../controllers'
-import { auth } from '../../middlewares/auth'
+import { auth, streamAuth } from '../../middlewares/auth'
 
 const router = Router()
 
@@ -22,8 +27,21 @@ router
   .put(auth, user.modifyUser)
   .delete(auth, user.deleteUser)
 
+router.route('/users/password').put(auth, user.changePassword)
+router.route('/users/email').put(auth, user.changeEmail)
+router.route('/users/me/export').get(auth, user.exportUserData)
+router.route('/users/suggest').get(auth, user.suggestUsers)
 router.route('/users/:username').get(auth, user.getUsersByUsername)
 router.route('/users/authenticate').post(user.authenticateUser)
+router.route('/users/restore').post(user.restoreUser)
+router.route('/users/token/refresh').post(user.refreshToken)
+router.route('/users/logout').post(auth, user.logout)
+router.route('/users/email/verify').post(user.verifyEmail)
+router
+  .route('/users/email/verify/resend')
+  .post(auth, user.resendEmailVerification)
+router.route('/users/password/forgot').post(user.forgotPassword)
+router.route('/users/password/reset').post(user.resetPassword)
 router.route('/users/:username/activity').get(auth, user.getUserActivity)
 
 router
@@ -40,7 +58,21 @@ router.route('/feed').get(auth, user.getFeed)
 /**
  * NOTIFICATIONS
  */
-router.route('/notifications').get(auth, user.getNotifications)
+router.route('/notifications').get(auth, notifications.getNotifications)
+router
+  .route('/notifications/unread-count')
+  .get(auth, notifications.getUnreadCount)
+router
+  .route('/notifications/read-all')
+  .put(auth, notifications.markAllNotificationsAsRead)
+router
+  .route('/notifications/:id/read')
+  .put(auth, notifications.markNotificationAsRead)
+
+/**
+ * LIVE EVENTS
+ */
+router.route('/events').get(streamAuth, events.subscribe)
 
 /**
  * INTERESTS
@@ -55,6 +87,7 @@ router
  * POSTS
  */
 router.route('/posts').post(auth, posts.createPost)
+router.route('/posts/scheduled').get(auth, posts.getScheduledPosts)
 
 router
   .route('/posts/:id')
@@ -72,23 +105,62 @@ router
   .post(auth, posts.sharePostById)
   .delete(auth, posts.unsharePostById)
 
+router
+  .route('/posts/:id/bookmark')
+  .post(auth, posts.bookmarkPost)
+  .delete(auth, posts.unbookmarkPost)
+
+router.route('/posts/:id/vote').post(auth, posts.votePoll)
+
 router.route('/posts/:id/interactions').get(auth, posts.getInteractedUsers)
 
+router.route('/posts/:id/thread').get(auth, posts.getThread)
+
+router.route('/posts/:id/revisions').get(auth, posts.getPostRevisions)
+
+/**
+ * BOOKMARKS
+ */
+router.route('/bookmarks').get(auth, bookmarks.getBookmarks)
+
+/**
+ * DRAFTS
+ */
+router
+  .route('/drafts')
+  .get(auth, drafts.getDrafts)
+  .post(auth, drafts.createDraft)
+
+router
+  .route('/drafts/:id')
+  .get(auth, drafts.getDraftById)
+  .put(auth, drafts.modifyDraftById)
+  .delete(auth, drafts.deleteDraftById)
+
 /**
  * IMAGES
  */
-router.route('/images').post(image.uploadImage)
+router.route('/images').post(auth, image.uploadImage)
 router.route('/images/:filename').get(image.getImage)
 
 /**
  * TAGS
  */
 router.route('/tags').post(auth, tags.createTag).get(auth, tags.getTags)
+router.route('/tags/suggest').get(auth, tags.suggestTags)
+router.route('/tags/:name').get(auth, tags.getTag)
+router.route('/tags/:name/posts').get(auth, tags.getTagPosts)
+router
+  .route('/tags/:name/follow')
+  .post(auth, tags.followTag)
+  .delete(auth, tags.unfollowTag)
 
 /**
  * SEARCH
  */
 router.route('/search').get(auth, search.search)
+router.route('/trending/tags').get(auth, trending.getTrendingTags)
+router.route('/trending/posts').get(auth, trending.getTrendingPosts)
 
 /**
  * TESTING
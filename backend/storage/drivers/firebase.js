@@ -0,0 +1,52 @@
+/**
+ * Storage driver which saves files in a Firebase Cloud Storage bucket.
+ *
+ * The Firebase app is only initialised once the driver is chosen, so the
+ * service account credentials are not needed when another driver is used.
+ */
+export default class FirebaseDriver {
+  constructor({ credentials, bucket }) {
+    const firebaseAdmin = require('firebase-admin')
+    const serviceAccount = require(credentials)
+
+    firebaseAdmin.initializeApp({
+      credential: firebaseAdmin.credential.cert(serviceAccount),
+      storageBucket: bucket,
+    })
+    this.bucket = firebaseAdmin.storage().bucket()
+  }
+
+  put(key, data, { contentType }) {
+    return this.bucket.file(key).save(data, {
+      metadata: { contentType },
+      resumable: false,
+    })
+  }
+
+  getStream(key, { start, end } = {}) {
+    return this.bucket.file(key).createReadStream({ start, end })
+  }
+
+  async stat(key) {
+    const file = this.bucket.file(key)
+    const [exists] = await file.exists()
+    if (!exists) {
+      return null
+    }
+    const [metadata] = await file.getMetadata()
+    return {
+      size: Number(metadata.size),
+      contentType: metadata.contentType ?? null,
+      modifiedAt: Date.parse(metadata.updated),
+    }
+  }
+
+  async delete(key) {
+    await this.bucket.file(key).delete({ ignoreNotFound: true })
+  }
+
+  async exists(key) {
+    const [exists] = await this.bucket.file(key).exists()
+    return exists
+  }
+}
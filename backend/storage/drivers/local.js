@@ -0,0 +1,67 @@
+import fs from 'fs'
+import path from 'path'
+import { InvalidStorageKeyError } from '../errors'
+
+/**
+ * Storage driver which saves files in a directory on the local disk,
+ * used in development and anywhere without cloud credentials
+ */
+export default class LocalDriver {
+  constructor({ directory }) {
+    this.directory = directory
+  }
+
+  /**
+   * The path of a file, keys can not point outside of the storage directory
+   */
+  filePath(key) {
+    const filePath = path.resolve(this.directory, key)
+    if (!filePath.startsWith(path.resolve(this.directory) + path.sep)) {
+      throw new InvalidStorageKeyError(key)
+    }
+    return filePath
+  }
+
+  async put(key, data) {
+    const filePath = this.filePath(key)
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true })
+    await fs.promises.writeFile(filePath, data)
+  }
+
+  getStream(key, { start, end } = {}) {
+    const stream = fs.createReadStream(this.filePath(key), { start, end })
+    stream.on('error', (error) => {
+      if (error.code === 'ENOENT') {
+        // Missing files fail the same way for every driver
+        error.code = 404
+      }
+    })
+    return stream
+  }
+
+  async delete(key) {
+    await fs.promises.rm(this.filePath(key), { force: true })
+  }
+
+  // The content type is not kept on disk, callers derive it from the file name
+  async stat(key) {
+    try {
+      const stats = await fs.promises.stat(this.filePath(key))
+      return { size: stats.size, contentType: null, modifiedAt: stats.mtimeMs }
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null
+      }
+      throw error
+    }
+  }
+
+  async exists(key) {
+    try {
+      await fs.promises.access(this.filePath(key))
+      return true
+    } catch {
+      return false
+    }
+  }
+}
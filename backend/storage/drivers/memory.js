@@ -0,0 +1,53 @@
+import { Readable } from 'stream'
+
+/**
+ * Storage driver which keeps files in memory, used in tests so nothing is
+ * written to disk or uploaded. Files are lost when the process exits.
+ */
+export default class MemoryDriver {
+  constructor() {
+    // key => { data, contentType, modifiedAt }
+    this.files = new Map()
+  }
+
+  async put(key, data, { contentType }) {
+    this.files.set(key, {
+      data: Buffer.from(data),
+      contentType,
+      modifiedAt: Date.now(),
+    })
+  }
+
+  getStream(key, { start = 0, end } = {}) {
+    const file = this.files.get(key)
+    if (!file) {
+      const stream = new Readable({ read() {} })
+      const error = new Error(`No such file: ${key}`)
+      error.code = 404
+      process.nextTick(() => stream.destroy(error))
+      return stream
+    }
+    const last = end ?? file.data.length - 1
+    return Readable.from([file.data.subarray(start, last + 1)])
+  }
+
+  async stat(key) {
+    const file = this.files.get(key)
+    if (!file) {
+      return null
+    }
+    return {
+      size: file.data.length,
+      contentType: file.contentType ?? null,
+      modifiedAt: file.modifiedAt,
+    }
+  }
+
+  async delete(key) {
+    this.files.delete(key)
+  }
+
+  async exists(key) {
+    return this.files.has(key)
+  }
+}
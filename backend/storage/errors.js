@@ -0,0 +1,12 @@
+/**
+ * Thrown by drivers for keys they can not store files under, e.g. keys
+ * pointing outside of the storage directory. Like missing files, the error
+ * has the response code as its code, so callers can tell it from failures.
+ */
+export class InvalidStorageKeyError extends Error {
+  constructor(key) {
+    super(`Invalid storage key: ${key}`)
+    this.name = 'InvalidStorageKeyError'
+    this.code = 400
+  }
+}
@@ -0,0 +1,85 @@
+import config from 'config'
+import LocalDriver from './drivers/local'
+import MemoryDriver from './drivers/memory'
+import FirebaseDriver from './drivers/firebase'
+
+/**
+ * Stores uploaded files through the driver chosen by the STORAGE.driver config value.
+ *
+ * A driver is any object with the methods below, files are addressed by keys
+ * such as images/<filename>. Streams of missing files fail with an error whose
+ * code is 404 and invalid keys with an InvalidStorageKeyError whose code is 400,
+ * so callers can tell them apart from other failures. Further drivers can be
+ * added with Storage.registerDriver without changing any callers.
+ */
+export default class Storage {
+  // name => function creating the driver from the STORAGE config
+  static driverFactories = {
+    local: (storageConfig) => new LocalDriver(storageConfig),
+    memory: () => new MemoryDriver(),
+    firebase: (storageConfig) => new FirebaseDriver(storageConfig.firebase),
+  }
+
+  static currentDriver = null
+
+  /**
+   * Makes a driver available under the given name
+   */
+  static registerDriver(name, factory) {
+    this.driverFactories[name] = factory
+    this.currentDriver = null
+  }
+
+  /**
+   * Returns the configured driver, creating it on first use
+   */
+  static driver() {
+    if (!this.currentDriver) {
+      const storageConfig = config.get('STORAGE')
+      const factory = this.driverFactories[storageConfig.driver]
+      if (!factory) {
+        throw new Error(`Unknown storage driver '${storageConfig.driver}'`)
+      }
+      this.currentDriver = factory(storageConfig)
+    }
+    return this.currentDriver
+  }
+
+  /**
+   * Saves a file, replacing any file with the same key
+   */
+  static async put(key, data, { contentType } = {}) {
+    await this.driver().put(key, data, { contentType })
+  }
+
+  /**
+   * Returns a readable stream of a file, or of the bytes from start to end
+   * (both inclusive) when a range is given
+   */
+  static getStream(key, { start, end } = {}) {
+    return this.driver().getStream(key, { start, end })
+  }
+
+  /**
+   * The size in bytes, content type and time of the last change in
+   * milliseconds of a file, or null when there is no such file.
+   * Drivers that do not keep the content type report it as null.
+   */
+  static async stat(key) {
+    return this.driver().stat(key)
+  }
+
+  /**
+   * Removes a file, removing a missing file does nothing
+   */
+  static async delete(key) {
+    await this.driver().delete(key)
+  }
+
+  /**
+   * Whether a file with the key has been saved
+   */
+  static async exists(key) {
+    return this.driver().exists(key)
+  }
+}
@@ -3,8 +3,7 @@ import classes from './app.module.scss'
 import palette from './styles/theme.scss'
 import Router from './Router'
 import AuthProvider from './contexts/AuthProvider'
-import TagProvider from './contexts/TagProvider'
-import HandleProvider from './contexts/HandleProvider'
+import LiveEventsProvider from './contexts/LiveEventsProvider'
 import NavigationProvider from './components/layout/navigation/contexts/NavigationProvider'
 
 const theme = createTheme({
@@ -44,17 +43,15 @@ const theme = createTheme({
 
 const App = () => (
   <AuthProvider>
-    <TagProvider>
-      <HandleProvider>
-        <NavigationProvider>
-          <ThemeProvider theme={theme}>
-            <div className={classes.container}>
-              <Router />
-            </div>
-          </ThemeProvider>
-        </NavigationProvider>
-      </HandleProvider>
-    </TagProvider>
+    <LiveEventsProvider>
+      <NavigationProvider>
+        <ThemeProvider theme={theme}>
+          <div className={classes.container}>
+            <Router />
+          </div>
+        </ThemeProvider>
+      </NavigationProvider>
+    </LiveEventsProvider>
   </AuthProvider>
 )
 
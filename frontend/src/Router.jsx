@@ -8,13 +8,19 @@ import Dashboard from './pages/dashboard/DashboardPageController'
 import ProfileSettings from './pages/profileSettings/ProfileSettingsController'
 import Registration from './pages/registration/RegistrationPagesController'
 import Notifications from './pages/notifications/NotificationsPageController'
+import Bookmarks from './pages/bookmarks/BookmarksPageController'
+import Drafts from './pages/drafts/DraftsPageController'
 import Search from './pages/search/SearchPageController'
+import Tag from './pages/tag/TagPageController'
 import User from './pages/user/UserPageController'
 import PostComposer from './pages/postComposer/PostComposerController'
 import Loading from './pages/loading/LoadingController'
 import { AuthContext } from './contexts/AuthProvider'
 import { InterestsContextProvider } from './contexts/InterestsProvider'
 import ChooseInterestsPage from './pages/chooseInterests/ChooseInterestsPageController'
+import ForgotPassword from './pages/forgotPassword/ForgotPasswordController'
+import ResetPassword from './pages/resetPassword/ResetPasswordController'
+import VerifyEmail from './pages/verifyEmail/VerifyEmailController'
 
 const Router = () => {
   // fetch the token to check if the user is authenticated
@@ -31,9 +37,13 @@ const Router = () => {
         <Route path="/user/:username" element={<User />} />
         <Route path="/user/:username/follows" element={<Follows />} />
         <Route path="/notifications" element={<Notifications />} />
+        <Route path="/bookmarks" element={<Bookmarks />} />
         <Route path="/search" element={<Search />} />
+        <Route path="/tag/:name" element={<Tag />} />
         <Route path="/settings" element={<ProfileSettings />} />
         <Route path="/new-post" element={<PostComposer />} />
+        <Route path="/drafts" element={<Drafts />} />
+        <Route path="/verify-email" element={<VerifyEmail />} />
         <Route
           path="/signUp"
           element={
@@ -53,6 +63,9 @@ const Router = () => {
       <Route path="/loading" element={<Loading />} />
       <Route path="/signUp" element={<Registration />} />
       <Route path="/signIn" element={<SignIn />} />
+      <Route path="/forgot-password" element={<ForgotPassword />} />
+      <Route path="/reset-password" element={<ResetPassword />} />
+      <Route path="/verify-email" element={<VerifyEmail />} />
       <Route path="*" element={<Navigate to="/" />} />
     </Routes>
   )
@@ -0,0 +1,91 @@
+import processMentions, { highlightSnippet } from '../functions/mentions'
+
+describe('processMentions', () => {
+  it('links the entities of a post', () => {
+    const html = processMentions({
+      content: 'Hi @bob, look at #cats',
+      entities: {
+        mentions: [{ start: 3, end: 7, username: 'bob' }],
+        tags: [{ start: 17, end: 22, name: 'cats' }],
+      },
+      tagStyle: 'tag',
+      handleStyle: 'handle',
+    })
+
+    expect(html).toBe(
+      'Hi <a href="/user/bob" class="handle">@bob</a>, look at ' +
+        '<a href="/tag/cats" class="tag">#cats</a>'
+    )
+  })
+
+  it('escapes the text around and inside the entities', () => {
+    const content = '<img src=x onerror=alert(1) @bob>'
+    const start = content.indexOf('@bob')
+    const html = processMentions({
+      content,
+      entities: {
+        mentions: [{ start, end: content.length, username: 'bob' }],
+      },
+      tagStyle: 'tag',
+      handleStyle: 'handle',
+    })
+
+    expect(html).toBe(
+      '&lt;img src=x onerror=alert(1) ' +
+        '<a href="/user/bob" class="handle">@bob&gt;</a>'
+    )
+    const container = document.createElement('div')
+    container.innerHTML = html
+    expect(container.querySelector('img')).toBeNull()
+    expect(container.textContent).toBe(content)
+  })
+
+  it('shows the character references of a stored post only once', () => {
+    const content = 'Hi&nbsp;@bob &amp; &lt;you&gt; https://a.io/?x=1&amp;y=2'
+    const start = content.indexOf('@bob')
+    const urlStart = content.indexOf('https')
+    const html = processMentions({
+      content,
+      entities: {
+        mentions: [{ start, end: start + 4, username: 'bob' }],
+        urls: [
+          {
+            start: urlStart,
+            end: content.length,
+            url: 'https://a.io/?x=1&amp;y=2',
+          },
+        ],
+      },
+      tagStyle: 'tag',
+      handleStyle: 'handle',
+    })
+
+    expect(html).toBe(
+      'Hi\u00a0<a href="/user/bob" class="handle">@bob</a> &amp; &lt;you&gt; ' +
+        '<a href="https://a.io/?x=1&amp;y=2" target="_blank" ' +
+        'rel="noopener noreferrer">https://a.io/?x=1&amp;y=2</a>'
+    )
+    const container = document.createElement('div')
+    container.innerHTML = html
+    expect(container.textContent).toBe(
+      'Hi\u00a0@bob & <you> https://a.io/?x=1&y=2'
+    )
+    expect(container.querySelector('a[target]').href).toBe(
+      'https://a.io/?x=1&y=2'
+    )
+  })
+})
+
+describe('highlightSnippet', () => {
+  it('marks the matches and escapes the rest of the snippet', () => {
+    const text = '<b>cats</b> & dogs'
+    const html = highlightSnippet(
+      { text, highlights: [{ start: 3, end: 7 }] },
+      'highlight'
+    )
+
+    expect(html).toBe(
+      '&lt;b&gt;<mark class="highlight">cats</mark>&lt;/b&gt; &amp; dogs'
+    )
+  })
+})
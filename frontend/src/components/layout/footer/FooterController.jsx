@@ -1,13 +1,14 @@
 import { useState, useEffect } from 'react'
 import FooterView from './FooterView'
 import useApi from '../../../hooks/useApi'
+import useLiveEvent from '../../../hooks/useLiveEvent'
 /**
  * This is a reusable footer component intended for users to navigate to main pages.
  */
 const FooterController = () => {
   const path = window.location.pathname
   const [currentPage, setCurrentPage] = useState(path)
-  const { data } = useApi(`notifications`)
+  const { data } = useApi(`notifications/unread-count`)
   const [notificationsNumber, setNotificationsNumber] = useState(0)
 
   const onPageChange = (event, newPage) => {
@@ -16,10 +17,20 @@ const FooterController = () => {
 
   useEffect(() => {
     if (data) {
-      setNotificationsNumber(data.length)
+      setNotificationsNumber(data.count)
     }
   }, [data])
 
+  // Count notifications pushed by the server while the page is open
+  useLiveEvent('notification', () => {
+    setNotificationsNumber((count) => count + 1)
+  })
+
+  // Notifications taken back, e.g. after an unlike, no longer count as unread
+  useLiveEvent('notificationRemoved', ({ unread }) => {
+    setNotificationsNumber((count) => Math.max(count - unread, 0))
+  })
+
   return (
     <FooterView
       currentPage={currentPage}
@@ -3,6 +3,7 @@ import BottomNavigationAction from '@mui/material/BottomNavigationAction'
 import HomeIcon from '@mui/icons-material/Home'
 import SearchIcon from '@mui/icons-material/Search'
 import NotificationsIcon from '@mui/icons-material/Notifications'
+import BookmarksIcon from '@mui/icons-material/Bookmarks'
 import { Badge } from '@mui/material'
 import { Link } from 'react-router-dom'
 
@@ -49,6 +50,14 @@ const FooterView = ({ currentPage, onPageChange, notificationsNumber }) => (
         component={Link}
         to="/notifications"
       />
+      <BottomNavigationAction
+        className={classes.navIcon}
+        value="/bookmarks"
+        label="Bookmarks"
+        icon={<BookmarksIcon />}
+        component={Link}
+        to="/bookmarks"
+      />
     </BottomNavigation>
   </div>
 )
@@ -2,41 +2,70 @@
 import moment from 'moment'
 import useApi from '../../../hooks/useApi'
 import NotificationCardView from './NotificationCardView'
+import { DELETED_USER } from '../../../functions/users'
 
 /**
  * Creates a NotificationCard Component.
  * @prop type - the type of notification
  * @prop time - the time the notification was created
  * @prop handle - the handle of the user who created the notification
- * @prop username - the username of the user who created the notification
- * @prop post - the post id of the post that was liked/shared/replied to
+ * @prop username - the username of the user who created the notification, null if they deleted their account
+ * @prop post - the post id of the post that was liked/shared/replied to, of the quote or of the closed poll
+ * @prop read - whether the notification has already been read
+ * @prop onRead - called when the notification is opened
  */
-const NotificationCardController = ({ type, time, handle, username, post }) => {
+const NotificationCardController = ({
+  type,
+  time,
+  handle,
+  username,
+  post,
+  read = true,
+  onRead,
+}) => {
   let content = ''
   let link = ''
+  const name = username ?? DELETED_USER.nickname
   switch (type) {
     case 'like':
-      content = `${username} liked your post!`
-      link = `/posts/${post}`
+      content = `${name} liked your post!`
+      link = `/post/${post}`
       break
     case 'share':
-      content = `${username} shared your post!`
-      link = `/posts/${post}`
+      content = `${name} shared your post!`
+      link = `/post/${post}`
       break
     case 'reply':
-      content = `${username} replied to your post!`
-      link = `/posts/${post}`
+      content = `${name} replied to your post!`
+      link = `/post/${post}`
+      break
+    case 'quote':
+      content = `${name} quoted your post!`
+      link = `/post/${post}`
+      break
+    case 'mention':
+      content = `${name} mentioned you in a post!`
+      link = `/post/${post}`
       break
     case 'follow':
-      content = `${username} started following you!`
-      link = `/user/${username}`
+      content = `${name} started following you!`
+      link = username ? `/user/${username}` : '/notifications'
+      break
+    case 'poll':
+      content = 'Your poll has closed, see the results!'
+      link = `/post/${post}`
       break
     default:
       content = 'Unexpected type'
       break
   }
 
-  const { data, loading } = useApi(`users/${username}`)
+  // Closed polls are not sent by anyone, they show the user's own details
+  const shownUsername =
+    type === 'poll' ? localStorage.getItem('username') : username
+  const { data, loading } = useApi(
+    shownUsername ? `users/${shownUsername}` : null
+  )
 
   if (loading) {
     return <p>Loading...</p>
@@ -49,7 +78,9 @@ const NotificationCardController = ({ type, time, handle, username, post }) => {
       time={moment(time).fromNow()}
       handle={handle}
       post={post}
-      user={data}
+      user={data ?? DELETED_USER}
+      read={read}
+      onRead={onRead}
     />
   )
 }
@@ -14,13 +14,20 @@ import classes from './notificationcard.module.scss'
  * @username : the username of the appropriate user
  * @image : the link to the users profile image
  * @post : the link to the relevant post
+ * @read : whether the notification has already been read, unread notifications are highlighted
+ * @onRead : called when the notification is clicked
  *
  * The const variable avatar size has been extracted out in case any avatar size changes need to be made
  */
 
-function NotificationCardView({ content, time, user, link }) {
+function NotificationCardView({ content, time, user, link, read, onRead }) {
   return (
-    <Link to={link} className={classes.link}>
+    <Link
+      to={link}
+      className={`${classes.link} ${read ? '' : classes.unread}`}
+      onClick={onRead}
+      data-testid="notification-card"
+    >
       <Grid
         container
         direction="row"
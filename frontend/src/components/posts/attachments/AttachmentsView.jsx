@@ -0,0 +1,34 @@
+import classes from './attachments.module.scss'
+
+/**
+ * Renders the images attached to a post in the order they were attached
+ * @prop {object[]} attachments - the uri, width, height and alt text of each image
+ * @prop {boolean} condensed - optional, shows smaller images
+ */
+const AttachmentsView = ({ attachments = [], condensed = false }) => {
+  if (attachments.length === 0) {
+    return null
+  }
+
+  return (
+    <div
+      className={`${classes.grid} ${condensed ? classes.condensed : ''}`}
+      data-count={Math.min(attachments.length, 4)}
+    >
+      {attachments.map(({ uri, width, height, alt }) => (
+        <a key={uri} href={uri} target="_blank" rel="noreferrer">
+          <img
+            className={classes.image}
+            src={`${uri}?size=medium`}
+            width={width ?? undefined}
+            height={height ?? undefined}
+            alt={alt ?? ''}
+            loading="lazy"
+          />
+        </a>
+      ))}
+    </div>
+  )
+}
+
+export default AttachmentsView
@@ -1,31 +1,24 @@
-import React, { useState, useContext } from 'react'
+import React, { useState } from 'react'
 import { useNavigate } from 'react-router-dom'
 import CommentView from './CommentView'
 import useApi from '../../../hooks/useApi'
 import { request } from '../../../functions'
-import { TagContext } from '../../../contexts/TagProvider'
-import { HandleContext } from '../../../contexts/HandleProvider'
 
 /**
  * Comment Popup that shows up to allow commenting on a post
  *
  * @prop {object} postData - object of data from postDTO in backend
+ * @prop {boolean} quote - optional, posts a quote of the post instead of a reply
+ * @prop {function} onClose - optional, called when the popup is closed
  */
-const CommentController = ({ postData }) => {
+const CommentController = ({ postData, quote = false, onClose }) => {
   const [postText, setPostText] = useState('')
-  // post tags of IDs from the postText
-  const [postTags, setPostTags] = useState([])
-  // new tags of IDS from the postText that doesn't exist
-  const [newTags, setNewTags] = useState([])
 
   const [loading, setLoading] = useState(false)
   const { loading: userLoading, err } = useApi(
-    `users/${postData.author.username}`
+    postData.author.deleted ? null : `users/${postData.author.username}`
   )
 
-  const { tags, getTags } = useContext(TagContext)
-  const { handles } = useContext(HandleContext)
-
   const navigate = useNavigate()
 
   /**
@@ -36,20 +29,17 @@ const CommentController = ({ postData }) => {
       try {
         setLoading(true)
 
-        await request('posts', 'POST', {
-          activity: 'COMMENTED',
-          parent: postData.id,
+        const { data } = await request('posts', 'POST', {
+          ...(quote
+            ? { quotedPostId: postData.id }
+            : { activity: 'COMMENTED', parent: postData.id }),
+          // The hashtags in the text become the tags of the post
           text_content: postText.replaceAll(/<.*?>/g, ''),
-          tagIds: postTags,
-          newTags,
         })
 
-        // refetch tags for tagContext after newTags is generated
-        getTags()
-
-        // navigate to the newly made post comment
+        // navigate to the newly made quote, or the post that was commented on
         setLoading(false)
-        navigate(`/post/${postData.id}`)
+        navigate(`/post/${quote && data ? data.id : postData.id}`)
       } catch (e) {
         // this should not error happen for now
         setLoading(false)
@@ -62,21 +52,18 @@ const CommentController = ({ postData }) => {
   }
 
   if (err) {
-    return <div>Error: {err.message}</div>
+    return <div>Error: {err}</div>
   }
 
   return (
     <CommentView
       postData={postData}
-      setPostTags={setPostTags}
-      setPostHandles={() => {}} // @Deprecated setPostHandles
       setPostText={setPostText}
       postText={postText}
       loading={loading || userLoading}
       submitForm={submitForm}
-      setNewTags={setNewTags}
-      tags={tags}
-      handles={handles}
+      quote={quote}
+      onClose={onClose}
     />
   )
 }
@@ -7,21 +7,22 @@ import styles from './comment.module.scss'
 import SimpleUserDetails from '../../user/simpledetails/SimpleUserDetailsController'
 import PostInput from '../postinput/PostInputController'
 import processMentions from '../../../functions/mentions'
+import { userHandle } from '../../../functions/users'
 
 export default function BasicModal({
   postData,
-  setPostTags,
-  setPostHandles,
   setPostText,
   loading,
   submitForm,
-  setNewTags,
-  tags,
-  handles,
+  quote,
+  onClose,
 }) {
   const [open, setOpen] = React.useState(true)
 
-  const handleClose = () => setOpen(false)
+  const handleClose = () => {
+    setOpen(false)
+    onClose?.()
+  }
 
   return (
     <Dialog open={open} onClose={handleClose} fullWidth maxWidth="xl">
@@ -44,8 +45,7 @@ export default function BasicModal({
           dangerouslySetInnerHTML={{
             __html: processMentions({
               content: postData.content ?? '',
-              tags,
-              handles,
+              entities: postData.entities,
               tagStyle: styles.tagStyle,
               handleStyle: styles.handleStyle,
             }),
@@ -53,23 +53,22 @@ export default function BasicModal({
         />
         <div className={styles.reply}>
           <p>
-            Replying to{' '}
-            <a
-              href={`/user/${postData.author.username}`}
-              className={styles.link}
-            >
-              @{postData.author.username}
-            </a>
+            {quote ? 'Quoting' : 'Replying to'}{' '}
+            {postData.author.deleted ? (
+              userHandle(postData.author)
+            ) : (
+              <a
+                href={`/user/${postData.author.username}`}
+                className={styles.link}
+              >
+                @{postData.author.username}
+              </a>
+            )}
           </p>
         </div>
 
         <div className={styles.postInput}>
-          <PostInput
-            setPostTags={setPostTags}
-            setPostHandles={setPostHandles}
-            setPostText={setPostText}
-            setNewTags={setNewTags}
-          />
+          <PostInput setPostText={setPostText} />
         </div>
         <div className={styles.buttonDiv}>
           <LoadingButton
@@ -79,7 +78,7 @@ export default function BasicModal({
             onClick={submitForm}
             className={styles.loadingButton}
           >
-            Reply
+            {quote ? 'Quote' : 'Reply'}
           </LoadingButton>
         </div>
       </Card>
@@ -5,16 +5,18 @@ import Comment from '../comment/CommentController'
 import { request } from '../../../functions'
 
 /**
- * Creates a posts interactions (likes, comments, shares)
+ * Creates a posts interactions (likes, comments, shares, quotes, bookmarks)
  * @prop postData - any post object
  */
 const InteractionsController = ({ postData }) => {
-  const [showComponent, setShowComponent] = useState(false)
+  // Which dialog is open, 'reply' or 'quote', or null when none is
+  const [composer, setComposer] = useState(null)
 
   const [usersLiked, setUsersLiked] = useState(postData.usersLiked)
   const [usersShared, setUsersShared] = useState(postData.usersShared)
   const [hasLiked, setHasLiked] = useState(postData.hasLiked)
   const [hasShared, setHasShared] = useState(postData.hasShared)
+  const [hasBookmarked, setHasBookmarked] = useState(postData.hasBookmarked)
 
   /**
    * onLike when the user likes a post
@@ -46,11 +48,32 @@ const InteractionsController = ({ postData }) => {
     }
   }
 
+  /**
+   * onBookmark when the user saves a post for later, or removes it again
+   */
+  const onBookmark = async () => {
+    const response = await request(
+      `posts/${postData.id}/bookmark`,
+      hasBookmarked ? 'DELETE' : 'POST',
+      {}
+    )
+    if (response.data) {
+      setHasBookmarked(!hasBookmarked)
+    }
+  }
+
   /**
    * onComment show comment popup
    */
   const onComment = () => {
-    setShowComponent(!showComponent)
+    setComposer(composer === 'reply' ? null : 'reply')
+  }
+
+  /**
+   * onQuote show the popup to quote the post with a post of your own
+   */
+  const onQuote = () => {
+    setComposer(composer === 'quote' ? null : 'quote')
   }
 
   return (
@@ -60,12 +83,21 @@ const InteractionsController = ({ postData }) => {
         onLike={onLike}
         onShare={onShare}
         onComment={onComment}
+        onQuote={onQuote}
+        onBookmark={onBookmark}
         usersShared={usersShared}
         usersLiked={usersLiked}
         hasShared={hasShared}
         hasLiked={hasLiked}
+        hasBookmarked={hasBookmarked}
       />
-      {showComponent ? <Comment postData={postData} /> : null}
+      {composer ? (
+        <Comment
+          postData={postData}
+          quote={composer === 'quote'}
+          onClose={() => setComposer(null)}
+        />
+      ) : null}
     </div>
   )
 }
@@ -1,6 +1,9 @@
 import FavoriteBorderIcon from '@mui/icons-material/FavoriteBorder'
 import MessageOutlineIcon from '@mui/icons-material/MessageOutlined'
 import ShareIcon from '@mui/icons-material/Share'
+import FormatQuoteIcon from '@mui/icons-material/FormatQuote'
+import BookmarkIcon from '@mui/icons-material/Bookmark'
+import BookmarkBorderIcon from '@mui/icons-material/BookmarkBorder'
 import classes from './interactions.module.scss'
 
 const InteractionsView = ({
@@ -8,10 +11,13 @@ const InteractionsView = ({
   onLike,
   onComment,
   onShare,
+  onQuote,
+  onBookmark,
   usersLiked,
   usersShared,
   hasShared,
   hasLiked,
+  hasBookmarked,
 }) => (
   <div className={classes.container}>
     <div
@@ -28,6 +34,10 @@ const InteractionsView = ({
       {postData.children.length}
     </div>
     <div className={classes.spacer} />
+    <div onClick={onQuote} data-testid="quote-btn" className={classes.quote}>
+      {postData.usersQuoted ?? 0}
+      <FormatQuoteIcon />
+    </div>
     <div
       onClick={onShare}
       data-testid="share-btn"
@@ -36,6 +46,14 @@ const InteractionsView = ({
       {usersShared}
       <ShareIcon />
     </div>
+    <div
+      onClick={onBookmark}
+      data-testid="bookmark-btn"
+      className={classes.bookmark}
+      style={{ color: hasBookmarked ? 'black' : 'grey' }}
+    >
+      {hasBookmarked ? <BookmarkIcon /> : <BookmarkBorderIcon />}
+    </div>
   </div>
 )
 
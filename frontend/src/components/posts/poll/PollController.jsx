@@ -0,0 +1,46 @@
+import { useState } from 'react'
+import PollView from './PollView'
+import { request } from '../../../functions'
+
+/**
+ * Shows the poll of a post and lets the user vote in it. The results are
+ * shown once the user has voted or the poll has closed.
+ * @prop {number} postId - the id of the post with the poll
+ * @prop {object} poll - the poll as sent with the post
+ */
+const PollController = ({ postId, poll: initialPoll }) => {
+  const [poll, setPoll] = useState(initialPoll)
+  const [voting, setVoting] = useState(false)
+  const [error, setError] = useState(null)
+
+  /**
+   * vote for an option and show the results
+   * @param {number} optionId - the chosen option
+   */
+  const vote = async (optionId) => {
+    setVoting(true)
+    const { data, err } = await request(`posts/${postId}/vote`, 'POST', {
+      optionId,
+    })
+    setVoting(false)
+    if (err) {
+      setError(err)
+      return
+    }
+    setError(null)
+    setPoll(data)
+  }
+
+  return (
+    <PollView
+      poll={poll}
+      // The server hides the counts until they may be shown
+      showResults={poll.totalVotes != null}
+      voting={voting}
+      error={error}
+      onVote={vote}
+    />
+  )
+}
+
+export default PollController
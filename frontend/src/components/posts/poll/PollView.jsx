@@ -0,0 +1,51 @@
+// eslint-disable-next-line import/no-unresolved
+import moment from 'moment'
+import { Button } from '@mui/material'
+import classes from './poll.module.scss'
+
+const PollView = ({ poll, showResults, voting, error, onVote }) => (
+  <div className={classes.poll}>
+    {poll.options.map((option) => {
+      if (!showResults) {
+        return (
+          <Button
+            key={option.id}
+            variant="outlined"
+            fullWidth
+            disabled={voting}
+            onClick={() => onVote(option.id)}
+            className={classes.option}
+          >
+            {option.text}
+          </Button>
+        )
+      }
+      const share = poll.totalVotes
+        ? Math.round((option.votes / poll.totalVotes) * 100)
+        : 0
+      return (
+        <div key={option.id} className={classes.result}>
+          <div className={classes.bar} style={{ width: `${share}%` }} />
+          <span
+            className={
+              option.id === poll.votedOptionId ? classes.voted : undefined
+            }
+          >
+            {option.text}
+          </span>
+          <span>{share}%</span>
+        </div>
+      )
+    })}
+    {error && <span className={classes.error}>{error}</span>}
+    <span className={classes.status}>
+      {showResults &&
+        `${poll.totalVotes} ${poll.totalVotes === 1 ? 'vote' : 'votes'} · `}
+      {poll.closed
+        ? 'Final results'
+        : `Closes ${moment(poll.closesAt).fromNow()}`}
+    </span>
+  </div>
+)
+
+export default PollView
@@ -1,18 +1,17 @@
-import { useContext, useState } from 'react'
-// eslint-disable-next-line import/no-cycle
+import { useState } from 'react'
 import PostView from './PostView'
 import useApi from '../../../hooks/useApi'
-import { TagContext } from '../../../contexts/TagProvider'
-import { HandleContext } from '../../../contexts/HandleProvider'
+import { userHandle } from '../../../functions/users'
 import classes from './post.module.scss'
 
 /**
  * Creates a post. One of either id or data must be provided
- * @prop {string} activity - optional, POSTED, SHARED, COMMENTED or LIKED
+ * @prop {string} activity - optional, POSTED, SHARED, COMMENTED, QUOTED or LIKED
  * @prop {number} id - optional, data will be fetched using the id
  * @prop {object} data - optional, use this post data to render the post
  * @prop {boolean} condensed - optional, makes the post take up less space
- * @prop {boolean} showReplies - optional, also renders each 1st level reply to the post
+ * @prop {object} snippet - optional, the highlighted part of the text a search found,
+ *                          shown instead of the text of a condensed post
  * @prop {boolean} newPost
  */
 const PostController = ({
@@ -20,18 +19,18 @@ const PostController = ({
   id = 0,
   data = null,
   condensed = false,
-  showReplies = false,
+  snippet = null,
 }) => {
-  const { tags } = useContext(TagContext)
-  const { handles } = useContext(HandleContext)
   const username = localStorage.getItem('username')
   let postData = data
   let parentPost
   let parentLoading
 
-  // Get parent if parent exist
+  // Get parent if parent exist, condensed posts do not show it
   if (postData) {
-    const { data: resData, loading } = useApi(`posts/${postData.parent}`)
+    const { data: resData, loading } = useApi(
+      postData.parent != null && !condensed ? `posts/${postData.parent}` : null
+    )
     parentPost = resData
     parentLoading = loading
   }
@@ -39,6 +38,7 @@ const PostController = ({
   let activityText
 
   const [url, setUrl] = useState('')
+  const [showRevisions, setShowRevisions] = useState(false)
 
   if (id) {
     const { data: resData, loading, err } = useApi(`posts/${id}`)
@@ -57,18 +57,27 @@ const PostController = ({
         activityText = `${resData.author.nickname} posted`
         break
       case 'SHARED':
-        activityText = `${username} reshared @${resData.author.username}'s post`
+        activityText = `${username} reshared ${userHandle(
+          resData.author
+        )}'s post`
         break
       case 'COMMENTED':
         activityText = (
           <>
-            {resData.author.username} commented on{' '}
+            {resData.author.username ?? resData.author.nickname} commented on{' '}
             <span className={classes.link}>@{username}&apos;s post</span>
           </>
         )
         break
+      case 'QUOTED':
+        activityText = resData.quotedPost
+          ? `${resData.author.nickname} quoted ${userHandle(
+              resData.quotedPost.author
+            )}'s post`
+          : `${resData.author.nickname} quoted a post`
+        break
       case 'LIKED':
-        activityText = `${username} liked @${resData.author.username}'s post`
+        activityText = `${username} liked ${userHandle(resData.author)}'s post`
         break
       default:
         activityText = null
@@ -80,24 +89,25 @@ const PostController = ({
     return <div>Error retrieving post data</div>
   }
 
-  // Regex match and extract url from post content
-  const maybeUrl = /(https?:\/\/[^\s]+)/g.exec(postData.content)
+  // Preview the first url the backend found in the post content
+  const maybeUrl = postData.entities?.urls[0]?.url
 
   // check match, and stop React from infinite rendering loop
-  if (maybeUrl && url !== maybeUrl[0]) {
-    setUrl(maybeUrl[0])
+  if (maybeUrl && url !== maybeUrl) {
+    setUrl(maybeUrl)
   }
 
   return (
     <PostView
       activityText={activityText}
       condensed={condensed}
+      snippet={snippet}
       postData={postData}
-      showReplies={showReplies}
-      tags={tags}
-      handles={handles}
       parentPost={parentPost}
       url={url}
+      showRevisions={showRevisions}
+      onShowRevisions={() => setShowRevisions(true)}
+      onHideRevisions={() => setShowRevisions(false)}
     />
   )
 }
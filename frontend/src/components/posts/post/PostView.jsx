@@ -3,21 +3,42 @@ import { Link } from 'react-router-dom'
 import { LinkPreview } from '@dhaiwat10/react-link-preview'
 import SimpleUserDetails from '../../user/simpledetails/SimpleUserDetailsController'
 import Interactions from '../interactions/InteractionsController'
-// eslint-disable-next-line import/no-cycle
-import Post from './PostController'
-import processMentions from '../../../functions/mentions'
+import AttachmentsView from '../attachments/AttachmentsView'
+import QuotedPostView from '../quote/QuotedPostView'
+import Revisions from '../revisions/RevisionsController'
+import Poll from '../poll/PollController'
+import processMentions, { highlightSnippet } from '../../../functions/mentions'
+import { userHandle } from '../../../functions/users'
 import classes from './post.module.scss'
 
 const PostView = ({
   activityText,
   postData,
   condensed,
-  showReplies,
-  tags,
-  handles,
+  snippet,
   parentPost,
   url,
+  showRevisions,
+  onShowRevisions,
+  onHideRevisions,
 }) => {
+  // Edited posts are marked, the marker opens the edit history
+  const edited = postData.editedAt && (
+    <>
+      <button
+        type="button"
+        className={classes.edited}
+        title={`Edited ${new Date(postData.editedAt).toLocaleString()}`}
+        onClick={onShowRevisions}
+      >
+        edited
+      </button>
+      {showRevisions && (
+        <Revisions postId={postData.id} onClose={onHideRevisions} />
+      )}
+    </>
+  )
+
   if (condensed) {
     return (
       <div className={classes.condensed}>
@@ -35,19 +56,26 @@ const PostView = ({
           user={postData.author}
           time={postData.timestamp}
         />
+        {edited}
         <Link className={classes.postLink} to={`/post/${postData.id}`}>
           <div
             dangerouslySetInnerHTML={{
-              __html: processMentions({
-                content: postData.content ?? '',
-                tags,
-                handles,
-                tagStyle: classes.tagStyle,
-                handleStyle: classes.handleStyle,
-              }),
+              __html: snippet
+                ? highlightSnippet(snippet, classes.highlight)
+                : processMentions({
+                    content: postData.content ?? '',
+                    entities: postData.entities,
+                    tagStyle: classes.tagStyle,
+                    handleStyle: classes.handleStyle,
+                  }),
             }}
           />
         </Link>
+        <AttachmentsView attachments={postData.attachments} condensed />
+        {postData.poll && <Poll postId={postData.id} poll={postData.poll} />}
+        {postData.quotedPostId && (
+          <QuotedPostView quotedPost={postData.quotedPost} />
+        )}
         <div className={classes.condensedInteractions}>
           <Interactions postData={postData} />
         </div>
@@ -61,37 +89,36 @@ const PostView = ({
         <a href={`/post/${postData.parent}`} className={classes.head}>
           commented on{' '}
           <span className={classes.link}>
-            @{parentPost.author.username}&apos;s post
+            {userHandle(parentPost.author)}&apos;s post
           </span>
         </a>
       )}
       <SimpleUserDetails user={postData.author} />
       <div className={classes.content}>
         <span className={classes.date}>
-          {new Date(postData.timestamp).toLocaleTimeString()}:
+          {new Date(postData.timestamp).toLocaleTimeString()}
+          {edited}:
         </span>
         <div
           dangerouslySetInnerHTML={{
             __html: processMentions({
               content: postData.content ?? '',
-              tags,
-              handles,
+              entities: postData.entities,
               tagStyle: classes.tagStyle,
               handleStyle: classes.handleStyle,
             }),
           }}
         />
+        <AttachmentsView attachments={postData.attachments} />
+        {postData.poll && <Poll postId={postData.id} poll={postData.poll} />}
+        {postData.quotedPostId && (
+          <QuotedPostView quotedPost={postData.quotedPost} />
+        )}
         {url ? <LinkPreview url={url} /> : null}
       </div>
       <div className={classes.interactions}>
         <Interactions postData={postData} />
       </div>
-      {showReplies &&
-        postData.children.map((id) => (
-          <div key={id} className={classes.reply}>
-            <Post id={id} condensed />
-          </div>
-        ))}
     </div>
   )
 }
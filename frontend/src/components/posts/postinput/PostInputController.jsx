@@ -1,96 +1,232 @@
-import { useContext, useRef, useState } from 'react'
-import { HandleContext } from '../../../contexts/HandleProvider'
-import { TagContext } from '../../../contexts/TagProvider'
+import { useEffect, useRef, useState } from 'react'
+import { request } from '../../../functions'
 import PostInputView from './PostInputView'
 import classes from './postinput.module.scss'
 
+// How many tags or users are suggested at once
+const SUGGESTIONS_LIMIT = 5
+// The backend only suggests for prefixes this long
+const MIN_PREFIX_LENGTH = 2
+// Milliseconds to wait for typing to pause before suggestions are fetched
+const SUGGEST_DELAY = 250
+// A tag or mention being typed: # or @ and word characters right before the caret
+const TYPED_ENTITY = /(^|\s)([#@])(\w*)$/
+
 /**
- * PostInputController is the controller for the post input with mention and tag support
+ * Escape text so it shows as is when set as HTML, keeping non-breaking spaces
+ * as &nbsp; like the input writes them
+ * @param {string} text - plain text
+ * @returns {string} - the text as HTML
+ */
+const escapeHtml = (text) =>
+  text
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('\u00a0', '&nbsp;')
+
+/**
+ * PostInputController is the controller for the post input with mention and tag support.
+ * While a tag or mention is typed, matching tags or users are suggested from the backend.
  * @prop setPostText - set the text of the post as string
- * @prop setPostTags - set the tags of the post as array of tags
+ * @prop attachments - optional, the images attached to the post as { file, preview, alt }
+ * @prop setAttachments - optional, set the attached images, images can only be attached when given
+ * @prop initialText - optional, the text the input starts with, e.g. of a draft
  */
 const PostInputController = ({
   setPostText,
-  setPostTags,
-  setNewTags,
-  setPostHandles,
+  attachments = [],
+  setAttachments,
+  initialText = '',
 }) => {
   const maxCharLength = 250
-  const { tags } = useContext(TagContext)
-  const { handles } = useContext(HandleContext)
+  const maxAttachments = 4
   const [remainingChar, setRemainingChar] = useState(maxCharLength)
+  // The tag or mention being typed as { trigger, prefix, start, end }
+  const [typed, setTyped] = useState(null)
+  const [suggestions, setSuggestions] = useState([])
+  const [highlighted, setHighlighted] = useState(0)
   const InputRef = useRef(null)
 
   /**
    * Add mentions and tags to the textarea
-   * Removes HTML tags and split content into words and check if tag/mentions exist
+   * Removes HTML tags and split content into words and highlight tags and mentions,
+   * the backend finds which users are mentioned and which tags the post has
    * @param {string} text - text input
    * @returns {string} - text with tags and mentions
    */
-  const convert = (text) => {
-    const usedTags = []
-    const newTags = []
-    const usedHandles = []
-    const newText = text
+  const convert = (text) =>
+    text
       .replaceAll(/<.*?>/g, '') // Replace HTML tags
       .split(' ') // Split into words
       .map((exactWord) => {
         // Remove &nbsp; from checks
         const word = exactWord.replaceAll('&nbsp;', '')
         if (word.startsWith('#')) {
-          // Check for hashtags
-          const tag = tags.find((t) => t.name === word.slice(1))
-          if (tag) {
-            usedTags.push(tag)
-            return `<span class="${classes.tag}">${exactWord}</span>`
-          }
-
-          // tag doesn't exist
-          newTags.push(word.replace(/[,.;]\s*$/, '').slice(1))
           return `<span class="${classes.tag}">${exactWord}</span>`
         }
-
         if (word.startsWith('@')) {
-          // Check for mentions
-          const handle = handles.find((h) => h.name === word.slice(1))
-          if (handle) {
-            usedHandles.push(handle)
-            return `<span class="${classes.mention}">${exactWord}</span>`
-          }
+          return `<span class="${classes.mention}">${exactWord}</span>`
         }
         return exactWord
       })
       .join(' ')
 
-    if (setPostTags) {
-      setPostTags(usedTags)
+  // Fetch suggestions for the tag or mention being typed once typing pauses
+  useEffect(() => {
+    if (!typed || typed.prefix.length < MIN_PREFIX_LENGTH) {
+      setSuggestions([])
+      return undefined
+    }
+    let isCancelled = false
+    const api = typed.trigger === '#' ? 'tags' : 'users'
+    const fetchSuggestions = async () => {
+      const { data } = await request(
+        `${api}/suggest?prefix=${encodeURIComponent(
+          typed.prefix
+        )}&limit=${SUGGESTIONS_LIMIT}`
+      )
+      if (!isCancelled) {
+        const items = data?.items ?? []
+        setSuggestions(
+          typed.trigger === '#'
+            ? items.map((tag) => ({
+                key: tag.id,
+                name: tag.tagName,
+                label: `#${tag.tagName}`,
+                detail: `${tag.postCount} posts`,
+              }))
+            : items.map((user) => ({
+                key: user.id,
+                name: user.username,
+                label: `@${user.username}`,
+                detail: user.nickname,
+              }))
+        )
+        setHighlighted(0)
+      }
     }
+    const timeout = setTimeout(fetchSuggestions, SUGGEST_DELAY)
+    return () => {
+      isCancelled = true
+      clearTimeout(timeout)
+    }
+  }, [typed?.trigger, typed?.prefix])
 
-    if (setPostHandles) {
-      setPostHandles(usedHandles)
+  /**
+   * Find the tag or mention being typed before the caret, if any
+   * @param {number} location - position of the caret in the text
+   */
+  const updateTyped = (location) => {
+    const before = InputRef.current.textContent.slice(0, location)
+    const match = TYPED_ENTITY.exec(before)
+    if (!match) {
+      setTyped(null)
+      return
     }
+    const [, , trigger, prefix] = match
+    setTyped({
+      trigger,
+      prefix,
+      start: location - prefix.length - 1,
+      end: location,
+    })
+  }
+
+  /**
+   * Hide the suggestions until another tag or mention is typed
+   */
+  const dismissSuggestions = () => setTyped(null)
+
+  /**
+   * Attach the picked images, leaving out other files and images over the limit
+   * @param {FileList} files - files picked by the user
+   */
+  const addAttachments = (files) => {
+    const images = [...files]
+      .filter((file) => file.type.startsWith('image/'))
+      .slice(0, maxAttachments - attachments.length)
+      .map((file) => ({ file, preview: URL.createObjectURL(file), alt: '' }))
+    setAttachments([...attachments, ...images])
+  }
 
-    if (setNewTags) {
-      setNewTags(newTags)
+  /**
+   * Remove an attached image and free its preview
+   * @param {number} index - position of the image
+   */
+  const removeAttachment = (index) => {
+    URL.revokeObjectURL(attachments[index].preview)
+    setAttachments(attachments.filter((_, i) => i !== index))
+  }
+
+  /**
+   * Set the alt text of an attached image
+   * @param {number} index - position of the image
+   * @param {string} alt - description of the image for screen readers
+   */
+  const setAttachmentAlt = (index, alt) => {
+    setAttachments(
+      attachments.map((attachment, i) =>
+        i === index ? { ...attachment, alt } : attachment
+      )
+    )
+  }
+
+  /**
+   * Show the text with its mentions and tags, and pass it on if it is not too long
+   * @param {string} text - text input
+   */
+  const updateText = (text) => {
+    InputRef.current.innerHTML = convert(text)
+    if (InputRef.current.textContent.length > maxCharLength) {
+      setRemainingChar(0)
+      return
     }
+    setRemainingChar(maxCharLength - InputRef.current.textContent.length)
+    setPostText(text)
+  }
 
-    return newText
+  /**
+   * Complete the tag or mention being typed with a suggestion
+   * @param {object} suggestion - a suggested tag or user
+   * @returns {number} - position of the caret after the completed word
+   */
+  const chooseSuggestion = (suggestion) => {
+    const text = InputRef.current.textContent
+    const before = text.slice(0, typed.start)
+    updateText(
+      `${escapeHtml(before)}${typed.trigger}${
+        suggestion.name
+      }&nbsp;${escapeHtml(text.slice(typed.end))}`
+    )
+    setTyped(null)
+    return before.length + suggestion.name.length + 2
   }
 
+  // Only the text the input is created with is shown, later changes are typed
+  useEffect(() => {
+    if (initialText) {
+      updateText(initialText)
+    }
+  }, [])
+
   return (
     <PostInputView
-      setPostText={(text) => {
-        InputRef.current.innerHTML = convert(text)
-        if (InputRef.current.textContent.length > maxCharLength) {
-          setRemainingChar(0)
-          return
-        }
-        setRemainingChar(maxCharLength - InputRef.current.textContent.length)
-        setPostText(text)
-      }}
+      setPostText={updateText}
       maxCharLength={maxCharLength}
       remainingChar={remainingChar}
       InputRef={InputRef}
+      attachments={setAttachments ? attachments : null}
+      canAttach={attachments.length < maxAttachments}
+      addAttachments={addAttachments}
+      removeAttachment={removeAttachment}
+      setAttachmentAlt={setAttachmentAlt}
+      suggestions={suggestions}
+      highlighted={highlighted}
+      setHighlighted={setHighlighted}
+      updateTyped={updateTyped}
+      chooseSuggestion={chooseSuggestion}
+      dismissSuggestions={dismissSuggestions}
     />
   )
 }
@@ -1,10 +1,15 @@
 import React, { useState } from 'react'
+import { IconButton, TextField } from '@mui/material'
+import AddPhotoAlternateOutlinedIcon from '@mui/icons-material/AddPhotoAlternateOutlined'
+import CloseIcon from '@mui/icons-material/Close'
 import classes from './postinput.module.scss'
 
 /**
  * PostInputView is the view for the post input
  * this view also handles the textarea rendering and the textarea state
  * instead of a textarea, this view uses a div
+ * suggestions for the tag or mention being typed are listed below the input,
+ * picked with the arrow keys and Enter or Tab, or by clicking them
  * @param {*} param0
  * @returns
  */
@@ -13,6 +18,17 @@ const PostInputView = ({
   remainingChar,
   maxCharLength,
   InputRef,
+  attachments,
+  canAttach,
+  addAttachments,
+  removeAttachment,
+  setAttachmentAlt,
+  suggestions,
+  highlighted,
+  setHighlighted,
+  updateTyped,
+  chooseSuggestion,
+  dismissSuggestions,
 }) => {
   const [lastHtml, setLastHtml] = useState('')
 
@@ -92,9 +108,41 @@ const PostInputView = ({
     // Set the cursor location
     if (InputRef.current.textContent < location) {
       setCursor(InputRef.current.textContent.length)
+      updateTyped(InputRef.current.textContent.length)
       return
     }
     setCursor(location)
+    updateTyped(location)
+  }
+
+  /**
+   * Complete the word being typed with a suggestion and keep typing after it
+   * @param {object} suggestion
+   */
+  const complete = (suggestion) => {
+    setCursor(chooseSuggestion(suggestion))
+  }
+
+  /**
+   * Move through and pick the suggestions with the keyboard
+   * @param {KeyboardEvent} e
+   */
+  const onKeyDown = (e) => {
+    if (suggestions.length === 0) {
+      return
+    }
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault()
+      const step = e.key === 'ArrowDown' ? 1 : -1
+      setHighlighted(
+        (highlighted + step + suggestions.length) % suggestions.length
+      )
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault()
+      complete(suggestions[highlighted])
+    } else if (e.key === 'Escape') {
+      dismissSuggestions()
+    }
   }
 
   return (
@@ -107,7 +155,9 @@ const PostInputView = ({
         maxLength={maxCharLength}
         placeholder="What's Updog?"
         onInput={emitChange}
+        onKeyDown={onKeyDown}
         onBlur={() => {
+          dismissSuggestions()
           // onFocusLeave trim the text so placeholder shows
           // eslint-disable-next-line no-param-reassign
           InputRef.current.innerHTML = InputRef.current.innerHTML.trim()
@@ -127,6 +177,31 @@ const PostInputView = ({
           }
         }}
       />
+      {suggestions.length > 0 && (
+        <ul className={classes.suggestions} role="listbox">
+          {suggestions.map((suggestion, index) => (
+            <li
+              key={suggestion.key}
+              role="option"
+              tabIndex={-1}
+              aria-selected={index === highlighted}
+              className={index === highlighted ? classes.highlighted : null}
+              onMouseDown={(e) => {
+                // Keep the focus in the input so the caret can be placed
+                e.preventDefault()
+                complete(suggestion)
+              }}
+            >
+              <span className={classes.suggestionLabel}>
+                {suggestion.label}
+              </span>
+              <span className={classes.suggestionDetail}>
+                {suggestion.detail}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
       <p
         className={
           remainingChar === 0 ? classes.charLengthRed : classes.charLength
@@ -134,6 +209,49 @@ const PostInputView = ({
       >
         {remainingChar} characters remaining
       </p>
+      {attachments && (
+        <div className={classes.attachments}>
+          <IconButton
+            component="label"
+            disabled={!canAttach}
+            aria-label="Attach images"
+          >
+            <AddPhotoAlternateOutlinedIcon />
+            <input
+              hidden
+              type="file"
+              accept="image/*"
+              multiple
+              onChange={(e) => {
+                addAttachments(e.target.files)
+                // Allow picking the same file again after removing it
+                // eslint-disable-next-line no-param-reassign
+                e.target.value = ''
+              }}
+            />
+          </IconButton>
+          {attachments.map(({ preview, alt }, index) => (
+            <div key={preview} className={classes.preview}>
+              <img src={preview} alt={alt} />
+              <IconButton
+                size="small"
+                className={classes.remove}
+                aria-label="Remove image"
+                onClick={() => removeAttachment(index)}
+              >
+                <CloseIcon fontSize="small" />
+              </IconButton>
+              <TextField
+                size="small"
+                placeholder="Describe the image"
+                value={alt}
+                inputProps={{ maxLength: 255 }}
+                onChange={(e) => setAttachmentAlt(index, e.target.value)}
+              />
+            </div>
+          ))}
+        </div>
+      )}
     </div>
   )
 }
@@ -0,0 +1,44 @@
+/* eslint-disable react/no-danger */
+import { Link } from 'react-router-dom'
+import SimpleUserDetails from '../../user/simpledetails/SimpleUserDetailsController'
+import AttachmentsView from '../attachments/AttachmentsView'
+import processMentions from '../../../functions/mentions'
+import classes from './quote.module.scss'
+
+/**
+ * Renders the post a quote post quotes as an embedded card
+ * @prop {object} quotedPost - the quoted post, null if it has been deleted
+ */
+const QuotedPostView = ({ quotedPost }) => {
+  if (!quotedPost) {
+    return (
+      <div className={`${classes.card} ${classes.unavailable}`}>
+        This post is no longer available
+      </div>
+    )
+  }
+
+  return (
+    <Link className={classes.card} to={`/post/${quotedPost.id}`}>
+      <SimpleUserDetails
+        condensed
+        user={quotedPost.author}
+        time={quotedPost.timestamp}
+      />
+      <div
+        className={classes.content}
+        dangerouslySetInnerHTML={{
+          __html: processMentions({
+            content: quotedPost.content ?? '',
+            entities: quotedPost.entities,
+            tagStyle: classes.tagStyle,
+            handleStyle: classes.handleStyle,
+          }),
+        }}
+      />
+      <AttachmentsView attachments={quotedPost.attachments} condensed />
+    </Link>
+  )
+}
+
+export default QuotedPostView
@@ -0,0 +1,22 @@
+import RevisionsView from './RevisionsView'
+import useApi from '../../../hooks/useApi'
+
+/**
+ * Dialog showing every version of an edited post, newest first
+ * @prop {number} postId - the id of the post
+ * @prop {function} onClose - called when the dialog is closed
+ */
+const RevisionsController = ({ postId, onClose }) => {
+  const { data, loading, error } = useApi(`posts/${postId}/revisions`)
+
+  return (
+    <RevisionsView
+      revisions={data ?? []}
+      loading={loading}
+      error={error}
+      onClose={onClose}
+    />
+  )
+}
+
+export default RevisionsController
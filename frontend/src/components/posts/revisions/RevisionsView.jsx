@@ -0,0 +1,34 @@
+import {
+  CircularProgress,
+  Dialog,
+  DialogTitle,
+  IconButton,
+} from '@mui/material'
+import CloseIcon from '@mui/icons-material/Close'
+import classes from './revisions.module.scss'
+
+const RevisionsView = ({ revisions, loading, error, onClose }) => (
+  <Dialog open onClose={onClose} fullWidth maxWidth="sm">
+    <DialogTitle className={classes.title}>
+      Edit history
+      <IconButton onClick={onClose} aria-label="close">
+        <CloseIcon />
+      </IconButton>
+    </DialogTitle>
+    <div className={classes.content}>
+      {loading && <CircularProgress size={24} />}
+      {error && <span className={classes.error}>{error}</span>}
+      {revisions.map(({ revision, content, writtenAt }, index) => (
+        <div key={revision} className={classes.revision}>
+          <span className={classes.date}>
+            {index === 0 ? 'Current' : `Version ${revision + 1}`} ·{' '}
+            {new Date(writtenAt).toLocaleString()}
+          </span>
+          <p className={classes.text}>{content}</p>
+        </div>
+      ))}
+    </div>
+  </Dialog>
+)
+
+export default RevisionsView
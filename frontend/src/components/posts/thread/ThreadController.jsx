@@ -0,0 +1,56 @@
+import { useState } from 'react'
+// eslint-disable-next-line import/no-cycle
+import ThreadView from './ThreadView'
+import { request } from '../../../functions'
+
+/**
+ * Renders a post of a conversation with its replies indented below it
+ * @prop {object} post - a post of the thread, with replies as { items, nextCursor },
+ * or null when they have not been loaded yet
+ * @prop {boolean} focused - optional, renders the post in full instead of condensed
+ */
+const ThreadController = ({ post, focused = false }) => {
+  const [replies, setReplies] = useState(post.replies?.items ?? [])
+  const [nextCursor, setNextCursor] = useState(post.replies?.nextCursor ?? null)
+  // Posts at the depth limit come without replies, they are loaded on request
+  const [loaded, setLoaded] = useState(post.replies != null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  const hasMore = loaded ? nextCursor !== null : post.children.length > 0
+
+  /**
+   * Loads the next page of replies, or the first one if none were loaded yet
+   */
+  const showMoreReplies = async () => {
+    setLoading(true)
+    const { data, err } = await request(
+      loaded
+        ? `posts/${post.id}/thread?cursor=${nextCursor}`
+        : `posts/${post.id}/thread`
+    )
+    setLoading(false)
+    if (err) {
+      setError(err)
+      return
+    }
+    setError(null)
+    setReplies([...replies, ...data.post.replies.items])
+    setNextCursor(data.post.replies.nextCursor)
+    setLoaded(true)
+  }
+
+  return (
+    <ThreadView
+      post={post}
+      focused={focused}
+      replies={replies}
+      hasMore={hasMore}
+      loading={loading}
+      error={error}
+      showMoreReplies={showMoreReplies}
+    />
+  )
+}
+
+export default ThreadController
@@ -0,0 +1,39 @@
+import LoadingButton from '@mui/lab/LoadingButton'
+import Post from '../post/PostController'
+// eslint-disable-next-line import/no-cycle
+import Thread from './ThreadController'
+import classes from './thread.module.scss'
+
+const ThreadView = ({
+  post,
+  focused,
+  replies,
+  hasMore,
+  loading,
+  error,
+  showMoreReplies,
+}) => (
+  <div className={focused ? classes.focused : classes.thread}>
+    <Post data={post} condensed={!focused} />
+    {(replies.length > 0 || hasMore) && (
+      <div className={classes.replies}>
+        {replies.map((reply) => (
+          <Thread key={reply.id} post={reply} />
+        ))}
+        {hasMore && (
+          <LoadingButton
+            className={classes.showMore}
+            size="small"
+            loading={loading}
+            onClick={showMoreReplies}
+          >
+            Show more replies
+          </LoadingButton>
+        )}
+        {error && <span className={classes.error}>{error}</span>}
+      </div>
+    )}
+  </div>
+)
+
+export default ThreadView
@@ -0,0 +1,29 @@
+import useApi from '../../../hooks/useApi'
+import TrendingView from './TrendingView'
+
+// How many trending tags and posts are shown
+const TRENDING_TAGS_LIMIT = 5
+const TRENDING_POSTS_LIMIT = 3
+
+/**
+ * TrendingController fetches the tags and posts trending over the last day,
+ * shown on the search page before anything is searched for
+ */
+const TrendingController = () => {
+  const { data: tagData, loading: tagsLoading } = useApi(
+    `trending/tags?limit=${TRENDING_TAGS_LIMIT}`
+  )
+  const { data: postData, loading: postsLoading } = useApi(
+    `trending/posts?limit=${TRENDING_POSTS_LIMIT}`
+  )
+
+  if (tagsLoading || postsLoading) {
+    return null
+  }
+
+  return (
+    <TrendingView tags={tagData?.items ?? []} posts={postData?.items ?? []} />
+  )
+}
+
+export default TrendingController
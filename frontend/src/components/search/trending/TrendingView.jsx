@@ -0,0 +1,28 @@
+import { Link } from 'react-router-dom'
+import Post from '../../posts/post/PostController'
+import { FeedCard } from '../../../pages/dashboard/DashboardPageView'
+import classes from './trending.module.scss'
+
+const TrendingView = ({ tags, posts }) =>
+  tags.length > 0 || posts.length > 0 ? (
+    <div className={classes.trending}>
+      <h2 className={classes.title}>Trending</h2>
+      {tags.map((tag) => (
+        <Link
+          key={tag.id}
+          to={`/tag/${encodeURIComponent(tag.tagName)}`}
+          className={classes.tag}
+        >
+          <span className={classes.tagName}>#{tag.tagName}</span>
+          <span className={classes.postCount}>{tag.postCount} posts</span>
+        </Link>
+      ))}
+      {posts.map((post) => (
+        <FeedCard key={post.id}>
+          <Post data={post} condensed />
+        </FeedCard>
+      ))}
+    </div>
+  ) : null
+
+export default TrendingView
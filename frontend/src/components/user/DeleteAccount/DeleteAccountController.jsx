@@ -0,0 +1,47 @@
+import React, { useEffect, useState } from 'react'
+import DeleteAccountView from './DeleteAccountView'
+
+/**
+ * Delete account popup asking users to confirm with their password
+ * @prop {boolean} opened
+ * @prop {function} setOpen
+ * @prop {function} handleDeleteAccount - returns the error message if deleting failed
+ */
+export default function DeleteAccountController({
+  opened,
+  setOpen,
+  handleDeleteAccount,
+}) {
+  const [password, setPassword] = useState('')
+  const [error, setError] = useState('')
+  const [loading, setLoading] = useState(false)
+
+  // Start with an empty form whenever the popup is opened
+  useEffect(() => {
+    setPassword('')
+    setError('')
+  }, [opened])
+
+  /**
+   * Delete the account once the password has been entered
+   */
+  const handleDelete = async () => {
+    if (!password) {
+      setError('Your password is required.')
+      return
+    }
+    setLoading(true)
+    const err = await handleDeleteAccount(password)
+    setLoading(false)
+    if (err) {
+      setError(err)
+    }
+  }
+
+  return (
+    <DeleteAccountView
+      state={{ opened, password, error, loading }}
+      action={{ setOpen, setPassword, handleDelete }}
+    />
+  )
+}
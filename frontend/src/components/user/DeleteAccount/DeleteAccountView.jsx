@@ -0,0 +1,70 @@
+import React from 'react'
+import {
+  TextField,
+  Divider,
+  Dialog,
+  DialogContent,
+  Grid,
+  DialogTitle,
+} from '@mui/material'
+import LoadingButton from '@mui/lab/LoadingButton'
+import CloseIcon from '@mui/icons-material/Close'
+import classes from './deleteAccount.module.scss'
+
+export default function DeleteAccountView({ state, action }) {
+  const { opened, password, error, loading } = state
+  const { setOpen, setPassword, handleDelete } = action
+
+  return (
+    <Dialog
+      fullWidth
+      open={opened}
+      onClose={() => {
+        setOpen(false)
+      }}
+    >
+      <DialogTitle className={classes.title}>
+        Delete Account
+        <CloseIcon
+          sx={{
+            position: 'absolute',
+            right: 20,
+            top: 20,
+          }}
+          onClick={() => {
+            setOpen(false)
+          }}
+        />
+      </DialogTitle>
+
+      <DialogContent>
+        <Divider className={classes.divider} variant="middle" />
+        <p>
+          Your account will be deactivated straight away. You can restore it by
+          signing in again within 30 days, after that your likes, shares,
+          follows and posts are deleted for good.
+        </p>
+        {error && <p className={classes.error}>{error}</p>}
+        <TextField
+          label="Password"
+          type="password"
+          fullWidth
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+        />
+      </DialogContent>
+      <Grid item alignSelf="center">
+        <LoadingButton
+          className={classes.deleteButton}
+          variant="contained"
+          color="error"
+          loading={loading}
+          onClick={handleDelete}
+          id="confirmDeleteAccount"
+        >
+          Delete my account
+        </LoadingButton>
+      </Grid>
+    </Dialog>
+  )
+}
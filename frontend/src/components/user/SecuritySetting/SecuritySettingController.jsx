@@ -0,0 +1,103 @@
+import React, { useEffect, useState } from 'react'
+import SecuritySettingView from './SecuritySettingView'
+
+/**
+ * Security setting popup allowing users to change their email or password,
+ * both need the current password of the user
+ * @prop {string} setting - 'email' or 'password', the setting being changed
+ * @prop {function} setSetting - set to null to close the popup
+ * @prop {function} handleEmailChange
+ * @prop {function} handlePasswordChange
+ */
+export default function SecuritySettingController({
+  setting,
+  setSetting,
+  handleEmailChange,
+  handlePasswordChange,
+}) {
+  const [currentPassword, setCurrentPassword] = useState('')
+  const [newValue, setNewValue] = useState('')
+  const [confirmValue, setConfirmValue] = useState('')
+  const [error, setError] = useState('')
+  const [loading, setLoading] = useState(false)
+  const [success, setSuccess] = useState('')
+
+  // Start with an empty form whenever the popup is opened
+  useEffect(() => {
+    setCurrentPassword('')
+    setNewValue('')
+    setConfirmValue('')
+    setError('')
+    setSuccess('')
+  }, [setting])
+
+  /**
+   * Validate the form before sending
+   */
+  const validation = () => {
+    if (!currentPassword) {
+      setError('Your current password is required.')
+      return false
+    }
+    if (setting === 'password' && newValue.length < 5) {
+      setError('Password must be at least 5 characters long.')
+      return false
+    }
+    if (setting === 'password' && newValue !== confirmValue) {
+      setError('Passwords do not match.')
+      return false
+    }
+    if (setting === 'email' && !newValue) {
+      setError('Email is required.')
+      return false
+    }
+    return true
+  }
+
+  /**
+   * Send the change to the backend
+   */
+  const handleSave = async () => {
+    if (!validation()) {
+      return
+    }
+    setLoading(true)
+    const { err } =
+      setting === 'email'
+        ? await handleEmailChange(currentPassword, newValue)
+        : await handlePasswordChange(currentPassword, newValue)
+    setLoading(false)
+
+    if (err) {
+      setError(err)
+      return
+    }
+    setError('')
+    setSuccess(
+      setting === 'email'
+        ? `Your email has been changed, we have sent a link to ${newValue} to verify it.`
+        : 'Your password has been changed.'
+    )
+  }
+
+  return (
+    <SecuritySettingView
+      state={{
+        setting,
+        currentPassword,
+        newValue,
+        confirmValue,
+        error,
+        loading,
+        success,
+      }}
+      action={{
+        setSetting,
+        setCurrentPassword,
+        setNewValue,
+        setConfirmValue,
+        handleSave,
+      }}
+    />
+  )
+}
@@ -0,0 +1,104 @@
+import React from 'react'
+import {
+  TextField,
+  Divider,
+  Dialog,
+  DialogContent,
+  Grid,
+  DialogTitle,
+} from '@mui/material'
+import LoadingButton from '@mui/lab/LoadingButton'
+import CloseIcon from '@mui/icons-material/Close'
+import classes from './securitySetting.module.scss'
+
+export default function SecuritySettingView({ state, action }) {
+  const {
+    setting,
+    currentPassword,
+    newValue,
+    confirmValue,
+    error,
+    loading,
+    success,
+  } = state
+  const {
+    setSetting,
+    setCurrentPassword,
+    setNewValue,
+    setConfirmValue,
+    handleSave,
+  } = action
+
+  return (
+    <Dialog
+      fullWidth
+      open={setting !== null}
+      onClose={() => {
+        setSetting(null)
+      }}
+    >
+      <DialogTitle className={classes.title}>
+        {setting === 'email' ? 'Change Email' : 'Change Password'}
+        <CloseIcon
+          sx={{
+            position: 'absolute',
+            right: 20,
+            top: 20,
+          }}
+          onClick={() => {
+            setSetting(null)
+          }}
+        />
+      </DialogTitle>
+
+      <DialogContent>
+        <Divider className={classes.divider} variant="middle" />
+        {success ? (
+          <p className={classes.success}>{success}</p>
+        ) : (
+          <>
+            {error && <p className={classes.error}>{error}</p>}
+            <TextField
+              className={classes.input}
+              label={setting === 'email' ? 'New Email' : 'New Password'}
+              type={setting === 'email' ? 'email' : 'password'}
+              fullWidth
+              value={newValue}
+              onChange={(e) => setNewValue(e.target.value)}
+            />
+            {setting === 'password' && (
+              <TextField
+                className={classes.input}
+                label="Confirm New Password"
+                type="password"
+                fullWidth
+                value={confirmValue}
+                onChange={(e) => setConfirmValue(e.target.value)}
+              />
+            )}
+            <TextField
+              className={classes.input}
+              label="Current Password"
+              type="password"
+              fullWidth
+              value={currentPassword}
+              onChange={(e) => setCurrentPassword(e.target.value)}
+            />
+          </>
+        )}
+      </DialogContent>
+      {!success && (
+        <Grid item alignSelf="center">
+          <LoadingButton
+            className={classes.saveButton}
+            variant="contained"
+            loading={loading}
+            onClick={handleSave}
+          >
+            Save
+          </LoadingButton>
+        </Grid>
+      )}
+    </Dialog>
+  )
+}
@@ -6,6 +6,28 @@ import classes from './simpleuserdetails.module.scss'
 const SimpleUserDetailsView = ({ user, condensed, time }) => {
   const size = condensed ? 56 : 82
 
+  // Users who deleted their account have no profile to link to
+  if (user.deleted) {
+    return (
+      <div
+        className={condensed ? classes.condensedContainer : classes.container}
+      >
+        <div className={classes.timestampContainer}>
+          <div className={classes.timestamp}>
+            <span className={classes.nickname}>{user.nickname}</span>
+            <div className={classes.spacer} />
+            {time !== 0 && (
+              <div className={classes.timestampText}>
+                • <ReactTimeAgo date={time} timeStyle="twitter" />
+              </div>
+            )}
+          </div>
+        </div>
+        <Avatar sx={{ width: size, height: size }} alt={user.nickname} />
+      </div>
+    )
+  }
+
   return (
     <Link
       to={`/user/${user.username}`}
@@ -1,5 +1,5 @@
 import React, { createContext, useState, useMemo, useEffect } from 'react'
-import { request } from '../functions'
+import { request, TOKENS_REFRESHED_EVENT } from '../functions'
 
 export const AuthContext = createContext()
 
@@ -17,21 +17,41 @@ const AuthProvider = ({ children }) => {
   /**
    * Update login state
    */
-  const login = ({ token, username }) => {
+  const login = ({ token, refreshToken, username }) => {
     setUser({ token, username })
     localStorage.setItem('token', token)
     localStorage.setItem('username', username)
+    if (refreshToken) {
+      localStorage.setItem('refreshToken', refreshToken)
+    }
   }
 
   /**
-   * Change login state to logout
+   * Change login state to logout, revoking the session on the server
+   * unless the server has already ended it
    */
-  const logout = () => {
+  const logout = (revokeSession = true) => {
+    const refreshToken = localStorage.getItem('refreshToken')
+    if (revokeSession && localStorage.getItem('token')) {
+      request('users/logout', 'POST', { refreshToken })
+    }
     setUser({})
     localStorage.removeItem('token')
+    localStorage.removeItem('refreshToken')
     localStorage.removeItem('username')
   }
 
+  // Keep the token in the login state up to date when it is refreshed silently
+  useEffect(() => {
+    const onTokensRefreshed = ({ detail }) => {
+      setUser({ token: detail.authToken, username: detail.username })
+      localStorage.setItem('username', detail.username)
+    }
+    window.addEventListener(TOKENS_REFRESHED_EVENT, onTokensRefreshed)
+    return () =>
+      window.removeEventListener(TOKENS_REFRESHED_EVENT, onTokensRefreshed)
+  }, [])
+
   // Check if the token and username is still valid
   useEffect(() => {
     request(
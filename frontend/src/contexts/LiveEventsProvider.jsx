@@ -0,0 +1,72 @@
+import React, {
+  createContext,
+  useContext,
+  useEffect,
+  useMemo,
+  useRef,
+} from 'react'
+import SERVER_URL from '../config'
+import { refreshTokens } from '../functions'
+import { AuthContext } from './AuthProvider'
+
+export const LiveEventsContext = createContext()
+
+// The event types pushed by the server
+const EVENT_TYPES = ['notification', 'notificationRemoved', 'feed']
+
+/**
+ * LiveEventsProvider to setup LiveEventsContext that keeps a single event stream
+ * open to the server while the user is logged in, and lets components listen to
+ * the live notification and feed events it receives.
+ * @prop {object} children - child of jsx component
+ */
+const LiveEventsProvider = ({ children }) => {
+  const {
+    user: { token },
+  } = useContext(AuthContext)
+  // event type => Set of listeners
+  const listeners = useRef(new Map())
+
+  useEffect(() => {
+    if (!token) {
+      return undefined
+    }
+    const source = new EventSource(
+      `${SERVER_URL}/events?access_token=${encodeURIComponent(token)}`
+    )
+    EVENT_TYPES.forEach((type) =>
+      source.addEventListener(type, (event) => {
+        const data = JSON.parse(event.data)
+        listeners.current.get(type)?.forEach((listener) => listener(data))
+      })
+    )
+    // The stream is closed for good once the token expires, refreshing the
+    // token updates the login state which opens a new stream
+    source.onerror = () => {
+      if (source.readyState === EventSource.CLOSED) {
+        refreshTokens()
+      }
+    }
+    return () => source.close()
+  }, [token])
+
+  /**
+   * Registers a listener for an event type, returns a function to remove it
+   */
+  const addListener = (type, listener) => {
+    if (!listeners.current.has(type)) {
+      listeners.current.set(type, new Set())
+    }
+    listeners.current.get(type).add(listener)
+    return () => listeners.current.get(type).delete(listener)
+  }
+
+  const value = useMemo(() => ({ addListener }), [])
+
+  return (
+    <LiveEventsContext.Provider value={value}>
+      {children}
+    </LiveEventsContext.Provider>
+  )
+}
+export default LiveEventsProvider
@@ -14,59 +14,162 @@ export const getHeaders = () => {
   return headers
 }
 
+// Dispatched on window with the new tokens whenever they are refreshed
+export const TOKENS_REFRESHED_EVENT = 'updog:tokensRefreshed'
+
+// The refresh in progress, shared so concurrent 401s only refresh once
+let refreshing = null
+
+/**
+ * helper method to log the user out once their session can not be refreshed
+ */
+const sessionExpired = () => {
+  localStorage.removeItem('token')
+  localStorage.removeItem('refreshToken')
+  window.location.reload()
+}
+
 /**
- * helper method to check if the token expired and reload the page
+ * refreshTokens exchanges the stored refresh token for a new auth token
+ * returns the new auth token, or null if the session could not be refreshed
  */
-const tokenExpired = (message) => {
-  if (message === 'TokenExpiredError: jwt expired') {
-    localStorage.removeItem('token')
-    window.location.reload()
+export const refreshTokens = () => {
+  const refreshToken = localStorage.getItem('refreshToken')
+  if (!refreshToken) {
+    return Promise.resolve(null)
+  }
+
+  if (!refreshing) {
+    refreshing = axios
+      .post(`${SERVER_URL}/users/token/refresh`, { refreshToken })
+      .then(({ data }) => {
+        localStorage.setItem('token', data.authToken)
+        localStorage.setItem('refreshToken', data.refreshToken)
+        window.dispatchEvent(
+          new CustomEvent(TOKENS_REFRESHED_EVENT, { detail: data })
+        )
+        return data.authToken
+      })
+      .catch(() => null)
+      .finally(() => {
+        refreshing = null
+      })
   }
+  return refreshing
 }
 
+/**
+ * helper method to send a request, when the auth token is rejected the
+ * tokens are refreshed silently and the request is sent once more
+ */
+const sendWithRefresh = async (config, jwt) => {
+  const withToken = (token) => ({
+    ...config,
+    headers: {
+      ...config.headers,
+      ...(token ? { Authorization: `Bearer ${token}` } : getHeaders()),
+    },
+  })
+
+  try {
+    return await axios.request(withToken(jwt))
+  } catch (err) {
+    if (err.response?.status !== 401 || !localStorage.getItem('refreshToken')) {
+      throw err
+    }
+    const newToken = await refreshTokens()
+    if (!newToken) {
+      sessionExpired()
+      throw err
+    }
+    return axios.request(withToken(newToken))
+  }
+}
+
+/**
+ * helper method to get the message of a failed request, the server responds
+ * with either { error } or { 'Error message' }
+ */
+const errorMessage = (err) =>
+  err.response?.data?.error ??
+  err.response?.data?.['Error message'] ??
+  'Something went wrong, please try again'
+
 /**
  * request helper method to handle all requests to server
+ * returns the response data, the error message and the status code
  */
 export const request = async (url, method = 'GET', data = {}, jwt = null) => {
-  const headers = jwt ? { Authorization: `Bearer ${jwt}` } : getHeaders()
   let error = null
+  let status = null
 
-  const response = await axios
-    .request({
+  const response = await sendWithRefresh(
+    {
       url: `${SERVER_URL}/${url}`,
       method,
       data,
-      headers,
-    })
-    .catch((err) => {
-      error = err.response.data['Error message']
-      tokenExpired(error)
-    })
+    },
+    jwt
+  ).catch((err) => {
+    error = errorMessage(err)
+    status = err.response?.status ?? null
+  })
 
-  return { data: response?.data ?? null, err: error }
+  return {
+    data: response?.data ?? null,
+    err: error,
+    status: response?.status ?? status,
+  }
 }
 
 /**
  * uploadImage helper method to handle all image uploads to backend
  */
 export const uploadImage = async (formData = new FormData(), jwt = null) => {
-  const headers = jwt ? { Authorization: `Bearer ${jwt}` } : getHeaders()
   let error = null
 
-  const response = await axios
-    .request({
+  const response = await sendWithRefresh(
+    {
       url: `${SERVER_URL}/images`,
       method: 'POST',
       data: formData,
       headers: {
-        ...headers,
         'Content-Type': `multipart/form-data`,
       },
-    })
-    .catch((err) => {
-      error = err.response.data['Error message']
-      tokenExpired(error)
-    })
+    },
+    jwt
+  ).catch((err) => {
+    error = errorMessage(err)
+  })
 
   return { data: response?.data ?? null, err: error }
 }
+
+/**
+ * downloadFile helper method to save a file served by the backend,
+ * such as the data export, to the user's device
+ */
+export const downloadFile = async (url, filename) => {
+  let error = null
+
+  const response = await sendWithRefresh(
+    {
+      url: `${SERVER_URL}/${url}`,
+      method: 'GET',
+      responseType: 'blob',
+    },
+    null
+  ).catch((err) => {
+    error = errorMessage(err)
+  })
+
+  if (response) {
+    const link = document.createElement('a')
+    link.href = URL.createObjectURL(response.data)
+    link.download = filename
+    link.click()
+    URL.revokeObjectURL(link.href)
+  }
+
+  return { err: error }
+}
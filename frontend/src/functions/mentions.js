@@ -1,43 +1,107 @@
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+}
+
+/**
+ * escapeHtml - Escape a text so that it shows as is when inserted into HTML
+ * @param {string} text - the text to escape
+ * @returns
+ */
+const escapeHtml = (text) =>
+  text.replaceAll(/[&<>"]/g, (character) => HTML_ESCAPES[character])
+
+/**
+ * decodeHtml - Decode the character references in the text of a post, which
+ * is stored as the composer wrote it, e.g. with &nbsp; and &amp;
+ * @param {string} text - the text to decode
+ * @returns
+ */
+const decodeHtml = (text) => {
+  // a textarea does not parse tags, so only the references are decoded
+  const textarea = document.createElement('textarea')
+  textarea.innerHTML = text
+  return textarea.value
+}
+
 /**
- * processWord - Process a single word to check if it is a tag or handle
- * Add custom styling if is a tag or handle
- * @param {[string]} tags
- * @param {[string]} handles
+ * entityLink - Link to what a mention, tag or url entity of a post refers to
+ * @param {string} text - the escaped text of the entity in the post
+ * @param {object} entity - a mention, tag or url from the entities of a post
  * @param {classname} tagStyle styles for tags
  * @param {classname} handleStyle styles for handles
  * @returns
  */
-const processWord = (tags, handles, tagStyle, handleStyle) => (exactWord) => {
-  // Remove &nbsp; from checks
-  const word = exactWord.replaceAll('&nbsp;', '')
-  if (word.startsWith('#')) {
-    // Check for hashtags
-    const tag = tags.find((t) => t.name === word.slice(1))
-    if (tag) {
-      // TODO - route to search with query parameter
-      return `<a href="/search?query=#${tag.name}" class="${tagStyle}">${exactWord}</a>`
-    }
+const entityLink = (text, entity, tagStyle, handleStyle) => {
+  if (entity.username) {
+    // previous usernames link to the current username of the user
+    return `<a href="/user/${encodeURIComponent(
+      entity.username
+    )}" class="${handleStyle}">${text}</a>`
   }
-
-  if (word.startsWith('@')) {
-    // Check for mentions
-    const handle = handles.find((h) => h.name === word.slice(1))
-    if (handle) {
-      return `<a href="/user/${handle.name}" class="${handleStyle}">${exactWord}</a>`
-    }
+  if (entity.name) {
+    return `<a href="/tag/${encodeURIComponent(
+      entity.name
+    )}" class="${tagStyle}">${text}</a>`
   }
-  return exactWord
+  return `<a href="${escapeHtml(
+    decodeHtml(entity.url)
+  )}" target="_blank" rel="noopener noreferrer">${text}</a>`
+}
+
+/**
+ * processMentions - Replace the mentions, tags and urls in a text with links,
+ * using the entities the backend found in the text instead of parsing it again.
+ * The text is decoded and escaped again, so it shows as written and not as HTML
+ * @param {string} content - the text of a post
+ * @param {object} entities - { mentions, tags, urls } with their start and end in the text
+ * @returns
+ */
+const processMentions = ({ content, entities, tagStyle, handleStyle }) => {
+  const { mentions = [], tags = [], urls = [] } = entities ?? {}
+  const sorted = [...mentions, ...tags, ...urls].sort(
+    (a, b) => a.start - b.start
+  )
+
+  // the offsets of the entities count the stored text, so the text is cut
+  // before its character references are decoded
+  const text = (start, end) => escapeHtml(decodeHtml(content.slice(start, end)))
+
+  let html = ''
+  let position = 0
+  sorted.forEach((entity) => {
+    html += text(position, entity.start)
+    html += entityLink(
+      text(entity.start, entity.end),
+      entity,
+      tagStyle,
+      handleStyle
+    )
+    position = entity.end
+  })
+  return html + text(position)
 }
 
 /**
- * processText - Process a text and replace all tags and handles with appropriate links
+ * highlightSnippet - Mark the matches in a snippet of a search result
+ * @param {object} snippet - { text, highlights } with the start and end of each match,
+ *   the text is plain text so it is only escaped
+ * @param {classname} highlightStyle styles for the matches
  * @returns
  */
-const processMentions = ({ content, tags, handles, tagStyle, handleStyle }) =>
-  content
-    .replaceAll(/<.*?>/g, '') // Replace HTML tags
-    .split(' ') // Split into words
-    .map(processWord(tags, handles, tagStyle, handleStyle))
-    .join(' ')
+export const highlightSnippet = ({ text, highlights }, highlightStyle) => {
+  let html = ''
+  let position = 0
+  highlights.forEach(({ start, end }) => {
+    html += escapeHtml(text.slice(position, start))
+    html += `<mark class="${highlightStyle}">${escapeHtml(
+      text.slice(start, end)
+    )}</mark>`
+    position = end
+  })
+  return html + escapeHtml(text.slice(position))
+}
 
 export default processMentions
@@ -0,0 +1,24 @@
+/**
+ * Shown in place of users who have deleted their account,
+ * matches the placeholder the server puts in posts
+ */
+export const DELETED_USER = {
+  id: null,
+  username: null,
+  nickname: 'Deleted user',
+  profilePic: null,
+  profileBanner: null,
+  bio: null,
+  followers: 0,
+  following: 0,
+  joinedDate: null,
+  deleted: true,
+}
+
+/**
+ * userHandle - the @handle of a user, or a placeholder if they deleted their account
+ * @param {object} user
+ * @returns {string}
+ */
+export const userHandle = (user) =>
+  user?.deleted || !user?.username ? 'a deleted user' : `@${user.username}`
@@ -3,7 +3,7 @@ import { request } from '../functions'
 
 /**
  * useApi a custom react hook used to fetch from the server
- * returns loading, data, error states
+ * returns loading, data, error states. Nothing is fetched if api is null
  */
 const useApi = (api, method, body, jwt) => {
   const [state, setState] = useState()
@@ -11,6 +11,10 @@ const useApi = (api, method, body, jwt) => {
   const [error, setError] = useState()
 
   useEffect(() => {
+    if (!api) {
+      setLoading(false)
+      return undefined
+    }
     setLoading(true)
     let isCancelled = false
     request(api, method, body, jwt).then(({ data, err }) => {
@@ -0,0 +1,38 @@
+import { useCallback, useEffect, useRef } from 'react'
+
+// Distance in pixels from the bottom of the list at which the next page is loaded
+const LOAD_MORE_THRESHOLD = 300
+
+/**
+ * useInfiniteScroll a custom react hook used to load the next page of a list
+ * when the user scrolls near its end. A list that is shorter than its
+ * container can not be scrolled, so the next page is also loaded whenever
+ * the loaded items do not fill the container.
+ * returns the ref and onScroll handler of the scrolling element
+ */
+const useInfiniteScroll = ({ hasMore, loading, loadMore, itemCount }) => {
+  const ref = useRef(null)
+
+  /**
+   * Load the next page if the end of the list is within the threshold
+   */
+  const loadIfNearEnd = useCallback(() => {
+    const element = ref.current
+    if (!element || !hasMore || loading) {
+      return
+    }
+    const { scrollTop, clientHeight, scrollHeight } = element
+    if (scrollTop + clientHeight >= scrollHeight - LOAD_MORE_THRESHOLD) {
+      loadMore()
+    }
+  }, [hasMore, loading, loadMore])
+
+  // Check again once a page is rendered, in case it did not fill the container
+  useEffect(() => {
+    loadIfNearEnd()
+  }, [loadIfNearEnd, itemCount])
+
+  return { ref, onScroll: loadIfNearEnd }
+}
+
+export default useInfiniteScroll
@@ -0,0 +1,20 @@
+import { useContext, useEffect, useRef } from 'react'
+import { LiveEventsContext } from '../contexts/LiveEventsProvider'
+
+/**
+ * useLiveEvent a custom react hook that calls the listener every time
+ * the server pushes an event of the given type ('notification' or 'feed')
+ */
+const useLiveEvent = (type, listener) => {
+  const { addListener } = useContext(LiveEventsContext)
+  // Keep the latest listener so callers do not need to memoise it
+  const latestListener = useRef(listener)
+  latestListener.current = listener
+
+  useEffect(
+    () => addListener(type, (data) => latestListener.current(data)),
+    [type]
+  )
+}
+
+export default useLiveEvent
@@ -0,0 +1,73 @@
+import { useCallback, useEffect, useState } from 'react'
+import { request } from '../functions'
+
+/**
+ * usePaginatedApi a custom react hook used to fetch a cursor paginated list
+ * from the server. The endpoint must respond with { items, nextCursor }
+ * returns loading, data, error states, a loadMore function for the next page
+ * and a refresh function to fetch the first page again
+ */
+const usePaginatedApi = (api, limit = 20) => {
+  const [items, setItems] = useState([])
+  const [nextCursor, setNextCursor] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [loadingMore, setLoadingMore] = useState(false)
+  const [error, setError] = useState()
+  const [reloadCount, setReloadCount] = useState(0)
+
+  const pageUrl = (cursor) => {
+    const separator = api.includes('?') ? '&' : '?'
+    const cursorParam = cursor ? `&cursor=${encodeURIComponent(cursor)}` : ''
+    return `${api}${separator}limit=${limit}${cursorParam}`
+  }
+
+  useEffect(() => {
+    setLoading(true)
+    let isCancelled = false
+    request(pageUrl(null)).then(({ data, err }) => {
+      if (!isCancelled) {
+        setError(err)
+        setItems(data?.items ?? [])
+        setNextCursor(data?.nextCursor ?? null)
+        setLoading(false)
+      }
+    })
+    return () => {
+      isCancelled = true
+    }
+  }, [api, reloadCount])
+
+  /**
+   * Fetch the next page and append it to the current items
+   */
+  const loadMore = useCallback(async () => {
+    if (!nextCursor || loadingMore) {
+      return
+    }
+    setLoadingMore(true)
+    const { data, err } = await request(pageUrl(nextCursor))
+    if (data) {
+      setItems((current) => [...current, ...data.items])
+      setNextCursor(data.nextCursor)
+    }
+    setError(err)
+    setLoadingMore(false)
+  }, [api, nextCursor, loadingMore])
+
+  /**
+   * Throw away the loaded pages and fetch the first page again
+   */
+  const refresh = () => setReloadCount((count) => count + 1)
+
+  return {
+    loading,
+    loadingMore,
+    data: items,
+    error,
+    hasMore: nextCursor !== null,
+    loadMore,
+    refresh,
+  }
+}
+
+export default usePaginatedApi
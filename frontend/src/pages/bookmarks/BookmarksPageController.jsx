@@ -0,0 +1,41 @@
+import BookmarksPageView from './BookmarksPageView'
+import usePaginatedApi from '../../hooks/usePaginatedApi'
+import useInfiniteScroll from '../../hooks/useInfiniteScroll'
+import LoadingView from '../loading/LoadingView'
+
+/**
+ * This page renders the posts the user has bookmarked, most recently saved
+ * first. Bookmarks are private, so only the user can see this page. More
+ * bookmarks are loaded as the user scrolls towards the bottom of the page.
+ */
+const BookmarksPageController = () => {
+  const { data, loading, loadingMore, error, hasMore, loadMore } =
+    usePaginatedApi('bookmarks')
+
+  // Load the next page when the user nears the end of the list
+  const { ref: scrollRef, onScroll } = useInfiniteScroll({
+    hasMore,
+    loading: loading || loadingMore,
+    loadMore,
+    itemCount: data.length,
+  })
+
+  if (loading) {
+    return <LoadingView />
+  }
+
+  if (error && data.length === 0) {
+    return <div>Error: {error}</div>
+  }
+
+  return (
+    <BookmarksPageView
+      bookmarks={data}
+      scrollRef={scrollRef}
+      onScroll={onScroll}
+      loadingMore={loadingMore}
+    />
+  )
+}
+
+export default BookmarksPageController
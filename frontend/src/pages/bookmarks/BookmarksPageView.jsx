@@ -0,0 +1,33 @@
+import { CircularProgress } from '@mui/material'
+import HeaderCustom from '../../components/layout/headercustom/HeaderCustomController'
+import Footer from '../../components/layout/footer/FooterController'
+import Post from '../../components/posts/post/PostController'
+import { FeedCard } from '../dashboard/DashboardPageView'
+import classes from './bookmarkspage.module.scss'
+
+const BookmarksPageView = ({ bookmarks, scrollRef, onScroll, loadingMore }) => (
+  <div className={classes.container}>
+    <HeaderCustom title="Bookmarks" />
+    <div ref={scrollRef} className={classes.pageContent} onScroll={onScroll}>
+      {bookmarks.length === 0 && (
+        <p className={classes.empty}>
+          Bookmark posts to find them here later. Only you can see your
+          bookmarks.
+        </p>
+      )}
+      {bookmarks.map(({ post }) => (
+        <FeedCard key={post.id}>
+          <Post data={post} condensed />
+        </FeedCard>
+      ))}
+      {loadingMore && (
+        <div className={classes.loadingMore}>
+          <CircularProgress size={24} />
+        </div>
+      )}
+    </div>
+    <Footer />
+  </div>
+)
+
+export default BookmarksPageView
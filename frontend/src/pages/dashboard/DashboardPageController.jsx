@@ -1,23 +1,74 @@
+import { useContext, useEffect, useState } from 'react'
 import DashboardPageView from './DashboardPageView'
-import useApi from '../../hooks/useApi'
-import LoadingView from '../loading/LoadingView'
+import usePaginatedApi from '../../hooks/usePaginatedApi'
+import useLiveEvent from '../../hooks/useLiveEvent'
+import useInfiniteScroll from '../../hooks/useInfiniteScroll'
+import { NavigationContext } from '../../components/layout/navigation/contexts/NavigationProvider'
+
+/**
+ * Enums with the possible modes of the feed
+ */
+const modes = {
+  'For You': 'ranked',
+  Latest: 'latest',
+}
 
 /**
  * This page renders a page which displays posts from user's followers. Each post is
- * displayed in a condensed view. Refer to PostView Component for more details
+ * displayed in a condensed view. Refer to PostView Component for more details.
+ * For You ranks the posts of followed users, what they liked or shared and posts
+ * with the user's interests, Latest shows the activity of followed users newest first.
+ * More of the feed is loaded as the user scrolls towards the bottom of the page, and
+ * new activity pushed by the server can be shown without reloading the page.
  */
 const DashboardPageController = () => {
-  const { data, loading, err } = useApi('feed')
+  const { selection, changeSelection } = useContext(NavigationContext)
 
-  if (loading) {
-    return <LoadingView />
+  // When component mounts go back to For You selections
+  useEffect(() => {
+    changeSelection(null, 'For You')
+  }, [])
+
+  const { data, loading, loadingMore, error, hasMore, loadMore, refresh } =
+    usePaginatedApi(`feed?mode=${modes[selection] ?? 'ranked'}`)
+  const [newActivities, setNewActivities] = useState(0)
+
+  // Count the activities of followed users pushed since the feed was loaded
+  useLiveEvent('feed', () => {
+    setNewActivities((count) => count + 1)
+  })
+
+  /**
+   * onShowNewActivities reload the feed to include the new activities
+   */
+  const onShowNewActivities = () => {
+    setNewActivities(0)
+    refresh()
   }
 
-  if (err) {
-    return <div>Error: {err}</div>
+  // Load the next page when the user nears the end of the feed
+  const { ref: scrollRef, onScroll } = useInfiniteScroll({
+    hasMore,
+    loading: loading || loadingMore,
+    loadMore,
+    itemCount: data.length,
+  })
+
+  if (error && data.length === 0) {
+    return <div>Error: {error}</div>
   }
 
-  return <DashboardPageView feedData={data ?? []} />
+  return (
+    <DashboardPageView
+      feedData={data}
+      loading={loading}
+      scrollRef={scrollRef}
+      onScroll={onScroll}
+      loadingMore={loadingMore}
+      newActivities={newActivities}
+      onShowNewActivities={onShowNewActivities}
+    />
+  )
 }
 
 export default DashboardPageController
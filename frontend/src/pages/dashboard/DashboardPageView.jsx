@@ -1,4 +1,4 @@
-import { Card, Fab, styled } from '@mui/material'
+import { Button, Card, CircularProgress, Fab, styled } from '@mui/material'
 import AddIcon from '@mui/icons-material/Add'
 import { Link } from 'react-router-dom'
 
@@ -6,6 +6,8 @@ import { Link } from 'react-router-dom'
 import Header from '../../components/layout/header/HeaderController'
 import Footer from '../../components/layout/footer/FooterController'
 import Post from '../../components/posts/post/PostController'
+import NavigationBar from '../../components/layout/navigation/NavigationBar'
+import LoadingView from '../loading/LoadingView'
 import classes from './dashboardpage.module.scss'
 /**
  * Card container for each feed post
@@ -24,15 +26,61 @@ const FloatingAddButton = styled(Fab)({
   right: 10,
 })
 
-const DashboardPageView = ({ feedData }) => (
+/**
+ * Who liked or shared a post of the ranked feed, e.g. "@frodo and 3 others liked this"
+ */
+const activityContext = ({ activity, user, others }) => {
+  if (!user || !['LIKED', 'SHARED'].includes(activity)) {
+    return null
+  }
+  const verb = activity === 'LIKED' ? 'liked' : 'shared'
+  const othersText =
+    others > 0 ? ` and ${others} ${others === 1 ? 'other' : 'others'}` : ''
+  return `@${user.username}${othersText} ${verb} this`
+}
+
+const DashboardPageView = ({
+  feedData,
+  loading,
+  scrollRef,
+  onScroll,
+  loadingMore,
+  newActivities,
+  onShowNewActivities,
+}) => (
   <div className={classes.container}>
     <Header />
-    <div className={classes.pageContent}>
-      {feedData.map((data) => (
-        <FeedCard key={data.timestamp}>
-          <Post data={data.post} condensed />
-        </FeedCard>
-      ))}
+    <NavigationBar selections={['For You', 'Latest']} />
+    <div ref={scrollRef} className={classes.pageContent} onScroll={onScroll}>
+      {loading && <LoadingView />}
+      {newActivities > 0 && (
+        <div className={classes.newActivities}>
+          <Button
+            variant="contained"
+            onClick={onShowNewActivities}
+            data-testid="new-activities-button"
+          >
+            Show {newActivities} new{' '}
+            {newActivities === 1 ? 'activity' : 'activities'}
+          </Button>
+        </div>
+      )}
+      {!loading &&
+        feedData.map((data) => (
+          <FeedCard
+            key={`${data.activity}-${data.post.id}-${data.userId}-${data.timestamp}`}
+          >
+            {activityContext(data) && (
+              <p className={classes.activityContext}>{activityContext(data)}</p>
+            )}
+            <Post data={data.post} condensed />
+          </FeedCard>
+        ))}
+      {loadingMore && (
+        <div className={classes.loadingMore}>
+          <CircularProgress size={24} />
+        </div>
+      )}
     </div>
     {/* Will need to link AddButton to post composer when completed */}
     <Link to="/new-post">
@@ -0,0 +1,58 @@
+import { useState } from 'react'
+import { useNavigate } from 'react-router-dom'
+import DraftsPageView from './DraftsPageView'
+import useApi from '../../hooks/useApi'
+import { request } from '../../functions'
+import LoadingView from '../loading/LoadingView'
+
+/**
+ * This page lists the posts the user has scheduled and the drafts they are
+ * still writing. Both are only visible to the user. Drafts open in the
+ * composer, scheduled posts can be deleted before they are published.
+ */
+const DraftsPageController = () => {
+  const navigate = useNavigate()
+  const scheduled = useApi('posts/scheduled')
+  const drafts = useApi('drafts')
+  // Removed items are hidden without fetching the lists again
+  const [removed, setRemoved] = useState([])
+  const [error, setError] = useState(null)
+
+  /**
+   * remove a draft or scheduled post and hide it from the page
+   * @param {string} url - the api url of the draft or post
+   */
+  const remove = async (url) => {
+    const { err } = await request(url, 'DELETE')
+    if (err) {
+      setError(err)
+      return
+    }
+    setRemoved([...removed, url])
+  }
+
+  if (scheduled.loading || drafts.loading) {
+    return <LoadingView />
+  }
+
+  if (scheduled.error || drafts.error) {
+    return <div>Error: {scheduled.error ?? drafts.error}</div>
+  }
+
+  return (
+    <DraftsPageView
+      scheduled={scheduled.data.filter(
+        (post) => !removed.includes(`posts/${post.id}`)
+      )}
+      drafts={drafts.data.filter(
+        (draft) => !removed.includes(`drafts/${draft.id}`)
+      )}
+      error={error}
+      onEditDraft={(draft) => navigate(`/new-post?draft=${draft.id}`)}
+      onDeleteDraft={(draft) => remove(`drafts/${draft.id}`)}
+      onDeleteScheduled={(post) => remove(`posts/${post.id}`)}
+    />
+  )
+}
+
+export default DraftsPageController
@@ -0,0 +1,60 @@
+import { Button } from '@mui/material'
+import HeaderCustom from '../../components/layout/headercustom/HeaderCustomController'
+import Footer from '../../components/layout/footer/FooterController'
+import Post from '../../components/posts/post/PostController'
+import { FeedCard } from '../dashboard/DashboardPageView'
+import classes from './draftspage.module.scss'
+
+const DraftsPageView = ({
+  scheduled,
+  drafts,
+  error,
+  onEditDraft,
+  onDeleteDraft,
+  onDeleteScheduled,
+}) => (
+  <div className={classes.container}>
+    <HeaderCustom title="Drafts" />
+    <div className={classes.pageContent}>
+      {error && <p className={classes.error}>{error}</p>}
+      {scheduled.length > 0 && <h3 className={classes.heading}>Scheduled</h3>}
+      {scheduled.map((post) => (
+        <FeedCard key={post.id}>
+          <span className={classes.date}>
+            Publishes {new Date(post.publishAt).toLocaleString()}
+          </span>
+          <Post data={post} condensed />
+          <div className={classes.actions}>
+            <Button color="error" onClick={() => onDeleteScheduled(post)}>
+              Delete
+            </Button>
+          </div>
+        </FeedCard>
+      ))}
+      <h3 className={classes.heading}>Drafts</h3>
+      {drafts.length === 0 && (
+        <p className={classes.empty}>
+          Save a post as a draft to finish it later. Only you can see your
+          drafts.
+        </p>
+      )}
+      {drafts.map((draft) => (
+        <FeedCard key={draft.id}>
+          <span className={classes.date}>
+            Saved {new Date(draft.updatedAt).toLocaleString()}
+          </span>
+          <p className={classes.content}>{draft.content || 'Empty draft'}</p>
+          <div className={classes.actions}>
+            <Button onClick={() => onEditDraft(draft)}>Edit</Button>
+            <Button color="error" onClick={() => onDeleteDraft(draft)}>
+              Delete
+            </Button>
+          </div>
+        </FeedCard>
+      ))}
+    </div>
+    <Footer />
+  </div>
+)
+
+export default DraftsPageView
@@ -0,0 +1,45 @@
+import { useState } from 'react'
+import { request } from '../../functions'
+import validationEmail from '../../functions/validateEmail'
+import ForgotPasswordView from './ForgotPasswordView'
+
+/**
+ * ForgotPassword page where a user asks for a password reset link
+ */
+const ForgotPasswordController = () => {
+  const [email, setEmail] = useState('')
+  const [error, setError] = useState('')
+  const [loading, setLoading] = useState(false)
+  const [sent, setSent] = useState(false)
+
+  /**
+   * Asks the backend to email a password reset link
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    if (!validationEmail(email)) {
+      setError('Invalid email address')
+      return
+    }
+    setLoading(true)
+    const { err } = await request('users/password/forgot', 'POST', { email })
+    setLoading(false)
+
+    if (err) {
+      setError(err)
+      return
+    }
+    setError('')
+    setSent(true)
+  }
+
+  return (
+    <ForgotPasswordView
+      state={{ email, error, loading, sent }}
+      action={{ setEmail, handleSubmit }}
+    />
+  )
+}
+
+export default ForgotPasswordController
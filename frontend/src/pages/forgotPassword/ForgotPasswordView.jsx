@@ -0,0 +1,76 @@
+import { Link } from 'react-router-dom'
+import LoadingButton from '@mui/lab/LoadingButton'
+import { TextField } from '@mui/material'
+import classes from './forgotPassword.module.scss'
+import Logo from '../../images/logo.png'
+
+const ForgotPasswordView = ({ state, action }) => {
+  const { email, error, loading, sent } = state
+  const { setEmail, handleSubmit } = action
+
+  return (
+    <>
+      <div className={classes.logo}>
+        <img src={Logo} alt="logo" />
+      </div>
+      <div className={classes.container}>
+        <div className={classes.inputsContainer}>
+          <h2>Forgot your password?</h2>
+          {sent ? (
+            <p>
+              If an account exists for {email}, we have emailed it a link to
+              reset your password. The link expires in an hour.
+            </p>
+          ) : (
+            <>
+              <p>
+                Enter the email address of your account and we will email you a
+                link to choose a new password.
+              </p>
+              <span
+                className={classes.error}
+                style={{
+                  // this is done so that if the error shows up, the elements are not displaced (preallocated space)
+                  color: error ? 'red' : 'rgba(0,0,0,0)',
+                }}
+              >
+                {error || 'Blank'}
+              </span>
+              <div className={classes.input}>
+                <TextField
+                  label="Your Email"
+                  type="email"
+                  variant="outlined"
+                  value={email}
+                  fullWidth
+                  onChange={(e) => setEmail(e.target.value)}
+                />
+              </div>
+            </>
+          )}
+        </div>
+        <div className={classes.bottomContainer}>
+          {!sent && (
+            <div className={classes.buttonContainer}>
+              <LoadingButton
+                variant="contained"
+                fullWidth
+                loading={loading}
+                onClick={(e) => handleSubmit(e)}
+                style={{ borderRadius: 100, padding: 10 }}
+              >
+                Send reset link
+              </LoadingButton>
+            </div>
+          )}
+
+          <span className={classes.linkText}>
+            Remembered it? <Link to="/signIn">Sign in</Link>
+          </span>
+        </div>
+      </div>
+    </>
+  )
+}
+
+export default ForgotPasswordView
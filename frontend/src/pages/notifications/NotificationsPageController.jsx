@@ -1,12 +1,53 @@
+import { useEffect, useState } from 'react'
 import NotificationsPageView from './NotificationsPageView'
 import LoadingView from '../loading/LoadingView'
 import useApi from '../../hooks/useApi'
+import useLiveEvent from '../../hooks/useLiveEvent'
+import { request } from '../../functions'
 
 /**
  * This page renders a list of notifications for the user.
+ * Unread notifications are highlighted until they are opened or all are marked as read.
  */
 const NotificationsPageController = () => {
   const { data, loading, err } = useApi(`notifications`)
+  const [notifications, setNotifications] = useState([])
+
+  useEffect(() => {
+    if (data) {
+      setNotifications(data)
+    }
+  }, [data])
+
+  // Show notifications pushed by the server at the top of the list
+  useLiveEvent('notification', (notification) => {
+    setNotifications((current) => [notification, ...current])
+  })
+
+  // Remove notifications the server took back, e.g. after an unlike
+  useLiveEvent('notificationRemoved', ({ ids }) => {
+    setNotifications((current) => current.filter((n) => !ids.includes(n.id)))
+  })
+
+  /**
+   * onRead marks a single notification as read when it is opened
+   */
+  const onRead = (id) => {
+    request(`notifications/${id}/read`, 'PUT')
+    setNotifications((current) =>
+      current.map((n) => (n.id === id ? { ...n, read: true } : n))
+    )
+  }
+
+  /**
+   * onReadAll marks every notification as read
+   */
+  const onReadAll = async () => {
+    const { data: response } = await request('notifications/read-all', 'PUT')
+    if (response) {
+      setNotifications((current) => current.map((n) => ({ ...n, read: true })))
+    }
+  }
 
   if (loading) {
     return <LoadingView />
@@ -16,7 +57,13 @@ const NotificationsPageController = () => {
     return <div>Error: {err}</div>
   }
 
-  return <NotificationsPageView notifications={data} />
+  return (
+    <NotificationsPageView
+      notifications={notifications}
+      onRead={onRead}
+      onReadAll={onReadAll}
+    />
+  )
 }
 
 export default NotificationsPageController
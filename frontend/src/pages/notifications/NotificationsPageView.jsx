@@ -1,3 +1,4 @@
+import { Button } from '@mui/material'
 import Footer from '../../components/layout/footer/FooterController'
 import Header from '../../components/layout/header/HeaderController'
 import NotificationCard from '../../components/notifications/notificationcard/NotificationCardController'
@@ -5,21 +6,31 @@ import { FeedCard } from '../dashboard/DashboardPageView'
 
 import classes from './notificationspage.module.scss'
 
-const NotificationsPageView = ({ notifications }) => (
+const NotificationsPageView = ({ notifications, onRead, onReadAll }) => (
   <div>
     <Header />
     <div className={classes.container}>
-      {notifications?.map((notification) => (
-        <FeedCard key={`${notification.from}-${notification.time}`}>
+      {notifications.some((notification) => !notification.read) && (
+        <div className={classes.subHeader}>
+          <Button onClick={onReadAll} data-testid="read-all-button">
+            Mark all as read
+          </Button>
+        </div>
+      )}
+      {notifications.map((notification) => (
+        <FeedCard key={notification.id}>
           <NotificationCard
             type={notification.type}
-            time={notification.time}
+            time={notification.timestamp}
             username={notification.from}
+            post={notification.post}
+            read={notification.read}
+            onRead={() => onRead(notification.id)}
           />
         </FeedCard>
       ))}
       <p className={classes.centerText}>
-        {notifications && notifications.length === 0 && <p>No Notifcations</p>}
+        {notifications.length === 0 && <p>No Notifcations</p>}
       </p>
     </div>
     <Footer />
@@ -4,23 +4,24 @@ import LoadingView from '../loading/LoadingView'
 import useApi from '../../hooks/useApi'
 
 /**
- * This page renders a single post and its replies. It also contains
+ * This page renders a post as part of its conversation: the posts it replies
+ * to above it and its replies indented below it. It also contains
  * a header and the navigation footer.
  */
 const PostPageController = () => {
   // gets the id from the current url
   const { id } = useParams()
-  const { data, loading, err } = useApi(`posts/${id}`)
+  const { data, loading, error } = useApi(`posts/${id}/thread`)
 
   if (loading) {
     return <LoadingView />
   }
 
-  if (err) {
-    return <div>Error: {err}</div>
+  if (error) {
+    return <div>Error: {error}</div>
   }
 
-  return <PostPageView postData={data} />
+  return <PostPageView ancestors={data.ancestors} post={data.post} />
 }
 
 export default PostPageController
@@ -2,12 +2,19 @@ import classes from './postpage.module.scss'
 import Footer from '../../components/layout/footer/FooterController'
 import HeaderCustom from '../../components/layout/headercustom/HeaderCustomController'
 import Post from '../../components/posts/post/PostController'
+import Thread from '../../components/posts/thread/ThreadController'
 
-const PostPageView = ({ postData }) => (
+const PostPageView = ({ ancestors, post }) => (
   <div className={classes.container}>
     <HeaderCustom title="Post" />
     <div className={classes.pageContent}>
-      <Post data={postData} showReplies />
+      {ancestors.map((ancestor) => (
+        <div key={ancestor.id} className={classes.ancestor}>
+          <Post data={ancestor} condensed />
+        </div>
+      ))}
+      {/* Keyed by id so the replies are reset when following a link to another post */}
+      <Thread key={post.id} post={post} focused />
     </div>
     <Footer />
   </div>
@@ -0,0 +1,90 @@
+import { Button, IconButton, MenuItem, TextField } from '@mui/material'
+import CloseIcon from '@mui/icons-material/Close'
+import classes from './postComposer.module.scss'
+
+const HOUR = 60 * 60 * 1000
+
+// How long a poll can run for, the server accepts at most a week
+export const POLL_DURATIONS = [
+  { label: '1 hour', value: HOUR },
+  { label: '1 day', value: 24 * HOUR },
+  { label: '3 days', value: 3 * 24 * HOUR },
+  { label: '7 days', value: 7 * 24 * HOUR },
+]
+
+const MAX_OPTIONS = 4
+const MIN_OPTIONS = 2
+
+/**
+ * Edits the poll of a new post: two to four options and how long it runs
+ * @prop {object} poll - { options, duration }
+ * @prop {function} setPoll - set the poll, null removes it
+ */
+const PollEditorView = ({ poll, setPoll }) => (
+  <div className={classes.poll}>
+    {poll.options.map((option, index) => (
+      // Options have no id of their own while they are written
+      // eslint-disable-next-line react/no-array-index-key
+      <div key={index} className={classes.pollOption}>
+        <TextField
+          size="small"
+          fullWidth
+          label={`Option ${index + 1}`}
+          value={option}
+          inputProps={{ maxLength: 50 }}
+          onChange={(e) =>
+            setPoll({
+              ...poll,
+              options: poll.options.map((text, i) =>
+                i === index ? e.target.value : text
+              ),
+            })
+          }
+        />
+        {poll.options.length > MIN_OPTIONS && (
+          <IconButton
+            aria-label="Remove option"
+            onClick={() =>
+              setPoll({
+                ...poll,
+                options: poll.options.filter((_, i) => i !== index),
+              })
+            }
+          >
+            <CloseIcon fontSize="small" />
+          </IconButton>
+        )}
+      </div>
+    ))}
+    {poll.options.length < MAX_OPTIONS && (
+      <Button
+        onClick={() => setPoll({ ...poll, options: [...poll.options, ''] })}
+        style={{ textTransform: 'none' }}
+      >
+        Add option
+      </Button>
+    )}
+    <TextField
+      select
+      size="small"
+      label="Poll length"
+      value={poll.duration}
+      onChange={(e) => setPoll({ ...poll, duration: e.target.value })}
+    >
+      {POLL_DURATIONS.map(({ label, value }) => (
+        <MenuItem key={value} value={value}>
+          {label}
+        </MenuItem>
+      ))}
+    </TextField>
+    <Button
+      color="error"
+      onClick={() => setPoll(null)}
+      style={{ textTransform: 'none' }}
+    >
+      Remove poll
+    </Button>
+  </div>
+)
+
+export default PollEditorView
@@ -1,73 +1,142 @@
 import React, { useContext, useState } from 'react'
-import { useNavigate } from 'react-router-dom'
+import { useNavigate, useSearchParams } from 'react-router-dom'
 import LoadingView from '../loading/LoadingView'
 import PostComposerView from './PostComposerView'
+import { POLL_DURATIONS } from './PollEditorView'
 import useApi from '../../hooks/useApi'
 import { request } from '../../functions'
 import { AuthContext } from '../../contexts/AuthProvider'
-import { TagContext } from '../../contexts/TagProvider'
 
 /**
  * PostComposer, used to compose a post. Used when creating post on dashboard.
+ * Opened with ?draft=<id> the composer continues writing that draft.
  */
 const PostComposerController = () => {
+  const [searchParams] = useSearchParams()
   const [postText, setPostText] = useState('')
-  const [postTags, setPostTags] = useState([])
-  const [newTags, setNewTags] = useState([])
+  const [attachments, setAttachments] = useState([])
+  const [publishAt, setPublishAt] = useState('')
+  const [poll, setPoll] = useState(null)
+  const [draftId, setDraftId] = useState(searchParams.get('draft'))
+  const [draftSaved, setDraftSaved] = useState(false)
+  const [error, setError] = useState(null)
   const [loading, setLoading] = useState(false)
   const {
     user: { username },
   } = useContext(AuthContext)
   const { data, loading: userLoading, err } = useApi(`users/${username}`)
-  const { getTags } = useContext(TagContext)
+  // Only the draft the composer was opened with is loaded
+  const [initialDraftId] = useState(draftId)
+  const {
+    data: draft,
+    loading: draftLoading,
+    error: draftError,
+  } = useApi(initialDraftId ? `drafts/${initialDraftId}` : null)
 
   const navigate = useNavigate()
 
   /**
-   * submit post to the server
+   * save the text written so far as a draft, a new one the first time
+   */
+  const saveDraft = async () => {
+    setLoading(true)
+    const body = { text_content: postText.replaceAll(/<.*?>/g, '') }
+    const response = draftId
+      ? await request(`drafts/${draftId}`, 'PUT', body)
+      : await request('drafts', 'POST', body)
+    setLoading(false)
+    if (response.err) {
+      setError(response.err)
+      return
+    }
+    setError(null)
+    setDraftId(response.data.id)
+    setDraftSaved(true)
+  }
+
+  /**
+   * submit post to the server, or schedule it when a time is picked
    */
   const submitForm = async () => {
-    if (postText) {
-      try {
-        setLoading(true)
+    if (postText || attachments.length > 0) {
+      setLoading(true)
 
-        const response = await request('posts', 'POST', {
-          text_content: postText.replaceAll(/<.*?>/g, ''),
-          tagIds: postTags,
-          newTags,
-        })
+      // Sent as form data so the images can be uploaded with the post
+      const post = new FormData()
+      // The hashtags in the text become the tags of the post
+      post.append('text_content', postText.replaceAll(/<.*?>/g, ''))
+      attachments.forEach(({ file, alt }) => {
+        post.append('attachments', file)
+        post.append('alts', alt)
+      })
+      if (publishAt) {
+        // The picker gives the local time, the server expects UTC
+        post.append('publishAt', new Date(publishAt).toISOString())
+      }
+      if (draftId) {
+        post.append('draftId', draftId)
+      }
+      if (poll) {
+        // The poll starts when the post is published
+        const start = publishAt ? new Date(publishAt) : new Date()
+        post.append(
+          'poll',
+          JSON.stringify({
+            options: poll.options,
+            closesAt: new Date(start.getTime() + poll.duration).toISOString(),
+          })
+        )
+      }
 
-        // Refetch tags for the newTags created
-        getTags()
+      const response = await request('posts', 'POST', post)
+      setLoading(false)
+      if (response.err) {
+        setError(response.err)
+        return
+      }
 
-        // navigate to the newly made post
-        setLoading(false)
-        navigate(`/post/${response.data.id}`)
-      } catch (e) {
-        // this should not error happen for now
-        setLoading(false)
+      attachments.forEach(({ preview }) => URL.revokeObjectURL(preview))
+      // scheduled posts are listed with the drafts until they are published
+      if (publishAt) {
+        navigate('/drafts')
+        return
       }
+      // navigate to the newly made post
+      navigate(`/post/${response.data.id}`)
     }
   }
 
-  if (userLoading) {
+  if (userLoading || draftLoading) {
     return <LoadingView />
   }
 
-  if (err) {
-    return <div>Error: {err.message}</div>
+  if (err || draftError) {
+    return <div>Error: {err ?? draftError}</div>
   }
 
   return (
     <PostComposerView
       user={data}
       postText={postText}
-      setPostText={setPostText}
+      setPostText={(text) => {
+        setPostText(text)
+        setDraftSaved(false)
+      }}
+      initialText={draft?.content}
       loading={loading || userLoading}
       submitForm={submitForm}
-      setPostTags={setPostTags}
-      setPostHandles={() => {}}
-      setNewTags={setNewTags}
+      saveDraft={saveDraft}
+      draftSaved={draftSaved}
+      publishAt={publishAt}
+      setPublishAt={setPublishAt}
+      poll={poll}
+      setPoll={setPoll}
+      addPoll={() =>
+        setPoll({ options: ['', ''], duration: POLL_DURATIONS[1].value })
+      }
+      attachments={attachments}
+      setAttachments={setAttachments}
+      error={error}
     />
   )
 }
@@ -1,34 +1,89 @@
 import React from 'react'
+import { Link } from 'react-router-dom'
+import { Button, TextField } from '@mui/material'
+import PollOutlinedIcon from '@mui/icons-material/PollOutlined'
 import LoadingButton from '@mui/lab/LoadingButton'
 import classes from './postComposer.module.scss'
 import Footer from '../../components/layout/footer/FooterController'
 import HeaderCustom from '../../components/layout/headercustom/HeaderCustomController'
 import PostInput from '../../components/posts/postinput/PostInputController'
 import SimpleUserDetailsView from '../../components/user/simpledetails/SimpleUserDetailsView'
+import PollEditorView from './PollEditorView'
+
+/**
+ * The current local time in the format of a datetime-local input
+ */
+const localNow = () => {
+  const now = new Date()
+  now.setMinutes(now.getMinutes() - now.getTimezoneOffset())
+  return now.toISOString().slice(0, 16)
+}
 
 const PostComposerView = ({
   user,
   loading,
   submitForm,
-  setPostTags,
-  setPostHandles,
+  saveDraft,
+  draftSaved,
+  publishAt,
+  setPublishAt,
+  poll,
+  setPoll,
+  addPoll,
   setPostText,
-  setNewTags,
+  initialText,
+  attachments,
+  setAttachments,
+  error,
 }) => (
   <div className={classes.container}>
-    <HeaderCustom title="New Post" />
+    <HeaderCustom title="New Post">
+      <Button component={Link} to="/drafts" color="inherit">
+        Drafts
+      </Button>
+    </HeaderCustom>
 
     <div className={classes.profileContainer}>
       <SimpleUserDetailsView user={user} condensed time={0} />
     </div>
 
     <PostInput
-      setPostTags={setPostTags}
-      setPostHandles={setPostHandles}
       setPostText={setPostText}
-      setNewTags={setNewTags}
+      attachments={attachments}
+      setAttachments={setAttachments}
+      initialText={initialText}
     />
 
+    {poll ? (
+      <PollEditorView poll={poll} setPoll={setPoll} />
+    ) : (
+      <div className={classes.poll}>
+        <Button
+          startIcon={<PollOutlinedIcon />}
+          onClick={addPoll}
+          style={{ alignSelf: 'flex-start', textTransform: 'none' }}
+        >
+          Add poll
+        </Button>
+      </div>
+    )}
+
+    <div className={classes.schedule}>
+      <TextField
+        type="datetime-local"
+        label="Schedule for"
+        size="small"
+        fullWidth
+        value={publishAt}
+        onChange={(e) => setPublishAt(e.target.value)}
+        InputLabelProps={{ shrink: true }}
+        inputProps={{ min: localNow() }}
+        helperText="Leave empty to post now"
+      />
+    </div>
+
+    {error && <p className={classes.error}>{error}</p>}
+
     <div className={classes.buttonContainer}>
       <LoadingButton
         data-testid="submit-post-button"
@@ -38,8 +93,21 @@ const PostComposerView = ({
         onClick={submitForm}
         style={{ borderRadius: 10, padding: 10, textTransform: 'none' }}
       >
-        Post
+        {publishAt ? 'Schedule' : 'Post'}
+      </LoadingButton>
+      <LoadingButton
+        loading={loading}
+        variant="text"
+        fullWidth
+        onClick={saveDraft}
+        disabled={draftSaved}
+        style={{ marginTop: 10, textTransform: 'none' }}
+      >
+        {draftSaved ? 'Draft saved' : 'Save draft'}
       </LoadingButton>
+      {attachments.length > 0 && (
+        <p className={classes.hint}>Images are not saved with drafts</p>
+      )}
     </div>
 
     <Footer />
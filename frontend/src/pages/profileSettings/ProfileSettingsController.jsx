@@ -2,8 +2,7 @@ import { useContext, useState } from 'react'
 import { useNavigate } from 'react-router'
 import ProfileSettingsView from './ProfileSettingsView'
 import useApi from '../../hooks/useApi'
-import { request, uploadImage } from '../../functions'
-import SERVER_URL from '../../config'
+import { request, uploadImage, downloadFile } from '../../functions'
 import LoadingView from '../loading/LoadingView'
 import { AuthContext } from '../../contexts/AuthProvider'
 
@@ -13,6 +12,7 @@ import { AuthContext } from '../../contexts/AuthProvider'
 const ProfileSettingsController = () => {
   const {
     user: { username },
+    login,
     logout,
   } = useContext(AuthContext)
   const { data, loading, err } = useApi(`users/${username}`)
@@ -28,7 +28,7 @@ const ProfileSettingsController = () => {
   }
 
   if (err) {
-    return <div>Error: {err.message}</div>
+    return <div>Error: {err}</div>
   }
 
   /**
@@ -40,33 +40,32 @@ const ProfileSettingsController = () => {
   }
 
   /**
-   * Update profile picture
+   * Update profile picture, returns the uri of the uploaded picture
    */
   const updateProfile = async () => {
     const imageUpload = new FormData()
     imageUpload.append('attachments', selectedPicture)
 
-    await uploadImage(imageUpload)
+    const { data: upload } = await uploadImage(imageUpload)
 
-    const fileName = selectedPicture.name
     const { nickname, bio, profileBanner } = data
 
-    if (selectedPicture != null) {
+    if (selectedPicture != null && upload) {
       await request('users', 'PUT', {
         username,
         nickname,
         bio,
-        profilePic: `${SERVER_URL}/images/${fileName}`,
+        profilePic: upload.images[0].uri,
         profileBanner,
       })
     }
+    return upload?.images[0].uri ?? null
   }
 
   /**
    * Update Banner, if its a default banner, no need to upload the image.
    */
   const updateBannerUpload = async () => {
-    let fileName
     const { nickname, bio, profilePic } = data
 
     try {
@@ -86,15 +85,14 @@ const ProfileSettingsController = () => {
       const imageUpload = new FormData()
       imageUpload.append('attachments', selectedBanner)
 
-      await uploadImage(imageUpload)
-      fileName = selectedBanner.name
-      if (selectedBanner != null) {
+      const { data: upload } = await uploadImage(imageUpload)
+      if (selectedBanner != null && upload) {
         await request('users', 'PUT', {
           username,
           nickname,
           bio,
           profilePic,
-          profileBanner: `${SERVER_URL}/images/${fileName}`,
+          profileBanner: upload.images[0].uri,
         })
       }
     }
@@ -116,6 +114,51 @@ const ProfileSettingsController = () => {
     })
   }
 
+  /**
+   * Change the email address, needs the current password
+   */
+  const changeEmail = (currentPassword, email) =>
+    request('users/email', 'PUT', { currentPassword, email })
+
+  /**
+   * Change the password, needs the current password. The server ends every
+   * other session and responds with new tokens for this one
+   */
+  const changePassword = async (currentPassword, newPassword) => {
+    const response = await request('users/password', 'PUT', {
+      currentPassword,
+      newPassword,
+    })
+    if (response.data) {
+      const { authToken, refreshToken, username: name } = response.data
+      login({ token: authToken, refreshToken, username: name })
+    }
+    return response
+  }
+
+  /**
+   * Download everything stored about the user as a ZIP archive
+   */
+  const exportData = () =>
+    downloadFile('users/me/export', `updog-${username}.zip`)
+
+  /**
+   * Delete the account of the user, which ends their session
+   * returns the error message if the account could not be deleted
+   */
+  const deleteAccount = async (password) => {
+    const { err: deleteError } = await request('users', 'DELETE', {
+      password,
+      refreshToken: localStorage.getItem('refreshToken'),
+    })
+    if (deleteError) {
+      return deleteError
+    }
+    logout(false)
+    navigate('/')
+    return null
+  }
+
   /**
    * Logout the user and redirect to login screen
    */
@@ -145,7 +188,6 @@ const ProfileSettingsController = () => {
       avatarOpen={avatarModalOpen}
       handleAvatarOpen={handleAvatarOpen}
       handleAvatarClose={handleAvatarClose}
-      selectedPicture={selectedPicture}
       handleProfilePic={handleProfilePic}
       handleBioUpdate={updateBio}
       bioText={bioText}
@@ -153,6 +195,10 @@ const ProfileSettingsController = () => {
       updateBannerUpload={updateBannerUpload}
       selectedBanner={selectedBanner}
       setSelectedBanner={setSelectedBanner}
+      handleEmailChange={changeEmail}
+      handlePasswordChange={changePassword}
+      handleExportData={exportData}
+      handleDeleteAccount={deleteAccount}
       logout={handleLogout}
     />
   )
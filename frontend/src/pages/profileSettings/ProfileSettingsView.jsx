@@ -8,7 +8,8 @@ import HeaderCustom from '../../components/layout/headercustom/HeaderCustomContr
 import classes from './profilesettings.module.scss'
 import BannerSettingController from '../../components/user/BannerSetting/BannerSettingController'
 import BioEditController from '../../components/user/BioSetting/BioEditController'
-import SERVER_URL from '../../config'
+import SecuritySettingController from '../../components/user/SecuritySetting/SecuritySettingController'
+import DeleteAccountController from '../../components/user/DeleteAccount/DeleteAccountController'
 
 // TODO: Remove when is ready
 const mock = [
@@ -28,17 +29,24 @@ const ProfileSettingsView = ({
   handleAvatarOpen,
   handleAvatarClose,
   handleProfilePic,
-  selectedPicture,
   handleBioUpdate,
   updateBannerUpload,
   selectedBanner,
   setSelectedBanner,
   bioText,
   setBioText,
+  handleEmailChange,
+  handlePasswordChange,
+  handleExportData,
+  handleDeleteAccount,
   logout,
 }) => {
   const [openDialog, setOpenDialog] = useState(false)
   const [openBioEdit, setOpenBioEdit] = useState(false)
+  const [securitySetting, setSecuritySetting] = useState(null)
+  const [openDeleteAccount, setOpenDeleteAccount] = useState(false)
+  const [exporting, setExporting] = useState(false)
+  const [exportError, setExportError] = useState(null)
   const [profileBanner, setProfileBanner] = useState(user.profileBanner)
   const [profilePicture, setProfilePicture] = useState(user.profilePic)
 
@@ -55,7 +63,7 @@ const ProfileSettingsView = ({
             profileBanner != null
               ? typeof profileBanner === 'string'
                 ? profileBanner
-                : `${SERVER_URL}/images/${profileBanner.name}`
+                : URL.createObjectURL(profileBanner)
               : 'https://i.imgur.com/PcEvuMw.png'
           }
           alt="Banner"
@@ -155,6 +163,85 @@ const ProfileSettingsView = ({
 
       <Divider className={classes.divider} variant="middle" />
 
+      <h3 className={classes.sectionTitle}>Security</h3>
+      <div className={classes.flex}>
+        <div className={classes.left}>
+          <p style={{ fontWeight: 'bold' }}>Email</p>
+        </div>
+        <div className={classes.right}>
+          <Button
+            variant="text"
+            onClick={() => setSecuritySetting('email')}
+            id="changeEmail"
+          >
+            Change
+          </Button>
+        </div>
+      </div>
+      <div className={classes.flex}>
+        <div className={classes.left}>
+          <p style={{ fontWeight: 'bold' }}>Password</p>
+        </div>
+        <div className={classes.right}>
+          <Button
+            variant="text"
+            onClick={() => setSecuritySetting('password')}
+            id="changePassword"
+          >
+            Change
+          </Button>
+        </div>
+      </div>
+      <SecuritySettingController
+        setting={securitySetting}
+        setSetting={setSecuritySetting}
+        handleEmailChange={handleEmailChange}
+        handlePasswordChange={handlePasswordChange}
+      />
+      <div className={classes.flex}>
+        <div className={classes.left}>
+          <p style={{ fontWeight: 'bold' }}>Your data</p>
+        </div>
+        <div className={classes.right}>
+          <Button
+            variant="text"
+            disabled={exporting}
+            onClick={async () => {
+              setExporting(true)
+              const { err } = await handleExportData()
+              setExportError(err)
+              setExporting(false)
+            }}
+            id="exportData"
+          >
+            {exporting ? 'Preparing...' : 'Download my data'}
+          </Button>
+        </div>
+      </div>
+      {exportError && <p className={classes.error}>{exportError}</p>}
+      <div className={classes.flex}>
+        <div className={classes.left}>
+          <p style={{ fontWeight: 'bold' }}>Account</p>
+        </div>
+        <div className={classes.right}>
+          <Button
+            variant="text"
+            color="error"
+            onClick={() => setOpenDeleteAccount(true)}
+            id="deleteAccount"
+          >
+            Delete
+          </Button>
+        </div>
+      </div>
+      <DeleteAccountController
+        opened={openDeleteAccount}
+        setOpen={setOpenDeleteAccount}
+        handleDeleteAccount={handleDeleteAccount}
+      />
+
+      <Divider className={classes.divider} variant="middle" />
+
       <div className={classes.save}>
         <Button type="submit" variant="contained" onClick={logout} id="logout">
           Log out
@@ -186,12 +273,10 @@ const ProfileSettingsView = ({
                 component="span"
                 className={classes.upload}
                 onClick={async (e) => {
-                  await updateProfile(e)
-                  // eslint-disable-next-line no-promise-executor-return
-                  await new Promise((resolve) => setTimeout(resolve, 1000))
-                  setProfilePicture(
-                    `${SERVER_URL}/images/${selectedPicture.name}`
-                  )
+                  const profilePic = await updateProfile(e)
+                  if (profilePic) {
+                    setProfilePicture(profilePic)
+                  }
                   handleAvatarClose()
                 }}
               >
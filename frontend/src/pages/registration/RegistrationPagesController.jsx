@@ -3,7 +3,6 @@ import RegistrationFormView from './RegistrationPageView'
 import validationEmail from '../../functions/validateEmail'
 import { request } from '../../functions'
 import { AuthContext } from '../../contexts/AuthProvider'
-import { TagContext } from '../../contexts/TagProvider'
 
 /**
  * RegistrationForm used to register a new user
@@ -16,8 +15,6 @@ const RegistrationFormController = () => {
   const [loading, setLoading] = useState(false)
 
   const authContext = useContext(AuthContext)
-  const { getTags } = useContext(TagContext)
-
   /**
    * Validate the user information before sending
    */
@@ -64,12 +61,9 @@ const RegistrationFormController = () => {
         return
       }
 
-      const { authToken } = data
+      const { authToken, refreshToken } = data
       if (authToken) {
-        localStorage.setItem('token', authToken)
-        localStorage.setItem('username', username)
-        authContext.login({ token: authToken, username })
-        getTags()
+        authContext.login({ token: authToken, refreshToken, username })
       }
     }
   }
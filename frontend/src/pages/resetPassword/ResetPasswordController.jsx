@@ -0,0 +1,66 @@
+import { useState } from 'react'
+import { useSearchParams } from 'react-router-dom'
+import { request } from '../../functions'
+import ResetPasswordView from './ResetPasswordView'
+
+/**
+ * ResetPassword page opened from the link in a password reset email
+ */
+const ResetPasswordController = () => {
+  const [searchParams] = useSearchParams()
+  const [password, setPassword] = useState('')
+  const [confirmPassword, setConfirmPassword] = useState('')
+  const [error, setError] = useState('')
+  const [loading, setLoading] = useState(false)
+  const [done, setDone] = useState(false)
+
+  const token = searchParams.get('token')
+
+  /**
+   * Validate the new password before sending
+   */
+  const validation = () => {
+    if (password.length < 5) {
+      setError('Password must be at least 5 characters long.')
+      return false
+    }
+    if (password !== confirmPassword) {
+      setError('Passwords do not match.')
+      return false
+    }
+    return true
+  }
+
+  /**
+   * Sends the new password along with the token from the email
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    if (!validation()) {
+      return
+    }
+    setLoading(true)
+    const { err } = await request('users/password/reset', 'POST', {
+      token,
+      password,
+    })
+    setLoading(false)
+
+    if (err) {
+      setError(err)
+      return
+    }
+    setError('')
+    setDone(true)
+  }
+
+  return (
+    <ResetPasswordView
+      state={{ token, password, confirmPassword, error, loading, done }}
+      action={{ setPassword, setConfirmPassword, handleSubmit }}
+    />
+  )
+}
+
+export default ResetPasswordController
@@ -0,0 +1,96 @@
+import { Link } from 'react-router-dom'
+import LoadingButton from '@mui/lab/LoadingButton'
+import { TextField } from '@mui/material'
+import classes from './resetPassword.module.scss'
+import Logo from '../../images/logo.png'
+
+const ResetPasswordView = ({ state, action }) => {
+  const { token, password, confirmPassword, error, loading, done } = state
+  const { setPassword, setConfirmPassword, handleSubmit } = action
+
+  const renderContent = () => {
+    if (!token) {
+      return (
+        <p>
+          This password reset link is incomplete. Please open the link from the
+          email again, or ask for a new one.
+        </p>
+      )
+    }
+    if (done) {
+      return <p>Your password has been changed, you can now sign in with it.</p>
+    }
+    return (
+      <>
+        <span
+          className={classes.error}
+          style={{
+            // this is done so that if the error shows up, the elements are not displaced (preallocated space)
+            color: error ? 'red' : 'rgba(0,0,0,0)',
+          }}
+        >
+          {error || 'Blank'}
+        </span>
+        <div className={classes.input}>
+          <TextField
+            label="New Password"
+            type="password"
+            variant="outlined"
+            value={password}
+            fullWidth
+            onChange={(e) => setPassword(e.target.value)}
+          />
+        </div>
+        <div className={classes.input}>
+          <TextField
+            label="Confirm New Password"
+            type="password"
+            variant="outlined"
+            value={confirmPassword}
+            fullWidth
+            onChange={(e) => setConfirmPassword(e.target.value)}
+          />
+        </div>
+      </>
+    )
+  }
+
+  return (
+    <>
+      <div className={classes.logo}>
+        <img src={Logo} alt="logo" />
+      </div>
+      <div className={classes.container}>
+        <div className={classes.inputsContainer}>
+          <h2>Choose a new password</h2>
+          {renderContent()}
+        </div>
+        <div className={classes.bottomContainer}>
+          {token && !done && (
+            <div className={classes.buttonContainer}>
+              <LoadingButton
+                variant="contained"
+                fullWidth
+                loading={loading}
+                onClick={(e) => handleSubmit(e)}
+                style={{ borderRadius: 100, padding: 10 }}
+              >
+                Reset password
+              </LoadingButton>
+            </div>
+          )}
+
+          <span className={classes.linkText}>
+            {token && !done ? (
+              <Link to="/forgot-password">Ask for a new link</Link>
+            ) : (
+              <Link to="/signIn">Back to sign in</Link>
+            )}
+          </span>
+        </div>
+      </div>
+    </>
+  )
+}
+
+export default ResetPasswordView
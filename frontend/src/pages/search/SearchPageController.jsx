@@ -3,6 +3,8 @@ import { useSearchParams } from 'react-router-dom'
 import { useContext, useEffect, useState } from 'react'
 import SearchPageView from './SearchPageView'
 import useApi from '../../hooks/useApi'
+import usePaginatedApi from '../../hooks/usePaginatedApi'
+import useInfiniteScroll from '../../hooks/useInfiniteScroll'
 import { request } from '../../functions'
 import { NavigationContext } from '../../components/layout/navigation/contexts/NavigationProvider'
 import { AuthContext } from '../../contexts/AuthProvider'
@@ -17,7 +19,10 @@ const types = {
 }
 
 /**
- * This page renders the search UI.
+ * This page renders the search UI. The query can use operators like #tag,
+ * @user, from:user, since:2022-04-01, "quoted phrases" and -word, more
+ * results are loaded as the user scrolls towards the bottom of the page.
+ * Before anything is searched for, the trending tags and posts are shown.
  */
 const SearchPageController = () => {
   const [searchParams, setSearchParams] = useSearchParams()
@@ -34,11 +39,14 @@ const SearchPageController = () => {
   }, [])
 
   // Load search data
-  const { data, loading, err } = useApi(
-    search
-      ? `search?query=${encodeURI(search)}&type=${types[selection] ?? 'top'}`
-      : `search?type=${types[selection] ?? 'top'}`
-  )
+  const { data, loading, loadingMore, error, hasMore, loadMore } =
+    usePaginatedApi(
+      search
+        ? `search?query=${encodeURIComponent(search)}&type=${
+            types[selection] ?? 'top'
+          }`
+        : `search?type=${types[selection] ?? 'top'}`
+    )
 
   // Load follower data on current user
   const { data: rawFollowData, loading: followLoading } = useApi(
@@ -59,6 +67,14 @@ const SearchPageController = () => {
     navigate(-1)
   }
 
+  // Load the next page when the user nears the end of the results
+  const { ref: scrollRef, onScroll } = useInfiniteScroll({
+    hasMore,
+    loading: loading || loadingMore,
+    loadMore,
+    itemCount: data.length,
+  })
+
   /**
    * Handle search input
    * sets searchText and search params on url
@@ -98,10 +114,14 @@ const SearchPageController = () => {
 
   return (
     <SearchPageView
+      search={search}
       goToPrevPage={goToPrevPage}
       loading={loading || followLoading}
-      err={err}
+      loadingMore={loadingMore}
+      err={error}
       data={data}
+      scrollRef={scrollRef}
+      onScroll={onScroll}
       handleSearch={handleSearch}
       typePeople={selection === 'People'}
       follow={handleFollow}
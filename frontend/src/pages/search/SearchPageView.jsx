@@ -1,4 +1,5 @@
 import IconButton from '@mui/material/IconButton'
+import CircularProgress from '@mui/material/CircularProgress'
 import ArrowBackIcon from '@mui/icons-material/ArrowBack'
 import Grid from '@mui/material/Grid'
 import SearchBar from '../../components/search/searchbar/SearchBarController'
@@ -6,19 +7,24 @@ import Footer from '../../components/layout/footer/FooterController'
 import NavigationBar from '../../components/layout/navigation/NavigationBar'
 import LoadingView from '../loading/LoadingView'
 import Post from '../../components/posts/post/PostController'
+import Trending from '../../components/search/trending/TrendingController'
 import SearchUserDetails from '../../components/user/searchdetails/SearchUserDetailsController'
 import classes from './searchpage.module.scss'
 import { FeedCard } from '../dashboard/DashboardPageView'
 
 const SearchPageView = ({
+  search,
   handleSearch,
   loading,
+  loadingMore,
   goToPrevPage,
   data,
   typePeople,
   err,
   follow,
   checkFollow,
+  scrollRef,
+  onScroll,
 }) => (
   <div className={classes.container}>
     <Grid
@@ -37,7 +43,7 @@ const SearchPageView = ({
         </IconButton>
       </Grid>
       <Grid item xs={11}>
-        <SearchBar initialText="" handleSubmit={handleSearch} />
+        <SearchBar initialText={search ?? ''} handleSubmit={handleSearch} />
       </Grid>
     </Grid>
     <NavigationBar selections={['Top', 'Latest', 'People']} />
@@ -46,13 +52,14 @@ const SearchPageView = ({
         <LoadingView />
       </div>
     )}
-    <div className={classes.pageContent}>
+    <div ref={scrollRef} className={classes.pageContent} onScroll={onScroll}>
+      {!search && !typePeople && <Trending />}
       {!typePeople &&
         !loading &&
         data?.map((post) =>
           post.content ? (
             <FeedCard key={post.id}>
-              <Post data={post} condensed />
+              <Post data={post} snippet={post.snippet} condensed />
             </FeedCard>
           ) : null
         )}
@@ -68,6 +75,11 @@ const SearchPageView = ({
             />
           </FeedCard>
         ))}
+      {loadingMore && (
+        <div className={classes.loadingMore}>
+          <CircularProgress size={24} />
+        </div>
+      )}
       <p className={classes.centerText}>
         {data && data.length === 0 && <p>No Results</p>}
         {err}
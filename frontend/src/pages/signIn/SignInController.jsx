@@ -1,7 +1,6 @@
 import { useContext, useState } from 'react'
 import { useNavigate } from 'react-router'
 import { AuthContext } from '../../contexts/AuthProvider'
-import { TagContext } from '../../contexts/TagProvider'
 import { request } from '../../functions'
 import validationEmail from '../../functions/validateEmail'
 import SignInView from './SignInView'
@@ -14,12 +13,12 @@ const SignInController = () => {
   const [password, setPassword] = useState('')
   const [error, setError] = useState('')
   const [loading, setLoading] = useState(false)
+  // set when the account has been deleted but can still be restored
+  const [deactivated, setDeactivated] = useState(false)
 
   const navigate = useNavigate()
 
   const authContext = useContext(AuthContext)
-  const { getTags } = useContext(TagContext)
-
   /**
    * Handles login through login button
    */
@@ -32,34 +31,61 @@ const SignInController = () => {
       setError('Invalid email address')
     } else {
       setLoading(true)
-      const { data, err } = await request('users/authenticate', 'POST', {
-        email,
-        password,
-      })
+      const { data, err, status } = await request(
+        'users/authenticate',
+        'POST',
+        {
+          email,
+          password,
+        }
+      )
       setLoading(false)
 
       if (err) {
         setError(err)
+        setDeactivated(status === 403)
         return
       }
 
-      const { authToken, username } = data
+      const { authToken, refreshToken, username } = data
 
       // user successfully login and change status of authContext
       if (authToken && username) {
-        localStorage.setItem('token', authToken)
-        localStorage.setItem('username', username)
-        authContext.login({ token: authToken, username })
-        getTags()
+        authContext.login({ token: authToken, refreshToken, username })
         navigate('/')
       }
     }
   }
 
+  /**
+   * Restores a deleted account and logs in to it
+   */
+  const handleRestore = async () => {
+    setLoading(true)
+    const { data, err } = await request('users/restore', 'POST', {
+      email,
+      password,
+    })
+    setLoading(false)
+
+    if (err) {
+      setError(err)
+      return
+    }
+
+    setDeactivated(false)
+    authContext.login({
+      token: data.authToken,
+      refreshToken: data.refreshToken,
+      username: data.username,
+    })
+    navigate('/')
+  }
+
   return (
     <SignInView
-      state={{ email, password, loading, error }}
-      action={{ setEmail, setPassword, handleSubmit }}
+      state={{ email, password, loading, error, deactivated }}
+      action={{ setEmail, setPassword, handleSubmit, handleRestore }}
     />
   )
 }
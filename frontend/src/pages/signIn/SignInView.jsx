@@ -15,8 +15,8 @@ import classes from './signIn.module.scss'
 import Logo from '../../images/logo.png'
 
 const SignInView = ({ state, action }) => {
-  const { email, password, loading, error } = state
-  const { setEmail, setPassword, handleSubmit } = action
+  const { email, password, loading, error, deactivated } = state
+  const { setEmail, setPassword, handleSubmit, handleRestore } = action
 
   const [showPassword, setShowPassword] = useState(false)
   return (
@@ -76,17 +76,33 @@ const SignInView = ({ state, action }) => {
         </div>
         <div className={classes.bottomContainer}>
           <div className={classes.buttonContainer}>
-            <LoadingButton
-              variant="contained"
-              fullWidth
-              loading={loading}
-              onClick={(e) => handleSubmit(e)}
-              style={{ borderRadius: 100, padding: 10 }}
-            >
-              Sign in
-            </LoadingButton>
+            {deactivated ? (
+              <LoadingButton
+                variant="contained"
+                fullWidth
+                loading={loading}
+                onClick={handleRestore}
+                style={{ borderRadius: 100, padding: 10 }}
+              >
+                Restore my account
+              </LoadingButton>
+            ) : (
+              <LoadingButton
+                variant="contained"
+                fullWidth
+                loading={loading}
+                onClick={(e) => handleSubmit(e)}
+                style={{ borderRadius: 100, padding: 10 }}
+              >
+                Sign in
+              </LoadingButton>
+            )}
           </div>
 
+          <span className={classes.forgotPasswordText}>
+            <Link to="/forgot-password">Forgot your password?</Link>
+          </span>
+
           <span className={classes.signUpText}>
             Don&apos;t have an account?{' '}
             <span className={classes.signUpText}>
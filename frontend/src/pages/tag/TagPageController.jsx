@@ -0,0 +1,102 @@
+import { useParams } from 'react-router-dom'
+import { useContext, useEffect, useState } from 'react'
+import TagPageView from './TagPageView'
+import useApi from '../../hooks/useApi'
+import usePaginatedApi from '../../hooks/usePaginatedApi'
+import useInfiniteScroll from '../../hooks/useInfiniteScroll'
+import { request } from '../../functions'
+import { NavigationContext } from '../../components/layout/navigation/contexts/NavigationProvider'
+import LoadingView from '../loading/LoadingView'
+
+/**
+ * Enums with the possible orders of the posts
+ */
+const sorts = {
+  Latest: 'latest',
+  Top: 'top',
+}
+
+/**
+ * This page renders the posts with a hashtag, newest or most liked first,
+ * with the number of posts and followers of the tag and the tags used with
+ * it. Following the tag adds it to the interests of the user. More posts are
+ * loaded as the user scrolls towards the bottom of the page.
+ */
+const TagPageController = () => {
+  const { name } = useParams()
+  const { selection, changeSelection } = useContext(NavigationContext)
+  const [tag, setTag] = useState()
+
+  // When component mounts go back to Latest selections
+  useEffect(() => {
+    changeSelection(null, 'Latest')
+  }, [])
+
+  // Fetch the details of the tag of this page
+  const {
+    data: tagData,
+    loading: tagLoading,
+    error: tagError,
+  } = useApi(`tags/${encodeURIComponent(name)}`)
+
+  // Update the tag when its details are retrieved from backend
+  useEffect(() => {
+    setTag(tagData)
+  }, [tagData])
+
+  // Load the posts with the tag
+  const { data, loading, loadingMore, error, hasMore, loadMore } =
+    usePaginatedApi(
+      `tags/${encodeURIComponent(name)}/posts?sort=${
+        sorts[selection] ?? 'latest'
+      }`
+    )
+
+  // Load the next page when the user nears the end of the list, the list
+  // is only shown once the details of the tag are loaded
+  const { ref: scrollRef, onScroll } = useInfiniteScroll({
+    hasMore,
+    loading: loading || loadingMore || tagLoading,
+    loadMore,
+    itemCount: data.length,
+  })
+
+  /**
+   * Handle follow button, follow/unfollow depending on whether the user
+   * follows the tag, the backend responds with the updated details
+   */
+  const handleFollow = async () => {
+    const method = tag.following ? 'DELETE' : 'POST'
+    const { data: updated } = await request(
+      `tags/${encodeURIComponent(name)}/follow`,
+      method
+    )
+    if (updated) {
+      setTag(updated)
+    }
+  }
+
+  if (tagLoading) {
+    return <LoadingView />
+  }
+
+  if (tagError) {
+    return <div>Error: {tagError}</div>
+  }
+
+  return (
+    <TagPageView
+      name={name}
+      tag={tag}
+      posts={data}
+      loading={loading}
+      loadingMore={loadingMore}
+      err={error}
+      scrollRef={scrollRef}
+      onScroll={onScroll}
+      handleFollow={handleFollow}
+    />
+  )
+}
+
+export default TagPageController
@@ -0,0 +1,79 @@
+import { Link } from 'react-router-dom'
+import Button from '@mui/material/Button'
+import CircularProgress from '@mui/material/CircularProgress'
+import HeaderCustom from '../../components/layout/headercustom/HeaderCustomController'
+import Footer from '../../components/layout/footer/FooterController'
+import NavigationBar from '../../components/layout/navigation/NavigationBar'
+import LoadingView from '../loading/LoadingView'
+import Post from '../../components/posts/post/PostController'
+import { FeedCard } from '../dashboard/DashboardPageView'
+import classes from './tagpage.module.scss'
+
+const TagPageView = ({
+  name,
+  tag,
+  posts,
+  loading,
+  loadingMore,
+  err,
+  scrollRef,
+  onScroll,
+  handleFollow,
+}) => (
+  <div className={classes.container}>
+    <HeaderCustom title={`#${name}`} />
+    <div ref={scrollRef} className={classes.pageContent} onScroll={onScroll}>
+      {tag && (
+        <div className={classes.details}>
+          <div className={classes.counts}>
+            <span>
+              <b>{tag.postCount}</b> posts
+            </span>
+            <span>
+              <b>{tag.followerCount}</b> followers
+            </span>
+            <Button
+              variant="contained"
+              disableElevation
+              className={classes.followButton}
+              onClick={handleFollow}
+            >
+              {tag.following ? 'Unfollow' : 'Follow'}
+            </Button>
+          </div>
+          {tag.relatedTags.length > 0 && (
+            <div className={classes.relatedTags}>
+              {tag.relatedTags.map((related) => (
+                <Link
+                  key={related.tagName}
+                  to={`/tag/${encodeURIComponent(related.tagName)}`}
+                >
+                  #{related.tagName}
+                </Link>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+      <NavigationBar selections={['Latest', 'Top']} />
+      {loading && <LoadingView />}
+      {!loading &&
+        posts.map((post) => (
+          <FeedCard key={post.id}>
+            <Post data={post} condensed />
+          </FeedCard>
+        ))}
+      {loadingMore && (
+        <div className={classes.loadingMore}>
+          <CircularProgress size={24} />
+        </div>
+      )}
+      {!loading && posts.length === 0 && (
+        <p className={classes.empty}>{err ?? `No posts with #${name} yet`}</p>
+      )}
+    </div>
+    <Footer />
+  </div>
+)
+
+export default TagPageView
@@ -0,0 +1,32 @@
+import { useEffect, useState } from 'react'
+import { useSearchParams } from 'react-router-dom'
+import { request } from '../../functions'
+import VerifyEmailView from './VerifyEmailView'
+
+/**
+ * VerifyEmail page opened from the link in a verification email,
+ * verifies the email address as soon as it is opened
+ */
+const VerifyEmailController = () => {
+  const [searchParams] = useSearchParams()
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+
+  const token = searchParams.get('token')
+
+  useEffect(() => {
+    if (!token) {
+      setError('This verification link is incomplete.')
+      setLoading(false)
+      return
+    }
+    request('users/email/verify', 'POST', { token }).then(({ err }) => {
+      setError(err ?? '')
+      setLoading(false)
+    })
+  }, [token])
+
+  return <VerifyEmailView state={{ loading, error }} />
+}
+
+export default VerifyEmailController
@@ -0,0 +1,44 @@
+import { Link } from 'react-router-dom'
+import { CircularProgress } from '@mui/material'
+import classes from './verifyEmail.module.scss'
+import Logo from '../../images/logo.png'
+
+const VerifyEmailView = ({ state }) => {
+  const { loading, error } = state
+
+  const renderContent = () => {
+    if (loading) {
+      return <CircularProgress />
+    }
+    if (error) {
+      return (
+        <>
+          <h2>We couldn&apos;t verify your email</h2>
+          <span className={classes.error}>{error}</span>
+        </>
+      )
+    }
+    return (
+      <>
+        <h2>Email verified</h2>
+        <span>Thanks for confirming your email address.</span>
+      </>
+    )
+  }
+
+  return (
+    <>
+      <div className={classes.logo}>
+        <img src={Logo} alt="logo" />
+      </div>
+      <div className={classes.container}>
+        {renderContent()}
+        <span className={classes.linkText}>
+          <Link to="/">Continue to Updog</Link>
+        </span>
+      </div>
+    </>
+  )
+}
+
+export default VerifyEmailView